@@ -15,6 +15,9 @@ import {
   DollarSign,
   LogOut,
   Users,
+  Settings,
+  Wallet,
+  Truck,
 } from "lucide-react";
 import Logo from "./components/Logo";
 import Calculator from "./components/Calculator";
@@ -25,6 +28,10 @@ import { OfflineIndicator } from "./components/ui/offline-indicator";
 import { InstallPrompt } from "./components/ui/install-prompt";
 import ErrorBoundary from "./components/ui/error-boundary"; // Importar ErrorBoundary
 import Login from "./components/Login";
+import { setCurrentActor } from "./lib/currentActor";
+import { subscribeToAuth, signIn, signOut } from "./lib/authService";
+import { ensureUserProfile } from "./lib/firebaseService";
+import { can } from "./lib/permissions";
 const ClientsPage = lazy(() => import("./components/ClientsPage"));
 
 // Lazy loads mantidos...
@@ -37,6 +44,11 @@ const Inventory = lazy(
   () => import("./components/inventory/OptimizedInventory"),
 );
 const ExpenseForm = lazy(() => import("./components/ExpenseForm"));
+const CashRegister = lazy(() => import("./components/cash/CashRegister"));
+const WeighingTickets = lazy(
+  () => import("./components/weighing/WeighingTickets"),
+);
+const SettingsPage = lazy(() => import("./pages/SettingsPage"));
 
 // Button Component reutilizável (mantido mas otimizado)
 const Button = ({
@@ -86,22 +98,43 @@ function App() {
   const [transactionType, setTransactionType] = useState("compra");
   const [isMobileMenuOpen, setIsMobileMenuOpen] = useState(false);
   const [isCalculatorOpen, setIsCalculatorOpen] = useState(false);
-  const [isAuthenticated, setIsAuthenticated] = useState(false);
+  const [user, setUser] = useState(null);
   const [isLoading, setIsLoading] = useState(true);
 
-  // Auth Effect
+  // Auth Effect: a sessão vem do Firebase Auth (persistida por ele)
   useEffect(() => {
-    const checkAuth = () => {
+    // Remove o marcador do login antigo, que não vale mais como sessão
+    localStorage.removeItem("imperio_sucata_auth");
+
+    const unsubscribe = subscribeToAuth(async (firebaseUser) => {
+      if (!firebaseUser) {
+        setCurrentActor(null);
+        setUser(null);
+        setIsLoading(false);
+        return;
+      }
+
+      setIsLoading(true);
       try {
-        const authToken = localStorage.getItem("imperio_sucata_auth");
-        if (authToken) setIsAuthenticated(true);
-      } catch (e) {
-        console.error("Erro ao acessar localStorage", e);
+        // O perfil de acesso (owner/operator/viewer) fica em users/{uid}
+        const profile = await ensureUserProfile(firebaseUser);
+        setCurrentActor({
+          uid: firebaseUser.uid,
+          nome: profile.nome || firebaseUser.displayName || firebaseUser.email,
+          email: firebaseUser.email,
+          role: profile.role,
+        });
+        setUser(firebaseUser);
+      } catch (error) {
+        console.error("[v0] Erro ao carregar perfil de acesso:", error);
+        setCurrentActor(null);
+        setUser(null);
+        await signOut();
       } finally {
         setIsLoading(false);
       }
-    };
-    checkAuth();
+    });
+    return unsubscribe;
   }, []);
 
   // SW Registration
@@ -112,27 +145,16 @@ function App() {
     }
   }, []);
 
-  const handleLogin = (credentials) => {
-    // Captura as credenciais do seu arquivo .env.local
-    const adminUser = import.meta.env.VITE_ADMIN_USER;
-    const adminPass = import.meta.env.VITE_ADMIN_PASS;
-
-    if (
-      credentials.username === adminUser &&
-      credentials.password === adminPass
-    ) {
-      // Registra a sessão localmente e atualiza o estado correto
-      localStorage.setItem("imperio_sucata_auth", "authenticated");
-      setIsAuthenticated(true);
-      return true;
-    }
-    return false;
-  };
+  // O usuário é definido pelo listener do Auth; aqui só propagamos erros ao Login
+  const handleLogin = (credentials) =>
+    signIn(credentials.email, credentials.password);
 
-  const handleLogout = () => {
-    localStorage.removeItem("imperio_sucata_auth");
-    setIsAuthenticated(false);
-    setActiveTab("dashboard");
+  const handleLogout = async () => {
+    try {
+      await signOut();
+    } finally {
+      setActiveTab("dashboard");
+    }
   };
 
   // Função centralizada de navegação para garantir consistência
@@ -143,6 +165,9 @@ function App() {
       return;
     }
 
+    // Abas fora do perfil de acesso não abrem (atalhos, paleta, dashboard)
+    if (!can(`nav.${tab}`)) return;
+
     // Scroll para o topo suavemente ao trocar de aba
     window.scrollTo({ top: 0, behavior: "smooth" });
 
@@ -246,6 +271,20 @@ function App() {
       color: "text-red-600",
       gradient: "from-red-500 to-red-600",
     },
+    {
+      id: "cash",
+      label: "Caixa",
+      icon: Wallet,
+      color: "text-emerald-600",
+      gradient: "from-emerald-500 to-emerald-600",
+    },
+    {
+      id: "weighing",
+      label: "Balança",
+      icon: Truck,
+      color: "text-sky-600",
+      gradient: "from-sky-500 to-sky-600",
+    },
     {
       id: "reports",
       label: "Relatórios",
@@ -261,8 +300,18 @@ function App() {
       color: "text-orange-600",
       gradient: "from-orange-500 to-orange-600",
     },
+    {
+      id: "settings",
+      label: "Configurações",
+      icon: Settings,
+      color: "text-slate-600",
+      gradient: "from-slate-600 to-slate-700",
+    },
   ];
 
+  // Cada aba só aparece para os perfis com a permissão nav.<id>
+  const visibleMenuItems = menuItems.filter((item) => can(`nav.${item.id}`));
+
   const getBreadcrumbItems = () => {
     const item = menuItems.find((m) => m.id === activeTab);
     return item ? [{ label: item.label }] : [];
@@ -271,6 +320,9 @@ function App() {
   const renderContent = () => {
     // Wrapper component para garantir que as props sejam passadas corretamente
     const content = () => {
+      if (!can(`nav.${activeTab}`)) {
+        return <Dashboard onQuickAction={handleNavigation} />;
+      }
       switch (activeTab) {
         case "dashboard":
           return <Dashboard onQuickAction={handleNavigation} />;
@@ -289,8 +341,14 @@ function App() {
           return (
             <ExpenseForm onSuccess={() => handleNavigation("dashboard")} />
           );
+        case "cash":
+          return <CashRegister />;
+        case "weighing":
+          return <WeighingTickets />;
         case "reports":
           return <Reports />;
+        case "settings":
+          return <SettingsPage />;
         default:
           return <Dashboard onQuickAction={handleNavigation} />;
       }
@@ -311,7 +369,7 @@ function App() {
     );
   }
 
-  if (!isAuthenticated) {
+  if (!user) {
     return <Login onLogin={handleLogin} />;
   }
 
@@ -345,7 +403,7 @@ function App() {
 
                 {/* Desktop Navigation */}
                 <nav className="hidden md:flex items-center gap-1">
-                  {menuItems.map((item) => {
+                  {visibleMenuItems.map((item) => {
                     const Icon = item.icon;
                     const isActive = activeTab === item.id;
                     return (
@@ -406,7 +464,7 @@ function App() {
                   className="md:hidden border-t border-gray-100 bg-white overflow-hidden"
                 >
                   <div className="px-4 py-2 space-y-1 shadow-inner bg-slate-50/50">
-                    {menuItems.map((item) => {
+                    {visibleMenuItems.map((item) => {
                       const Icon = item.icon;
                       const isActive = activeTab === item.id;
                       return (
@@ -44,6 +44,12 @@ import {
   subscribeToLoans,
   deleteLoan,
 } from "../lib/firebaseService";
+import {
+  calculateLoanTotals,
+  getLoanPending,
+  getLoanStatus,
+} from "../lib/loans";
+import { can } from "../lib/permissions";
 
 const Card = ({ children, className = "" }) => (
   <div
@@ -426,6 +432,321 @@ const ClientModal = ({ client, onClose, onSave, isLoading }) => {
   );
 };
 
+// Formas de pagamento de empréstimos e recebimentos; só dinheiro mexe no caixa
+const LOAN_PAYMENT_METHODS = [
+  { value: "dinheiro", label: "Dinheiro" },
+  { value: "pix", label: "PIX" },
+];
+
+const PaymentMethodSelect = ({ value, onChange }) => (
+  <select
+    value={value}
+    onChange={(e) => onChange(e.target.value)}
+    className="h-10 rounded-md border border-input bg-background px-2 text-sm"
+    aria-label="Forma de pagamento"
+  >
+    {LOAN_PAYMENT_METHODS.map((method) => (
+      <option key={method.value} value={method.value}>
+        {method.label}
+      </option>
+    ))}
+  </select>
+);
+
+// Empréstimos do cliente: novo empréstimo, pagamentos parciais e histórico
+const LoansModal = ({ client, loans, onClose }) => {
+  const [novo, setNovo] = useState({
+    valor: "",
+    descricao: "",
+    formaPagamento: "dinheiro",
+  });
+  const [pagamentos, setPagamentos] = useState({}); // loanId → valor digitado
+  const [formas, setFormas] = useState({}); // loanId → forma do pagamento
+  const [saving, setSaving] = useState(false);
+  const totals = calculateLoanTotals(loans);
+
+  const run = async (action, title, description) => {
+    setSaving(true);
+    try {
+      await action();
+      showToast(title, description, "success");
+      return true;
+    } catch (error) {
+      console.error("Erro no empréstimo:", error);
+      showToast("Erro no Empréstimo", error.message, "error");
+      return false;
+    } finally {
+      setSaving(false);
+    }
+  };
+
+  const handleAddLoan = async (e) => {
+    e.preventDefault();
+    const ok = await run(
+      () =>
+        addLoan({
+          clienteId: client.id,
+          clienteNome: client.nome,
+          valor: Number(novo.valor),
+          descricao: novo.descricao,
+          formaPagamento: novo.formaPagamento,
+        }),
+      "Empréstimo Registrado",
+      `${formatCurrency(Number(novo.valor))} para ${client.nome}`,
+    );
+    if (ok) setNovo({ ...novo, valor: "", descricao: "" });
+  };
+
+  const handlePayment = async (loan) => {
+    const valor = Number(pagamentos[loan.id]);
+    const ok = await run(
+      () =>
+        registrarPagamentoEmprestimo(loan.id, {
+          valor,
+          formaPagamento: formas[loan.id] || "dinheiro",
+        }),
+      "Pagamento Registrado",
+      `${formatCurrency(valor)} recebidos de ${client.nome}`,
+    );
+    if (ok) setPagamentos((prev) => ({ ...prev, [loan.id]: "" }));
+  };
+
+  const handleDeleteLoan = (loan) => {
+    if (
+      !confirm(
+        "Excluir este empréstimo? O valor e os pagamentos saem da conta do cliente.",
+      )
+    ) {
+      return;
+    }
+    run(
+      () => deleteLoan(loan.id),
+      "Empréstimo Excluído",
+      "A conta do cliente foi recalculada",
+    );
+  };
+
+  return (
+    <div
+      className="fixed inset-0 bg-black/50 backdrop-blur-sm flex items-center justify-center z-50 p-4"
+      onClick={onClose}
+    >
+      <motion.div
+        initial={{ opacity: 0, scale: 0.95 }}
+        animate={{ opacity: 1, scale: 1 }}
+        exit={{ opacity: 0, scale: 0.95 }}
+        className="bg-white rounded-2xl max-w-2xl w-full shadow-2xl overflow-hidden max-h-[90vh] overflow-y-auto"
+        onClick={(e) => e.stopPropagation()}
+      >
+        <div className="bg-gradient-to-r from-purple-600 to-purple-700 p-5 text-white sticky top-0 z-10">
+          <div className="flex items-center justify-between">
+            <div className="flex items-center gap-3">
+              <div className="bg-white/20 p-2.5 rounded-xl">
+                <CreditCard className="h-5 w-5" />
+              </div>
+              <div>
+                <h3 className="text-xl font-bold">Empréstimos</h3>
+                <p className="text-sm text-purple-100">{client.nome}</p>
+              </div>
+            </div>
+            <button
+              onClick={onClose}
+              className="p-2 hover:bg-white/20 rounded-full transition-colors"
+              aria-label="Fechar"
+            >
+              <X className="h-5 w-5" />
+            </button>
+          </div>
+        </div>
+
+        <div className="p-6 space-y-5">
+          {/* Totais */}
+          <div className="grid grid-cols-3 gap-3 text-center">
+            <div className="bg-gray-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Emprestado</p>
+              <p className="font-bold text-gray-900">
+                {formatCurrency(totals.totalLoans)}
+              </p>
+            </div>
+            <div className="bg-emerald-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Pago</p>
+              <p className="font-bold text-emerald-600">
+                {formatCurrency(totals.totalPaid)}
+              </p>
+            </div>
+            <div className="bg-red-50 rounded-lg p-3">
+              <p className="text-xs text-gray-500">Pendente</p>
+              <p className="font-bold text-red-600">
+                {formatCurrency(totals.pending)}
+              </p>
+            </div>
+          </div>
+
+          {/* Novo empréstimo */}
+          {can("clients.ledger") && (
+            <form
+              onSubmit={handleAddLoan}
+              className="flex flex-col sm:flex-row gap-2"
+            >
+              <Input
+                type="number"
+                step="0.01"
+                min="0.01"
+                required
+                value={novo.valor}
+                onChange={(e) => setNovo({ ...novo, valor: e.target.value })}
+                placeholder="Valor (R$)"
+                className="sm:w-36"
+              />
+              <Input
+                value={novo.descricao}
+                onChange={(e) =>
+                  setNovo({ ...novo, descricao: e.target.value })
+                }
+                placeholder="Descrição (opcional)"
+              />
+              <PaymentMethodSelect
+                value={novo.formaPagamento}
+                onChange={(formaPagamento) =>
+                  setNovo({ ...novo, formaPagamento })
+                }
+              />
+              <Button type="submit" disabled={saving}>
+                <Plus className="h-4 w-4 mr-1" />
+                Emprestar
+              </Button>
+            </form>
+          )}
+
+          {/* Lista de empréstimos */}
+          {loans.length === 0 ? (
+            <p className="text-center text-sm text-gray-500 py-6">
+              Nenhum empréstimo para este cliente
+            </p>
+          ) : (
+            <div className="space-y-3">
+              {loans.map((loan) => {
+                const pendente = getLoanPending(loan);
+                const quitado = getLoanStatus(loan) === "quitado";
+                return (
+                  <div
+                    key={loan.id}
+                    className="border border-gray-200 rounded-lg p-4 space-y-3"
+                  >
+                    <div className="flex items-start justify-between gap-3">
+                      <div>
+                        <p className="font-semibold text-gray-900">
+                          {formatCurrency(loan.valor)}
+                          {loan.descricao && (
+                            <span className="font-normal text-gray-500">
+                              {" "}
+                              · {loan.descricao}
+                            </span>
+                          )}
+                        </p>
+                        <p className="text-xs text-gray-500 flex items-center gap-1">
+                          <Calendar className="h-3 w-3" />
+                          {formatDate(loan.data)}
+                        </p>
+                      </div>
+                      <div className="flex items-center gap-2">
+                        <Badge variant={quitado ? "success" : "warning"}>
+                          {quitado
+                            ? "Quitado"
+                            : `Pendente ${formatCurrency(pendente)}`}
+                        </Badge>
+                        {can("clients.ledgerReview") && (
+                          <button
+                            onClick={() => handleDeleteLoan(loan)}
+                            disabled={saving}
+                            className="p-1.5 text-red-500 hover:bg-red-50 rounded-lg"
+                            aria-label="Excluir empréstimo"
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </button>
+                        )}
+                      </div>
+                    </div>
+
+                    {loan.pagamentos.length > 0 && (
+                      <ul className="text-xs text-gray-600 space-y-1">
+                        {loan.pagamentos.map((pagamento) => (
+                          <li
+                            key={pagamento.id}
+                            className="flex justify-between gap-3"
+                          >
+                            <span className="flex items-center gap-1">
+                              <Receipt className="h-3 w-3" />
+                              {formatDate(pagamento.data)}
+                              {pagamento.observacao &&
+                                ` · ${pagamento.observacao}`}
+                            </span>
+                            <span className="font-semibold text-emerald-600">
+                              {formatCurrency(pagamento.valor)}
+                            </span>
+                          </li>
+                        ))}
+                      </ul>
+                    )}
+
+                    {!quitado && can("clients.ledger") && (
+                      <div className="flex gap-2">
+                        <Input
+                          type="number"
+                          step="0.01"
+                          min="0.01"
+                          max={pendente}
+                          value={pagamentos[loan.id] || ""}
+                          onChange={(e) =>
+                            setPagamentos((prev) => ({
+                              ...prev,
+                              [loan.id]: e.target.value,
+                            }))
+                          }
+                          placeholder="Valor do pagamento"
+                        />
+                        <Button
+                          variant="outline"
+                          size="sm"
+                          className="h-10"
+                          onClick={() =>
+                            setPagamentos((prev) => ({
+                              ...prev,
+                              [loan.id]: String(pendente),
+                            }))
+                          }
+                        >
+                          Total
+                        </Button>
+                        <PaymentMethodSelect
+                          value={formas[loan.id] || "dinheiro"}
+                          onChange={(forma) =>
+                            setFormas((prev) => ({ ...prev, [loan.id]: forma }))
+                          }
+                        />
+                        <Button
+                          variant="success"
+                          disabled={
+                            saving || !(Number(pagamentos[loan.id]) > 0)
+                          }
+                          onClick={() => handlePayment(loan)}
+                        >
+                          <Banknote className="h-4 w-4 mr-1" />
+                          Receber
+                        </Button>
+                      </div>
+                    )}
+                  </div>
+                );
+              })}
+            </div>
+          )}
+        </div>
+      </motion.div>
+    </div>
+  );
+};
+
 // Componente principal de Clientes MELHORADO
 export default function ClientsImproved() {
   const [clients, setClients] = useState([]);
@@ -436,6 +757,7 @@ export default function ClientsImproved() {
   const [editingClient, setEditingClient] = useState(null);
   const [selectedClient, setSelectedClient] = useState(null);
   const [saving, setSaving] = useState(false);
+  const [loanClient, setLoanClient] = useState(null);
   const [filterStatus, setFilterStatus] = useState("all"); // all, active, inactive
 
   useEffect(() => {
@@ -525,20 +847,11 @@ export default function ClientsImproved() {
     }
   };
 
-  const getClientStats = (client) => {
-    const clientLoans = loans.filter((loan) => loan.clienteId === client.id);
-    const totalLoans = clientLoans.reduce(
-      (sum, loan) => sum + (loan.valor || 0),
-      0,
-    );
-    const totalPaid = clientLoans.reduce(
-      (sum, loan) => sum + (loan.valorPago || 0),
-      0,
-    );
-    const pending = totalLoans - totalPaid;
+  const getClientLoans = (clientId) =>
+    loans.filter((loan) => loan.clienteId === clientId);
 
-    return { totalLoans, totalPaid, pending, loansCount: clientLoans.length };
-  };
+  const getClientStats = (client) =>
+    calculateLoanTotals(getClientLoans(client.id));
 
   if (loading) {
     return (
@@ -691,9 +1004,9 @@ export default function ClientsImproved() {
                     <Badge
                       variant={
                         (client.saldo || 0) > 0
-                          ? "success"
+                          ? "danger"
                           : (client.saldo || 0) < 0
-                            ? "danger"
+                            ? "success"
                             : "default"
                       }
                     >
@@ -774,6 +1087,15 @@ export default function ClientsImproved() {
                       <Edit3 className="h-4 w-4 mr-1" />
                       Editar
                     </Button>
+                    <Button
+                      variant="outline"
+                      size="sm"
+                      className="flex-1"
+                      onClick={() => setLoanClient(client)}
+                    >
+                      <CreditCard className="h-4 w-4 mr-1" />
+                      Empréstimos
+                    </Button>
                     <Button
                       variant="danger"
                       size="sm"
@@ -817,6 +1139,16 @@ export default function ClientsImproved() {
           />
         )}
       </AnimatePresence>
+
+      <AnimatePresence>
+        {loanClient && (
+          <LoansModal
+            client={loanClient}
+            loans={getClientLoans(loanClient.id)}
+            onClose={() => setLoanClient(null)}
+          />
+        )}
+      </AnimatePresence>
     </div>
   );
 }
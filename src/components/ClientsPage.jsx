@@ -18,6 +18,7 @@ import {
   Filter,
   ArrowUpDown,
   FileDown,
+  AlertTriangle,
 } from "lucide-react";
 import { motion, AnimatePresence } from "framer-motion";
 import { Button } from "./ui/button";
@@ -37,10 +38,25 @@ import {
   deleteCustomer,
   getCustomerTransactions,
 } from "../lib/firebaseService";
+import { usePermissions } from "../hooks/usePermissions";
+import { useInstallmentSchedule } from "../hooks/useFirebaseQuery";
+import { getOverdueByClient } from "../lib/installments";
+import { formatDate } from "../utils/formatters";
 import CustomerDetailsPage from "./CustomerDetailsPage";
+import NegotiatedPricesEditor from "./clients/NegotiatedPricesEditor";
+import { normalizeNegotiatedPrices } from "../lib/negotiatedPrices";
 import * as reportGenerators from "../utils/reportGenerators";
 
+const EMPTY_FORM = {
+  nome: "",
+  telefone: "",
+  cpf: "",
+  observacoes: "",
+  precosNegociados: [],
+};
+
 const ClientsPage = () => {
+  const { can } = usePermissions();
   const [customers, setCustomers] = useState([]);
   const [searchTerm, setSearchTerm] = useState("");
   const [loading, setLoading] = useState(true);
@@ -49,13 +65,15 @@ const ClientsPage = () => {
   const [selectedCustomerForDetails, setSelectedCustomerForDetails] =
     useState(null);
   const [sortBy, setSortBy] = useState("nome"); // nome, saldo, data
+  const [onlyOverdue, setOnlyOverdue] = useState(false);
+  const { data: schedule = [] } = useInstallmentSchedule();
+  const overdueByClient = useMemo(
+    () => getOverdueByClient(schedule),
+    [schedule],
+  );
+  const overdueCount = Object.keys(overdueByClient).length;
 
-  const [formData, setFormData] = useState({
-    nome: "",
-    telefone: "",
-    cpf: "",
-    observacoes: "",
-  });
+  const [formData, setFormData] = useState(EMPTY_FORM);
 
   useEffect(() => {
     const unsubscribe = subscribeToCustomers((data) => {
@@ -80,6 +98,7 @@ const ClientsPage = () => {
           customer.cpf?.includes(searchTerm) ||
           customer.telefone?.includes(searchTerm),
       )
+      .filter((customer) => !onlyOverdue || overdueByClient[customer.id])
       .sort((a, b) => {
         if (sortBy === "nome") return a.nome.localeCompare(b.nome);
         if (sortBy === "saldo") return (b.saldo || 0) - (a.saldo || 0);
@@ -87,21 +106,29 @@ const ClientsPage = () => {
           return new Date(b.createdAt) - new Date(a.createdAt);
         return 0;
       });
-  }, [customers, searchTerm, sortBy]);
+  }, [customers, searchTerm, sortBy, onlyOverdue, overdueByClient]);
 
   const handleSubmit = async (e) => {
     e.preventDefault();
     try {
+      // Só quem negocia preços grava a lista; os demais não a alteram
+      const { precosNegociados, ...customerData } = formData;
+      if (can("clients.prices")) {
+        customerData.precosNegociados =
+          normalizeNegotiatedPrices(precosNegociados);
+      }
+
       if (editingCustomer) {
-        await updateCustomer(editingCustomer.id, formData);
+        await updateCustomer(editingCustomer.id, customerData);
       } else {
-        await addCustomer({ ...formData, saldo: 0 });
+        await addCustomer({ ...customerData, saldo: 0 });
       }
       setShowModal(false);
       setEditingCustomer(null);
-      setFormData({ nome: "", telefone: "", cpf: "", observacoes: "" });
+      setFormData(EMPTY_FORM);
     } catch (error) {
       console.error("Erro ao salvar cliente:", error);
+      alert(`Erro ao salvar cliente: ${error.message}`);
     }
   };
 
@@ -113,6 +140,7 @@ const ClientsPage = () => {
       telefone: customer.telefone || "",
       cpf: customer.cpf || "",
       observacoes: customer.observacoes || "",
+      precosNegociados: customer.precosNegociados || [],
     });
     setShowModal(true);
   };
@@ -197,10 +225,21 @@ const ClientsPage = () => {
               </p>
             </div>
           </div>
+          <div className="bg-white px-4 py-2 rounded-2xl border border-slate-200 shadow-sm flex items-center gap-3">
+            <div className="h-8 w-8 rounded-full bg-red-100 flex items-center justify-center text-red-600">
+              <AlertTriangle className="h-4 w-4" />
+            </div>
+            <div>
+              <p className="text-[10px] font-black text-slate-400 uppercase">
+                Em Atraso
+              </p>
+              <p className="text-sm font-bold text-slate-900">{overdueCount}</p>
+            </div>
+          </div>
           <Button
             onClick={() => {
               setEditingCustomer(null);
-              setFormData({ nome: "", telefone: "", cpf: "", observacoes: "" });
+              setFormData(EMPTY_FORM);
               setShowModal(true);
             }}
             className="bg-blue-600 hover:bg-blue-700 text-white rounded-2xl h-12 px-6 shadow-lg shadow-blue-200 font-bold gap-2"
@@ -234,6 +273,14 @@ const ClientsPage = () => {
                 ? "Ordem: Saldo"
                 : "Ordem: Recentes"}
           </Button>
+          <Button
+            variant="outline"
+            onClick={() => setOnlyOverdue(!onlyOverdue)}
+            className={`h-14 px-6 rounded-2xl border-slate-200 bg-white font-bold text-slate-600 gap-2 flex-1 md:flex-none ${onlyOverdue ? "border-red-500 text-red-600" : ""}`}
+          >
+            <AlertTriangle className="h-4 w-4" />
+            Em atraso
+          </Button>
           <Button
             variant="outline"
             onClick={() => setSortBy("data")}
@@ -281,12 +328,24 @@ const ClientsPage = () => {
                 onClick={() => setSelectedCustomerForDetails(customer)}
               >
                 <Card className="h-full rounded-[2rem] border-slate-200 overflow-hidden hover:shadow-2xl hover:shadow-blue-900/5 transition-all duration-300 relative">
-                  {customer.saldo > 0 && (
+                  {overdueByClient[customer.id] ? (
                     <div className="absolute top-4 right-4 z-10">
-                      <Badge className="bg-amber-100 text-amber-700 border-amber-200 font-black px-3 py-1 rounded-full text-[10px]">
-                        DÉBITO ATIVO
+                      <Badge
+                        title={`${overdueByClient[customer.id].quantidade} parcela(s) vencida(s) desde ${formatDate(overdueByClient[customer.id].desde)}`}
+                        className="bg-red-100 text-red-700 border-red-200 font-black px-3 py-1 rounded-full text-[10px]"
+                      >
+                        VENCIDO ·{" "}
+                        {formatCurrency(overdueByClient[customer.id].valor)}
                       </Badge>
                     </div>
+                  ) : (
+                    customer.saldo > 0 && (
+                      <div className="absolute top-4 right-4 z-10">
+                        <Badge className="bg-amber-100 text-amber-700 border-amber-200 font-black px-3 py-1 rounded-full text-[10px]">
+                          DÉBITO ATIVO
+                        </Badge>
+                      </div>
+                    )
                   )}
                   <CardContent className="p-0">
                     <div className="p-6 space-y-6">
@@ -351,14 +410,16 @@ const ClientsPage = () => {
                         >
                           <Edit className="h-4 w-4" />
                         </Button>
-                        <Button
-                          variant="ghost"
-                          size="icon"
-                          className="h-10 w-10 rounded-xl text-slate-400 hover:text-red-600 hover:bg-red-50"
-                          onClick={(e) => handleDelete(customer.id, e)}
-                        >
-                          <Trash2 className="h-4 w-4" />
-                        </Button>
+                        {can("clients.delete") && (
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            className="h-10 w-10 rounded-xl text-slate-400 hover:text-red-600 hover:bg-red-50"
+                            onClick={(e) => handleDelete(customer.id, e)}
+                          >
+                            <Trash2 className="h-4 w-4" />
+                          </Button>
+                        )}
                         <Button
                           variant="ghost"
                           size="icon"
@@ -508,6 +569,15 @@ const ClientsPage = () => {
                       }
                     />
                   </div>
+
+                  {can("clients.prices") && (
+                    <NegotiatedPricesEditor
+                      value={formData.precosNegociados}
+                      onChange={(precosNegociados) =>
+                        setFormData({ ...formData, precosNegociados })
+                      }
+                    />
+                  )}
                 </form>
               </div>
 
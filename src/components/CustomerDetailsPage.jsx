@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect, useMemo } from "react";
+import { useState, useEffect, useMemo, useCallback } from "react";
 import {
   ArrowLeft,
   Calendar,
@@ -31,6 +31,7 @@ import {
   ArrowDown,
   CheckCircle2,
   AlertTriangle,
+  QrCode,
 } from "lucide-react";
 import { Button } from "./ui/button";
 import { Badge } from "./ui/badge";
@@ -39,57 +40,32 @@ import { Input } from "./ui/input";
 import { useToast } from "./ui/use-toast";
 import { getCustomerTransactions } from "../lib/firebaseService";
 import * as reportGenerators from "../utils/reportGenerators";
+import PixChargeDialog from "./pix/PixChargeDialog";
+import CustomerLedgerCard from "./clients/CustomerLedgerCard";
+import CustomerInstallmentsCard from "./clients/CustomerInstallmentsCard";
+import { useCustomerLedger } from "../hooks/useFirebaseQuery";
+import { getLedgerImpact, LEDGER_ENTRY_TYPES } from "../lib/debtLedger";
 
 // ─────────────────────────────────────────────────────────────
-// CLASSIFICADOR CENTRAL DE DÍVIDA (VERSÃO SÊNIOR OTIMIZADA)
-// Regra de Negócio:
-// 1. Empréstimos (Despesa Categoria Empréstimo) -> Aumenta o que o cliente deve (+ Saldo)
-// 2. Vendas a Prazo (Venda com forma de pagamento 'prazo' ou 'divida') -> Aumenta o que o cliente deve (+ Saldo)
-// 3. Pagamentos (Entrada de dinheiro marcada como pagamento) -> Diminui o que o cliente deve (- Saldo)
-// 4. Compras de Material (Compra) -> Se marcado para abater dívida, diminui o saldo (- Saldo)
+// CLASSIFICAÇÃO DE DÍVIDA PELA CONTA CORRENTE
+// O impacto de cada transação vem do lançamento tipado ligado a ela em
+// customer_ledger (empréstimo, venda a prazo, pagamento, abate, ajuste).
+// Transação sem lançamento não mexe na dívida.
 // ─────────────────────────────────────────────────────────────
-const classificar = (t) => {
-  const valor = Math.abs(Number(t.valorTotal) || 0);
-  const obs = (t.observacoes || "").toLowerCase();
-  const material = (t.material || "").toLowerCase();
-  const forma = (t.formaPagamento || "").toLowerCase();
-
-  const isEmprestimo =
-    t.tipo === "despesa" &&
-    (t.categoria === "emprestimo" ||
-      obs.includes("empréstimo") ||
-      material.includes("emprestimo"));
-  const isPagamento =
-    forma === "pagamento_divida" ||
-    material.includes("pagamento") ||
-    obs.includes("pagou") ||
-    obs.includes("acerto");
-  const isVendaPrazo =
-    t.tipo === "venda" &&
-    (forma === "prazo" ||
-      forma === "divida" ||
-      obs.includes("marcar") ||
-      obs.includes("pendente"));
-  const isAbateCompra =
-    t.tipo === "compra" &&
-    (obs.includes("abater") || obs.includes("descontar") || forma === "abate");
-
-  if (isEmprestimo || isVendaPrazo) {
-    return {
-      impacto: valor,
-      rotulo: isEmprestimo ? "Empréstimo" : "Venda a Prazo",
-      cor: "amber",
-    };
-  }
-  if (isPagamento || isAbateCompra) {
+const classificar = (t, entry) => {
+  if (entry) {
+    const type = LEDGER_ENTRY_TYPES[entry.tipo];
     return {
-      impacto: -valor,
-      rotulo: isPagamento ? "Pagamento" : "Abate em Compra",
-      cor: "green",
+      tipo: entry.tipo,
+      impacto: getLedgerImpact(entry),
+      rotulo: type?.label || entry.tipo,
+      cor: type?.cor || "slate",
+      pendente: !entry.revisado,
     };
   }
 
   return {
+    tipo: null,
     impacto: 0,
     rotulo:
       t.tipo === "venda"
@@ -98,6 +74,7 @@ const classificar = (t) => {
           ? "Compra (Vista)"
           : "Despesa",
     cor: "slate",
+    pendente: false,
   };
 };
 
@@ -110,12 +87,30 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
   const [dateFilter, setDateFilter] = useState("all");
   const [sortOrder, setSortOrder] = useState("desc");
   const [showFilters, setShowFilters] = useState(false);
+  const [showPixCharge, setShowPixCharge] = useState(false);
   const { toast } = useToast();
+  const { data: ledger = [], refetch: refetchLedger } = useCustomerLedger(
+    customer.id,
+  );
 
   useEffect(() => {
     fetchTransactions();
   }, [customer]);
 
+  const ledgerByTransaction = useMemo(
+    () =>
+      new Map(
+        ledger
+          .filter((entry) => entry.transacaoId)
+          .map((entry) => [entry.transacaoId, entry]),
+      ),
+    [ledger],
+  );
+  const classify = useCallback(
+    (t) => classificar(t, ledgerByTransaction.get(t.id)),
+    [ledgerByTransaction],
+  );
+
   const fetchTransactions = async () => {
     setLoading(true);
     try {
@@ -133,33 +128,30 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
     }
   };
 
-  // ── Estatísticas centrais calculadas pelo classificador ──
+  // ── Estatísticas: dívida pela conta corrente, movimento pelas transações ──
   const stats = useMemo(() => {
     let totalEmprestimos = 0,
       quantEmprestimos = 0;
     let totalVendas = 0,
-      quantVendas = 0; // empresa → cliente (aumenta)
+      quantVendas = 0; // empresa → cliente
     let totalCompras = 0,
-      quantCompras = 0; // cliente → empresa (diminui)
+      quantCompras = 0; // cliente → empresa
     let totalAumento = 0;
     let totalDiminuicao = 0;
 
-    transactions.forEach((t) => {
-      const { impacto } = classificar(t);
-      const valor = Math.abs(Number(t.valorTotal) || 0);
-
+    ledger.forEach((entry) => {
+      const impacto = getLedgerImpact(entry);
       if (impacto > 0) totalAumento += impacto;
       if (impacto < 0) totalDiminuicao += Math.abs(impacto);
-
-      const isEmprestimo =
-        t.tipo === "despesa" &&
-        (t.categoria === "emprestimo" ||
-          t.observacoes?.toLowerCase().includes("empréstimo"));
-
-      if (isEmprestimo) {
-        totalEmprestimos += valor;
+      if (entry.tipo === "emprestimo") {
+        totalEmprestimos += Math.abs(Number(entry.valor) || 0);
         quantEmprestimos++;
-      } else if (t.tipo === "venda") {
+      }
+    });
+
+    transactions.forEach((t) => {
+      const valor = Math.abs(Number(t.valorTotal) || 0);
+      if (t.tipo === "venda") {
         totalVendas += valor;
         quantVendas++;
       } else if (t.tipo === "compra") {
@@ -184,34 +176,39 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
       ticketMedioVenda: quantVendas > 0 ? totalVendas / quantVendas : 0,
       ticketMedioCompra: quantCompras > 0 ? totalCompras / quantCompras : 0,
     };
-  }, [transactions]);
+  }, [transactions, ledger]);
 
-  // ── Mapa de saldo acumulado por transação (ordem cronológica) ──
-  // Usado na tabela para mostrar "Saldo após" em cada linha
+  // ── Saldo acumulado após cada transação (ordem cronológica) ──
+  // Lançamentos manuais entram na linha do tempo sem aparecer na tabela
   const saldoMap = useMemo(() => {
-    const sorted = [...transactions].sort(
-      (a, b) => new Date(a.data) - new Date(b.data),
-    );
+    const events = [
+      ...ledger.map((entry) => ({
+        id: entry.transacaoId,
+        data: entry.data,
+        impacto: getLedgerImpact(entry),
+      })),
+      ...transactions
+        .filter((t) => !ledgerByTransaction.has(t.id))
+        .map((t) => ({ id: t.id, data: t.data, impacto: 0 })),
+    ].sort((a, b) => new Date(a.data) - new Date(b.data));
+
     const map = {};
     let acum = 0;
-    sorted.forEach((t) => {
-      acum += classificar(t).impacto;
-      map[t.id] = acum;
+    events.forEach((event) => {
+      acum += event.impacto;
+      if (event.id) map[event.id] = acum;
     });
     return map;
-  }, [transactions]);
+  }, [transactions, ledger, ledgerByTransaction]);
 
   // ── Evolução da dívida no tempo (para o gráfico de barras) ──
   const evolucaoDivida = useMemo(() => {
-    const sorted = [...transactions].sort(
-      (a, b) => new Date(a.data) - new Date(b.data),
-    );
     let acum = 0;
-    return sorted.map((t) => {
-      acum += classificar(t).impacto;
-      return { data: t.data, saldo: acum };
+    return ledger.map((entry) => {
+      acum += getLedgerImpact(entry);
+      return { data: entry.data, saldo: acum };
     });
-  }, [transactions]);
+  }, [ledger]);
 
   // ── Filtros aplicados ──
   const filteredTransactions = useMemo(() => {
@@ -219,16 +216,11 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
 
     if (filterType !== "all") {
       if (filterType === "aumenta") {
-        filtered = filtered.filter((t) => classificar(t).impacto > 0);
+        filtered = filtered.filter((t) => classify(t).impacto > 0);
       } else if (filterType === "diminui") {
-        filtered = filtered.filter((t) => classificar(t).impacto < 0);
+        filtered = filtered.filter((t) => classify(t).impacto < 0);
       } else if (filterType === "emprestimo") {
-        filtered = filtered.filter(
-          (t) =>
-            t.tipo === "despesa" &&
-            (t.categoria === "emprestimo" ||
-              t.observacoes?.toLowerCase().includes("empréstimo")),
-        );
+        filtered = filtered.filter((t) => classify(t).tipo === "emprestimo");
       } else {
         filtered = filtered.filter((t) => t.tipo === filterType);
       }
@@ -275,7 +267,7 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
     });
 
     return filtered;
-  }, [transactions, filterType, dateFilter, searchTerm, sortOrder]);
+  }, [transactions, filterType, dateFilter, searchTerm, sortOrder, classify]);
 
   // ── Formatadores ──
   const fmt = (value) =>
@@ -312,7 +304,7 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
       reportGenerators.generateCustomerStatementPDF(
         customer,
         filteredTransactions,
-        stats,
+        ledger,
       );
       toast({
         title: "PDF Gerado!",
@@ -406,7 +398,10 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
               <Share2 className="h-5 w-5" />
             </Button>
             <Button
-              onClick={fetchTransactions}
+              onClick={() => {
+                fetchTransactions();
+                refetchLedger();
+              }}
               variant="outline"
               className="border-2 border-slate-300 hover:bg-slate-100 font-bold rounded-xl h-11 px-4"
             >
@@ -536,13 +531,25 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
                   </h2>
                 </div>
               </div>
-              <p className="text-sm opacity-80 font-semibold text-right">
-                {stats.saldoDivida > 0
-                  ? "Cliente deve à empresa"
-                  : stats.saldoDivida < 0
-                    ? "Empresa deve ao cliente"
-                    : "Conta zerada"}
-              </p>
+              <div className="flex flex-col items-end gap-2">
+                <p className="text-sm opacity-80 font-semibold text-right">
+                  {stats.saldoDivida > 0
+                    ? "Cliente deve à empresa"
+                    : stats.saldoDivida < 0
+                      ? "Empresa deve ao cliente"
+                      : "Conta zerada"}
+                </p>
+                {stats.saldoDivida > 0 && (
+                  <Button
+                    size="sm"
+                    onClick={() => setShowPixCharge(true)}
+                    className="bg-white/20 hover:bg-white/30 text-white border border-white/40 gap-2"
+                  >
+                    <QrCode className="h-4 w-4" />
+                    Cobrar via PIX
+                  </Button>
+                )}
+              </div>
             </div>
 
             {/* Barra proporção aumentou vs diminuiu */}
@@ -667,6 +674,12 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
             </Card>
           </div>
 
+          {/* ── Conta corrente: lançamentos tipados ── */}
+          <CustomerLedgerCard customer={customer} ledger={ledger} />
+
+          {/* ── Parcelas e vencimentos ── */}
+          <CustomerInstallmentsCard ledger={ledger} />
+
           {/* ── Gráfico: Evolução da dívida no tempo ── */}
           {evolucaoDivida.length > 0 && (
             <Card className="bg-white border-slate-200 shadow-md">
@@ -918,7 +931,7 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
                 </thead>
                 <tbody className="divide-y divide-slate-100">
                   {filteredTransactions.map((t, index) => {
-                    const { impacto, rotulo, cor } = classificar(t);
+                    const { impacto, rotulo, cor, pendente } = classify(t);
                     const saldoApos = saldoMap[t.id] ?? 0;
                     const aumenta = impacto > 0;
                     const diminui = impacto < 0;
@@ -957,6 +970,11 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
                             >
                               {rotulo}
                             </span>
+                            {pendente && (
+                              <span className="text-[10px] font-bold text-amber-600">
+                                a revisar
+                              </span>
+                            )}
                           </div>
                         </td>
 
@@ -1075,6 +1093,16 @@ const CustomerDetailsPage = ({ customer, onBack }) => {
           </div>
         )}
       </Card>
+
+      {showPixCharge && (
+        <PixChargeDialog
+          titulo="Cobrar dívida via PIX"
+          valor={stats.saldoDivida}
+          txid={customer.id}
+          descricao={customer.nome}
+          onClose={() => setShowPixCharge(false)}
+        />
+      )}
     </div>
   );
 };
@@ -30,11 +30,14 @@ import {
   subscribeToCustomers,
   getTransactionsByPeriod,
 } from "@/lib/firebaseService";
+import { buildInstallments } from "@/lib/installments";
 import { format, startOfMonth, endOfMonth } from "date-fns";
 import { ptBR } from "date-fns/locale";
 import { jsPDF } from "jspdf";
 import autoTable from "jspdf-autotable";
 
+const EMPTY_DUE_PLAN = { plano: "sem", vencimento: "", parcelas: 2 };
+
 const ExpenseForm = ({ onSuccess }) => {
   const [formData, setFormData] = useState({
     nome: "",
@@ -64,6 +67,9 @@ const ExpenseForm = ({ onSuccess }) => {
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const customerInputRef = useRef(null);
 
+  // Prazo do empréstimo: sem vencimento, vencimento único ou parcelas mensais
+  const [duePlan, setDuePlan] = useState(EMPTY_DUE_PLAN);
+
   const { toast } = useToast();
 
   // Subscribe to customers
@@ -92,6 +98,7 @@ const ExpenseForm = ({ onSuccess }) => {
     setCategorySearch("");
     setSelectedCustomer(null);
     setCustomerSearch("");
+    setDuePlan(EMPTY_DUE_PLAN);
   };
 
   const selectCustomer = (customer) => {
@@ -136,6 +143,29 @@ const ExpenseForm = ({ onSuccess }) => {
       return;
     }
 
+    const hasDuePlan =
+      formData.categoria === "emprestimo" &&
+      formData.clienteId &&
+      duePlan.plano !== "sem";
+    let parcelas = [];
+    if (hasDuePlan) {
+      try {
+        parcelas = buildInstallments({
+          valor,
+          quantidade: duePlan.plano === "parcelado" ? duePlan.parcelas : 1,
+          primeiroVencimento:
+            duePlan.vencimento && new Date(`${duePlan.vencimento}T12:00:00`),
+        });
+      } catch (error) {
+        toast({
+          title: "Prazo Inválido",
+          description: error.message,
+          variant: "destructive",
+        });
+        return;
+      }
+    }
+
     try {
       setSaving(true);
 
@@ -161,8 +191,8 @@ const ExpenseForm = ({ onSuccess }) => {
       );
 
       try {
-        const { addTransaction, updateCustomerBalance } =
-          await import("../lib/firebaseService");
+        // Empréstimo com cliente entra na conta corrente junto com a despesa
+        const { addTransaction } = await import("../lib/firebaseService");
 
         await addTransaction({
           tipo: "despesa",
@@ -177,17 +207,8 @@ const ExpenseForm = ({ onSuccess }) => {
           numeroTransacao: formData.numeroTransacao,
           clienteId: formData.clienteId,
           categoria: formData.categoria,
+          ...(parcelas.length ? { parcelas } : {}),
         });
-
-        if (formData.clienteId && formData.categoria === "emprestimo") {
-          if (typeof updateCustomerBalance === "function") {
-            await updateCustomerBalance(
-              formData.clienteId,
-              valor,
-              "emprestimo",
-            );
-          }
-        }
       } catch (firebaseError) {
         console.error(
           "[v0] Erro ao salvar despesa no Firebase:",
@@ -761,6 +782,82 @@ const ExpenseForm = ({ onSuccess }) => {
                   </div>
                 )}
               </div>
+
+              {selectedCustomer && (
+                <div className="space-y-3 p-4 border-2 border-amber-100 rounded-2xl">
+                  <Label className="text-xs font-black text-slate-800 uppercase tracking-widest flex items-center gap-2">
+                    <Calendar size={14} className="text-amber-500" />
+                    Prazo de Pagamento
+                  </Label>
+                  <div className="grid grid-cols-3 gap-2">
+                    {[
+                      { value: "sem", label: "Sem prazo" },
+                      { value: "unico", label: "Vencimento" },
+                      { value: "parcelado", label: "Parcelado" },
+                    ].map((option) => (
+                      <button
+                        key={option.value}
+                        type="button"
+                        onClick={() =>
+                          setDuePlan((prev) => ({
+                            ...prev,
+                            plano: option.value,
+                          }))
+                        }
+                        className={`h-10 rounded-xl text-xs font-black transition-all ${duePlan.plano === option.value ? "bg-amber-500 text-white shadow-md" : "bg-slate-50 text-slate-600 hover:bg-slate-100"}`}
+                      >
+                        {option.label}
+                      </button>
+                    ))}
+                  </div>
+                  {duePlan.plano !== "sem" && (
+                    <div className="grid grid-cols-2 gap-2">
+                      <Input
+                        type="date"
+                        value={duePlan.vencimento}
+                        onChange={(e) =>
+                          setDuePlan((prev) => ({
+                            ...prev,
+                            vencimento: e.target.value,
+                          }))
+                        }
+                        className={`h-12 rounded-xl font-bold ${duePlan.plano === "unico" ? "col-span-2" : ""}`}
+                      />
+                      {duePlan.plano === "parcelado" && (
+                        <Input
+                          type="number"
+                          min="2"
+                          max="24"
+                          value={duePlan.parcelas}
+                          onChange={(e) =>
+                            setDuePlan((prev) => ({
+                              ...prev,
+                              parcelas: e.target.value,
+                            }))
+                          }
+                          className="h-12 rounded-xl font-bold"
+                          placeholder="Nº de parcelas"
+                        />
+                      )}
+                    </div>
+                  )}
+                  {duePlan.plano === "parcelado" &&
+                    duePlan.vencimento &&
+                    Number(formData.valor) > 0 && (
+                      <p className="text-[11px] font-bold text-slate-500">
+                        {duePlan.parcelas}x de{" "}
+                        {new Intl.NumberFormat("pt-BR", {
+                          style: "currency",
+                          currency: "BRL",
+                        }).format(
+                          Number(formData.valor) /
+                            Math.max(Number(duePlan.parcelas) || 1, 1),
+                        )}
+                        , todo mês a partir do primeiro vencimento
+                      </p>
+                    )}
+                </div>
+              )}
             </div>
           </div>
 
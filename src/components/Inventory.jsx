@@ -24,8 +24,12 @@ import {
 } from "lucide-react";
 import { useData } from "../contexts/DataContext";
 import { toast } from "react-toastify";
-import { doc, updateDoc } from "firebase/firestore";
-import { db } from "../lib/firebase";
+import { updateMaterial } from "../lib/firebaseService";
+import {
+  getMaterialByKey,
+  getMaterialColorClass,
+} from "../lib/materialCatalog";
+import { categories } from "../config/designTokens";
 import {
   printInventory,
   exportInventoryToCSV,
@@ -120,245 +124,11 @@ const Inventory = () => {
     refreshData,
   } = dataContext || {};
 
-  const materials = [
-    // Metais Ferrosos
-    {
-      key: "ferro",
-      name: "Ferro",
-      category: "ferrosos",
-      color: "bg-gray-100",
-      icon: "⚙️",
-      minStock: 100,
-    },
-    {
-      key: "chapa",
-      name: "Chapa",
-      category: "ferrosos",
-      color: "bg-gray-200",
-      icon: "🔲",
-      minStock: 50,
-    },
-    {
-      key: "perfil pintado",
-      name: "Perfil pintado",
-      category: "ferrosos",
-      color: "bg-gray-300",
-      icon: "📐",
-      minStock: 30,
-    },
-    {
-      key: "perfil natural",
-      name: "Perfil natural",
-      category: "ferrosos",
-      color: "bg-gray-300",
-      icon: "🪝",
-      minStock: 30,
-    },
-    {
-      key: "bloco",
-      name: "Bloco",
-      category: "ferrosos",
-      color: "bg-gray-400",
-      icon: "🧱",
-      minStock: 20,
-    },
-    {
-      key: "bloco2",
-      name: "Bloco 2°",
-      category: "ferrosos",
-      color: "bg-gray-500",
-      icon: "🔳",
-      minStock: 15,
-    },
-    {
-      key: "rad_chapa",
-      name: "Rad. Chapa",
-      category: "ferrosos",
-      color: "bg-gray-600",
-      icon: "🔧",
-      minStock: 25,
-    },
-
-    // Metais Não-Ferrosos
-    {
-      key: "aluminio",
-      name: "Alumínio",
-      category: "nao-ferrosos",
-      color: "bg-blue-100",
-      icon: "🔧",
-      minStock: 80,
-    },
-    {
-      key: "cobre",
-      name: "Cobre",
-      category: "nao-ferrosos",
-      color: "bg-orange-100",
-      icon: "🔶",
-      minStock: 50,
-    },
-    {
-      key: "bronze",
-      name: "Bronze",
-      category: "nao-ferrosos",
-      color: "bg-orange-100",
-      icon: "🔶",
-      minStock: 55,
-    },
-    {
-      key: "cobre_mel",
-      name: "Cobre Mel",
-      category: "nao-ferrosos",
-      color: "bg-amber-100",
-      icon: "🍯",
-      minStock: 40,
-    },
-    {
-      key: "magnesio",
-      name: "Magnésio",
-      category: "nao-ferrosos",
-      color: "bg-slate-100",
-      icon: "⚗️",
-      minStock: 35,
-    },
-    {
-      key: "rad_cobre",
-      name: "Rad. Cobre",
-      category: "nao-ferrosos",
-      color: "bg-orange-200",
-      icon: "🔥",
-      minStock: 30,
-    },
-    {
-      key: "rad_metal",
-      name: "Rad. Metal",
-      category: "nao-ferrosos",
-      color: "bg-orange-300",
-      icon: "⚡",
-      minStock: 35,
-    },
-    {
-      key: "latinha",
-      name: "Latinha",
-      category: "nao-ferrosos",
-      color: "bg-green-100",
-      icon: "🥤",
-      minStock: 200,
-    },
-    {
-      key: "inox",
-      name: "Inox",
-      category: "nao-ferrosos",
-      color: "bg-silver-100",
-      icon: "✨",
-      minStock: 30,
-    },
-    {
-      key: "antimonio",
-      name: "Antimônio",
-      category: "nao-ferrosos",
-      color: "bg-purple-100",
-      icon: "💎",
-      minStock: 10,
-    },
-
-    // Cabos e Fios
-    {
-      key: "cabo_ai",
-      name: "Cabo AI",
-      category: "cabos",
-      color: "bg-yellow-100",
-      icon: "🔌",
-      minStock: 40,
-    },
-    {
-      key: "tela",
-      name: "Tela",
-      category: "cabos",
-      color: "bg-yellow-200",
-      icon: "🕸️",
-      minStock: 50,
-    },
-
-    // Tubos e Estruturas
-    {
-      key: "tubo_limpo",
-      name: "Tubo Limpo",
-      category: "tubos",
-      color: "bg-cyan-100",
-      icon: "🚰",
-      minStock: 20,
-    },
-
-    // Outros Materiais
-    {
-      key: "panela",
-      name: "Panela",
-      category: "outros",
-      color: "bg-yellow-300",
-      icon: "🍳",
-      minStock: 25,
-    },
-    {
-      key: "metal",
-      name: "Metal",
-      category: "outros",
-      color: "bg-purple-200",
-      icon: "🔩",
-      minStock: 60,
-    },
-    {
-      key: "bateria",
-      name: "Bateria",
-      category: "eletronicos",
-      color: "bg-red-100",
-      icon: "🔋",
-      minStock: 40,
-    },
-    {
-      key: "motor_gel",
-      name: "Motor Gel",
-      category: "eletronicos",
-      color: "bg-indigo-100",
-      icon: "⚡",
-      minStock: 10,
-    },
-    {
-      key: "roda",
-      name: "Roda",
-      category: "automotivo",
-      color: "bg-black-100",
-      icon: "🛞",
-      minStock: 15,
-    },
-    {
-      key: "papelao",
-      name: "Papelão",
-      category: "papel",
-      color: "bg-brown-100",
-      icon: "📦",
-      minStock: 100,
-    },
-    {
-      key: "papel_branco",
-      name: "Papel branco",
-      category: "papel",
-      color: "bg-white",
-      icon: "📄",
-      minStock: 80,
-    },
-  ];
-
-  const categories = [
-    { key: "todos", name: "Todos os Materiais", icon: "📋" },
-    { key: "ferrosos", name: "Metais Ferrosos", icon: "⚙️" },
-    { key: "nao-ferrosos", name: "Metais Não-Ferrosos", icon: "🔧" },
-    { key: "cabos", name: "Cabos e Fios", icon: "🔌" },
-    { key: "tubos", name: "Tubos e Estruturas", icon: "🚰" },
-    { key: "eletronicos", name: "Eletrônicos", icon: "🔋" },
-    { key: "automotivo", name: "Automotivo", icon: "🛞" },
-    { key: "papel", name: "Papel", icon: "📦" },
-    { key: "outros", name: "Outros", icon: "📦" },
-  ];
+  // Materiais ativos do catálogo, com a cor clara usada nos cards
+  const materials = (dataContext?.materials || []).map((material) => ({
+    ...material,
+    color: getMaterialColorClass(material.key, "soft"),
+  }));
 
   const handleSave = async () => {
     try {
@@ -397,11 +167,10 @@ const Inventory = () => {
 
   const handleSaveMinLevel = async () => {
     try {
-      // Salvar nível mínimo no Firestore
-      const materialRef = doc(db, "inventory_config", editingMinLevel);
-      await updateDoc(materialRef, {
-        minLevel: Number.parseFloat(minLevelForm.minLevel),
-        updatedAt: new Date(),
+      // O estoque mínimo fica no catálogo de materiais
+      await updateMaterial(editingMinLevel, {
+        ...getMaterialByKey(editingMinLevel),
+        minStock: Number.parseFloat(minLevelForm.minLevel),
       });
 
       toast({
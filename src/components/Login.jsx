@@ -2,26 +2,43 @@
 
 import { useState } from "react"
 import { motion, AnimatePresence } from "framer-motion"
-import { Eye, EyeOff, Lock, User, ArrowRight, Loader2, AlertCircle } from "lucide-react"
+import { Eye, EyeOff, Lock, Mail, ArrowRight, ArrowLeft, Loader2, AlertCircle, CheckCircle2 } from "lucide-react"
 import Logo from "../components/Logo"
+import { sendPasswordReset, getAuthErrorMessage } from "../lib/authService"
 
 const Login = ({ onLogin }) => {
-  const [credentials, setCredentials] = useState({ username: "", password: "" })
+  const [credentials, setCredentials] = useState({ email: "", password: "" })
   const [showPassword, setShowPassword] = useState(false)
   const [error, setError] = useState("")
+  const [notice, setNotice] = useState("")
   const [isLoading, setIsLoading] = useState(false)
+  // "login" ou "reset" (esqueci minha senha)
+  const [mode, setMode] = useState("login")
+
+  const switchMode = (nextMode) => {
+    setMode(nextMode)
+    setError("")
+    setNotice("")
+  }
 
   const handleSubmit = async (e) => {
     e.preventDefault()
     setError("")
+    setNotice("")
     setIsLoading(true)
 
-    // Simulação de processamento para feedback fluido
-    await new Promise((resolve) => setTimeout(resolve, 800))
-
-    const success = onLogin(credentials)
-    if (!success) {
-      setError("Credenciais inválidas. Verifique os dados e tente novamente.")
+    try {
+      if (mode === "reset") {
+        await sendPasswordReset(credentials.email)
+        setNotice("Enviamos um link de redefinição de senha para o seu e-mail.")
+        setMode("login")
+      } else {
+        // Em caso de sucesso o App troca de tela pelo listener do Auth
+        await onLogin(credentials)
+      }
+    } catch (err) {
+      setError(getAuthErrorMessage(err))
+    } finally {
       setIsLoading(false)
     }
   }
@@ -41,47 +58,68 @@ const Login = ({ onLogin }) => {
           {/* Logo Centralizado conforme sua preferência anterior */}
           <div className="flex flex-col items-center mb-10">
             <Logo size="large" className="mb-4" />
-            <h2 className="text-2xl font-black text-slate-900 tracking-tight">Bem-vindo de volta</h2>
-            <p className="text-slate-500 text-sm mt-1">Acesse o painel para gerenciar seu negócio</p>
+            <h2 className="text-2xl font-black text-slate-900 tracking-tight">
+              {mode === "reset" ? "Redefinir senha" : "Bem-vindo de volta"}
+            </h2>
+            <p className="text-slate-500 text-sm mt-1">
+              {mode === "reset"
+                ? "Informe seu e-mail para receber o link de redefinição"
+                : "Acesse o painel para gerenciar seu negócio"}
+            </p>
           </div>
 
           <form onSubmit={handleSubmit} className="space-y-5">
             <div className="space-y-2">
-              <label className="text-sm font-bold text-slate-700 ml-1">Usuário</label>
+              <label className="text-sm font-bold text-slate-700 ml-1">E-mail</label>
               <div className="relative group">
-                <User className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-orange-500 transition-colors" size={20} />
+                <Mail className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-orange-500 transition-colors" size={20} />
                 <input
-                  type="text"
-                  name="username"
+                  type="email"
+                  name="email"
+                  autoComplete="username"
                   required
+                  value={credentials.email}
                   className="w-full pl-12 pr-4 py-4 bg-slate-50 border border-slate-200 rounded-2xl outline-none focus:ring-4 focus:ring-orange-500/10 focus:border-orange-500 transition-all font-medium"
-                  placeholder="admin"
-                  onChange={(e) => setCredentials({...credentials, username: e.target.value})}
+                  placeholder="voce@imperiosucata.com.br"
+                  onChange={(e) => setCredentials({...credentials, email: e.target.value})}
                 />
               </div>
             </div>
 
-            <div className="space-y-2">
-              <label className="text-sm font-bold text-slate-700 ml-1">Senha</label>
-              <div className="relative group">
-                <Lock className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-orange-500 transition-colors" size={20} />
-                <input
-                  type={showPassword ? "text" : "password"}
-                  name="password"
-                  required
-                  className="w-full pl-12 pr-12 py-4 bg-slate-50 border border-slate-200 rounded-2xl outline-none focus:ring-4 focus:ring-orange-500/10 focus:border-orange-500 transition-all font-medium"
-                  placeholder="••••••••"
-                  onChange={(e) => setCredentials({...credentials, password: e.target.value})}
-                />
-                <button
-                  type="button"
-                  onClick={() => setShowPassword(!showPassword)}
-                  className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600"
-                >
-                  {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
-                </button>
+            {mode === "login" && (
+              <div className="space-y-2">
+                <label className="text-sm font-bold text-slate-700 ml-1">Senha</label>
+                <div className="relative group">
+                  <Lock className="absolute left-4 top-1/2 -translate-y-1/2 text-slate-400 group-focus-within:text-orange-500 transition-colors" size={20} />
+                  <input
+                    type={showPassword ? "text" : "password"}
+                    name="password"
+                    autoComplete="current-password"
+                    required
+                    value={credentials.password}
+                    className="w-full pl-12 pr-12 py-4 bg-slate-50 border border-slate-200 rounded-2xl outline-none focus:ring-4 focus:ring-orange-500/10 focus:border-orange-500 transition-all font-medium"
+                    placeholder="••••••••"
+                    onChange={(e) => setCredentials({...credentials, password: e.target.value})}
+                  />
+                  <button
+                    type="button"
+                    onClick={() => setShowPassword(!showPassword)}
+                    className="absolute right-4 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600"
+                  >
+                    {showPassword ? <EyeOff size={20} /> : <Eye size={20} />}
+                  </button>
+                </div>
+                <div className="flex justify-end">
+                  <button
+                    type="button"
+                    onClick={() => switchMode("reset")}
+                    className="text-xs font-bold text-orange-600 hover:text-orange-700"
+                  >
+                    Esqueci minha senha
+                  </button>
+                </div>
               </div>
-            </div>
+            )}
 
             <AnimatePresence>
               {error && (
@@ -95,6 +133,17 @@ const Login = ({ onLogin }) => {
                   <span className="text-sm font-semibold">{error}</span>
                 </motion.div>
               )}
+              {notice && (
+                <motion.div
+                  initial={{ opacity: 0, height: 0 }}
+                  animate={{ opacity: 1, height: "auto" }}
+                  exit={{ opacity: 0, height: 0 }}
+                  className="bg-emerald-50 text-emerald-700 p-4 rounded-xl flex items-center gap-3 border border-emerald-100"
+                >
+                  <CheckCircle2 size={18} />
+                  <span className="text-sm font-semibold">{notice}</span>
+                </motion.div>
+              )}
             </AnimatePresence>
 
             <button
@@ -102,8 +151,24 @@ const Login = ({ onLogin }) => {
               disabled={isLoading}
               className="w-full py-4 bg-gradient-to-r from-orange-500 to-orange-600 hover:from-orange-600 hover:to-orange-700 text-white font-bold rounded-2xl shadow-lg shadow-orange-500/20 transition-all active:scale-[0.98] disabled:opacity-70 flex items-center justify-center gap-3"
             >
-              {isLoading ? <Loader2 className="animate-spin" /> : <>Acessar Sistema <ArrowRight size={20} /></>}
+              {isLoading ? (
+                <Loader2 className="animate-spin" />
+              ) : mode === "reset" ? (
+                <>Enviar link <ArrowRight size={20} /></>
+              ) : (
+                <>Acessar Sistema <ArrowRight size={20} /></>
+              )}
             </button>
+
+            {mode === "reset" && (
+              <button
+                type="button"
+                onClick={() => switchMode("login")}
+                className="w-full flex items-center justify-center gap-2 text-sm font-bold text-slate-500 hover:text-slate-700"
+              >
+                <ArrowLeft size={16} /> Voltar para o login
+              </button>
+            )}
           </form>
 
           <p className="mt-8 text-center text-slate-400 text-xs font-medium">
@@ -25,9 +25,14 @@ import {
   TrendingDown,
   Minus,
   Info,
+  Layers,
 } from "lucide-react";
 import { format } from "date-fns";
 import { ptBR } from "date-fns/locale";
+import { usePermissions } from "@/hooks/usePermissions";
+import { getMaterialName } from "@/lib/materialCatalog";
+import { hasWeighing } from "@/utils/calculations";
+import { WeighingFields } from "@/components/forms/WeighingFields";
 
 // Formatador de moeda
 const formatCurrency = (value) => {
@@ -37,7 +42,12 @@ const formatCurrency = (value) => {
   }).format(value || 0);
 };
 
-const TransactionEditModal = ({ transaction, onSave, onClose: onCancel }) => {
+const TransactionEditModal = ({
+  transaction,
+  ticketLines = [],
+  onSave,
+  onClose: onCancel,
+}) => {
   const [formData, setFormData] = useState({
     id: "",
     tipo: "",
@@ -50,11 +60,17 @@ const TransactionEditModal = ({ transaction, onSave, onClose: onCancel }) => {
     data: "",
     formaPagamento: "",
     numeroTransacao: "",
+    pesoBruto: "",
+    tara: "",
+    taraDescricao: "",
+    descontoImpureza: "",
   });
 
   const [errors, setErrors] = useState({});
   const [isSaving, setIsSaving] = useState(false);
   const [hasChanges, setHasChanges] = useState(false);
+  const { can } = usePermissions();
+  const canEdit = can("transactions.edit");
 
   // Dados originais para comparação
   const [originalData, setOriginalData] = useState(null);
@@ -79,6 +95,10 @@ const TransactionEditModal = ({ transaction, onSave, onClose: onCancel }) => {
           : "",
         formaPagamento: transaction.formaPagamento || "dinheiro",
         numeroTransacao: transaction.numeroTransacao || "",
+        pesoBruto: transaction.pesoBruto?.toString() || "",
+        tara: transaction.tara?.toString() || "",
+        taraDescricao: transaction.taraDescricao || "",
+        descontoImpureza: transaction.descontoImpureza?.toString() || "",
       };
       setFormData(initialData);
       setOriginalData(initialData);
@@ -124,6 +144,17 @@ const TransactionEditModal = ({ transaction, onSave, onClose: onCancel }) => {
     [errors],
   );
 
+  // A pesagem devolve o peso líquido em quantidade; o total acompanha
+  const handleWeighingChange = useCallback((patch) => {
+    setFormData((prev) => {
+      const newData = { ...prev, ...patch };
+      const quantidade = Number.parseFloat(newData.quantidade) || 0;
+      const precoUnitario = Number.parseFloat(newData.precoUnitario) || 0;
+      newData.valorTotal = (quantidade * precoUnitario).toFixed(2);
+      return newData;
+    });
+  }, []);
+
   const validateForm = useCallback(() => {
     const newErrors = {};
 
@@ -175,6 +206,13 @@ const TransactionEditModal = ({ transaction, onSave, onClose: onCancel }) => {
           data: new Date(formData.data).toISOString(),
           formaPagamento: formData.formaPagamento,
           numeroTransacao: formData.numeroTransacao,
+          // Fora das compras a pesagem é descartada
+          ...(formData.tipo === "compra" && {
+            pesoBruto: formData.pesoBruto,
+            tara: formData.tara,
+            taraDescricao: formData.taraDescricao,
+            descontoImpureza: formData.descontoImpureza,
+          }),
         };
 
         await onSave(updatedTransaction);
@@ -313,12 +351,60 @@ const TransactionEditModal = ({ transaction, onSave, onClose: onCancel }) => {
           </div>
         </div>
 
+        {/* Demais itens do ticket */}
+        {transaction.ticketId && (
+          <div className="bg-blue-50/60 border-b border-blue-100 px-5 py-3 space-y-2">
+            <p className="text-sm font-semibold text-blue-800 flex items-center gap-2">
+              <Layers className="h-4 w-4" />
+              Item {transaction.ticketItem} de {transaction.ticketItens} do
+              ticket
+              {ticketLines.length > 0 && (
+                <span className="ml-auto font-bold">
+                  Total{" "}
+                  {formatCurrency(
+                    ticketLines.reduce(
+                      (sum, line) => sum + (Number(line.valorTotal) || 0),
+                      0,
+                    ),
+                  )}
+                </span>
+              )}
+            </p>
+            {ticketLines.length > 0 && (
+              <ul className="text-xs text-slate-600 space-y-0.5">
+                {ticketLines.map((line) => (
+                  <li
+                    key={line.id}
+                    className={`flex justify-between ${line.id === transaction.id ? "font-bold text-blue-800" : ""}`}
+                  >
+                    <span>
+                      {line.ticketItem}. {getMaterialName(line.material)} ·{" "}
+                      {line.quantidade} kg
+                    </span>
+                    <span>{formatCurrency(line.valorTotal)}</span>
+                  </li>
+                ))}
+              </ul>
+            )}
+            <p className="text-xs text-blue-700">
+              As alterações valem só para este item; os demais itens do ticket
+              não mudam.
+            </p>
+          </div>
+        )}
+
         {/* Formulário */}
         <form
           onSubmit={handleSubmit}
           className="overflow-y-auto max-h-[calc(95vh-280px)]"
         >
-          <div className="p-5 space-y-5">
+          {!canEdit && (
+            <div className="mx-5 mt-5 p-3 rounded-lg bg-amber-50 border border-amber-200 text-amber-800 text-sm flex items-center gap-2">
+              <AlertCircle className="h-4 w-4 flex-shrink-0" />
+              Seu perfil permite apenas visualizar esta transação.
+            </div>
+          )}
+          <fieldset disabled={!canEdit} className="p-5 space-y-5">
             {/* Tipo e Data - Seção Principal */}
             <div className="grid grid-cols-1 md:grid-cols-2 gap-4">
               {/* Tipo de Transação */}
@@ -419,6 +505,13 @@ const TransactionEditModal = ({ transaction, onSave, onClose: onCancel }) => {
               </div>
             )}
 
+            {formData.tipo === "compra" && (
+              <WeighingFields
+                value={formData}
+                onChange={handleWeighingChange}
+              />
+            )}
+
             {/* Valores - Grid de 3 colunas para compra/venda */}
             {formData.tipo !== "despesa" ? (
               <div className="grid grid-cols-1 md:grid-cols-3 gap-4">
@@ -438,6 +531,9 @@ const TransactionEditModal = ({ transaction, onSave, onClose: onCancel }) => {
                       onChange={(e) =>
                         handleInputChange("quantidade", e.target.value)
                       }
+                      readOnly={
+                        formData.tipo === "compra" && hasWeighing(formData)
+                      }
                       className={`w-full p-3 pr-12 border-2 rounded-xl focus:ring-2 focus:ring-emerald-500 focus:border-emerald-500 transition-all ${
                         errors.quantidade
                           ? "border-red-300 bg-red-50"
@@ -668,13 +764,13 @@ const TransactionEditModal = ({ transaction, onSave, onClose: onCancel }) => {
                 placeholder="Adicione observações ou detalhes adicionais sobre a transação..."
               />
             </div>
-          </div>
+          </fieldset>
 
           {/* Footer com Ações */}
           <div className="border-t border-slate-200 p-4 bg-slate-50 flex flex-col sm:flex-row gap-3">
             <Button
               type="submit"
-              disabled={isSaving || !hasChanges}
+              disabled={isSaving || !hasChanges || !canEdit}
               className={`flex-1 py-3 font-semibold transition-all duration-200 ${
                 hasChanges
                   ? "bg-emerald-600 hover:bg-emerald-700 text-white shadow-lg hover:shadow-xl"
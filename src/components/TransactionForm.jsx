@@ -1,6 +1,6 @@
 "use client";
 
-import { useState, useEffect, useRef } from "react";
+import { useState, useEffect, useRef, useCallback } from "react";
 import {
   Save,
   TrendingUp,
@@ -14,7 +14,12 @@ import {
   Package,
   Users,
   Plus,
+  Tag,
+  Printer,
+  CheckCircle2,
+  QrCode,
 } from "lucide-react";
+import { format } from "date-fns";
 import { DatePicker } from "./ui/date-picker";
 import { useData } from "../contexts/DataContext";
 import {
@@ -22,6 +27,24 @@ import {
   subscribeToCustomers,
   addCustomer,
 } from "../lib/firebaseService";
+import {
+  getMaterialByKey,
+  getMaterialColorClass,
+} from "../lib/materialCatalog";
+import { usePermissions } from "../hooks/usePermissions";
+import { getNegotiatedPrice } from "../lib/negotiatedPrices";
+import { hasWeighing, pickWeighingFields } from "../utils/calculations";
+import { WeighingFields } from "./forms/WeighingFields";
+import ReceiptDialog from "./receipts/ReceiptDialog";
+import PixChargeDialog from "./pix/PixChargeDialog";
+
+// Pesagem vazia: a quantidade é digitada direto
+const EMPTY_WEIGHING = {
+  pesoBruto: "",
+  tara: "",
+  taraDescricao: "",
+  descontoImpureza: "",
+};
 
 const Card = ({ children, className = "" }) => (
   <div
@@ -181,7 +204,13 @@ const TransactionForm = ({
   editingTransaction = null,
   onCancelEdit = null,
 }) => {
-  const { addTransaction, editTransaction, deleteTransaction } = useData();
+  const {
+    addTransaction,
+    addTicket,
+    editTransaction,
+    deleteTransaction,
+    materials: catalogMaterials,
+  } = useData();
   const [formData, setFormData] = useState({
     tipo: initialType,
     material: "ferro",
@@ -193,13 +222,19 @@ const TransactionForm = ({
     formaPagamento: "dinheiro",
     numeroTransacao: "",
     clienteId: "",
+    ...EMPTY_WEIGHING,
   });
 
   const [inventory, setInventory] = useState({});
   const [valorTotal, setValorTotal] = useState(0);
   const [saving, setSaving] = useState(false);
+  const { can } = usePermissions();
   const [isEditing, setIsEditing] = useState(false);
   const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
+  // Linhas da última gravação, para imprimir o comprovante logo em seguida
+  const [lastSaved, setLastSaved] = useState(null);
+  const [receiptLines, setReceiptLines] = useState(null);
+  const [showPixCharge, setShowPixCharge] = useState(false);
   const [showNameSuggestions, setShowNameSuggestions] = useState(false);
 
   const [materialSearch, setMaterialSearch] = useState("");
@@ -213,6 +248,10 @@ const TransactionForm = ({
   const [customerSearch, setCustomerSearch] = useState("");
   const [selectedCustomer, setSelectedCustomer] = useState(null);
   const [showAddCustomerModal, setShowAddCustomerModal] = useState(false);
+  // Preço negociado aplicado no lugar da tabela: { preco, precoTabela, ... }
+  const [priceOverride, setPriceOverride] = useState(null);
+  // Itens já pesados do ticket em andamento (vários materiais, um pagamento)
+  const [ticketItems, setTicketItems] = useState([]);
   const customerInputRef = useRef(null);
 
   const { toast } = useToast();
@@ -276,11 +315,15 @@ const TransactionForm = ({
           : new Date(),
         formaPagamento: editingTransaction.formaPagamento || "dinheiro",
         numeroTransacao: editingTransaction.numeroTransacao || "",
+        pesoBruto: editingTransaction.pesoBruto?.toString() || "",
+        tara: editingTransaction.tara?.toString() || "",
+        taraDescricao: editingTransaction.taraDescricao || "",
+        descontoImpureza: editingTransaction.descontoImpureza?.toString() || "",
       });
     }
   }, [editingTransaction]);
 
-  const loadInventory = async () => {
+  const loadInventory = useCallback(async () => {
     try {
       const { getInventory } = await import("../lib/firebaseService");
       const inventoryData = await getInventory();
@@ -294,32 +337,74 @@ const TransactionForm = ({
       setInventory(inventoryData);
       return inventoryData;
     }
-  };
+  }, []);
 
-  const updatePrice = (type, material, inv) => {
-    if (inv && inv[material]) {
-      const price =
-        type === "compra"
-          ? inv[material].precoCompra || 0
-          : inv[material].precoVenda || 0;
-      setFormData((prev) => ({
-        ...prev,
-        precoUnitario: price.toString(),
-      }));
-    } else {
-      // Se não encontrar o material no inventário, definir preço como 0
+  const updatePrice = useCallback(
+    (type, material, inv) => {
+      let tablePrice;
+      if (inv && inv[material]) {
+        tablePrice =
+          type === "compra"
+            ? inv[material].precoCompra || 0
+            : inv[material].precoVenda || 0;
+      } else {
+        // Material ainda sem estoque: usar o preço padrão do catálogo
+        const catalogItem = getMaterialByKey(material);
+        tablePrice =
+          type === "compra"
+            ? catalogItem?.precoCompra || 0
+            : catalogItem?.precoVenda || 0;
+      }
+
+      // Acordo vigente com o cliente selecionado tem prioridade sobre a tabela
+      const negotiated = getNegotiatedPrice(
+        selectedCustomer,
+        material,
+        type,
+        formData.data,
+      );
+      setPriceOverride(
+        negotiated
+          ? {
+              ...negotiated,
+              precoTabela: tablePrice,
+              cliente: selectedCustomer.nome,
+            }
+          : null,
+      );
       setFormData((prev) => ({
         ...prev,
-        precoUnitario: "0",
+        precoUnitario: (negotiated ? negotiated.preco : tablePrice).toString(),
       }));
-    }
-  };
+    },
+    [selectedCustomer, formData.data],
+  );
 
+  // Preço de tabela, ou o negociado com o cliente, ao trocar tipo, material,
+  // cliente ou data. Na edição, trocar só o cliente mantém o preço gravado.
+  const lastPricedFor = useRef(null);
   useEffect(() => {
+    const previous = lastPricedFor.current;
+    lastPricedFor.current = {
+      tipo: formData.tipo,
+      material: formData.material,
+    };
+    if (
+      isEditing &&
+      previous?.tipo === formData.tipo &&
+      previous?.material === formData.material
+    ) {
+      return;
+    }
+
+    let cancelled = false;
     loadInventory().then((inv) => {
-      updatePrice(formData.tipo, formData.material, inv);
+      if (!cancelled) updatePrice(formData.tipo, formData.material, inv);
     });
-  }, [formData.tipo, formData.material]);
+    return () => {
+      cancelled = true;
+    };
+  }, [formData.tipo, formData.material, isEditing, loadInventory, updatePrice]);
 
   useEffect(() => {
     const quantidade = Number.parseFloat(formData.quantidade) || 0;
@@ -328,7 +413,28 @@ const TransactionForm = ({
   }, [formData.quantidade, formData.precoUnitario]);
 
   const handleInputChange = (field, value) => {
-    setFormData((prev) => ({ ...prev, [field]: value }));
+    // Os itens do ticket foram precificados para o tipo atual
+    if (field === "tipo" && value !== formData.tipo && ticketItems.length) {
+      toast({
+        title: "Ticket em andamento",
+        description:
+          "Salve ou limpe o ticket antes de trocar entre compra e venda.",
+        variant: "destructive",
+      });
+      return;
+    }
+    setFormData((prev) => ({
+      ...prev,
+      [field]: value,
+      // A pesagem com tara e desconto só existe nas compras
+      ...(field === "tipo" && value !== "compra" ? EMPTY_WEIGHING : {}),
+      // Fiado (a prazo) só existe nas vendas
+      ...(field === "tipo" &&
+      value !== "venda" &&
+      prev.formaPagamento === "prazo"
+        ? { formaPagamento: "dinheiro" }
+        : {}),
+    }));
 
     if (field === "vendedor") {
       if (value.length > 0) {
@@ -405,19 +511,179 @@ const TransactionForm = ({
       formaPagamento: "dinheiro",
       numeroTransacao: "",
       clienteId: "",
+      ...EMPTY_WEIGHING,
     });
     setIsEditing(false);
     setShowNameSuggestions(false);
     setSelectedCustomer(null);
     setCustomerSearch("");
+    setTicketItems([]);
     loadInventory().then((inv) => {
       updatePrice("compra", "ferro", inv);
     });
   };
 
+  // Valida a linha em edição (material, peso e preço) como item de ticket
+  const readTicketLine = (pendingItems) => {
+    const quantidade = Number(
+      Number.parseFloat(formData.quantidade).toFixed(3),
+    );
+    const precoUnitario = Number(
+      Number.parseFloat(formData.precoUnitario).toFixed(3),
+    );
+
+    if (!(quantidade > 0) || !(precoUnitario > 0)) {
+      toast({
+        title: "Erro de Validação",
+        description: "Quantidade e preço devem ser maiores que zero.",
+        variant: "destructive",
+      });
+      return null;
+    }
+
+    // Venda: o mesmo material pode aparecer em mais de um item do ticket
+    if (formData.tipo === "venda") {
+      const reservado = pendingItems
+        .filter((item) => item.material === formData.material)
+        .reduce((sum, item) => sum + item.quantidade, 0);
+      const disponivel = Number(
+        ((inventory[formData.material]?.quantidade || 0) - reservado).toFixed(
+          3,
+        ),
+      );
+      if (quantidade > disponivel) {
+        toast({
+          title: "❌ Estoque Insuficiente",
+          description: `Você não tem saldo suficiente de ${formData.material}. Disponível para este ticket: ${disponivel.toFixed(3)} kg.`,
+          variant: "destructive",
+        });
+        return null;
+      }
+    }
+
+    return {
+      material: formData.material,
+      quantidade,
+      precoUnitario,
+      valorTotal: Number((quantidade * precoUnitario).toFixed(3)),
+      negociado: Boolean(overrideApplied),
+      ...(hasWeighing(formData) ? pickWeighingFields(formData) : {}),
+    };
+  };
+
+  const handleAddTicketItem = () => {
+    const line = readTicketLine(ticketItems);
+    if (!line) return;
+
+    setTicketItems((prev) => [...prev, line]);
+    saveRecentMaterial(formData.material);
+    // A tara fica: o próximo material costuma vir no mesmo recipiente
+    setFormData((prev) => ({
+      ...prev,
+      quantidade: "",
+      pesoBruto: "",
+      descontoImpureza: "",
+    }));
+    setTimeout(() => {
+      document.getElementById("quantidade")?.focus();
+    }, 100);
+  };
+
+  const handleRemoveTicketItem = (index) => {
+    setTicketItems((prev) => prev.filter((_, i) => i !== index));
+  };
+
+  const handleSubmitTicket = async () => {
+    // A linha em edição entra no ticket se o peso foi preenchido
+    let itens = ticketItems;
+    if (formData.quantidade) {
+      const line = readTicketLine(ticketItems);
+      if (!line) return;
+      itens = [...ticketItems, line];
+    }
+
+    if (!formData.data) {
+      toast({
+        title: "Erro de Validação",
+        description: "Por favor, selecione uma data para a transação.",
+        variant: "destructive",
+      });
+      return;
+    }
+
+    try {
+      setSaving(true);
+
+      const ticketDate = new Date(formData.data);
+      ticketDate.setHours(12, 0, 0, 0);
+
+      const ticketHeader = {
+        ...formData,
+        data: ticketDate,
+        clienteId: selectedCustomer
+          ? selectedCustomer.id
+          : formData.clienteId || "",
+      };
+      const {
+        ticketId,
+        ids,
+        valorTotal: totalTicket,
+      } = await addTicket({ ...ticketHeader, itens });
+      setLastSaved(
+        itens.map((item, index) => ({
+          ...ticketHeader,
+          ...item,
+          id: ids[index],
+          ticketId,
+          ticketItens: itens.length,
+        })),
+      );
+
+      if (formData.vendedor && formData.vendedor.trim() !== "") {
+        saveName(formData.vendedor.trim());
+      }
+
+      toast({
+        title: "✅ Ticket Registrado!",
+        description: `${itens.length} materiais em um único ticket. Valor total: ${formatCurrency(totalTicket)}. O estoque e os relatórios já foram atualizados.`,
+        className: "bg-green-100 border-green-500 text-green-800",
+      });
+
+      setTicketItems([]);
+      setFormData((prev) => ({
+        ...prev,
+        quantidade: "",
+        precoUnitario: "",
+        vendedor: "",
+        observacoes: "",
+        data: new Date(),
+        formaPagamento: "dinheiro",
+        numeroTransacao: "",
+        ...EMPTY_WEIGHING,
+      }));
+      const inventoryData = await loadInventory();
+      updatePrice(formData.tipo, formData.material, inventoryData);
+    } catch (error) {
+      console.error("[v0] Erro ao salvar ticket:", error);
+      toast({
+        title: "❌ Erro ao Salvar",
+        description: `Nenhum item do ticket foi gravado. Erro: ${error.message}`,
+        variant: "destructive",
+      });
+    } finally {
+      setSaving(false);
+      setShowNameSuggestions(false);
+    }
+  };
+
   const handleSubmit = async (e) => {
     e.preventDefault();
 
+    if (ticketItems.length > 0 && !isEditing) {
+      await handleSubmitTicket();
+      return;
+    }
+
     console.log("[v0] Form submit triggered", { formData, isEditing });
 
     if (!formData.quantidade || !formData.precoUnitario) {
@@ -521,34 +787,10 @@ const TransactionForm = ({
       if (isEditing && editingTransaction?.id) {
         await editTransaction(editingTransaction.id, transaction);
 
-        // Se for edição e for pagamento de dívida ou empréstimo, atualizar o saldo
-        if (formData.clienteId) {
-          const { updateCustomerBalance } =
-            await import("../lib/firebaseService");
-
-          if (formData.formaPagamento === "pagamento_divida") {
-            await updateCustomerBalance(
-              formData.clienteId,
-              valorTotalArredondado,
-              "pagamento",
-            );
-          } else if (
-            formData.tipo === "despesa" &&
-            (formData.categoria === "emprestimo" ||
-              formData.material === "emprestimo_cliente")
-          ) {
-            await updateCustomerBalance(
-              formData.clienteId,
-              valorTotalArredondado,
-              "emprestimo",
-            );
-          }
-        }
-
         toast({
           title: "✅ Transação Atualizada!",
           description:
-            "As alterações foram salvas. O estoque e relatórios serão sincronizados automaticamente pelas Cloud Functions.",
+            "As alterações foram salvas. O estoque e os relatórios foram atualizados junto com a transação.",
           className: "bg-green-100 border-green-500 text-green-800",
         });
 
@@ -556,35 +798,12 @@ const TransactionForm = ({
           onCancelEdit();
         }
       } else {
-        await addTransaction(transaction);
-
-        // LÓGICA SOLICITADA: Se for pagamento de dívida ou empréstimo, atualizar o saldo do cliente
-        if (formData.clienteId) {
-          const { updateCustomerBalance } =
-            await import("../lib/firebaseService");
-
-          if (formData.formaPagamento === "pagamento_divida") {
-            await updateCustomerBalance(
-              formData.clienteId,
-              valorTotalArredondado,
-              "pagamento",
-            );
-          } else if (
-            formData.tipo === "despesa" &&
-            (formData.categoria === "emprestimo" ||
-              formData.material === "emprestimo_cliente")
-          ) {
-            await updateCustomerBalance(
-              formData.clienteId,
-              valorTotalArredondado,
-              "emprestimo",
-            );
-          }
-        }
+        const id = await addTransaction(transaction);
+        setLastSaved([{ ...transaction, id }]);
 
         toast({
           title: "✅ Sucesso!",
-          description: `${formData.tipo === "compra" ? "Compra" : formData.tipo === "venda" ? "Venda" : "Despesa"} registrada com ${quantidade.toFixed(3)} kg! Valor total: ${formatCurrency(valorTotalArredondado)}. ${formData.formaPagamento === "pagamento_divida" ? "O saldo do cliente foi atualizado." : "O estoque e relatórios serão atualizados automaticamente."}`,
+          description: `${formData.tipo === "compra" ? "Compra" : formData.tipo === "venda" ? "Venda" : "Despesa"} registrada com ${quantidade.toFixed(3)} kg! Valor total: ${formatCurrency(valorTotalArredondado)}. ${formData.formaPagamento === "pagamento_divida" ? "O saldo do cliente foi atualizado." : "O estoque e os relatórios já foram atualizados."}`,
           className: "bg-green-100 border-green-500 text-green-800",
         });
       }
@@ -604,6 +823,7 @@ const TransactionForm = ({
           data: new Date(),
           formaPagamento: "dinheiro",
           numeroTransacao: "",
+          ...EMPTY_WEIGHING,
         }));
 
         const inventoryData = await loadInventory();
@@ -638,6 +858,7 @@ const TransactionForm = ({
       observacoes: "",
       vendedor: "",
       numeroTransacao: "",
+      ...EMPTY_WEIGHING,
     }));
 
     setTimeout(() => {
@@ -656,6 +877,11 @@ const TransactionForm = ({
     )
     .slice(0, 5);
 
+  // O aviso some se o operador digitar outro preço por cima do negociado
+  const overrideApplied =
+    priceOverride &&
+    Number.parseFloat(formData.precoUnitario) === priceOverride.preco;
+
   // CORREÇÃO: Função segura para calcular margem de lucro
   const calculateProfitMargin = () => {
     if (
@@ -673,85 +899,13 @@ const TransactionForm = ({
     return currentPrice - purchasePrice;
   };
 
-  const materials = [
-    { value: "ferro", label: "Ferro", color: "bg-gray-600", icon: "⚙️" },
-    { value: "aluminio", label: "Alumínio", color: "bg-blue-600", icon: "🔷" },
-    { value: "cobre", label: "Cobre", color: "bg-orange-600", icon: "🟠" },
-    {
-      value: "cobre_mel",
-      label: "Cobre Mel",
-      color: "bg-amber-600",
-      icon: "🍯",
-    },
-    { value: "bronze", label: "Bronze", color: "bg-amber-700", icon: "🥉" },
-    { value: "magnesio", label: "Magnésio", color: "bg-slate-600", icon: "⚡" },
-    { value: "latinha", label: "Latinha", color: "bg-green-600", icon: "🥫" },
-    { value: "panela", label: "Panela", color: "bg-purple-600", icon: "🍳" },
-    { value: "bloco2", label: "Bloco 2°", color: "bg-red-600", icon: "🧱" },
-    { value: "chapa", label: "Chapa", color: "bg-yellow-600", icon: "📋" },
-    {
-      value: "perfil pintado",
-      label: "Perfil pintado",
-      color: "bg-indigo-600",
-      icon: "🎨",
-    },
-    {
-      value: "perfil natural",
-      label: "Perfil natural",
-      color: "bg-indigo-500",
-      icon: "🔩",
-    },
-    { value: "bloco", label: "Bloco", color: "bg-pink-600", icon: "🧱" },
-    { value: "metal", label: "Metal", color: "bg-gray-700", icon: "🔨" },
-    { value: "inox", label: "Inox", color: "bg-blue-700", icon: "✨" },
-    { value: "bateria", label: "Bateria", color: "bg-green-700", icon: "🔋" },
-    {
-      value: "motor_gel",
-      label: "Motor Gel",
-      color: "bg-purple-700",
-      icon: "⚙️",
-    },
-    { value: "roda", label: "Roda", color: "bg-black", icon: "⚫" },
-    { value: "papelao", label: "Papelão", color: "bg-yellow-700", icon: "📦" },
-    {
-      value: "rad_metal",
-      label: "Rad. Metal",
-      color: "bg-rose-600",
-      icon: "🌡️",
-    },
-    {
-      value: "rad_cobre",
-      label: "Rad. Cobre",
-      color: "bg-orange-700",
-      icon: "🔶",
-    },
-    {
-      value: "rad_chapa",
-      label: "Rad. Chapa",
-      color: "bg-violet-600",
-      icon: "📐",
-    },
-    { value: "tela", label: "Tela", color: "bg-lime-600", icon: "🕸️" },
-    {
-      value: "antimonio",
-      label: "Antimônio",
-      color: "bg-fuchsia-600",
-      icon: "💎",
-    },
-    { value: "cabo_ai", label: "Cabo AI", color: "bg-sky-600", icon: "🔌" },
-    {
-      value: "tubo_limpo",
-      label: "Tubo Limpo",
-      color: "bg-green-700",
-      icon: "🚰",
-    },
-    {
-      value: "papel_branco",
-      label: "Papel Branco",
-      color: "bg-green-700",
-      icon: "📄",
-    },
-  ];
+  // Opções do seletor montadas a partir do catálogo de materiais
+  const materials = catalogMaterials.map((material) => ({
+    value: material.key,
+    label: material.name,
+    color: getMaterialColorClass(material.key),
+    icon: material.icon,
+  }));
 
   const filteredMaterials = materials.filter((material) =>
     material.label.toLowerCase().includes(materialSearch.toLowerCase()),
@@ -784,8 +938,8 @@ const TransactionForm = ({
               Confirmar Exclusão
             </h3>
             <p className="text-gray-600 mb-6">
-              Tem certeza que deseja excluir esta transação? Esta ação não pode
-              ser desfeita.
+              Tem certeza que deseja excluir esta transação? Ela ficará na
+              Lixeira e poderá ser restaurada pelos Relatórios.
             </p>
             <div className="flex gap-3">
               <Button
@@ -807,6 +961,40 @@ const TransactionForm = ({
         </div>
       )}
 
+      {lastSaved && !isEditing && (
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3 p-4 rounded-xl border-2 border-green-200 bg-green-50">
+          <p className="text-sm text-green-800 flex items-center gap-2">
+            <CheckCircle2 className="h-5 w-5 flex-shrink-0" />
+            {lastSaved.length > 1
+              ? `Ticket com ${lastSaved.length} materiais salvo`
+              : "Transação salva"}{" "}
+            ·{" "}
+            {formatCurrency(
+              lastSaved.reduce((sum, line) => sum + line.valorTotal, 0),
+            )}
+          </p>
+          <div className="flex gap-2">
+            {can("receipts.print") && (
+              <Button
+                type="button"
+                onClick={() => setReceiptLines(lastSaved)}
+                className="bg-green-600 hover:bg-green-700 text-white"
+              >
+                <Printer className="h-4 w-4 mr-2" />
+                Imprimir comprovante
+              </Button>
+            )}
+            <Button
+              type="button"
+              variant="outline"
+              onClick={() => setLastSaved(null)}
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+      )}
+
       <form onSubmit={handleSubmit} className="space-y-4">
         <Card className="p-4 sm:p-6 shadow-md hover:shadow-lg transition-shadow">
           {/* Transaction Type Selection */}
@@ -1005,6 +1193,17 @@ const TransactionForm = ({
             )}
           </div>
 
+          {formData.tipo === "compra" && (
+            <div className="mb-4">
+              <WeighingFields
+                value={formData}
+                onChange={(patch) =>
+                  setFormData((prev) => ({ ...prev, ...patch }))
+                }
+              />
+            </div>
+          )}
+
           {/* Main Form Fields */}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
             <div className="space-y-2">
@@ -1023,10 +1222,16 @@ const TransactionForm = ({
                 onChange={(e) =>
                   handleInputChange("quantidade", e.target.value)
                 }
-                className="text-base h-12 font-semibold border-2 focus:border-blue-500"
+                readOnly={hasWeighing(formData)}
+                className={`text-base h-12 font-semibold border-2 focus:border-blue-500 ${hasWeighing(formData) ? "bg-slate-50" : ""}`}
                 placeholder="0.00"
                 aria-required="true"
               />
+              {hasWeighing(formData) && (
+                <p className="text-xs text-slate-500">
+                  Peso líquido calculado pela pesagem
+                </p>
+              )}
             </div>
 
             <div className="space-y-2">
@@ -1045,10 +1250,20 @@ const TransactionForm = ({
                 onChange={(e) =>
                   handleInputChange("precoUnitario", e.target.value)
                 }
-                className="text-base h-12 font-semibold border-2 focus:border-blue-500"
+                className={`text-base h-12 font-semibold border-2 focus:border-blue-500 ${overrideApplied ? "border-amber-400 bg-amber-50" : ""}`}
                 placeholder="0.00"
                 aria-required="true"
               />
+              {overrideApplied && (
+                <p className="text-xs text-amber-700 flex items-center gap-1">
+                  <Tag className="h-3 w-3" />
+                  Preço negociado com {priceOverride.cliente} (tabela{" "}
+                  {formatCurrency(priceOverride.precoTabela)}
+                  {priceOverride.validoAte &&
+                    `, válido até ${format(new Date(`${priceOverride.validoAte}T00:00:00`), "dd/MM/yyyy")}`}
+                  )
+                </p>
+              )}
             </div>
 
             <div className="space-y-2">
@@ -1068,6 +1283,86 @@ const TransactionForm = ({
             </div>
           </div>
 
+          {/* Ticket com vários materiais */}
+          {!isEditing && (
+            <div className="mt-4 space-y-3">
+              {ticketItems.length > 0 && (
+                <div className="rounded-xl border-2 border-blue-200 bg-blue-50/50 p-4 space-y-2">
+                  <div className="flex items-center justify-between">
+                    <p className="text-sm font-bold text-blue-800">
+                      Ticket em andamento · {ticketItems.length}{" "}
+                      {ticketItems.length === 1 ? "item" : "itens"}
+                    </p>
+                    <p className="text-sm font-bold text-blue-800">
+                      {formatCurrency(
+                        ticketItems.reduce(
+                          (sum, item) => sum + item.valorTotal,
+                          0,
+                        ),
+                      )}
+                    </p>
+                  </div>
+                  <ul className="divide-y divide-blue-100">
+                    {ticketItems.map((item, index) => (
+                      <li
+                        key={index}
+                        className="flex items-center justify-between py-1.5 text-sm"
+                      >
+                        <span className="text-gray-700">
+                          {getMaterialByKey(item.material)?.name ||
+                            item.material}{" "}
+                          · {item.quantidade.toFixed(3)} kg ×{" "}
+                          {formatCurrency(item.precoUnitario)}
+                          {hasWeighing(item) && (
+                            <span className="text-xs text-gray-500">
+                              {" "}
+                              (bruto {item.pesoBruto.toFixed(3)} kg, tara{" "}
+                              {item.tara.toFixed(3)} kg
+                              {item.descontoImpureza > 0 &&
+                                `, −${item.descontoImpureza}%`}
+                              )
+                            </span>
+                          )}
+                          {item.negociado && (
+                            <Tag className="inline h-3 w-3 ml-1 text-amber-600" />
+                          )}
+                        </span>
+                        <span className="flex items-center gap-2">
+                          <span className="font-semibold text-gray-800">
+                            {formatCurrency(item.valorTotal)}
+                          </span>
+                          <button
+                            type="button"
+                            onClick={() => handleRemoveTicketItem(index)}
+                            className="p-1 rounded text-gray-400 hover:text-red-600 hover:bg-red-50"
+                            aria-label="Remover item do ticket"
+                          >
+                            <X className="h-4 w-4" />
+                          </button>
+                        </span>
+                      </li>
+                    ))}
+                  </ul>
+                  <p className="text-xs text-blue-700">
+                    Ao salvar, o material em edição (se tiver peso) entra no
+                    ticket e todos os itens são gravados juntos, com o mesmo
+                    cliente e pagamento.
+                  </p>
+                </div>
+              )}
+              <Button
+                type="button"
+                variant="outline"
+                onClick={handleAddTicketItem}
+                disabled={saving}
+                className="w-full h-11 border-2 border-dashed bg-white hover:bg-blue-50 text-blue-700 font-semibold"
+              >
+                <Plus className="h-4 w-4 mr-2" />
+                Adicionar material ao ticket
+              </Button>
+            </div>
+          )}
+
           {/* Secondary Fields */}
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 mt-4">
             <div className="space-y-2">
@@ -1103,6 +1398,9 @@ const TransactionForm = ({
                 <option value="dinheiro">💵 Dinheiro</option>
                 <option value="pix">📱 PIX</option>
                 <option value="pagamento_divida">📋 Pagamento de Dívida</option>
+                {formData.tipo === "venda" && (
+                  <option value="prazo">📝 A Prazo (fiado)</option>
+                )}
               </select>
             </div>
 
@@ -1138,7 +1436,7 @@ const TransactionForm = ({
                           {selectedCustomer.saldo !== undefined &&
                             selectedCustomer.saldo !== 0 && (
                               <span
-                                className={`ml-2 text-xs ${selectedCustomer.saldo < 0 ? "text-red-600" : "text-green-600"}`}
+                                className={`ml-2 text-xs ${selectedCustomer.saldo > 0 ? "text-red-600" : "text-green-600"}`}
                               >
                                 (Saldo: {formatCurrency(selectedCustomer.saldo)}
                                 )
@@ -1235,7 +1533,7 @@ const TransactionForm = ({
                                 {customer.saldo !== 0 && (
                                   <span
                                     className={`text-xs font-medium px-2 py-1 rounded-full ${
-                                      customer.saldo < 0
+                                      customer.saldo > 0
                                         ? "bg-red-100 text-red-700"
                                         : "bg-green-100 text-green-700"
                                     }`}
@@ -1338,12 +1636,12 @@ const TransactionForm = ({
                 )}
               </div>
 
-              {/* Selected Customer Info */}
-              {selectedCustomer && selectedCustomer.saldo < 0 && (
+              {/* Saldo positivo na conta corrente = o cliente deve */}
+              {selectedCustomer && selectedCustomer.saldo > 0 && (
                 <div className="p-2 bg-red-50 border border-red-200 rounded-lg">
                   <p className="text-xs text-red-700 flex items-center gap-1">
                     <span className="font-medium">Atencao:</span> Cliente possui
-                    divida de {formatCurrency(Math.abs(selectedCustomer.saldo))}
+                    divida de {formatCurrency(selectedCustomer.saldo)}
                   </p>
                 </div>
               )}
@@ -1351,12 +1649,24 @@ const TransactionForm = ({
 
             {formData.formaPagamento === "pix" ? (
               <div className="space-y-2">
-                <Label
-                  htmlFor="numeroTransacao"
-                  className="text-sm font-medium text-gray-700"
-                >
-                  Nº Transação PIX
-                </Label>
+                <div className="flex items-center justify-between">
+                  <Label
+                    htmlFor="numeroTransacao"
+                    className="text-sm font-medium text-gray-700"
+                  >
+                    Nº Transação PIX
+                  </Label>
+                  {formData.tipo === "venda" && (
+                    <button
+                      type="button"
+                      onClick={() => setShowPixCharge(true)}
+                      className="text-xs font-semibold text-teal-600 hover:underline flex items-center gap-1"
+                    >
+                      <QrCode className="h-3.5 w-3.5" />
+                      Gerar QR PIX
+                    </button>
+                  )}
+                </div>
                 <Input
                   id="numeroTransacao"
                   type="text"
@@ -1413,21 +1723,35 @@ const TransactionForm = ({
             <>
               <Button
                 type="submit"
-                disabled={saving}
+                disabled={saving || !can("transactions.edit")}
                 className="flex-1 bg-gradient-to-r from-blue-600 to-blue-700 hover:from-blue-700 hover:to-blue-800 h-14 font-semibold shadow-lg hover:shadow-xl transition-all text-base"
               >
                 <Edit3 className="h-5 w-5 mr-2" />
                 {saving ? "Salvando..." : "Salvar Alterações"}
               </Button>
 
-              <Button
-                type="button"
-                onClick={() => setShowDeleteConfirm(true)}
-                className="bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 h-14 font-semibold shadow-lg hover:shadow-xl transition-all sm:w-auto w-full text-base"
-              >
-                <Trash2 className="h-5 w-5 mr-2" />
-                Excluir
-              </Button>
+              {can("receipts.print") && editingTransaction?.id && (
+                <Button
+                  type="button"
+                  variant="outline"
+                  onClick={() => setReceiptLines([editingTransaction])}
+                  className="h-14 font-semibold sm:w-auto w-full border-2 bg-white hover:bg-gray-50 text-base"
+                >
+                  <Printer className="h-5 w-5 mr-2" />
+                  Comprovante
+                </Button>
+              )}
+
+              {can("transactions.delete") && (
+                <Button
+                  type="button"
+                  onClick={() => setShowDeleteConfirm(true)}
+                  className="bg-gradient-to-r from-red-600 to-red-700 hover:from-red-700 hover:to-red-800 h-14 font-semibold shadow-lg hover:shadow-xl transition-all sm:w-auto w-full text-base"
+                >
+                  <Trash2 className="h-5 w-5 mr-2" />
+                  Excluir
+                </Button>
+              )}
 
               <Button
                 type="button"
@@ -1446,7 +1770,11 @@ const TransactionForm = ({
                 className="flex-1 bg-gradient-to-r from-green-600 to-green-700 hover:from-green-700 hover:to-green-800 h-14 font-semibold shadow-lg hover:shadow-xl transition-all text-base"
               >
                 <Save className="h-5 w-5 mr-2" />
-                {saving ? "Salvando..." : "Salvar Transação"}
+                {saving
+                  ? "Salvando..."
+                  : ticketItems.length > 0
+                    ? "Salvar Ticket"
+                    : "Salvar Transação"}
               </Button>
 
               <Button
@@ -1473,6 +1801,24 @@ const TransactionForm = ({
         </div>
       </form>
 
+      {showPixCharge && (
+        <PixChargeDialog
+          valor={
+            ticketItems.reduce((sum, item) => sum + item.valorTotal, 0) +
+            valorTotal
+          }
+          descricao={formData.vendedor}
+          onClose={() => setShowPixCharge(false)}
+        />
+      )}
+
+      {receiptLines && (
+        <ReceiptDialog
+          lines={receiptLines}
+          onClose={() => setReceiptLines(null)}
+        />
+      )}
+
       {/* Add Customer Modal */}
       {showAddCustomerModal && (
         <div className="fixed inset-0 bg-black/50 flex items-center justify-center z-50 p-4">
@@ -3,6 +3,8 @@
 import { useState, useEffect } from "react";
 import { Edit3, Trash2, Save, X, Plus, Filter, Download } from "lucide-react";
 import { useData } from "../contexts/DataContext";
+import { getMaterialName } from "../lib/materialCatalog";
+import { usePermissions } from "../hooks/usePermissions";
 
 const Card = ({ children, className = "" }) => (
   <div
@@ -121,8 +123,14 @@ const useToast = () => {
 };
 
 const TransactionManager = () => {
-  const { transactions, addTransaction, updateTransaction, deleteTransaction } =
-    useData();
+  const {
+    transactions,
+    addTransaction,
+    updateTransaction,
+    deleteTransaction,
+    materials,
+  } = useData();
+  const { can } = usePermissions();
   const [editingTransaction, setEditingTransaction] = useState(null);
   const [showAddForm, setShowAddForm] = useState(false);
   const [filters, setFilters] = useState({
@@ -134,33 +142,6 @@ const TransactionManager = () => {
   const [filteredTransactions, setFilteredTransactions] = useState([]);
   const { toast } = useToast();
 
-  const materials = [
-    "ferro",
-    "aluminio",
-    "cobre",
-    "latinha",
-    "panela",
-    "bloco2",
-    "chapa",
-    "perfil pintado",
-    "perfil natural",
-    "bloco",
-    "metal",
-    "inox",
-    "bateria",
-    "motor_gel",
-    "roda",
-    "papelao",
-    "papel_branco",
-    "rad_metal",
-    "rad_cobre",
-    "rad_chapa",
-    "tela",
-    "antimonio",
-    "cabo_ai",
-    "tubo_limpo",
-  ];
-
   useEffect(() => {
     let filtered = [...transactions];
 
@@ -230,7 +211,7 @@ const TransactionManager = () => {
   const handleDelete = async (transactionId) => {
     if (
       !confirm(
-        "Tem certeza que deseja excluir esta transação? Esta ação não pode ser desfeita.",
+        "Tem certeza que deseja excluir esta transação? Ela ficará na Lixeira e poderá ser restaurada.",
       )
     ) {
       return;
@@ -324,7 +305,7 @@ const TransactionManager = () => {
         [
           formatDate(t.data),
           t.tipo,
-          t.material,
+          getMaterialName(t.material),
           t.quantidade,
           t.precoUnitario,
           t.valorTotal,
@@ -363,10 +344,12 @@ const TransactionManager = () => {
             <Download className="h-4 w-4 mr-2" />
             Exportar CSV
           </Button>
-          <Button onClick={handleAddTransaction}>
-            <Plus className="h-4 w-4 mr-2" />
-            Nova Transação
-          </Button>
+          {can("transactions.create") && (
+            <Button onClick={handleAddTransaction}>
+              <Plus className="h-4 w-4 mr-2" />
+              Nova Transação
+            </Button>
+          )}
         </div>
       </div>
 
@@ -408,8 +391,8 @@ const TransactionManager = () => {
             >
               <option value="">Todos os materiais</option>
               {materials.map((material) => (
-                <option key={material} value={material}>
-                  {material}
+                <option key={material.key} value={material.key}>
+                  {material.name}
                 </option>
               ))}
             </Select>
@@ -476,8 +459,8 @@ const TransactionManager = () => {
                 }
               >
                 {materials.map((material) => (
-                  <option key={material} value={material}>
-                    {material}
+                  <option key={material.key} value={material.key}>
+                    {material.name}
                   </option>
                 ))}
               </Select>
@@ -620,7 +603,7 @@ const TransactionManager = () => {
                     </span>
                   </td>
                   <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
-                    {transaction.material}
+                    {getMaterialName(transaction.material)}
                   </td>
                   <td className="px-4 py-4 whitespace-nowrap text-sm text-gray-900">
                     {transaction.quantidade}kg
@@ -643,22 +626,26 @@ const TransactionManager = () => {
                   </td>
                   <td className="px-4 py-4 whitespace-nowrap text-sm font-medium">
                     <div className="flex gap-2">
-                      <Button
-                        size="icon"
-                        variant="ghost"
-                        onClick={() => handleEdit(transaction)}
-                        className="text-blue-600 hover:text-blue-800"
-                      >
-                        <Edit3 className="h-4 w-4" />
-                      </Button>
-                      <Button
-                        size="icon"
-                        variant="ghost"
-                        onClick={() => handleDelete(transaction.id)}
-                        className="text-red-600 hover:text-red-800"
-                      >
-                        <Trash2 className="h-4 w-4" />
-                      </Button>
+                      {can("transactions.edit") && (
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          onClick={() => handleEdit(transaction)}
+                          className="text-blue-600 hover:text-blue-800"
+                        >
+                          <Edit3 className="h-4 w-4" />
+                        </Button>
+                      )}
+                      {can("transactions.delete") && (
+                        <Button
+                          size="icon"
+                          variant="ghost"
+                          onClick={() => handleDelete(transaction.id)}
+                          className="text-red-600 hover:text-red-800"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      )}
                     </div>
                   </td>
                 </tr>
@@ -1,6 +1,7 @@
 "use client";
 
-import { useState } from "react";
+import { useState, useEffect, useRef } from "react";
+import { useQueryClient } from "@tanstack/react-query";
 import {
   Edit,
   Trash2,
@@ -14,8 +15,30 @@ import {
   Tag,
   ShoppingCart,
   TrendingUp,
+  Search,
+  Loader2,
+  Layers,
+  Scale,
+  Printer,
+  QrCode,
 } from "lucide-react";
 import { useData } from "../contexts/DataContext";
+import {
+  useInfiniteTransactions,
+  useTransactionById,
+} from "../hooks/useFirebaseQuery";
+import { useDebounce } from "../hooks/useDebounce";
+import {
+  getMaterialByKey,
+  getMaterialColorClass,
+} from "../lib/materialCatalog";
+import { groupTransactionsByTicket } from "../services/reportService";
+import { formatWeighing } from "../utils/formatters";
+import ReceiptDialog from "./receipts/ReceiptDialog";
+import PixChargeDialog from "./pix/PixChargeDialog";
+
+// Ids do Firestore têm 20 caracteres: é o que o QR code do comprovante traz
+const FIRESTORE_ID_PATTERN = /^[A-Za-z0-9]{20}$/;
 
 const Card = ({ children, className = "" }) => (
   <div
@@ -109,11 +132,209 @@ const useToast = () => {
   return { toast };
 };
 
+// Ticket com vários materiais: um cabeçalho, um total e uma linha por item
+const TicketCard = ({ ticket, onEdit, onDelete, onPrint, onPixCharge }) => {
+  const isVenda = ticket.tipo === "venda";
+
+  return (
+    <Card
+      className={`p-4 hover:shadow-md transition-shadow border-l-4 ${
+        isVenda ? "border-l-green-500" : "border-l-red-500"
+      }`}
+    >
+      <div className="flex items-center justify-between">
+        <div className="flex items-center space-x-4 flex-1">
+          <div
+            className={`p-2 rounded-lg ${
+              isVenda ? "bg-green-50 text-green-600" : "bg-red-50 text-red-600"
+            }`}
+          >
+            <Layers className="h-5 w-5" />
+          </div>
+          <div className="flex-1 min-w-0">
+            <div className="flex items-center space-x-2 mb-1">
+              <span
+                className={`px-2 py-0.5 rounded-full text-[10px] uppercase font-bold ${
+                  isVenda
+                    ? "bg-green-100 text-green-800"
+                    : "bg-red-100 text-red-800"
+                }`}
+              >
+                {isVenda ? "Venda" : "Compra"}
+              </span>
+              <span className="font-bold text-gray-900">
+                Ticket · {ticket.itens.length} materiais
+              </span>
+            </div>
+            <div className="grid grid-cols-2 md:grid-cols-4 gap-x-4 gap-y-1 text-xs text-gray-500">
+              <div className="flex items-center">
+                <Package className="h-3 w-3 mr-1 text-slate-400" />
+                {Number(ticket.quantidade.toFixed(3))}kg
+              </div>
+              <div className="flex items-center">
+                <Calendar className="h-3 w-3 mr-1 text-slate-400" />
+                {formatDate(ticket.data)}
+              </div>
+              {ticket.vendedor && (
+                <div className="flex items-center">
+                  <User className="h-3 w-3 mr-1 text-slate-400" />
+                  {ticket.vendedor}
+                </div>
+              )}
+              {ticket.formaPagamento && (
+                <div className="flex items-center">
+                  <DollarSign className="h-3 w-3 mr-1 text-slate-400" />
+                  <span className="capitalize">{ticket.formaPagamento}</span>
+                </div>
+              )}
+            </div>
+          </div>
+          <div className="text-right px-4">
+            <div
+              className={`text-lg font-black ${isVenda ? "text-green-600" : "text-red-600"}`}
+            >
+              {isVenda ? "+" : "-"}
+              {formatCurrency(ticket.valorTotal)}
+            </div>
+          </div>
+          {isVenda && (
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={() => onPixCharge(ticket)}
+              className="h-8 w-8 text-slate-400 hover:text-teal-600 hover:bg-teal-50"
+              title="Cobrar via PIX"
+            >
+              <QrCode className="h-4 w-4" />
+            </Button>
+          )}
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={() => onPrint(ticket.itens)}
+            className="h-8 w-8 text-slate-400 hover:text-slate-700 hover:bg-slate-100"
+            title="Comprovante"
+          >
+            <Printer className="h-4 w-4" />
+          </Button>
+        </div>
+      </div>
+
+      <ul className="mt-3 pt-2 border-t border-gray-100 divide-y divide-gray-50">
+        {ticket.itens.map((item) => (
+          <li
+            key={item.id}
+            className="flex items-center justify-between py-1.5 text-sm"
+          >
+            <span className="flex items-center gap-2 text-gray-700">
+              <span
+                className={`h-2 w-2 rounded-full ${getMaterialColorClass(item.material)}`}
+              />
+              {getMaterialByKey(item.material)?.name || item.material}
+              <span className="text-xs text-gray-500">
+                {item.quantidade}kg × {formatCurrency(item.precoUnitario)}
+                {formatWeighing(item) && ` · ${formatWeighing(item)}`}
+              </span>
+            </span>
+            <span className="flex items-center space-x-1">
+              <span className="font-semibold text-gray-800 mr-2">
+                {formatCurrency(item.valorTotal)}
+              </span>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => onEdit && onEdit(item)}
+                className="h-7 w-7 text-slate-400 hover:text-blue-600 hover:bg-blue-50"
+              >
+                <Edit className="h-3.5 w-3.5" />
+              </Button>
+              <Button
+                variant="ghost"
+                size="icon"
+                onClick={() => onDelete(item)}
+                className="h-7 w-7 text-slate-400 hover:text-red-600 hover:bg-red-50"
+              >
+                <Trash2 className="h-3.5 w-3.5" />
+              </Button>
+            </span>
+          </li>
+        ))}
+      </ul>
+
+      {ticket.observacoes && (
+        <div className="mt-2 pt-2 border-t border-gray-50">
+          <p className="text-xs text-gray-500 italic flex items-start gap-1">
+            <AlertCircle className="h-3 w-3 mt-0.5 flex-shrink-0" />
+            {ticket.observacoes}
+          </p>
+        </div>
+      )}
+    </Card>
+  );
+};
+
 const TransactionsList = ({ onEdit }) => {
-  const { transactions, loading: contextLoading, refreshData } = useData();
+  const { transactions: liveTransactions, materials } = useData();
+  const queryClient = useQueryClient();
   const [deleteConfirm, setDeleteConfirm] = useState(null);
+  const [receiptLines, setReceiptLines] = useState(null);
+  const [pixCharge, setPixCharge] = useState(null);
+  const [filters, setFilters] = useState({
+    periodo: "todos",
+    tipo: "",
+    material: "",
+    searchTerm: "",
+  });
+  const debouncedSearch = useDebounce(filters.searchTerm, 400);
   const { toast } = useToast();
 
+  const {
+    data,
+    isPending,
+    isFetchingNextPage,
+    hasNextPage,
+    fetchNextPage,
+    refetch,
+  } = useInfiniteTransactions({ ...filters, searchTerm: debouncedSearch });
+  const transactions = data?.pages.flatMap((page) => page.transactions) ?? [];
+
+  // Busca direta pelo id lido no QR code de um comprovante
+  const lookupId = FIRESTORE_ID_PATTERN.test(debouncedSearch.trim())
+    ? debouncedSearch.trim()
+    : null;
+  const { data: lookedUp } = useTransactionById(lookupId);
+
+  // Carrega a próxima página quando o fim da lista aparece na tela
+  const sentinelRef = useRef(null);
+  useEffect(() => {
+    const sentinel = sentinelRef.current;
+    if (!sentinel || !hasNextPage) return;
+
+    const observer = new IntersectionObserver(
+      (entries) => {
+        if (entries[0].isIntersecting && !isFetchingNextPage) {
+          fetchNextPage();
+        }
+      },
+      { rootMargin: "200px" },
+    );
+    observer.observe(sentinel);
+    return () => observer.disconnect();
+  }, [hasNextPage, isFetchingNextPage, fetchNextPage, transactions.length]);
+
+  // O listener do contexto avisa quando algo mudou; as páginas são recarregadas
+  const isFirstSync = useRef(true);
+  useEffect(() => {
+    if (isFirstSync.current) {
+      isFirstSync.current = false;
+      return;
+    }
+    queryClient.invalidateQueries({ queryKey: ["transactions", "paged"] });
+  }, [liveTransactions, queryClient]);
+
+  const updateFilter = (field, value) =>
+    setFilters((prev) => ({ ...prev, [field]: value }));
+
   const handleDelete = async (transaction) => {
     try {
       const { deleteTransaction } = await import("../lib/firebaseService");
@@ -137,35 +358,7 @@ const TransactionsList = ({ onEdit }) => {
     }
   };
 
-  const materials = {
-    ferro: { label: "Ferro", color: "bg-gray-600" },
-    aluminio: { label: "Alumínio", color: "bg-blue-600" },
-    cobre: { label: "Cobre", color: "bg-orange-600" },
-    latinha: { label: "Latinha", color: "bg-green-600" },
-    panela: { label: "Panela", color: "bg-purple-600" },
-    bloco2: { label: "Bloco 2°", color: "bg-red-600" },
-    chapa: { label: "Chapa", color: "bg-yellow-600" },
-    "perfil pintado": { label: "Perfil pintado", color: "bg-indigo-600" },
-    "perfil natural": { label: "Perfil natural", color: "bg-indigo-600" },
-    bloco: { label: "Bloco", color: "bg-pink-600" },
-    metal: { label: "Metal", color: "bg-gray-700" },
-    inox: { label: "Inox", color: "bg-blue-700" },
-    bateria: { label: "Bateria", color: "bg-green-700" },
-    motor_gel: { label: "Motor Gel", color: "bg-purple-700" },
-    roda: { label: "Roda", color: "bg-black" },
-    papelao: { label: "Papelão", color: "bg-yellow-700" },
-    papel_branco: { label: "Papel branco", color: "bg-gray-400" },
-    rad_metal: { label: "Rad. Metal", color: "bg-rose-600" },
-    rad_cobre: { label: "Rad. Cobre", color: "bg-orange-700" },
-    rad_chapa: { label: "Rad. Chapa", color: "bg-violet-600" },
-    tela: { label: "Tela", color: "bg-lime-600" },
-    antimonio: { label: "Antimônio", color: "bg-fuchsia-600" },
-    cabo_ai: { label: "Cabo AI", color: "bg-sky-600" },
-    tubo_limpo: { label: "Tubo Limpo", color: "bg-green-700" },
-    despesa: { label: "Despesa", color: "bg-red-500" },
-  };
-
-  if (contextLoading) {
+  if (isPending) {
     return (
       <div className="flex items-center justify-center p-8">
         <div className="animate-spin rounded-full h-8 w-8 border-b-2 border-blue-600"></div>
@@ -177,30 +370,136 @@ const TransactionsList = ({ onEdit }) => {
   return (
     <div className="space-y-4">
       <div className="flex items-center justify-between">
-        <h2 className="text-xl font-bold text-gray-900">Transações Recentes</h2>
-        <Button onClick={refreshData} variant="outline" size="sm">
+        <h2 className="text-xl font-bold text-gray-900">
+          Histórico de Transações
+        </h2>
+        <Button onClick={() => refetch()} variant="outline" size="sm">
           Atualizar
         </Button>
       </div>
 
-      {transactions.length === 0 ? (
+      <div className="grid grid-cols-1 md:grid-cols-4 gap-2">
+        <div className="relative md:col-span-1">
+          <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-gray-400" />
+          <input
+            value={filters.searchTerm}
+            onChange={(e) => updateFilter("searchTerm", e.target.value)}
+            placeholder="Buscar..."
+            className="w-full h-9 pl-9 pr-3 rounded-md border border-gray-300 text-sm"
+          />
+        </div>
+        <select
+          value={filters.periodo}
+          onChange={(e) => updateFilter("periodo", e.target.value)}
+          className="h-9 px-3 rounded-md border border-gray-300 bg-white text-sm"
+        >
+          <option value="todos">Todo o período</option>
+          <option value="hoje">Hoje</option>
+          <option value="semana">Esta semana</option>
+          <option value="mes">Este mês</option>
+          <option value="trimestre">Este trimestre</option>
+          <option value="ano">Este ano</option>
+        </select>
+        <select
+          value={filters.tipo}
+          onChange={(e) => updateFilter("tipo", e.target.value)}
+          className="h-9 px-3 rounded-md border border-gray-300 bg-white text-sm"
+        >
+          <option value="">Todos os tipos</option>
+          <option value="venda">Vendas</option>
+          <option value="compra">Compras</option>
+          <option value="despesa">Despesas</option>
+        </select>
+        <select
+          value={filters.material}
+          onChange={(e) => updateFilter("material", e.target.value)}
+          className="h-9 px-3 rounded-md border border-gray-300 bg-white text-sm"
+        >
+          <option value="">Todos os materiais</option>
+          {materials.map((m) => (
+            <option key={m.key} value={m.key}>
+              {m.name}
+            </option>
+          ))}
+        </select>
+      </div>
+
+      {lookedUp && (
+        <Card className="p-4 flex items-center justify-between gap-3 border-blue-200 bg-blue-50/50">
+          <div className="flex items-center gap-3 min-w-0">
+            <QrCode className="h-5 w-5 text-blue-600 flex-shrink-0" />
+            <div className="min-w-0">
+              <p className="text-sm font-bold text-gray-900">
+                Comprovante encontrado
+              </p>
+              <p className="text-xs text-gray-500 truncate">
+                {lookedUp.tipo === "venda" ? "Venda" : "Compra"} ·{" "}
+                {getMaterialByKey(lookedUp.material)?.name || lookedUp.material}{" "}
+                · {formatDate(lookedUp.data)} ·{" "}
+                {formatCurrency(lookedUp.valorTotal)}
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => setReceiptLines([lookedUp])}
+            >
+              <Printer className="h-3.5 w-3.5 mr-1" />
+              Comprovante
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={() => onEdit && onEdit(lookedUp)}
+            >
+              <Edit className="h-3.5 w-3.5 mr-1" />
+              Abrir
+            </Button>
+          </div>
+        </Card>
+      )}
+
+      {transactions.length === 0 && !hasNextPage ? (
         <Card className="p-8 text-center">
           <Package className="h-12 w-12 text-gray-400 mx-auto mb-4" />
           <p className="text-gray-500">Nenhuma transação encontrada</p>
         </Card>
       ) : (
         <div className="space-y-3">
-          {transactions.map((transaction) => {
+          {groupTransactionsByTicket(transactions).map((transaction) => {
+            if (transaction.isTicket) {
+              return (
+                <TicketCard
+                  key={transaction.id}
+                  ticket={transaction}
+                  onEdit={onEdit}
+                  onDelete={setDeleteConfirm}
+                  onPrint={setReceiptLines}
+                  onPixCharge={setPixCharge}
+                />
+              );
+            }
+
             const isDespesa = transaction.tipo === "despesa";
             const isEmprestimo =
               isDespesa &&
               (transaction.categoria === "emprestimo" ||
                 transaction.observacoes?.toLowerCase().includes("empréstimo"));
 
-            const material = materials[transaction.material] || {
-              label: transaction.material || (isDespesa ? "Despesa" : "Outro"),
-              color: isDespesa ? "bg-red-500" : "bg-gray-500",
-            };
+            const catalogItem = getMaterialByKey(transaction.material);
+            const material = catalogItem
+              ? {
+                  label: catalogItem.name,
+                  color: getMaterialColorClass(catalogItem.key),
+                }
+              : {
+                  label: isDespesa
+                    ? "Despesa"
+                    : transaction.material || "Outro",
+                  color: isDespesa ? "bg-red-500" : "bg-gray-500",
+                };
 
             return (
               <Card
@@ -283,6 +582,13 @@ const TransactionsList = ({ onEdit }) => {
                           </div>
                         )}
 
+                        {formatWeighing(transaction) && (
+                          <div className="col-span-2 flex items-center">
+                            <Scale className="h-3 w-3 mr-1 text-slate-400" />
+                            {formatWeighing(transaction)}
+                          </div>
+                        )}
+
                         {!isDespesa && (
                           <div className="flex items-center">
                             <Tag className="h-3 w-3 mr-1 text-slate-400" />
@@ -328,6 +634,28 @@ const TransactionsList = ({ onEdit }) => {
                   </div>
 
                   <div className="flex items-center space-x-1">
+                    {transaction.tipo === "venda" && (
+                      <Button
+                        variant="ghost"
+                        size="icon"
+                        onClick={() => setPixCharge(transaction)}
+                        className="h-8 w-8 text-slate-400 hover:text-teal-600 hover:bg-teal-50"
+                        title="Cobrar via PIX"
+                      >
+                        <QrCode className="h-4 w-4" />
+                      </Button>
+                    )}
+
+                    <Button
+                      variant="ghost"
+                      size="icon"
+                      onClick={() => setReceiptLines([transaction])}
+                      className="h-8 w-8 text-slate-400 hover:text-slate-700 hover:bg-slate-100"
+                      title="Comprovante"
+                    >
+                      <Printer className="h-4 w-4" />
+                    </Button>
+
                     <Button
                       variant="ghost"
                       size="icon"
@@ -359,9 +687,44 @@ const TransactionsList = ({ onEdit }) => {
               </Card>
             );
           })}
+
+          {/* Sentinela da rolagem infinita */}
+          <div
+            ref={sentinelRef}
+            className="flex items-center justify-center py-4 text-sm text-gray-500"
+          >
+            {isFetchingNextPage ? (
+              <>
+                <Loader2 className="h-4 w-4 mr-2 animate-spin" />
+                Carregando mais transações...
+              </>
+            ) : hasNextPage ? (
+              <Button variant="ghost" size="sm" onClick={() => fetchNextPage()}>
+                Carregar mais
+              </Button>
+            ) : (
+              transactions.length > 0 && "Fim do histórico"
+            )}
+          </div>
         </div>
       )}
 
+      {pixCharge && (
+        <PixChargeDialog
+          valor={pixCharge.valorTotal}
+          txid={pixCharge.ticketId || pixCharge.id}
+          descricao={pixCharge.vendedor}
+          onClose={() => setPixCharge(null)}
+        />
+      )}
+
+      {receiptLines && (
+        <ReceiptDialog
+          lines={receiptLines}
+          onClose={() => setReceiptLines(null)}
+        />
+      )}
+
       {/* Modal de confirmação de exclusão */}
       {deleteConfirm && (
         <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
@@ -376,7 +739,7 @@ const TransactionsList = ({ onEdit }) => {
             </div>
 
             <p className="text-slate-600 mb-6">
-              Esta ação removerá permanentemente o registro de{" "}
+              Esta ação moverá para a Lixeira o registro de{" "}
               <strong>{formatCurrency(deleteConfirm.valorTotal)}</strong>.
             </p>
 
@@ -0,0 +1,567 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import {
+  Wallet,
+  Lock,
+  Unlock,
+  ArrowDownCircle,
+  ArrowUpCircle,
+  FileDown,
+  History,
+} from "lucide-react";
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  useOpenCashSession,
+  useCashSessionActivity,
+  useCashSessions,
+  useOpenCash,
+  useAddCashMovement,
+  useCloseCash,
+} from "@/hooks/useFirebaseQuery";
+import { getCashSessionActivity } from "@/lib/firebaseService";
+import { generateCashClosingPDF } from "@/utils/reportGenerators";
+import { formatCurrency } from "@/utils/formatters";
+
+const TYPE_LABELS = {
+  venda: "Vendas",
+  compra: "Compras",
+  despesa: "Despesas",
+  emprestimo: "Empréstimos a Clientes",
+  pagamento: "Recebimentos de Clientes",
+};
+
+const PAYMENT_LABELS = {
+  dinheiro: "Dinheiro",
+  pix: "PIX",
+  pagamento_divida: "Pagamento de Dívida",
+  prazo: "A Prazo",
+};
+
+const formatDateTime = (date) =>
+  date ? format(date, "dd/MM/yyyy 'às' HH:mm", { locale: ptBR }) : "-";
+
+const DifferenceBadge = ({ diferenca }) => {
+  const value = Number(diferenca) || 0;
+  if (value === 0) {
+    return <Badge className="bg-emerald-100 text-emerald-700">Confere</Badge>;
+  }
+  return (
+    <Badge
+      className={
+        value > 0 ? "bg-blue-100 text-blue-700" : "bg-rose-100 text-rose-700"
+      }
+    >
+      {value > 0 ? "Sobra" : "Falta"} {formatCurrency(Math.abs(value))}
+    </Badge>
+  );
+};
+
+const OpenCashForm = () => {
+  const { toast } = useToast();
+  const openCash = useOpenCash();
+  const [valorAbertura, setValorAbertura] = useState("");
+  const [observacoes, setObservacoes] = useState("");
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await openCash.mutateAsync({
+        valorAbertura: Number(valorAbertura) || 0,
+        observacoes,
+      });
+      toast({
+        title: "Caixa aberto",
+        description: `Troco inicial de ${formatCurrency(Number(valorAbertura) || 0)}.`,
+      });
+    } catch (err) {
+      toast({
+        title: "Erro ao abrir caixa",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Card className="p-6 border-slate-200 shadow-sm">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="flex items-center gap-2">
+          <Unlock className="h-5 w-5 text-emerald-600" />
+          <h3 className="font-bold text-slate-800">Abrir Caixa</h3>
+        </div>
+        <p className="text-sm text-slate-500">
+          Conte o dinheiro da gaveta e informe o troco inicial. Todas as
+          compras, vendas e despesas lançadas a partir de agora entram neste
+          caixa.
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 gap-3">
+          <div>
+            <label className="text-xs font-bold text-slate-400 uppercase">
+              Troco contado (R$)
+            </label>
+            <Input
+              type="number"
+              step="0.01"
+              min="0"
+              required
+              value={valorAbertura}
+              onChange={(e) => setValorAbertura(e.target.value)}
+              placeholder="0,00"
+            />
+          </div>
+          <div>
+            <label className="text-xs font-bold text-slate-400 uppercase">
+              Observações
+            </label>
+            <Input
+              value={observacoes}
+              onChange={(e) => setObservacoes(e.target.value)}
+              placeholder="Opcional"
+            />
+          </div>
+        </div>
+        <Button
+          type="submit"
+          disabled={openCash.isPending}
+          className="bg-emerald-600 hover:bg-emerald-700"
+        >
+          {openCash.isPending ? "Abrindo..." : "Abrir Caixa"}
+        </Button>
+      </form>
+    </Card>
+  );
+};
+
+const CashMovementForm = ({ session }) => {
+  const { toast } = useToast();
+  const addMovement = useAddCashMovement();
+  const [movement, setMovement] = useState({
+    tipo: "sangria",
+    valor: "",
+    motivo: "",
+  });
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      await addMovement.mutateAsync({ sessionId: session.id, ...movement });
+      toast({
+        title:
+          movement.tipo === "sangria"
+            ? "Sangria registrada"
+            : "Suprimento registrado",
+        description: formatCurrency(Number(movement.valor)),
+      });
+      setMovement({ ...movement, valor: "", motivo: "" });
+    } catch (err) {
+      toast({
+        title: "Erro ao registrar movimentação",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="grid grid-cols-1 sm:grid-cols-4 gap-3 items-end"
+    >
+      <div>
+        <label className="text-xs font-bold text-slate-400 uppercase">
+          Tipo
+        </label>
+        <select
+          value={movement.tipo}
+          onChange={(e) => setMovement({ ...movement, tipo: e.target.value })}
+          className="w-full h-10 px-3 rounded-md border border-input bg-background text-sm"
+        >
+          <option value="sangria">Sangria (retirada)</option>
+          <option value="suprimento">Suprimento (reforço)</option>
+        </select>
+      </div>
+      <div>
+        <label className="text-xs font-bold text-slate-400 uppercase">
+          Valor (R$)
+        </label>
+        <Input
+          type="number"
+          step="0.01"
+          min="0.01"
+          required
+          value={movement.valor}
+          onChange={(e) => setMovement({ ...movement, valor: e.target.value })}
+        />
+      </div>
+      <div>
+        <label className="text-xs font-bold text-slate-400 uppercase">
+          Motivo
+        </label>
+        <Input
+          value={movement.motivo}
+          onChange={(e) => setMovement({ ...movement, motivo: e.target.value })}
+          placeholder="Ex.: depósito no banco"
+        />
+      </div>
+      <Button type="submit" variant="outline" disabled={addMovement.isPending}>
+        Registrar
+      </Button>
+    </form>
+  );
+};
+
+const CloseCashForm = ({ session, resumo }) => {
+  const { toast } = useToast();
+  const closeCash = useCloseCash();
+  const [valorContado, setValorContado] = useState("");
+  const [observacoes, setObservacoes] = useState("");
+
+  const diferenca =
+    valorContado === ""
+      ? null
+      : Math.round(((Number(valorContado) || 0) - resumo.valorEsperado) * 100) /
+        100;
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (
+      !window.confirm(
+        `Fechar o caixa com ${formatCurrency(Number(valorContado) || 0)} contados?`,
+      )
+    ) {
+      return;
+    }
+    try {
+      const closedSession = await closeCash.mutateAsync({
+        valorContado: Number(valorContado) || 0,
+        observacoes,
+      });
+      const { movements } = await getCashSessionActivity(closedSession);
+      generateCashClosingPDF(closedSession, movements);
+      toast({
+        title: "Caixa fechado",
+        description: "O PDF de fechamento foi gerado.",
+      });
+    } catch (err) {
+      toast({
+        title: "Erro ao fechar caixa",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <form onSubmit={handleSubmit} className="space-y-3">
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3 items-end">
+        <div>
+          <label className="text-xs font-bold text-slate-400 uppercase">
+            Valor contado (R$)
+          </label>
+          <Input
+            type="number"
+            step="0.01"
+            min="0"
+            required
+            value={valorContado}
+            onChange={(e) => setValorContado(e.target.value)}
+          />
+        </div>
+        <div className="sm:col-span-2">
+          <label className="text-xs font-bold text-slate-400 uppercase">
+            Observações
+          </label>
+          <Input
+            value={observacoes}
+            onChange={(e) => setObservacoes(e.target.value)}
+            placeholder="Justifique sobras ou faltas"
+          />
+        </div>
+      </div>
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <p className="text-sm text-slate-600 flex items-center gap-2">
+          Esperado: <strong>{formatCurrency(resumo.valorEsperado)}</strong>
+          {diferenca !== null && <DifferenceBadge diferenca={diferenca} />}
+        </p>
+        <Button
+          type="submit"
+          disabled={closeCash.isPending || session.status !== "aberto"}
+          className="gap-2 bg-slate-900 hover:bg-slate-800"
+        >
+          <Lock className="h-4 w-4" />
+          {closeCash.isPending ? "Fechando..." : "Fechar Caixa e Gerar PDF"}
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const OpenCashSession = ({ session }) => {
+  const { data, isLoading, error } = useCashSessionActivity(session);
+
+  if (isLoading) {
+    return (
+      <p className="text-center text-sm text-slate-500 py-10">
+        Carregando movimento do caixa...
+      </p>
+    );
+  }
+  if (error) {
+    return (
+      <p className="text-center text-sm text-rose-600 py-10">
+        Erro ao carregar o caixa: {error.message}
+      </p>
+    );
+  }
+
+  const { resumo, movements } = data;
+
+  return (
+    <div className="space-y-4">
+      <Card className="p-4 border-emerald-200 bg-emerald-50/40 shadow-sm">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+          <div className="flex items-center gap-2">
+            <Unlock className="h-5 w-5 text-emerald-600" />
+            <p className="font-bold text-slate-800">Caixa aberto</p>
+            <Badge variant="outline">
+              {formatDateTime(session.abertoEm)} ·{" "}
+              {session.abertoPor?.nome || "Desconhecido"}
+            </Badge>
+          </div>
+          <p className="text-sm text-slate-600">
+            Esperado em dinheiro:{" "}
+            <strong className="text-lg text-slate-900">
+              {formatCurrency(resumo.valorEsperado)}
+            </strong>
+          </p>
+        </div>
+      </Card>
+
+      <div className="grid grid-cols-2 lg:grid-cols-4 gap-3">
+        <Card className="p-4 border-slate-200">
+          <p className="text-[10px] font-bold text-slate-400 uppercase">
+            Troco inicial
+          </p>
+          <p className="font-bold text-slate-800">
+            {formatCurrency(session.valorAbertura)}
+          </p>
+        </Card>
+        <Card className="p-4 border-slate-200">
+          <p className="text-[10px] font-bold text-slate-400 uppercase flex items-center gap-1">
+            <ArrowUpCircle className="h-3 w-3 text-emerald-500" />
+            Entradas em dinheiro
+          </p>
+          <p className="font-bold text-emerald-700">
+            {formatCurrency(resumo.entradasDinheiro)}
+          </p>
+        </Card>
+        <Card className="p-4 border-slate-200">
+          <p className="text-[10px] font-bold text-slate-400 uppercase flex items-center gap-1">
+            <ArrowDownCircle className="h-3 w-3 text-rose-500" />
+            Saídas em dinheiro
+          </p>
+          <p className="font-bold text-rose-700">
+            {formatCurrency(resumo.saidasDinheiro)}
+          </p>
+        </Card>
+        <Card className="p-4 border-slate-200">
+          <p className="text-[10px] font-bold text-slate-400 uppercase">
+            Suprimentos − Sangrias
+          </p>
+          <p className="font-bold text-slate-800">
+            {formatCurrency(resumo.suprimentos - resumo.sangrias)}
+          </p>
+        </Card>
+      </div>
+
+      <Card className="p-4 border-slate-200 shadow-sm">
+        <h3 className="font-bold text-slate-800 mb-3">
+          Lançamentos por forma de pagamento
+        </h3>
+        {resumo.grupos.length === 0 ? (
+          <p className="text-sm text-slate-500">
+            Nenhuma transação lançada desde a abertura.
+          </p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-slate-400 uppercase">
+                <th className="text-left font-semibold py-1">Tipo</th>
+                <th className="text-left font-semibold py-1">Pagamento</th>
+                <th className="text-center font-semibold py-1">Qtd.</th>
+                <th className="text-right font-semibold py-1">Total</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {resumo.grupos.map((g) => (
+                <tr
+                  key={`${g.tipo}:${g.formaPagamento}`}
+                  className={
+                    g.formaPagamento === "dinheiro" ? "" : "text-slate-400"
+                  }
+                >
+                  <td className="py-1.5 font-medium">
+                    {TYPE_LABELS[g.tipo] || g.tipo}
+                  </td>
+                  <td className="py-1.5">
+                    {PAYMENT_LABELS[g.formaPagamento] || g.formaPagamento}
+                  </td>
+                  <td className="py-1.5 text-center">{g.count}</td>
+                  <td className="py-1.5 text-right font-semibold">
+                    {formatCurrency(g.total)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        )}
+        <p className="text-[11px] text-slate-400 mt-2">
+          Só os lançamentos em dinheiro alteram o valor esperado na gaveta.
+        </p>
+      </Card>
+
+      <Card className="p-4 border-slate-200 shadow-sm space-y-4">
+        <h3 className="font-bold text-slate-800">Sangrias e Suprimentos</h3>
+        <CashMovementForm session={session} />
+        {movements.length > 0 && (
+          <div className="divide-y divide-slate-100 border border-slate-100 rounded-lg">
+            {movements.map((m) => (
+              <div
+                key={m.id}
+                className="flex items-center justify-between gap-2 p-3 text-sm"
+              >
+                <span className="text-slate-600">
+                  {format(m.createdAt, "HH:mm")} ·{" "}
+                  <strong>
+                    {m.tipo === "sangria" ? "Sangria" : "Suprimento"}
+                  </strong>
+                  {m.motivo && ` · ${m.motivo}`} ·{" "}
+                  {m.registradoPor?.nome || "Desconhecido"}
+                </span>
+                <span
+                  className={`font-bold ${m.tipo === "sangria" ? "text-rose-600" : "text-emerald-600"}`}
+                >
+                  {m.tipo === "sangria" ? "−" : "+"}
+                  {formatCurrency(m.valor)}
+                </span>
+              </div>
+            ))}
+          </div>
+        )}
+      </Card>
+
+      <Card className="p-4 border-slate-200 shadow-sm space-y-3">
+        <div className="flex items-center gap-2">
+          <Lock className="h-5 w-5 text-slate-700" />
+          <h3 className="font-bold text-slate-800">Fechar Caixa</h3>
+        </div>
+        <CloseCashForm session={session} resumo={resumo} />
+      </Card>
+    </div>
+  );
+};
+
+const CashSessionHistory = () => {
+  const { toast } = useToast();
+  const { data: sessions = [], isLoading } = useCashSessions();
+  const closedSessions = sessions.filter((s) => s.status === "fechado");
+
+  const handleReprint = async (session) => {
+    try {
+      const { movements } = await getCashSessionActivity(session);
+      generateCashClosingPDF(session, movements);
+    } catch (err) {
+      toast({
+        title: "Erro ao gerar PDF",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  if (isLoading || closedSessions.length === 0) return null;
+
+  return (
+    <Card className="p-4 border-slate-200 shadow-sm">
+      <div className="flex items-center gap-2 mb-3">
+        <History className="h-5 w-5 text-slate-500" />
+        <h3 className="font-bold text-slate-800">Fechamentos anteriores</h3>
+      </div>
+      <div className="divide-y divide-slate-100">
+        {closedSessions.map((session) => (
+          <div
+            key={session.id}
+            className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 py-3"
+          >
+            <div className="text-sm">
+              <p className="font-semibold text-slate-800">
+                {formatDateTime(session.abertoEm)} até{" "}
+                {formatDateTime(session.fechadoEm)}
+              </p>
+              <p className="text-xs text-slate-500">
+                Fechado por {session.fechadoPor?.nome || "Desconhecido"} ·
+                Esperado {formatCurrency(session.valorEsperado)} · Contado{" "}
+                {formatCurrency(session.valorContado)}
+              </p>
+            </div>
+            <div className="flex items-center gap-2">
+              <DifferenceBadge diferenca={session.diferenca} />
+              <Button
+                size="sm"
+                variant="outline"
+                onClick={() => handleReprint(session)}
+                className="gap-2"
+              >
+                <FileDown className="h-4 w-4" />
+                PDF
+              </Button>
+            </div>
+          </div>
+        ))}
+      </div>
+    </Card>
+  );
+};
+
+export default function CashRegister() {
+  const { data: session, isLoading, error } = useOpenCashSession();
+
+  return (
+    <div className="w-full max-w-5xl mx-auto px-4 py-8 space-y-6">
+      <div>
+        <h1 className="text-3xl font-extrabold text-slate-900 tracking-tight flex items-center gap-3">
+          <div className="p-2.5 bg-emerald-600 rounded-xl shadow-lg shadow-emerald-500/20 text-white">
+            <Wallet className="h-7 w-7" />
+          </div>
+          Caixa
+        </h1>
+        <p className="text-slate-500 mt-2 ml-14">
+          Abertura, sangrias, suprimentos e fechamento com conferência.
+        </p>
+      </div>
+
+      {isLoading ? (
+        <p className="text-center text-sm text-slate-500 py-10">
+          Carregando caixa...
+        </p>
+      ) : error ? (
+        <p className="text-center text-sm text-rose-600 py-10">
+          Erro ao carregar o caixa: {error.message}
+        </p>
+      ) : session ? (
+        <OpenCashSession session={session} />
+      ) : (
+        <OpenCashForm />
+      )}
+
+      <CashSessionHistory />
+    </div>
+  );
+}
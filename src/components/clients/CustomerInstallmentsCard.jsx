@@ -0,0 +1,88 @@
+"use client";
+
+import { useMemo } from "react";
+import { CalendarClock } from "lucide-react";
+import { Card, CardContent } from "../ui/card";
+import { LEDGER_ENTRY_TYPES } from "../../lib/debtLedger";
+import {
+  buildInstallmentSchedule,
+  INSTALLMENT_STATUS,
+} from "../../lib/installments";
+import { formatCurrency, formatDate } from "../../utils/formatters";
+
+// Parcelas e vencimentos das dívidas do cliente, com a situação de cada uma
+export default function CustomerInstallmentsCard({ ledger = [] }) {
+  const schedule = useMemo(() => buildInstallmentSchedule(ledger), [ledger]);
+  if (schedule.length === 0) return null;
+
+  const vencidas = schedule.filter((parcela) => parcela.status === "vencida");
+  const totalVencido = vencidas.reduce(
+    (sum, parcela) => sum + parcela.restante,
+    0,
+  );
+
+  return (
+    <Card
+      className={`bg-white shadow-md ${vencidas.length > 0 ? "border-red-200" : "border-slate-200"}`}
+    >
+      <CardContent className="p-5 space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <h4 className="text-sm font-black text-slate-700 uppercase tracking-wider flex items-center gap-2">
+            <CalendarClock className="h-4 w-4 text-indigo-600" /> Parcelas e
+            Vencimentos
+          </h4>
+          {vencidas.length > 0 && (
+            <span className="text-xs font-bold text-red-700 bg-red-100 rounded-full px-2.5 py-1">
+              {vencidas.length} vencida{vencidas.length > 1 ? "s" : ""} ·{" "}
+              {formatCurrency(totalVencido)}
+            </span>
+          )}
+        </div>
+
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-left text-[10px] font-black uppercase tracking-wider text-slate-400">
+                <th className="py-2 pr-3">Vencimento</th>
+                <th className="py-2 pr-3">Dívida</th>
+                <th className="py-2 pr-3">Parcela</th>
+                <th className="py-2 pr-3 text-right">Valor</th>
+                <th className="py-2 pr-3 text-right">Em aberto</th>
+                <th className="py-2 text-right">Situação</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {schedule.map((parcela) => (
+                <tr key={`${parcela.lancamentoId}-${parcela.numero}`}>
+                  <td className="py-2 pr-3 font-semibold text-slate-700">
+                    {formatDate(parcela.vencimento)}
+                  </td>
+                  <td className="py-2 pr-3 text-slate-600">
+                    {parcela.descricao ||
+                      LEDGER_ENTRY_TYPES[parcela.tipo]?.label}
+                  </td>
+                  <td className="py-2 pr-3 text-slate-500">
+                    {parcela.numero}/{parcela.totalParcelas}
+                  </td>
+                  <td className="py-2 pr-3 text-right text-slate-700">
+                    {formatCurrency(parcela.valor)}
+                  </td>
+                  <td className="py-2 pr-3 text-right font-bold text-slate-800">
+                    {formatCurrency(parcela.restante)}
+                  </td>
+                  <td className="py-2 text-right">
+                    <span
+                      className={`rounded-full px-2.5 py-1 text-[10px] font-black ${INSTALLMENT_STATUS[parcela.status].className}`}
+                    >
+                      {INSTALLMENT_STATUS[parcela.status].label}
+                    </span>
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+        </div>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,293 @@
+"use client";
+
+import { useState } from "react";
+import { BookOpen, Check, Plus, Trash2 } from "lucide-react";
+import { Button } from "../ui/button";
+import { Card, CardContent } from "../ui/card";
+import { Input } from "../ui/input";
+import { useToast } from "../ui/use-toast";
+import {
+  useAddLedgerEntry,
+  useReviewLedgerEntry,
+  useDeleteLedgerEntry,
+} from "../../hooks/useFirebaseQuery";
+import {
+  getLedgerImpact,
+  LEDGER_ENTRY_TYPES,
+  MANUAL_ENTRY_TYPES,
+} from "../../lib/debtLedger";
+import { can } from "../../lib/permissions";
+import { formatCurrency, formatDate } from "../../utils/formatters";
+
+const TYPE_STYLES = {
+  amber: "bg-amber-100 text-amber-700",
+  green: "bg-emerald-100 text-emerald-700",
+  slate: "bg-slate-100 text-slate-600",
+};
+
+const ORIGIN_LABELS = {
+  transacao: "Transação",
+  manual: "Manual",
+  migracao: "Migração",
+  emprestimo: "Empréstimo",
+};
+
+const fieldClass =
+  "h-9 w-full rounded-lg border border-slate-200 bg-white px-2 text-sm focus:border-blue-500 focus:outline-none";
+
+const today = () => new Date().toISOString().split("T")[0];
+
+// Só os lançamentos em dinheiro alteram o valor esperado no caixa
+const PAYMENT_METHODS = [
+  { value: "dinheiro", label: "Dinheiro" },
+  { value: "pix", label: "PIX" },
+];
+
+// Lançamentos da conta corrente do cliente, com lançamento manual e revisão
+export default function CustomerLedgerCard({ customer, ledger = [] }) {
+  const { toast } = useToast();
+  const addEntry = useAddLedgerEntry();
+  const reviewEntry = useReviewLedgerEntry();
+  const deleteEntry = useDeleteLedgerEntry();
+  const canLaunch = can("clients.ledger");
+  const canReview = can("clients.ledgerReview");
+  const manualTypes = MANUAL_ENTRY_TYPES.filter(
+    (tipo) => tipo !== "ajuste" || canReview,
+  );
+
+  const [form, setForm] = useState({
+    tipo: "pagamento",
+    valor: "",
+    data: today(),
+    descricao: "",
+    formaPagamento: "dinheiro",
+  });
+
+  const pendentes = ledger.filter((entry) => !entry.revisado).length;
+  const entries = [...ledger].reverse();
+
+  const run = async (action, successTitle) => {
+    try {
+      await action();
+      toast({
+        title: successTitle,
+        className: "bg-green-100 border-green-500 text-green-800",
+      });
+      return true;
+    } catch (err) {
+      toast({
+        title: "Erro na conta corrente",
+        description: err.message,
+        variant: "destructive",
+      });
+      return false;
+    }
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    const ok = await run(
+      () =>
+        addEntry.mutateAsync({
+          clienteId: customer.id,
+          tipo: form.tipo,
+          valor: Number(form.valor),
+          data: new Date(`${form.data}T12:00:00`),
+          descricao: form.descricao,
+          formaPagamento: form.formaPagamento,
+        }),
+      "Lançamento registrado!",
+    );
+    if (ok) setForm((prev) => ({ ...prev, valor: "", descricao: "" }));
+  };
+
+  const handleDelete = (entry) => {
+    if (!window.confirm("Remover este lançamento da conta do cliente?")) return;
+    run(() => deleteEntry.mutateAsync(entry.id), "Lançamento removido");
+  };
+
+  return (
+    <Card className="bg-white border-slate-200 shadow-md">
+      <CardContent className="p-5 space-y-4">
+        <div className="flex items-center justify-between gap-3">
+          <h4 className="text-sm font-black text-slate-700 uppercase tracking-wider flex items-center gap-2">
+            <BookOpen className="h-4 w-4 text-indigo-600" /> Conta Corrente
+          </h4>
+          {pendentes > 0 && (
+            <span className="text-xs font-bold text-amber-700 bg-amber-100 rounded-full px-2.5 py-1">
+              {pendentes} a revisar
+            </span>
+          )}
+        </div>
+
+        {canLaunch && (
+          <form
+            onSubmit={handleSubmit}
+            className="grid gap-2 sm:grid-cols-[140px_120px_110px_140px_1fr_auto]"
+          >
+            <select
+              className={fieldClass}
+              value={form.tipo}
+              onChange={(e) => setForm({ ...form, tipo: e.target.value })}
+            >
+              {manualTypes.map((tipo) => (
+                <option key={tipo} value={tipo}>
+                  {LEDGER_ENTRY_TYPES[tipo].label}
+                </option>
+              ))}
+            </select>
+            <Input
+              type="number"
+              step="0.01"
+              required
+              placeholder={form.tipo === "ajuste" ? "± Valor" : "Valor"}
+              value={form.valor}
+              onChange={(e) => setForm({ ...form, valor: e.target.value })}
+            />
+            <select
+              className={fieldClass}
+              value={form.formaPagamento}
+              disabled={form.tipo === "ajuste"}
+              onChange={(e) =>
+                setForm({ ...form, formaPagamento: e.target.value })
+              }
+              aria-label="Forma de pagamento"
+            >
+              {PAYMENT_METHODS.map((method) => (
+                <option key={method.value} value={method.value}>
+                  {method.label}
+                </option>
+              ))}
+            </select>
+            <Input
+              type="date"
+              required
+              value={form.data}
+              onChange={(e) => setForm({ ...form, data: e.target.value })}
+            />
+            <Input
+              placeholder="Descrição"
+              value={form.descricao}
+              onChange={(e) => setForm({ ...form, descricao: e.target.value })}
+            />
+            <Button
+              type="submit"
+              disabled={addEntry.isPending}
+              className="gap-1"
+            >
+              <Plus className="h-4 w-4" />
+              Lançar
+            </Button>
+          </form>
+        )}
+
+        {entries.length === 0 ? (
+          <p className="text-sm text-slate-400">
+            Nenhum lançamento na conta deste cliente.
+          </p>
+        ) : (
+          <ul className="divide-y divide-slate-100 rounded-xl border border-slate-100 max-h-96 overflow-y-auto">
+            {entries.map((entry) => {
+              const type = LEDGER_ENTRY_TYPES[entry.tipo];
+              const impacto = getLedgerImpact(entry);
+              return (
+                <li
+                  key={entry.id}
+                  className={`flex flex-wrap items-center gap-3 p-3 text-sm ${entry.revisado ? "" : "bg-amber-50/60"}`}
+                >
+                  <span className="w-20 text-xs text-slate-500">
+                    {formatDate(entry.data)}
+                  </span>
+                  <span
+                    className={`rounded-full px-2.5 py-1 text-[10px] font-black ${TYPE_STYLES[type?.cor] || TYPE_STYLES.slate}`}
+                  >
+                    {type?.label || entry.tipo}
+                  </span>
+                  <div className="flex-1 min-w-[120px]">
+                    <p className="text-slate-700 truncate">
+                      {entry.descricao || "—"}
+                    </p>
+                    <p className="text-[10px] text-slate-400">
+                      {ORIGIN_LABELS[entry.origem] || entry.origem}
+                      {!entry.revisado && (
+                        <span className="ml-1 font-bold text-amber-600">
+                          · a revisar
+                        </span>
+                      )}
+                    </p>
+                  </div>
+                  <span
+                    className={`font-bold ${impacto > 0 ? "text-red-600" : impacto < 0 ? "text-emerald-600" : "text-slate-500"}`}
+                  >
+                    {impacto > 0 ? "+" : impacto < 0 ? "−" : ""}
+                    {formatCurrency(Math.abs(impacto))}
+                  </span>
+
+                  {canReview && (
+                    <div className="flex items-center gap-1">
+                      {!entry.revisado && (
+                        <>
+                          <select
+                            className="h-8 rounded-lg border border-slate-200 bg-white px-1 text-xs"
+                            value={entry.tipo}
+                            disabled={reviewEntry.isPending}
+                            onChange={(e) =>
+                              run(
+                                () =>
+                                  reviewEntry.mutateAsync({
+                                    id: entry.id,
+                                    tipo: e.target.value,
+                                  }),
+                                "Tipo corrigido",
+                              )
+                            }
+                          >
+                            {Object.entries(LEDGER_ENTRY_TYPES).map(
+                              ([key, option]) => (
+                                <option key={key} value={key}>
+                                  {option.label}
+                                </option>
+                              ),
+                            )}
+                          </select>
+                          <Button
+                            variant="ghost"
+                            size="icon"
+                            title="Confirmar lançamento"
+                            disabled={reviewEntry.isPending}
+                            onClick={() =>
+                              run(
+                                () => reviewEntry.mutateAsync({ id: entry.id }),
+                                "Lançamento confirmado",
+                              )
+                            }
+                            className="h-8 w-8 text-emerald-600"
+                          >
+                            <Check className="h-4 w-4" />
+                          </Button>
+                        </>
+                      )}
+                      {(entry.origem === "manual" ||
+                        entry.origem === "migracao") && (
+                        <Button
+                          variant="ghost"
+                          size="icon"
+                          title="Remover lançamento"
+                          disabled={deleteEntry.isPending}
+                          onClick={() => handleDelete(entry)}
+                          className="h-8 w-8 text-red-500"
+                        >
+                          <Trash2 className="h-4 w-4" />
+                        </Button>
+                      )}
+                    </div>
+                  )}
+                </li>
+              );
+            })}
+          </ul>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
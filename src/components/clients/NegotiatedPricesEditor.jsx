@@ -0,0 +1,152 @@
+"use client";
+
+import { Plus, Trash2, Tag } from "lucide-react";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Badge } from "../ui/badge";
+import { useData } from "../../contexts/DataContext";
+import { getNegotiatedPriceStatus } from "../../lib/negotiatedPrices";
+
+const STATUS_STYLES = {
+  vigente: { label: "Vigente", className: "bg-emerald-100 text-emerald-700" },
+  futuro: { label: "Futuro", className: "bg-blue-100 text-blue-700" },
+  expirado: { label: "Expirado", className: "bg-slate-100 text-slate-500" },
+};
+
+const fieldClass =
+  "h-9 w-full rounded-lg border border-slate-200 bg-white px-2 text-sm focus:border-blue-500 focus:outline-none";
+
+const EMPTY_PRICE = {
+  material: "",
+  tipo: "compra",
+  preco: "",
+  validoDe: "",
+  validoAte: "",
+};
+
+// Lista editável de preços negociados do cadastro do cliente
+export default function NegotiatedPricesEditor({ value = [], onChange }) {
+  const { materials } = useData();
+
+  const updateRow = (index, field, fieldValue) => {
+    onChange(
+      value.map((price, i) =>
+        i === index ? { ...price, [field]: fieldValue } : price,
+      ),
+    );
+  };
+
+  return (
+    <div className="space-y-3">
+      <div className="flex items-center justify-between">
+        <label className="text-xs font-semibold text-slate-700 uppercase tracking-wide ml-1 flex items-center gap-1">
+          <Tag className="h-3.5 w-3.5" />
+          Preços Negociados
+        </label>
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          onClick={() => onChange([...value, { ...EMPTY_PRICE }])}
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Adicionar
+        </Button>
+      </div>
+
+      {value.length === 0 ? (
+        <p className="text-xs text-slate-400 ml-1">
+          Sem acordo: as transações usam o preço de tabela do estoque.
+        </p>
+      ) : (
+        value.map((price, index) => {
+          const status = STATUS_STYLES[getNegotiatedPriceStatus(price)];
+          return (
+            <div
+              key={index}
+              className="rounded-lg border border-slate-200 p-3 space-y-2 bg-slate-50/50"
+            >
+              <div className="grid grid-cols-[1fr_auto_auto] gap-2">
+                <select
+                  className={fieldClass}
+                  value={price.material}
+                  onChange={(e) => updateRow(index, "material", e.target.value)}
+                >
+                  <option value="">Material...</option>
+                  {materials.map((material) => (
+                    <option key={material.key} value={material.key}>
+                      {material.icon} {material.name}
+                    </option>
+                  ))}
+                </select>
+                <select
+                  className={fieldClass}
+                  value={price.tipo}
+                  onChange={(e) => updateRow(index, "tipo", e.target.value)}
+                >
+                  <option value="compra">Compra</option>
+                  <option value="venda">Venda</option>
+                </select>
+                <Button
+                  type="button"
+                  variant="ghost"
+                  size="icon"
+                  className="h-9 w-9 text-slate-400 hover:text-red-600"
+                  onClick={() => onChange(value.filter((_, i) => i !== index))}
+                >
+                  <Trash2 className="h-4 w-4" />
+                </Button>
+              </div>
+              <div className="grid grid-cols-3 gap-2">
+                <div>
+                  <span className="text-[10px] font-semibold text-slate-400 uppercase">
+                    Preço/kg
+                  </span>
+                  <Input
+                    type="number"
+                    step="0.01"
+                    min="0"
+                    className="h-9"
+                    value={price.preco}
+                    onChange={(e) => updateRow(index, "preco", e.target.value)}
+                  />
+                </div>
+                <div>
+                  <span className="text-[10px] font-semibold text-slate-400 uppercase">
+                    Válido de
+                  </span>
+                  <Input
+                    type="date"
+                    className="h-9"
+                    value={price.validoDe}
+                    onChange={(e) =>
+                      updateRow(index, "validoDe", e.target.value)
+                    }
+                  />
+                </div>
+                <div>
+                  <span className="text-[10px] font-semibold text-slate-400 uppercase">
+                    Até
+                  </span>
+                  <Input
+                    type="date"
+                    className="h-9"
+                    value={price.validoAte}
+                    onChange={(e) =>
+                      updateRow(index, "validoAte", e.target.value)
+                    }
+                  />
+                </div>
+              </div>
+              {price.material && (
+                <Badge className={`${status.className} border-none`}>
+                  {status.label}
+                </Badge>
+              )}
+            </div>
+          );
+        })
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,79 @@
+"use client";
+
+import { memo, useMemo } from "react";
+import { CalendarClock, ArrowRight } from "lucide-react";
+import { useData } from "../../contexts/DataContext";
+import { useInstallmentSchedule } from "../../hooks/useFirebaseQuery";
+import { DUE_SOON_DAYS, getDueSoon } from "../../lib/installments";
+import { formatCurrency, formatDate } from "../../utils/formatters";
+import { Card } from "../ui/card";
+import { Button } from "../ui/button";
+
+/**
+ * Parcelas de clientes que vencem nos próximos dias. Some do painel quando
+ * nada vence na semana.
+ */
+export const DueThisWeek = memo(({ onOpen, limit = 5 }) => {
+  const { customers } = useData();
+  const { data: schedule = [] } = useInstallmentSchedule();
+  const dueSoon = useMemo(() => getDueSoon(schedule), [schedule]);
+
+  if (dueSoon.length === 0) return null;
+
+  const names = Object.fromEntries(customers.map((c) => [c.id, c.nome]));
+  const total = dueSoon.reduce((sum, parcela) => sum + parcela.restante, 0);
+
+  return (
+    <Card className="p-0 overflow-hidden border-amber-100 shadow-sm bg-white">
+      <div className="p-6 border-b border-slate-50 flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <CalendarClock className="h-5 w-5 text-amber-600" />
+            Vencimentos da Semana
+          </h3>
+          <p className="text-xs text-slate-400 font-medium">
+            {dueSoon.length} parcela(s) · {formatCurrency(total)} nos próximos{" "}
+            {DUE_SOON_DAYS} dias
+          </p>
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onOpen}
+          className="text-xs font-bold text-amber-600 hover:text-amber-700 hover:bg-amber-50 rounded-full px-4"
+        >
+          CLIENTES <ArrowRight className="ml-1 h-3 w-3" />
+        </Button>
+      </div>
+
+      <ul className="divide-y divide-slate-50">
+        {dueSoon.slice(0, limit).map((parcela) => (
+          <li
+            key={`${parcela.lancamentoId}-${parcela.numero}`}
+            className="flex items-center justify-between gap-3 p-4 text-sm"
+          >
+            <div className="min-w-0">
+              <p className="font-bold text-slate-800 truncate">
+                {names[parcela.clienteId] || "Cliente removido"}
+              </p>
+              <p className="text-[11px] text-slate-400 truncate">
+                Parcela {parcela.numero}/{parcela.totalParcelas}
+                {parcela.descricao && ` · ${parcela.descricao}`}
+              </p>
+            </div>
+            <div className="text-right">
+              <p className="font-semibold text-slate-700">
+                {formatCurrency(parcela.restante)}
+              </p>
+              <p className="text-[11px] text-slate-400">
+                {formatDate(parcela.vencimento)}
+              </p>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  );
+});
+
+DueThisWeek.displayName = "DueThisWeek";
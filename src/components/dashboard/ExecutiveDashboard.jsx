@@ -28,6 +28,8 @@ import {
   MonthlyComparisonChart,
 } from "./AdvancedCharts";
 import { RecentActivity } from "./RecentActivity";
+import { OpenWeighingTickets } from "./OpenWeighingTickets";
+import { DueThisWeek } from "./DueThisWeek";
 import { LoadingOverlay } from "../ui/loading";
 import { Button } from "../ui/button";
 import {
@@ -461,6 +463,10 @@ export default function ExecutiveDashboard({ onQuickAction }) {
               }}
             />
 
+            <OpenWeighingTickets onOpen={() => onQuickAction("weighing")} />
+
+            <DueThisWeek onOpen={() => onQuickAction("clients")} />
+
             <RecentActivity transactions={recentTransactions} limit={6} />
           </div>
         </div>
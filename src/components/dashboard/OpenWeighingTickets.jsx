@@ -0,0 +1,71 @@
+"use client";
+
+import { memo } from "react";
+import { Truck, ArrowRight, Clock } from "lucide-react";
+import { useOpenWeighingTickets } from "../../hooks/useFirebaseQuery";
+import { formatWeight, formatRelativeTime } from "../../utils/formatters";
+import { Card } from "../ui/card";
+import { Button } from "../ui/button";
+
+/**
+ * Caminhões que já passaram pela balança na entrada e aguardam a pesagem
+ * de saída. Some do painel quando não há nenhum ticket aberto.
+ */
+export const OpenWeighingTickets = memo(({ onOpen, limit = 5 }) => {
+  const { data: tickets = [] } = useOpenWeighingTickets();
+
+  if (tickets.length === 0) return null;
+
+  return (
+    <Card className="p-0 overflow-hidden border-sky-100 shadow-sm bg-white">
+      <div className="p-6 border-b border-slate-50 flex items-center justify-between">
+        <div>
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <Truck className="h-5 w-5 text-sky-600" />
+            Caminhões no Pátio
+          </h3>
+          <p className="text-xs text-slate-400 font-medium">
+            {tickets.length} ticket(s) aguardando a pesagem de saída
+          </p>
+        </div>
+        <Button
+          variant="ghost"
+          size="sm"
+          onClick={onOpen}
+          className="text-xs font-bold text-sky-600 hover:text-sky-700 hover:bg-sky-50 rounded-full px-4"
+        >
+          BALANÇA <ArrowRight className="ml-1 h-3 w-3" />
+        </Button>
+      </div>
+
+      <ul className="divide-y divide-slate-50">
+        {tickets.slice(0, limit).map((ticket) => (
+          <li
+            key={ticket.id}
+            className="flex items-center justify-between gap-3 p-4 text-sm"
+          >
+            <div className="min-w-0">
+              <p className="font-mono font-bold text-slate-800">
+                {ticket.placa}
+              </p>
+              <p className="text-[11px] text-slate-400 truncate">
+                {ticket.vendedor || ticket.motorista || "Sem identificação"}
+              </p>
+            </div>
+            <div className="text-right">
+              <p className="font-semibold text-slate-700">
+                {formatWeight(ticket.pesoEntrada)}
+              </p>
+              <p className="text-[11px] text-slate-400 flex items-center justify-end gap-1">
+                <Clock className="h-3 w-3" />
+                {formatRelativeTime(ticket.entradaEm)}
+              </p>
+            </div>
+          </li>
+        ))}
+      </ul>
+    </Card>
+  );
+});
+
+OpenWeighingTickets.displayName = "OpenWeighingTickets";
@@ -7,7 +7,7 @@ import { transactionSchema } from "../../schemas/transactionSchema"
 import { useFormValidation } from "../../hooks/useFormValidation"
 import { useAddTransaction } from "../../hooks/useFirebaseQuery"
 import { formatCurrency } from "../../utils/formatters"
-import { materialTypes } from "../../config/designTokens"
+import { useData } from "../../contexts/DataContext"
 import { Card } from "../ui/card"
 import { Button } from "../ui/button"
 import { Input } from "../ui/input"
@@ -30,6 +30,7 @@ export default function SmartTransactionForm({ onSuccess, initialType = "compra"
   const [touched, setTouched] = useState({})
   const { errors, validate, clearError } = useFormValidation(transactionSchema)
   const addTransactionMutation = useAddTransaction()
+  const { materials: materialTypes } = useData()
 
   // Calculate total automatically
   useEffect(() => {
@@ -0,0 +1,209 @@
+"use client";
+
+import { useState } from "react";
+import { Scale, Plus, X } from "lucide-react";
+import { Input } from "../ui/input";
+import { Label } from "../ui/label";
+import {
+  useTarePresets,
+  useSaveTarePresets,
+} from "../../hooks/useFirebaseQuery";
+import { calculateNetWeight } from "../../utils/calculations";
+import { formatWeight } from "../../utils/formatters";
+
+/**
+ * Pesagem de uma compra: peso bruto, tara (digitada ou escolhida entre as
+ * taras salvas) e desconto de impureza/umidade. O peso líquido calculado é
+ * devolvido em onChange junto com os campos alterados, como `quantidade`.
+ */
+export const WeighingFields = ({ value, onChange }) => {
+  const { data: presets = [] } = useTarePresets();
+  const savePresets = useSaveTarePresets();
+  const [newPresetName, setNewPresetName] = useState(null);
+
+  const pesoLiquido = calculateNetWeight(
+    value.pesoBruto,
+    value.tara,
+    value.descontoImpureza,
+  );
+  const pesoSemTara =
+    (Number(value.pesoBruto) || 0) - (Number(value.tara) || 0);
+
+  // Sem peso bruto a quantidade continua digitada à mão
+  const update = (patch) => {
+    const next = { ...value, ...patch };
+    if (!(Number(next.pesoBruto) > 0)) {
+      onChange(patch);
+      return;
+    }
+    onChange({
+      ...patch,
+      quantidade: calculateNetWeight(
+        next.pesoBruto,
+        next.tara,
+        next.descontoImpureza,
+      ).toString(),
+    });
+  };
+
+  const handleSavePreset = async () => {
+    const nome = newPresetName?.trim();
+    if (!nome) return;
+    await savePresets.mutateAsync([
+      ...presets.filter((preset) => preset.nome !== nome),
+      { nome, peso: Number(value.tara) },
+    ]);
+    update({ taraDescricao: nome });
+    setNewPresetName(null);
+  };
+
+  const handleRemovePreset = (nome) => {
+    savePresets.mutate(presets.filter((preset) => preset.nome !== nome));
+  };
+
+  return (
+    <div className="rounded-xl border-2 border-slate-200 bg-slate-50/50 p-4 space-y-3">
+      <p className="text-sm font-bold text-slate-700 flex items-center gap-2">
+        <Scale className="h-4 w-4" />
+        Pesagem
+        <span className="text-xs font-normal text-slate-400">
+          (opcional: preencha o bruto para calcular o líquido)
+        </span>
+      </p>
+
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div className="space-y-1">
+          <Label htmlFor="pesoBruto">Peso Bruto (kg)</Label>
+          <Input
+            id="pesoBruto"
+            type="number"
+            step="0.01"
+            min="0"
+            value={value.pesoBruto ?? ""}
+            onChange={(e) => update({ pesoBruto: e.target.value })}
+            placeholder="0.00"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="tara">Tara (kg)</Label>
+          <Input
+            id="tara"
+            type="number"
+            step="0.01"
+            min="0"
+            value={value.tara ?? ""}
+            onChange={(e) =>
+              update({ tara: e.target.value, taraDescricao: "" })
+            }
+            placeholder="0.00"
+          />
+        </div>
+        <div className="space-y-1">
+          <Label htmlFor="descontoImpureza">Desconto Impureza (%)</Label>
+          <Input
+            id="descontoImpureza"
+            type="number"
+            step="0.5"
+            min="0"
+            max="100"
+            value={value.descontoImpureza ?? ""}
+            onChange={(e) => update({ descontoImpureza: e.target.value })}
+            placeholder="0"
+          />
+        </div>
+      </div>
+
+      <div className="flex flex-wrap items-center gap-2">
+        {presets.map((preset) => (
+          <span
+            key={preset.nome}
+            className={`inline-flex items-center rounded-full border text-xs ${
+              value.taraDescricao === preset.nome
+                ? "border-blue-400 bg-blue-50 text-blue-700"
+                : "border-slate-200 bg-white text-slate-600"
+            }`}
+          >
+            <button
+              type="button"
+              className="pl-3 pr-1 py-1"
+              onClick={() =>
+                update({
+                  tara: String(preset.peso),
+                  taraDescricao: preset.nome,
+                })
+              }
+            >
+              {preset.nome} · {formatWeight(preset.peso)}
+            </button>
+            <button
+              type="button"
+              className="pr-2 py-1 text-slate-400 hover:text-red-600"
+              onClick={() => handleRemovePreset(preset.nome)}
+              aria-label={`Remover tara ${preset.nome}`}
+            >
+              <X className="h-3 w-3" />
+            </button>
+          </span>
+        ))}
+
+        {Number(value.tara) > 0 &&
+          !value.taraDescricao &&
+          (newPresetName === null ? (
+            <button
+              type="button"
+              className="inline-flex items-center gap-1 text-xs text-blue-600 hover:underline"
+              onClick={() => setNewPresetName("")}
+            >
+              <Plus className="h-3 w-3" />
+              Salvar esta tara
+            </button>
+          ) : (
+            <span className="inline-flex items-center gap-1">
+              <Input
+                autoFocus
+                className="h-8 w-36 text-xs"
+                placeholder="Nome (ex.: carrinho)"
+                value={newPresetName}
+                onChange={(e) => setNewPresetName(e.target.value)}
+                onKeyDown={(e) => {
+                  if (e.key === "Enter") {
+                    e.preventDefault();
+                    handleSavePreset();
+                  }
+                }}
+              />
+              <button
+                type="button"
+                className="text-xs font-semibold text-blue-600 disabled:opacity-50"
+                disabled={savePresets.isPending}
+                onClick={handleSavePreset}
+              >
+                Salvar
+              </button>
+              <button
+                type="button"
+                className="text-xs text-slate-400"
+                onClick={() => setNewPresetName(null)}
+              >
+                Cancelar
+              </button>
+            </span>
+          ))}
+      </div>
+
+      {Number(value.pesoBruto) > 0 && (
+        <p
+          className={`text-xs ${pesoSemTara > 0 ? "text-slate-600" : "text-red-600"}`}
+        >
+          {pesoSemTara > 0
+            ? `${formatWeight(value.pesoBruto)} − ${formatWeight(value.tara || 0)} de tara${
+                Number(value.descontoImpureza) > 0
+                  ? ` − ${Number(value.descontoImpureza)}% de impureza`
+                  : ""
+              } = ${formatWeight(pesoLiquido)} líquido`
+            : "A tara é maior ou igual ao peso bruto."}
+        </p>
+      )}
+    </div>
+  );
+};
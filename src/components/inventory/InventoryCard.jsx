@@ -1,6 +1,6 @@
 "use client";
 
-import { memo } from "react";
+import { memo, useState } from "react";
 import { motion } from "framer-motion";
 import {
   Edit,
@@ -11,6 +11,8 @@ import {
   TrendingDown,
   Package,
   AlertCircle,
+  History,
+  LineChart,
 } from "lucide-react";
 import {
   formatCurrency,
@@ -21,6 +23,7 @@ import { calculateMargin } from "../../utils/calculations";
 import { Button } from "../ui/button";
 import { Input } from "../ui/input";
 import { Badge } from "../ui/badge";
+import { PriceTimeline } from "./PriceTimeline";
 
 export const InventoryCard = memo(
   ({
@@ -28,6 +31,7 @@ export const InventoryCard = memo(
     item,
     isEditing,
     onEdit,
+    onHistory,
     onSave,
     onCancel,
     editForm,
@@ -38,9 +42,15 @@ export const InventoryCard = memo(
     const compra = Number(item?.precoCompra) || 0;
     const venda = Number(item?.precoVenda) || 0;
     const minStock = Number(material?.minStock) || 0;
-    const totalValue = qtd * compra;
+    // Estoque valorizado pelo custo médio pago, não pela tabela de compra
+    const custoMedio = Number(item?.custoMedio ?? compra) || 0;
+    const totalValue = qtd * custoMedio;
     const margin = calculateMargin(compra, venda);
     const isNegative = qtd < 0;
+    const [showPrices, setShowPrices] = useState(false);
+    const priceChanged =
+      Number(editForm?.precoCompra) !== compra ||
+      Number(editForm?.precoVenda) !== venda;
 
     // Cores de Status
     const statusConfig = isNegative
@@ -71,17 +81,37 @@ export const InventoryCard = memo(
         animate={{ opacity: 1, scale: 1 }}
         className={`group relative rounded-2xl border-2 transition-all duration-300 hover:shadow-xl hover:-translate-y-1 ${statusConfig.border} ${statusConfig.bg} bg-white`}
       >
-        {/* Botão Editar Flutuante */}
+        {/* Botões Flutuantes */}
         {!isEditing && (
-          <div className="absolute top-4 right-4 opacity-0 group-hover:opacity-100 transition-opacity z-10">
+          <div className="absolute top-4 right-4 flex gap-1 opacity-0 group-hover:opacity-100 transition-opacity z-10">
             <Button
               variant="secondary"
               size="icon"
-              onClick={() => onEdit(material.key)}
+              onClick={() => setShowPrices((prev) => !prev)}
+              title="Histórico de preços"
               className="h-8 w-8 rounded-full shadow-sm bg-white hover:bg-blue-50 hover:text-blue-600"
             >
-              <Edit className="h-4 w-4" />
+              <LineChart className="h-4 w-4" />
             </Button>
+            <Button
+              variant="secondary"
+              size="icon"
+              onClick={() => onHistory(material.key)}
+              title="Movimentações"
+              className="h-8 w-8 rounded-full shadow-sm bg-white hover:bg-blue-50 hover:text-blue-600"
+            >
+              <History className="h-4 w-4" />
+            </Button>
+            {onEdit && (
+              <Button
+                variant="secondary"
+                size="icon"
+                onClick={() => onEdit(material.key)}
+                className="h-8 w-8 rounded-full shadow-sm bg-white hover:bg-blue-50 hover:text-blue-600"
+              >
+                <Edit className="h-4 w-4" />
+              </Button>
+            )}
           </div>
         )}
 
@@ -116,6 +146,38 @@ export const InventoryCard = memo(
 
           {isEditing ? (
             <div className="flex-1 flex flex-col justify-center space-y-3 animate-in fade-in">
+              <div className="space-y-1">
+                <label className="text-xs font-bold text-slate-400 uppercase">
+                  Quantidade (kg)
+                </label>
+                <Input
+                  type="number"
+                  step="0.001"
+                  value={editForm.quantidade}
+                  onChange={(e) =>
+                    setEditForm({
+                      ...editForm,
+                      quantidade: parseFloat(e.target.value) || 0,
+                    })
+                  }
+                  className="font-mono text-sm"
+                />
+              </div>
+              {Number(editForm.quantidade) !== qtd && (
+                <div className="space-y-1">
+                  <label className="text-xs font-bold text-slate-400 uppercase">
+                    Motivo do Ajuste
+                  </label>
+                  <Input
+                    value={editForm.motivo || ""}
+                    onChange={(e) =>
+                      setEditForm({ ...editForm, motivo: e.target.value })
+                    }
+                    placeholder="Ex: contagem física"
+                    className="text-sm"
+                  />
+                </div>
+              )}
               <div className="space-y-1">
                 <label className="text-xs font-bold text-slate-400 uppercase">
                   Compra (R$)
@@ -150,6 +212,42 @@ export const InventoryCard = memo(
                   className="font-mono text-sm"
                 />
               </div>
+              {priceChanged && (
+                <>
+                  <div className="space-y-1">
+                    <label className="text-xs font-bold text-slate-400 uppercase">
+                      Preço Vigente Desde
+                    </label>
+                    <Input
+                      type="date"
+                      value={editForm.vigenteDesde || ""}
+                      onChange={(e) =>
+                        setEditForm({
+                          ...editForm,
+                          vigenteDesde: e.target.value,
+                        })
+                      }
+                      className="text-sm"
+                    />
+                  </div>
+                  <div className="space-y-1">
+                    <label className="text-xs font-bold text-slate-400 uppercase">
+                      Motivo da Alteração de Preço
+                    </label>
+                    <Input
+                      value={editForm.motivoPreco || ""}
+                      onChange={(e) =>
+                        setEditForm({
+                          ...editForm,
+                          motivoPreco: e.target.value,
+                        })
+                      }
+                      placeholder="Ex: reajuste da siderúrgica"
+                      className="text-sm"
+                    />
+                  </div>
+                </>
+              )}
               <div className="flex gap-2 pt-2">
                 <Button
                   size="sm"
@@ -224,6 +322,14 @@ export const InventoryCard = memo(
                     {isNegative ? "---" : formatCurrency(totalValue)}
                   </p>
                 </div>
+                <div className="col-span-2 flex items-center justify-between">
+                  <span className="text-[10px] font-bold text-slate-400 uppercase">
+                    Custo Médio
+                  </span>
+                  <span className="text-xs font-semibold text-slate-600">
+                    {formatCurrency(custoMedio)}/kg
+                  </span>
+                </div>
                 <div className="col-span-2 mt-1">
                   <div
                     className={`flex items-center justify-between px-2 py-1.5 rounded-lg ${margin > 0 ? "bg-emerald-50 text-emerald-700" : "bg-slate-50 text-slate-600"}`}
@@ -236,6 +342,18 @@ export const InventoryCard = memo(
                     </span>
                   </div>
                 </div>
+                {showPrices && (
+                  <div className="col-span-2 pt-2 border-t border-slate-100">
+                    <p className="text-[10px] font-bold text-slate-400 uppercase mb-1">
+                      Histórico de Preços
+                    </p>
+                    <PriceTimeline
+                      material={material.key}
+                      precoCompra={compra}
+                      precoVenda={venda}
+                    />
+                  </div>
+                )}
               </div>
             </>
           )}
@@ -2,17 +2,21 @@
 
 import { useState, useMemo, useEffect } from "react";
 import { motion, AnimatePresence } from "framer-motion";
-import { Package } from "lucide-react";
+import { format } from "date-fns";
+import { Package, Boxes } from "lucide-react";
 import { useInventory, useUpdateInventory } from "../../hooks/useFirebaseQuery";
 import { useQueryClient } from "@tanstack/react-query";
 import { useDebounce } from "../../hooks/useDebounce";
-import { materialTypes } from "../../config/designTokens";
+import { usePermissions } from "../../hooks/usePermissions";
+import { useData } from "../../contexts/DataContext";
 import { InventoryCard } from "./InventoryCard";
 import { InventoryTableView } from "./InventoryTableView";
 import { InventoryFilters } from "./InventoryFilters";
 import { InventoryStats } from "./InventoryStats";
+import { StockMovementHistory } from "./StockMovementHistory";
 import { LoadingOverlay } from "../ui/loading";
 import { EmptyState } from "../ui/empty-state";
+import MaterialCatalogManager from "../materials/MaterialCatalogManager";
 import { printInventory, exportInventoryToCSV } from "../../lib/utils";
 
 export default function OptimizedInventory() {
@@ -22,11 +26,15 @@ export default function OptimizedInventory() {
   const [selectedCategory, setSelectedCategory] = useState("todos");
   const [viewMode, setViewMode] = useState("grid");
   const [showLowStock, setShowLowStock] = useState(false);
+  const [showCatalog, setShowCatalog] = useState(false);
+  const [historyMaterial, setHistoryMaterial] = useState(null);
 
   const queryClient = useQueryClient();
   const debouncedSearch = useDebounce(searchTerm, 300);
+  const { materials: materialTypes } = useData();
   const { data: inventory = {}, isLoading, error } = useInventory();
   const updateInventoryMutation = useUpdateInventory();
+  const { can } = usePermissions();
 
   // Força busca fresca do Firestore toda vez que a página abre,
   // ignorando cache antigo que pode conter chaves corrompidas
@@ -50,17 +58,24 @@ export default function OptimizedInventory() {
         !showLowStock || (qtd <= (material.minStock || 0) && !isNegative);
       return matchesSearch && matchesCategory && matchesLowStock;
     });
-  }, [debouncedSearch, selectedCategory, showLowStock, inventory]);
+  }, [
+    debouncedSearch,
+    selectedCategory,
+    showLowStock,
+    inventory,
+    materialTypes,
+  ]);
 
   const handleEdit = (materialKey) => {
     setEditingItem(materialKey);
-    setEditForm(
-      inventory[materialKey] || {
+    setEditForm({
+      ...(inventory[materialKey] || {
         quantidade: 0,
         precoCompra: 0,
         precoVenda: 0,
-      },
-    );
+      }),
+      vigenteDesde: format(new Date(), "yyyy-MM-dd"),
+    });
   };
 
   const handleSave = async () => {
@@ -78,11 +93,20 @@ export default function OptimizedInventory() {
     }
   };
 
+  const handleHistory = (materialKey) => {
+    setHistoryMaterial(
+      materialTypes.find((material) => material.key === materialKey) || null,
+    );
+  };
+
   const handleCancel = () => {
     setEditingItem(null);
     setEditForm({});
   };
 
+  // Sem permissão os cards ficam só para consulta (sem botão de editar)
+  const editHandler = can("inventory.edit") ? handleEdit : null;
+
   if (isLoading) return <LoadingOverlay message="Carregando estoque..." />;
   if (error)
     return (
@@ -96,18 +120,36 @@ export default function OptimizedInventory() {
     <div className="min-h-screen bg-slate-50/50 pb-20">
       <div className="w-full max-w-[1920px] mx-auto px-4 sm:px-6 lg:px-8 py-8">
         {/* Header */}
-        <div className="mb-8 pl-1">
-          <h1 className="text-3xl font-extrabold text-slate-900 tracking-tight flex items-center gap-3">
-            <div className="p-2.5 bg-blue-600 rounded-xl shadow-lg shadow-blue-500/20 text-white">
-              <Package className="h-7 w-7" />
-            </div>
-            Gestão de Estoque
-          </h1>
-          <p className="text-slate-500 mt-2 text-lg ml-14">
-            Controle inteligente de materiais e precificação.
-          </p>
+        <div className="mb-8 pl-1 flex flex-col md:flex-row md:items-end justify-between gap-4">
+          <div>
+            <h1 className="text-3xl font-extrabold text-slate-900 tracking-tight flex items-center gap-3">
+              <div className="p-2.5 bg-blue-600 rounded-xl shadow-lg shadow-blue-500/20 text-white">
+                <Package className="h-7 w-7" />
+              </div>
+              Gestão de Estoque
+            </h1>
+            <p className="text-slate-500 mt-2 text-lg ml-14">
+              Controle inteligente de materiais e precificação.
+            </p>
+          </div>
+          {can("materials.manage") && (
+            <button
+              type="button"
+              onClick={() => setShowCatalog((prev) => !prev)}
+              className={`flex items-center gap-2 px-4 py-2.5 rounded-xl text-sm font-bold transition-all ${
+                showCatalog
+                  ? "bg-blue-600 text-white shadow-md shadow-blue-200"
+                  : "bg-white text-slate-600 border border-slate-200 hover:border-blue-200 hover:text-blue-600"
+              }`}
+            >
+              <Boxes className="h-4 w-4" />
+              Catálogo de Materiais
+            </button>
+          )}
         </div>
 
+        {showCatalog && can("materials.manage") && <MaterialCatalogManager />}
+
         {/* Widgets KPIs */}
         <InventoryStats inventory={inventory} materials={materialTypes} />
 
@@ -151,7 +193,8 @@ export default function OptimizedInventory() {
                 <InventoryTableView
                   materials={filteredMaterials}
                   inventory={inventory}
-                  onEdit={handleEdit}
+                  onEdit={editHandler}
+                  onHistory={handleHistory}
                 />
               </motion.div>
             ) : (
@@ -174,7 +217,8 @@ export default function OptimizedInventory() {
                       material={material}
                       item={item}
                       isEditing={editingItem === material.key}
-                      onEdit={handleEdit}
+                      onEdit={editHandler}
+                      onHistory={handleHistory}
                       onSave={handleSave}
                       onCancel={handleCancel}
                       editForm={editForm}
@@ -188,6 +232,13 @@ export default function OptimizedInventory() {
           </AnimatePresence>
         </div>
       </div>
+
+      {historyMaterial && (
+        <StockMovementHistory
+          material={historyMaterial}
+          onClose={() => setHistoryMaterial(null)}
+        />
+      )}
     </div>
   );
 }
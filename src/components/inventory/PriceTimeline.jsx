@@ -0,0 +1,103 @@
+"use client";
+
+import { useMemo } from "react";
+import { format } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import {
+  LineChart,
+  Line,
+  XAxis,
+  YAxis,
+  Tooltip,
+  ResponsiveContainer,
+} from "recharts";
+import { usePriceHistory } from "../../hooks/useFirebaseQuery";
+import { formatCurrency } from "../../utils/formatters";
+
+// Linha do tempo dos preços de tabela de um material, exibida no card
+export const PriceTimeline = ({ material, precoCompra, precoVenda }) => {
+  const { data: history = [], isLoading, error } = usePriceHistory(material);
+
+  // Um ponto por alteração (com o preço anterior no início) e o preço atual
+  const points = useMemo(() => {
+    if (history.length === 0) return [];
+    const first = history[0];
+    return [
+      {
+        label: "Início",
+        precoCompra: first.precoCompraAnterior,
+        precoVenda: first.precoVendaAnterior,
+      },
+      ...history.map((entry) => ({
+        label: format(entry.vigenteDesde, "dd/MM/yy"),
+        precoCompra: entry.precoCompra,
+        precoVenda: entry.precoVenda,
+      })),
+      { label: "Hoje", precoCompra, precoVenda },
+    ];
+  }, [history, precoCompra, precoVenda]);
+
+  if (isLoading) {
+    return <p className="text-xs text-slate-400 py-4">Carregando preços...</p>;
+  }
+  if (error) {
+    return (
+      <p className="text-xs text-rose-600 py-4">
+        Erro ao carregar histórico: {error.message}
+      </p>
+    );
+  }
+  if (history.length === 0) {
+    return (
+      <p className="text-xs text-slate-400 py-4">
+        Nenhuma alteração de preço registrada.
+      </p>
+    );
+  }
+
+  const recent = history.slice(-3).reverse();
+
+  return (
+    <div className="space-y-2">
+      <ResponsiveContainer width="100%" height={120}>
+        <LineChart
+          data={points}
+          margin={{ top: 5, right: 5, bottom: 0, left: -20 }}
+        >
+          <XAxis dataKey="label" tick={{ fontSize: 10 }} />
+          <YAxis tick={{ fontSize: 10 }} />
+          <Tooltip formatter={(value) => formatCurrency(value)} />
+          <Line
+            type="stepAfter"
+            dataKey="precoCompra"
+            name="Compra"
+            stroke="#2563eb"
+            strokeWidth={2}
+            dot={{ r: 2 }}
+          />
+          <Line
+            type="stepAfter"
+            dataKey="precoVenda"
+            name="Venda"
+            stroke="#059669"
+            strokeWidth={2}
+            dot={{ r: 2 }}
+          />
+        </LineChart>
+      </ResponsiveContainer>
+      <ul className="space-y-1">
+        {recent.map((entry) => (
+          <li key={entry.id} className="text-[11px] text-slate-500">
+            <span className="font-semibold text-slate-600">
+              {format(entry.vigenteDesde, "dd/MM/yyyy", { locale: ptBR })}
+            </span>{" "}
+            {formatCurrency(entry.precoCompra)} /{" "}
+            {formatCurrency(entry.precoVenda)}
+            {entry.alteradoPor?.nome && ` · ${entry.alteradoPor.nome}`}
+            {entry.motivo && ` · ${entry.motivo}`}
+          </li>
+        ))}
+      </ul>
+    </div>
+  );
+};
@@ -0,0 +1,299 @@
+"use client";
+
+import { useState } from "react";
+import {
+  X,
+  History,
+  ArrowDownCircle,
+  ArrowUpCircle,
+  Shuffle,
+} from "lucide-react";
+import { format } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import {
+  useStockMovements,
+  useConvertMaterial,
+} from "../../hooks/useFirebaseQuery";
+import { useData } from "../../contexts/DataContext";
+import { usePermissions } from "../../hooks/usePermissions";
+import { formatWeight } from "../../utils/formatters";
+import { Button } from "../ui/button";
+import { Input } from "../ui/input";
+import { Badge } from "../ui/badge";
+
+// Rótulos e cores das causas gravadas em stock_movements
+const MOVEMENT_CAUSES = {
+  compra: { label: "Compra", className: "bg-emerald-50 text-emerald-700" },
+  venda: { label: "Venda", className: "bg-blue-50 text-blue-700" },
+  edicao: { label: "Edição", className: "bg-amber-50 text-amber-700" },
+  exclusao: { label: "Exclusão", className: "bg-rose-50 text-rose-700" },
+  ajuste: { label: "Ajuste", className: "bg-slate-100 text-slate-700" },
+  conversao: { label: "Conversão", className: "bg-violet-50 text-violet-700" },
+  restauracao: {
+    label: "Restauração",
+    className: "bg-teal-50 text-teal-700",
+  },
+  importacao: {
+    label: "Importação",
+    className: "bg-indigo-50 text-indigo-700",
+  },
+};
+
+export const StockMovementHistory = ({ material, onClose }) => {
+  const { materials } = useData();
+  const {
+    data: movements = [],
+    isLoading,
+    error,
+  } = useStockMovements(material.key);
+  const convertMutation = useConvertMaterial();
+  const { can } = usePermissions();
+
+  const [showConversion, setShowConversion] = useState(false);
+  const [conversion, setConversion] = useState({
+    toMaterial: "",
+    quantidade: "",
+    quantidadeDestino: "",
+    observacao: "",
+  });
+
+  const handleConvert = async (e) => {
+    e.preventDefault();
+    const quantidade = Number.parseFloat(conversion.quantidade);
+    try {
+      await convertMutation.mutateAsync({
+        fromMaterial: material.key,
+        toMaterial: conversion.toMaterial,
+        quantidade,
+        options: {
+          quantidadeDestino:
+            Number.parseFloat(conversion.quantidadeDestino) || quantidade,
+          observacao: conversion.observacao.trim(),
+        },
+      });
+      setShowConversion(false);
+      setConversion({
+        toMaterial: "",
+        quantidade: "",
+        quantidadeDestino: "",
+        observacao: "",
+      });
+    } catch (err) {
+      alert(err.message || "Erro ao converter material");
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-3xl max-h-[90vh] flex flex-col animate-in zoom-in-95">
+        {/* Header */}
+        <div className="flex items-center justify-between p-5 border-b border-slate-100">
+          <div className="flex items-center gap-3">
+            <div className="h-10 w-10 rounded-xl bg-slate-50 border border-slate-100 flex items-center justify-center text-xl">
+              {material.icon}
+            </div>
+            <div>
+              <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+                <History className="h-4 w-4 text-blue-600" />
+                Movimentações de {material.name}
+              </h3>
+              <p className="text-xs text-slate-500">
+                Cada alteração de saldo com a causa e o saldo resultante.
+              </p>
+            </div>
+          </div>
+          <div className="flex items-center gap-2">
+            {can("inventory.edit") && (
+              <Button
+                variant="outline"
+                size="sm"
+                onClick={() => setShowConversion((prev) => !prev)}
+                className="gap-2"
+              >
+                <Shuffle className="h-4 w-4" />
+                Converter
+              </Button>
+            )}
+            <Button
+              variant="ghost"
+              size="icon"
+              onClick={onClose}
+              className="h-9 w-9 rounded-full"
+            >
+              <X className="h-4 w-4" />
+            </Button>
+          </div>
+        </div>
+
+        {/* Conversão entre materiais */}
+        {showConversion && (
+          <form
+            onSubmit={handleConvert}
+            className="grid grid-cols-1 sm:grid-cols-2 gap-3 p-5 bg-slate-50 border-b border-slate-100"
+          >
+            <div className="sm:col-span-2">
+              <label className="text-xs font-bold text-slate-400 uppercase">
+                Converter em
+              </label>
+              <select
+                required
+                value={conversion.toMaterial}
+                onChange={(e) =>
+                  setConversion({ ...conversion, toMaterial: e.target.value })
+                }
+                className="w-full h-10 px-3 rounded-md border border-slate-200 bg-white text-sm"
+              >
+                <option value="">Selecione o material de destino</option>
+                {materials
+                  .filter((m) => m.key !== material.key)
+                  .map((m) => (
+                    <option key={m.key} value={m.key}>
+                      {m.icon} {m.name}
+                    </option>
+                  ))}
+              </select>
+            </div>
+            <div>
+              <label className="text-xs font-bold text-slate-400 uppercase">
+                Quantidade retirada (kg)
+              </label>
+              <Input
+                type="number"
+                step="0.001"
+                min="0"
+                required
+                value={conversion.quantidade}
+                onChange={(e) =>
+                  setConversion({ ...conversion, quantidade: e.target.value })
+                }
+              />
+            </div>
+            <div>
+              <label className="text-xs font-bold text-slate-400 uppercase">
+                Quantidade obtida (kg)
+              </label>
+              <Input
+                type="number"
+                step="0.001"
+                min="0"
+                placeholder="Igual à retirada"
+                value={conversion.quantidadeDestino}
+                onChange={(e) =>
+                  setConversion({
+                    ...conversion,
+                    quantidadeDestino: e.target.value,
+                  })
+                }
+              />
+            </div>
+            <div className="sm:col-span-2">
+              <label className="text-xs font-bold text-slate-400 uppercase">
+                Observação
+              </label>
+              <Input
+                value={conversion.observacao}
+                onChange={(e) =>
+                  setConversion({ ...conversion, observacao: e.target.value })
+                }
+                placeholder="Ex: triagem de sucata mista"
+              />
+            </div>
+            <div className="sm:col-span-2 flex justify-end">
+              <Button
+                type="submit"
+                size="sm"
+                disabled={convertMutation.isPending}
+                className="bg-violet-600 hover:bg-violet-700"
+              >
+                {convertMutation.isPending
+                  ? "Convertendo..."
+                  : "Registrar Conversão"}
+              </Button>
+            </div>
+          </form>
+        )}
+
+        {/* Lista de movimentações */}
+        <div className="flex-1 overflow-y-auto p-5">
+          {isLoading ? (
+            <p className="text-center text-sm text-slate-500 py-10">
+              Carregando movimentações...
+            </p>
+          ) : error ? (
+            <p className="text-center text-sm text-rose-600 py-10">
+              Não foi possível carregar o histórico.
+            </p>
+          ) : movements.length === 0 ? (
+            <p className="text-center text-sm text-slate-500 py-10">
+              Nenhuma movimentação registrada para este material.
+            </p>
+          ) : (
+            <table className="w-full text-sm">
+              <thead className="text-slate-500 text-xs uppercase border-b border-slate-100">
+                <tr>
+                  <th className="py-2 text-left">Data</th>
+                  <th className="py-2 text-left">Causa</th>
+                  <th className="py-2 text-right">Variação</th>
+                  <th className="py-2 text-right">Saldo Anterior</th>
+                  <th className="py-2 text-right">Saldo Final</th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-50">
+                {movements.map((movement) => {
+                  const cause = MOVEMENT_CAUSES[movement.causa] || {
+                    label: movement.causa,
+                    className: "bg-slate-100 text-slate-700",
+                  };
+                  const isEntry = movement.delta > 0;
+                  return (
+                    <tr key={movement.id}>
+                      <td className="py-2.5 text-slate-600 whitespace-nowrap">
+                        {format(movement.createdAt, "dd/MM/yyyy HH:mm", {
+                          locale: ptBR,
+                        })}
+                      </td>
+                      <td className="py-2.5">
+                        <Badge
+                          variant="secondary"
+                          className={`text-[10px] font-semibold ${cause.className}`}
+                        >
+                          {cause.label}
+                        </Badge>
+                        {movement.observacao && (
+                          <p className="text-[11px] text-slate-400 mt-0.5">
+                            {movement.observacao}
+                          </p>
+                        )}
+                      </td>
+                      <td
+                        className={`py-2.5 text-right font-bold tabular-nums ${isEntry ? "text-emerald-600" : "text-rose-600"}`}
+                      >
+                        <span className="inline-flex items-center gap-1">
+                          {isEntry ? (
+                            <ArrowDownCircle className="h-3.5 w-3.5" />
+                          ) : (
+                            <ArrowUpCircle className="h-3.5 w-3.5" />
+                          )}
+                          {isEntry ? "+" : ""}
+                          {formatWeight(movement.delta)}
+                        </span>
+                      </td>
+                      <td className="py-2.5 text-right text-slate-500 tabular-nums">
+                        {formatWeight(movement.saldoAnterior)}
+                      </td>
+                      <td
+                        className={`py-2.5 text-right font-semibold tabular-nums ${movement.saldoPosterior < 0 ? "text-rose-600" : "text-slate-800"}`}
+                      >
+                        {formatWeight(movement.saldoPosterior)}
+                      </td>
+                    </tr>
+                  );
+                })}
+              </tbody>
+            </table>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+};
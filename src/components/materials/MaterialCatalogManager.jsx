@@ -0,0 +1,444 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import {
+  Plus,
+  Pencil,
+  Archive,
+  ArchiveRestore,
+  Save,
+  X,
+  Boxes,
+} from "lucide-react";
+import { useData } from "../../contexts/DataContext";
+import {
+  addMaterial,
+  updateMaterial,
+  setMaterialActive,
+} from "../../lib/firebaseService";
+import { MATERIAL_COLORS, MATERIAL_UNITS } from "../../config/materials";
+import { categories } from "../../config/designTokens";
+import { getMaterialColorClass } from "../../lib/materialCatalog";
+import { useToast } from "@/components/ui/use-toast";
+
+const EMPTY_FORM = {
+  key: "",
+  name: "",
+  category: "outros",
+  color: "gray",
+  icon: "📦",
+  unit: "kg",
+  precoCompra: "",
+  precoVenda: "",
+  minStock: "",
+  aliases: "",
+};
+
+const materialCategories = categories.filter((cat) => cat.key !== "todos");
+
+const toForm = (material) => ({
+  key: material.key,
+  name: material.name || "",
+  category: material.category || "outros",
+  color: material.color || "gray",
+  icon: material.icon || "📦",
+  unit: material.unit || "kg",
+  precoCompra: material.precoCompra ?? "",
+  precoVenda: material.precoVenda ?? "",
+  minStock: material.minStock ?? "",
+  aliases: (material.aliases || []).join(", "),
+});
+
+const fromForm = (form) => ({
+  key: form.key,
+  name: form.name.trim(),
+  category: form.category,
+  color: form.color,
+  icon: form.icon.trim() || "📦",
+  unit: form.unit,
+  precoCompra: Number.parseFloat(form.precoCompra) || 0,
+  precoVenda: Number.parseFloat(form.precoVenda) || 0,
+  minStock: Number.parseFloat(form.minStock) || 0,
+  aliases: form.aliases
+    .split(",")
+    .map((alias) => alias.trim().toLowerCase())
+    .filter(Boolean),
+});
+
+const inputClass =
+  "w-full px-3 py-2 rounded-lg border border-slate-200 bg-white text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+export default function MaterialCatalogManager() {
+  const { allMaterials } = useData();
+  const { toast } = useToast();
+
+  // null = formulário fechado, "new" = cadastro, chave = edição
+  const [editingKey, setEditingKey] = useState(null);
+  const [form, setForm] = useState(EMPTY_FORM);
+  const [isSaving, setIsSaving] = useState(false);
+  const [showArchived, setShowArchived] = useState(false);
+
+  const visibleMaterials = useMemo(
+    () =>
+      allMaterials.filter(
+        (material) => showArchived || material.ativo !== false,
+      ),
+    [allMaterials, showArchived],
+  );
+
+  const archivedCount = allMaterials.filter((m) => m.ativo === false).length;
+
+  const openNew = () => {
+    setForm(EMPTY_FORM);
+    setEditingKey("new");
+  };
+
+  const openEdit = (material) => {
+    setForm(toForm(material));
+    setEditingKey(material.key);
+  };
+
+  const closeForm = () => {
+    setEditingKey(null);
+    setForm(EMPTY_FORM);
+  };
+
+  const handleChange = (field) => (e) =>
+    setForm((prev) => ({ ...prev, [field]: e.target.value }));
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    if (!form.name.trim()) {
+      toast({ title: "Informe o nome do material", variant: "destructive" });
+      return;
+    }
+
+    setIsSaving(true);
+    try {
+      const material = fromForm(form);
+      if (editingKey === "new") {
+        await addMaterial(material);
+        toast({ title: `Material "${material.name}" cadastrado` });
+      } else {
+        await updateMaterial(editingKey, material);
+        toast({ title: `Material "${material.name}" atualizado` });
+      }
+      closeForm();
+    } catch (error) {
+      toast({
+        title: "Erro ao salvar material",
+        description: error.message,
+        variant: "destructive",
+      });
+    } finally {
+      setIsSaving(false);
+    }
+  };
+
+  const handleToggleActive = async (material) => {
+    const ativo = material.ativo === false;
+    if (
+      !ativo &&
+      !window.confirm(
+        `Arquivar "${material.name}"? Ele deixa de aparecer nos formulários, mas o histórico é mantido.`,
+      )
+    ) {
+      return;
+    }
+    try {
+      await setMaterialActive(material.key, ativo);
+      toast({
+        title: ativo
+          ? `Material "${material.name}" reativado`
+          : `Material "${material.name}" arquivado`,
+      });
+    } catch (error) {
+      toast({
+        title: "Erro ao atualizar material",
+        description: error.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div className="bg-white rounded-2xl border border-slate-100 shadow-sm p-6 mb-8 space-y-6">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-4">
+        <div>
+          <h2 className="text-xl font-bold text-slate-900 flex items-center gap-2">
+            <Boxes className="h-5 w-5 text-blue-600" />
+            Catálogo de Materiais
+          </h2>
+          <p className="text-sm text-slate-500">
+            Materiais arquivados continuam no histórico, mas somem dos
+            formulários.
+          </p>
+        </div>
+        <div className="flex items-center gap-3">
+          {archivedCount > 0 && (
+            <label className="flex items-center gap-2 text-sm text-slate-600">
+              <input
+                type="checkbox"
+                checked={showArchived}
+                onChange={(e) => setShowArchived(e.target.checked)}
+              />
+              Mostrar arquivados ({archivedCount})
+            </label>
+          )}
+          <button
+            type="button"
+            onClick={openNew}
+            className="flex items-center gap-2 px-4 py-2 rounded-xl bg-blue-600 text-white text-sm font-bold hover:bg-blue-700"
+          >
+            <Plus className="h-4 w-4" />
+            Novo Material
+          </button>
+        </div>
+      </div>
+
+      {editingKey && (
+        <form
+          onSubmit={handleSubmit}
+          className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4 p-4 rounded-xl bg-slate-50 border border-slate-200"
+        >
+          <div>
+            <label className="text-xs font-semibold text-slate-600">
+              Chave
+            </label>
+            <input
+              className={inputClass}
+              value={form.key}
+              onChange={handleChange("key")}
+              disabled={editingKey !== "new"}
+              placeholder="ex: aluminio panela"
+              required
+            />
+          </div>
+          <div>
+            <label className="text-xs font-semibold text-slate-600">Nome</label>
+            <input
+              className={inputClass}
+              value={form.name}
+              onChange={handleChange("name")}
+              required
+            />
+          </div>
+          <div>
+            <label className="text-xs font-semibold text-slate-600">
+              Categoria
+            </label>
+            <select
+              className={inputClass}
+              value={form.category}
+              onChange={handleChange("category")}
+            >
+              {materialCategories.map((cat) => (
+                <option key={cat.key} value={cat.key}>
+                  {cat.icon} {cat.name}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs font-semibold text-slate-600">Cor</label>
+            <select
+              className={inputClass}
+              value={form.color}
+              onChange={handleChange("color")}
+            >
+              {Object.entries(MATERIAL_COLORS).map(([key, color]) => (
+                <option key={key} value={key}>
+                  {color.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs font-semibold text-slate-600">
+              Ícone
+            </label>
+            <input
+              className={inputClass}
+              value={form.icon}
+              onChange={handleChange("icon")}
+            />
+          </div>
+          <div>
+            <label className="text-xs font-semibold text-slate-600">
+              Unidade
+            </label>
+            <select
+              className={inputClass}
+              value={form.unit}
+              onChange={handleChange("unit")}
+            >
+              {MATERIAL_UNITS.map((unit) => (
+                <option key={unit.value} value={unit.value}>
+                  {unit.label}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className="text-xs font-semibold text-slate-600">
+              Preço de Compra (R$)
+            </label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              className={inputClass}
+              value={form.precoCompra}
+              onChange={handleChange("precoCompra")}
+            />
+          </div>
+          <div>
+            <label className="text-xs font-semibold text-slate-600">
+              Preço de Venda (R$)
+            </label>
+            <input
+              type="number"
+              step="0.01"
+              min="0"
+              className={inputClass}
+              value={form.precoVenda}
+              onChange={handleChange("precoVenda")}
+            />
+          </div>
+          <div>
+            <label className="text-xs font-semibold text-slate-600">
+              Estoque Mínimo
+            </label>
+            <input
+              type="number"
+              step="0.1"
+              min="0"
+              className={inputClass}
+              value={form.minStock}
+              onChange={handleChange("minStock")}
+            />
+          </div>
+          <div className="md:col-span-2 lg:col-span-3">
+            <label className="text-xs font-semibold text-slate-600">
+              Apelidos (separados por vírgula)
+            </label>
+            <input
+              className={inputClass}
+              value={form.aliases}
+              onChange={handleChange("aliases")}
+              placeholder="ex: perfil, perfil branco"
+            />
+          </div>
+          <div className="md:col-span-2 lg:col-span-4 flex justify-end gap-2">
+            <button
+              type="button"
+              onClick={closeForm}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg border border-slate-200 text-sm text-slate-600 hover:bg-white"
+            >
+              <X className="h-4 w-4" />
+              Cancelar
+            </button>
+            <button
+              type="submit"
+              disabled={isSaving}
+              className="flex items-center gap-2 px-4 py-2 rounded-lg bg-emerald-600 text-white text-sm font-bold hover:bg-emerald-700 disabled:opacity-50"
+            >
+              <Save className="h-4 w-4" />
+              {isSaving ? "Salvando..." : "Salvar"}
+            </button>
+          </div>
+        </form>
+      )}
+
+      <div className="overflow-x-auto">
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-left text-slate-500 border-b border-slate-100">
+              <th className="py-2 pr-4">Material</th>
+              <th className="py-2 pr-4">Categoria</th>
+              <th className="py-2 pr-4 text-right">Compra</th>
+              <th className="py-2 pr-4 text-right">Venda</th>
+              <th className="py-2 pr-4 text-right">Mínimo</th>
+              <th className="py-2 pr-4">Status</th>
+              <th className="py-2 text-right">Ações</th>
+            </tr>
+          </thead>
+          <tbody>
+            {visibleMaterials.map((material) => {
+              const category = materialCategories.find(
+                (cat) => cat.key === material.category,
+              );
+              const isArchived = material.ativo === false;
+              return (
+                <tr
+                  key={material.key}
+                  className={`border-b border-slate-50 ${isArchived ? "opacity-50" : ""}`}
+                >
+                  <td className="py-2 pr-4">
+                    <div className="flex items-center gap-2">
+                      <span
+                        className={`w-3 h-3 rounded-full ${getMaterialColorClass(material.key)}`}
+                      />
+                      <span>{material.icon}</span>
+                      <span className="font-semibold text-slate-800">
+                        {material.name}
+                      </span>
+                      <span className="text-xs text-slate-400">
+                        {material.key}
+                      </span>
+                    </div>
+                  </td>
+                  <td className="py-2 pr-4 text-slate-600">
+                    {category ? category.name : material.category}
+                  </td>
+                  <td className="py-2 pr-4 text-right">
+                    R$ {(material.precoCompra || 0).toFixed(2)}
+                  </td>
+                  <td className="py-2 pr-4 text-right">
+                    R$ {(material.precoVenda || 0).toFixed(2)}
+                  </td>
+                  <td className="py-2 pr-4 text-right">
+                    {material.minStock || 0} {material.unit || "kg"}
+                  </td>
+                  <td className="py-2 pr-4">
+                    {isArchived ? (
+                      <span className="px-2 py-0.5 rounded-full bg-slate-100 text-slate-500 text-xs font-semibold">
+                        Arquivado
+                      </span>
+                    ) : (
+                      <span className="px-2 py-0.5 rounded-full bg-emerald-100 text-emerald-700 text-xs font-semibold">
+                        Ativo
+                      </span>
+                    )}
+                  </td>
+                  <td className="py-2 text-right whitespace-nowrap">
+                    <button
+                      type="button"
+                      onClick={() => openEdit(material)}
+                      className="p-2 rounded-lg text-slate-500 hover:bg-slate-100"
+                      title="Editar"
+                    >
+                      <Pencil className="h-4 w-4" />
+                    </button>
+                    <button
+                      type="button"
+                      onClick={() => handleToggleActive(material)}
+                      className="p-2 rounded-lg text-slate-500 hover:bg-slate-100"
+                      title={isArchived ? "Reativar" : "Arquivar"}
+                    >
+                      {isArchived ? (
+                        <ArchiveRestore className="h-4 w-4" />
+                      ) : (
+                        <Archive className="h-4 w-4" />
+                      )}
+                    </button>
+                  </td>
+                </tr>
+              );
+            })}
+          </tbody>
+        </table>
+      </div>
+    </div>
+  );
+}
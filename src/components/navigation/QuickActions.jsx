@@ -13,10 +13,12 @@ import {
   Users,
 } from "lucide-react";
 import { Button } from "../ui/button";
+import { usePermissions } from "../../hooks/usePermissions";
 
 export const QuickActions = memo(({ onAction }) => {
   const [isOpen, setIsOpen] = useState(false);
   const menuRef = useRef(null);
+  const { can } = usePermissions();
 
   // Fecha o menu se clicar fora dele
   useEffect(() => {
@@ -32,6 +34,7 @@ export const QuickActions = memo(({ onAction }) => {
   const actions = [
     {
       id: "nova-venda",
+      permission: "nav.transaction",
       label: "Nova Venda",
       icon: TrendingUp,
       color: "bg-gradient-to-r from-green-500 to-emerald-600",
@@ -42,6 +45,7 @@ export const QuickActions = memo(({ onAction }) => {
     },
     {
       id: "nova-compra",
+      permission: "nav.transaction",
       label: "Nova Compra",
       icon: TrendingDown,
       color: "bg-gradient-to-r from-blue-500 to-cyan-600",
@@ -52,6 +56,7 @@ export const QuickActions = memo(({ onAction }) => {
     },
     {
       id: "novo-cliente",
+      permission: "nav.clients",
       label: "Novo Cliente",
       icon: Users,
       color: "bg-gradient-to-r from-indigo-500 to-purple-600",
@@ -62,6 +67,7 @@ export const QuickActions = memo(({ onAction }) => {
     },
     {
       id: "nova-despesa",
+      permission: "nav.expenses",
       label: "Nova Despesa",
       icon: DollarSign,
       color: "bg-gradient-to-r from-red-500 to-pink-600",
@@ -80,7 +86,7 @@ export const QuickActions = memo(({ onAction }) => {
         setIsOpen(false);
       },
     },
-  ];
+  ].filter((action) => !action.permission || can(action.permission));
 
   return (
     <div
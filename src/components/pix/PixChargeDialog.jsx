@@ -0,0 +1,152 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { QRCodeSVG } from "qrcode.react";
+import { Copy, QrCode, Share2, X } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { useToast } from "@/components/ui/use-toast";
+import { useCompanyProfile } from "@/hooks/useFirebaseQuery";
+import { buildPixPayload } from "@/lib/pix";
+import { formatCurrency } from "@/utils/formatters";
+
+/**
+ * QR code e "copia e cola" PIX para receber um valor.
+ * O valor vem preenchido e pode ser ajustado; vazio gera o código estático.
+ */
+export default function PixChargeDialog({
+  valor,
+  txid,
+  descricao,
+  titulo = "Cobrar via PIX",
+  onClose,
+}) {
+  const { toast } = useToast();
+  const { data: company, isLoading } = useCompanyProfile();
+  const [amount, setAmount] = useState(
+    Number(valor) > 0 ? Number(valor).toFixed(2) : "",
+  );
+
+  const { payload, error } = useMemo(() => {
+    if (!company?.chavePix) {
+      return {
+        error:
+          "Cadastre a chave PIX e a cidade da empresa em Configurações para gerar cobranças.",
+      };
+    }
+    try {
+      return {
+        payload: buildPixPayload({
+          chave: company.chavePix,
+          nome: company.nome,
+          cidade: company.cidade,
+          valor: amount,
+          txid,
+          descricao,
+        }),
+      };
+    } catch (err) {
+      return { error: err.message };
+    }
+  }, [company, amount, txid, descricao]);
+
+  const handleCopy = async () => {
+    try {
+      await navigator.clipboard.writeText(payload);
+      toast({
+        title: "Código copiado!",
+        description: "Cole no WhatsApp ou no app do banco do cliente.",
+        className: "bg-green-100 border-green-500 text-green-800",
+      });
+    } catch {
+      toast({ title: "Não foi possível copiar", variant: "destructive" });
+    }
+  };
+
+  const handleShare = async () => {
+    const text = `${Number(amount) > 0 ? `Valor: ${formatCurrency(Number(amount))}\n` : ""}PIX copia e cola:\n${payload}`;
+    if (navigator.share) {
+      try {
+        await navigator.share({ title: titulo, text });
+      } catch {
+        // Compartilhamento cancelado pelo usuário
+      }
+    } else {
+      handleCopy();
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-sm max-h-[90vh] flex flex-col animate-in zoom-in-95">
+        <div className="flex items-center justify-between p-5 border-b border-slate-100">
+          <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+            <QrCode className="h-5 w-5 text-teal-600" />
+            {titulo}
+          </h3>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={onClose}
+            className="h-9 w-9 rounded-full"
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+
+        <div className="p-5 space-y-4 overflow-y-auto">
+          <div>
+            <label className="text-xs font-bold text-slate-400 uppercase">
+              Valor (R$)
+            </label>
+            <Input
+              type="number"
+              step="0.01"
+              min="0"
+              value={amount}
+              onChange={(e) => setAmount(e.target.value)}
+              placeholder="Vazio = o cliente digita o valor"
+            />
+          </div>
+
+          {isLoading ? (
+            <p className="text-sm text-slate-400">Carregando...</p>
+          ) : error ? (
+            <p className="text-sm text-red-600 bg-red-50 border border-red-200 rounded-lg p-3">
+              {error}
+            </p>
+          ) : (
+            <>
+              <div className="flex justify-center p-3 bg-white border border-slate-100 rounded-xl">
+                <QRCodeSVG value={payload} size={220} level="M" />
+              </div>
+              <p className="text-[11px] font-mono text-slate-500 break-all bg-slate-50 rounded-lg p-2 select-all">
+                {payload}
+              </p>
+            </>
+          )}
+        </div>
+
+        <div className="flex gap-2 p-5 border-t border-slate-100">
+          <Button
+            variant="outline"
+            className="flex-1 gap-2"
+            disabled={!payload}
+            onClick={handleShare}
+          >
+            <Share2 className="h-4 w-4" />
+            Enviar
+          </Button>
+          <Button
+            className="flex-1 gap-2"
+            disabled={!payload}
+            onClick={handleCopy}
+          >
+            <Copy className="h-4 w-4" />
+            Copiar código
+          </Button>
+        </div>
+      </div>
+    </div>
+  );
+}
@@ -0,0 +1,205 @@
+"use client";
+
+import { useState } from "react";
+import { Printer, X, History, Receipt } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  useCompanyProfile,
+  useReceipt,
+  useIssueReceipt,
+  useTicketTransactions,
+} from "@/hooks/useFirebaseQuery";
+import { getMaterialName } from "@/lib/materialCatalog";
+import { can } from "@/lib/permissions";
+import {
+  formatCurrency,
+  formatDateTime,
+  formatWeight,
+} from "@/utils/formatters";
+import { printReceipt, RECEIPT_LAYOUTS } from "@/utils/receiptPrint";
+
+/**
+ * Emissão e reimpressão do comprovante de uma transação ou de um ticket.
+ * Recebe as linhas já carregadas; se faltar alguma linha do ticket, busca
+ * o ticket inteiro antes de imprimir.
+ */
+export default function ReceiptDialog({ lines, onClose }) {
+  const { toast } = useToast();
+  const [layout, setLayout] = useState("80mm");
+  const first = lines[0];
+  const needsTicket =
+    !!first.ticketId && lines.length < (first.ticketItens || 0);
+
+  const { data: ticketLines, isLoading: loadingTicket } = useTicketTransactions(
+    needsTicket ? first.ticketId : null,
+  );
+  const receiptLines = needsTicket ? ticketLines || [] : lines;
+  const receiptKey = first.ticketId || first.id;
+
+  const { data: company } = useCompanyProfile();
+  const { data: receipt, isLoading: loadingReceipt } = useReceipt(receiptKey);
+  const issueReceipt = useIssueReceipt();
+
+  const total = receiptLines.reduce(
+    (sum, t) => sum + (Number(t.valorTotal) || 0),
+    0,
+  );
+
+  const handlePrint = async () => {
+    // A janela abre ainda no clique; o conteúdo entra depois de numerar
+    const printWindow = window.open("", "_blank");
+    try {
+      const issued = await issueReceipt.mutateAsync({
+        key: receiptKey,
+        transactionIds: receiptLines.map((t) => t.id),
+        layout,
+      });
+      printReceipt({
+        receipt: issued,
+        lines: receiptLines,
+        company,
+        layout,
+        printWindow,
+      });
+    } catch (err) {
+      printWindow?.close();
+      toast({
+        title: "Erro ao imprimir comprovante",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div className="fixed inset-0 bg-black/60 backdrop-blur-sm flex items-center justify-center z-50 p-4">
+      <div className="bg-white rounded-2xl shadow-2xl w-full max-w-lg max-h-[90vh] flex flex-col animate-in zoom-in-95">
+        {/* Header */}
+        <div className="flex items-center justify-between p-5 border-b border-slate-100">
+          <div>
+            <h3 className="text-lg font-bold text-slate-900 flex items-center gap-2">
+              <Receipt className="h-5 w-5 text-blue-600" />
+              Comprovante
+              {receipt && (
+                <span className="font-mono text-slate-500">
+                  nº {String(receipt.numero).padStart(6, "0")}
+                </span>
+              )}
+            </h3>
+            <p className="text-xs text-slate-500">
+              {receipt
+                ? "Já emitido: uma nova impressão entra como reimpressão."
+                : "O número é atribuído na primeira impressão."}
+            </p>
+          </div>
+          <Button
+            variant="ghost"
+            size="icon"
+            onClick={onClose}
+            className="h-9 w-9 rounded-full"
+          >
+            <X className="h-4 w-4" />
+          </Button>
+        </div>
+
+        <div className="p-5 space-y-4 overflow-y-auto">
+          {/* Linhas do comprovante */}
+          {loadingTicket ? (
+            <p className="text-sm text-slate-400">Carregando ticket...</p>
+          ) : (
+            <ul className="divide-y divide-slate-100 rounded-xl border border-slate-100">
+              {receiptLines.map((t) => (
+                <li
+                  key={t.id}
+                  className="flex items-center justify-between gap-3 p-3 text-sm"
+                >
+                  <div>
+                    <p className="font-semibold text-slate-800">
+                      {getMaterialName(t.material) || "Despesa"}
+                    </p>
+                    <p className="text-xs text-slate-400">
+                      {formatWeight(t.quantidade)} ×{" "}
+                      {formatCurrency(t.precoUnitario)}
+                    </p>
+                  </div>
+                  <span className="font-bold text-slate-700">
+                    {formatCurrency(t.valorTotal)}
+                  </span>
+                </li>
+              ))}
+              <li className="flex items-center justify-between p-3 text-sm font-bold bg-slate-50">
+                <span>Total</span>
+                <span>{formatCurrency(total)}</span>
+              </li>
+            </ul>
+          )}
+
+          {/* Formato */}
+          <div className="grid grid-cols-2 gap-2">
+            {Object.entries(RECEIPT_LAYOUTS).map(([key, option]) => (
+              <button
+                key={key}
+                type="button"
+                onClick={() => setLayout(key)}
+                className={`rounded-xl border-2 p-3 text-sm font-semibold transition-colors ${
+                  layout === key
+                    ? "border-blue-500 bg-blue-50 text-blue-700"
+                    : "border-slate-200 text-slate-600 hover:border-slate-300"
+                }`}
+              >
+                {option.label}
+              </button>
+            ))}
+          </div>
+
+          {/* Histórico de impressões */}
+          {receipt?.impressoes?.length > 0 && (
+            <div>
+              <p className="text-xs font-bold text-slate-400 uppercase flex items-center gap-1 mb-2">
+                <History className="h-3 w-3" />
+                Impressões
+              </p>
+              <ul className="space-y-1 text-xs text-slate-600">
+                {receipt.impressoes.map((impressao, index) => (
+                  <li key={index} className="flex justify-between gap-3">
+                    <span>
+                      {index + 1}ª via ·{" "}
+                      {RECEIPT_LAYOUTS[impressao.layout]?.label ||
+                        impressao.layout}
+                    </span>
+                    <span className="text-slate-400">
+                      {formatDateTime(impressao.em)}
+                      {impressao.por?.nome && ` · ${impressao.por.nome}`}
+                    </span>
+                  </li>
+                ))}
+              </ul>
+            </div>
+          )}
+        </div>
+
+        <div className="flex justify-end gap-2 p-5 border-t border-slate-100">
+          <Button variant="outline" onClick={onClose}>
+            Fechar
+          </Button>
+          {can("receipts.print") && (
+            <Button
+              onClick={handlePrint}
+              disabled={
+                issueReceipt.isPending ||
+                loadingReceipt ||
+                loadingTicket ||
+                receiptLines.length === 0
+              }
+              className="gap-2"
+            >
+              <Printer className="h-4 w-4" />
+              {receipt ? "Reimprimir" : "Imprimir"}
+            </Button>
+          )}
+        </div>
+      </div>
+    </div>
+  );
+}
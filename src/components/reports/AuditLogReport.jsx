@@ -0,0 +1,337 @@
+"use client";
+
+import { useState } from "react";
+import { format, subDays } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import {
+  ShieldCheck,
+  Pencil,
+  Trash2,
+  Search,
+  X,
+  ChevronDown,
+  ChevronUp,
+  RotateCcw,
+} from "lucide-react";
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { useAuditLog } from "@/hooks/useFirebaseQuery";
+import { getMaterialName } from "@/lib/materialCatalog";
+import { formatCurrency } from "@/utils/formatters";
+
+// Nomes legíveis dos campos de transação que aparecem no diff
+const FIELD_LABELS = {
+  tipo: "Tipo",
+  material: "Material",
+  quantidade: "Quantidade (kg)",
+  precoUnitario: "Preço Unitário",
+  valorTotal: "Valor Total",
+  formaPagamento: "Pagamento",
+  vendedor: "Vendedor",
+  cliente: "Cliente",
+  clienteId: "Cliente (ID)",
+  fornecedor: "Fornecedor",
+  observacoes: "Observações",
+  data: "Data",
+  custoMedioUnitario: "Custo Médio",
+  custoMercadoria: "CMV",
+  lucroBruto: "Lucro Bruto",
+};
+
+// Rótulos, ícones e cores de cada ação registrada em audit_log
+const AUDIT_ACTIONS = {
+  edicao: {
+    label: "Edição",
+    icon: Pencil,
+    iconClassName: "bg-amber-100 text-amber-600",
+  },
+  exclusao: {
+    label: "Exclusão",
+    icon: Trash2,
+    iconClassName: "bg-rose-100 text-rose-600",
+    panelClassName: "bg-rose-50/50",
+    linkClassName: "text-rose-600",
+  },
+  restauracao: {
+    label: "Restauração",
+    icon: RotateCcw,
+    iconClassName: "bg-emerald-100 text-emerald-600",
+    panelClassName: "bg-emerald-50/50",
+    linkClassName: "text-emerald-600",
+  },
+};
+
+const formatAuditValue = (campo, value) => {
+  if (value === null || value === undefined || value === "") return "—";
+  if (value instanceof Date || typeof value?.toDate === "function") {
+    const date = value.toDate ? value.toDate() : value;
+    return format(date, "dd/MM/yyyy HH:mm", { locale: ptBR });
+  }
+  if (campo === "material") return getMaterialName(value);
+  if (
+    [
+      "precoUnitario",
+      "valorTotal",
+      "custoMedioUnitario",
+      "custoMercadoria",
+      "lucroBruto",
+    ].includes(campo)
+  ) {
+    return formatCurrency(value);
+  }
+  if (typeof value === "object") return JSON.stringify(value);
+  return String(value);
+};
+
+const AuditEntry = ({ entry, onSelectTransaction }) => {
+  const [expanded, setExpanded] = useState(false);
+  const action = AUDIT_ACTIONS[entry.acao] || AUDIT_ACTIONS.edicao;
+  const ActionIcon = action.icon;
+  const hasSnapshot = entry.acao !== "edicao";
+  const snapshot = entry.snapshot || {};
+
+  return (
+    <div className="p-4 border border-slate-200 rounded-xl bg-white space-y-3">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+        <div className="flex items-center gap-3">
+          <div className={`p-2 rounded-lg ${action.iconClassName}`}>
+            <ActionIcon className="h-4 w-4" />
+          </div>
+          <div>
+            <p className="font-bold text-slate-800">
+              {action.label} por{" "}
+              <span className="text-emerald-700">
+                {entry.atorNome || "Desconhecido"}
+              </span>
+            </p>
+            <p className="text-xs text-slate-500">
+              {format(entry.createdAt, "dd/MM/yyyy 'às' HH:mm:ss", {
+                locale: ptBR,
+              })}
+            </p>
+          </div>
+        </div>
+        <button
+          type="button"
+          onClick={() => onSelectTransaction(entry.documentoId)}
+          className="text-xs font-mono text-slate-500 hover:text-emerald-600 underline-offset-2 hover:underline self-start sm:self-auto"
+          title="Ver histórico desta transação"
+        >
+          #{entry.documentoId}
+        </button>
+      </div>
+
+      {hasSnapshot ? (
+        <div
+          className={`text-sm text-slate-600 rounded-lg p-3 ${action.panelClassName}`}
+        >
+          <p>
+            {snapshot.tipo === "despesa"
+              ? `Despesa: ${snapshot.descricao || snapshot.material || "—"}`
+              : `${snapshot.tipo === "venda" ? "Venda" : "Compra"} de ${snapshot.quantidade || 0}kg de ${getMaterialName(snapshot.material)}`}{" "}
+            — <strong>{formatCurrency(snapshot.valorTotal)}</strong>
+          </p>
+          <button
+            type="button"
+            onClick={() => setExpanded((prev) => !prev)}
+            className={`mt-2 text-xs font-bold flex items-center gap-1 ${action.linkClassName}`}
+          >
+            {expanded ? (
+              <ChevronUp className="h-3 w-3" />
+            ) : (
+              <ChevronDown className="h-3 w-3" />
+            )}
+            {expanded ? "Ocultar registro completo" : "Ver registro completo"}
+          </button>
+          {expanded && (
+            <dl className="mt-2 grid grid-cols-1 sm:grid-cols-2 gap-x-6 gap-y-1 text-xs">
+              {Object.entries(snapshot).map(([campo, value]) => (
+                <div key={campo} className="flex justify-between gap-2">
+                  <dt className="text-slate-400">
+                    {FIELD_LABELS[campo] || campo}
+                  </dt>
+                  <dd className="font-medium text-slate-700 text-right break-all">
+                    {formatAuditValue(campo, value)}
+                  </dd>
+                </div>
+              ))}
+            </dl>
+          )}
+        </div>
+      ) : (
+        <table className="w-full text-sm">
+          <thead>
+            <tr className="text-xs text-slate-400 uppercase">
+              <th className="text-left font-semibold py-1">Campo</th>
+              <th className="text-left font-semibold py-1">Antes</th>
+              <th className="text-left font-semibold py-1">Depois</th>
+            </tr>
+          </thead>
+          <tbody className="divide-y divide-slate-100">
+            {(entry.alteracoes || []).map((change) => (
+              <tr key={change.campo}>
+                <td className="py-1.5 font-medium text-slate-600">
+                  {FIELD_LABELS[change.campo] || change.campo}
+                </td>
+                <td className="py-1.5 text-rose-600 line-through decoration-rose-300">
+                  {formatAuditValue(change.campo, change.anterior)}
+                </td>
+                <td className="py-1.5 text-emerald-700 font-semibold">
+                  {formatAuditValue(change.campo, change.novo)}
+                </td>
+              </tr>
+            ))}
+          </tbody>
+        </table>
+      )}
+    </div>
+  );
+};
+
+export default function AuditLogReport() {
+  const [startDate, setStartDate] = useState(
+    format(subDays(new Date(), 30), "yyyy-MM-dd"),
+  );
+  const [endDate, setEndDate] = useState(format(new Date(), "yyyy-MM-dd"));
+  const [ator, setAtor] = useState("");
+  const [documentoId, setDocumentoId] = useState("");
+  const [acao, setAcao] = useState("todas");
+
+  const {
+    data: entries = [],
+    isLoading,
+    error,
+  } = useAuditLog({
+    startDate: startDate ? new Date(startDate + "T00:00:00") : undefined,
+    endDate: endDate ? new Date(endDate + "T00:00:00") : undefined,
+    documentoId: documentoId.trim() || undefined,
+    ator: ator.trim() || undefined,
+  });
+
+  const visibleEntries =
+    acao === "todas" ? entries : entries.filter((e) => e.acao === acao);
+
+  return (
+    <div className="space-y-4">
+      <Card className="p-4 border-slate-200 shadow-sm">
+        <div className="flex items-center gap-2 mb-4">
+          <ShieldCheck className="h-5 w-5 text-emerald-600" />
+          <h3 className="font-bold text-slate-800">Auditoria de Transações</h3>
+          <Badge variant="outline" className="ml-auto">
+            {visibleEntries.length} registros
+          </Badge>
+        </div>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-5 gap-3">
+          <div>
+            <label className="text-xs font-bold text-slate-400 uppercase">
+              De
+            </label>
+            <Input
+              type="date"
+              value={startDate}
+              onChange={(e) => setStartDate(e.target.value)}
+              disabled={!!documentoId.trim()}
+            />
+          </div>
+          <div>
+            <label className="text-xs font-bold text-slate-400 uppercase">
+              Até
+            </label>
+            <Input
+              type="date"
+              value={endDate}
+              onChange={(e) => setEndDate(e.target.value)}
+              disabled={!!documentoId.trim()}
+            />
+          </div>
+          <div>
+            <label className="text-xs font-bold text-slate-400 uppercase">
+              Operador
+            </label>
+            <div className="relative">
+              <Search className="absolute left-3 top-1/2 -translate-y-1/2 h-4 w-4 text-slate-400" />
+              <Input
+                value={ator}
+                onChange={(e) => setAtor(e.target.value)}
+                placeholder="Nome do operador"
+                className="pl-9"
+              />
+            </div>
+          </div>
+          <div>
+            <label className="text-xs font-bold text-slate-400 uppercase">
+              Transação
+            </label>
+            <div className="relative">
+              <Input
+                value={documentoId}
+                onChange={(e) => setDocumentoId(e.target.value)}
+                placeholder="ID da transação"
+                className="font-mono pr-9"
+              />
+              {documentoId && (
+                <button
+                  type="button"
+                  onClick={() => setDocumentoId("")}
+                  className="absolute right-3 top-1/2 -translate-y-1/2 text-slate-400 hover:text-slate-600"
+                >
+                  <X className="h-4 w-4" />
+                </button>
+              )}
+            </div>
+          </div>
+          <div>
+            <label className="text-xs font-bold text-slate-400 uppercase">
+              Ação
+            </label>
+            <select
+              value={acao}
+              onChange={(e) => setAcao(e.target.value)}
+              className="w-full h-10 px-3 rounded-md border border-input bg-background text-sm"
+            >
+              <option value="todas">Todas</option>
+              <option value="edicao">Edições</option>
+              <option value="exclusao">Exclusões</option>
+              <option value="restauracao">Restaurações</option>
+            </select>
+          </div>
+        </div>
+      </Card>
+
+      {isLoading ? (
+        <p className="text-center text-sm text-slate-500 py-10">
+          Carregando auditoria...
+        </p>
+      ) : error ? (
+        <p className="text-center text-sm text-rose-600 py-10">
+          Erro ao carregar auditoria: {error.message}
+        </p>
+      ) : visibleEntries.length === 0 ? (
+        <Card className="p-10 text-center text-slate-500 border-dashed">
+          Nenhuma edição, exclusão ou restauração registrada com esses filtros.
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          {visibleEntries.map((entry) => (
+            <AuditEntry
+              key={entry.id}
+              entry={entry}
+              onSelectTransaction={setDocumentoId}
+            />
+          ))}
+          {documentoId && (
+            <Button
+              variant="outline"
+              onClick={() => setDocumentoId("")}
+              className="w-full"
+            >
+              Voltar para todas as transações
+            </Button>
+          )}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,254 @@
+"use client";
+
+import { Fragment, useMemo, useState } from "react";
+import {
+  Hourglass,
+  ChevronDown,
+  ChevronUp,
+  FileDown,
+  FileSpreadsheet,
+} from "lucide-react";
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/components/ui/use-toast";
+import { useData } from "@/contexts/DataContext";
+import { useLedgerEntries } from "@/hooks/useFirebaseQuery";
+import { AGING_BUCKETS, buildAgingReport } from "@/lib/debtAging";
+import { LEDGER_ENTRY_TYPES } from "@/lib/debtLedger";
+import { formatCurrency, formatDate } from "@/utils/formatters";
+import {
+  generateDebtAgingPDF,
+  generateDebtAgingXLSX,
+} from "@/utils/reportGenerators";
+
+const BUCKET_STYLES = {
+  "0_30": "text-emerald-600",
+  "31_60": "text-amber-600",
+  "61_90": "text-orange-600",
+  "90_mais": "text-rose-600",
+};
+
+// Relatório só com a linha de um cliente, para exportar o detalhamento
+const singleClientReport = (report, row) => ({
+  rows: [row],
+  totals: { total: row.total, buckets: row.buckets },
+  geradoEm: report.geradoEm,
+});
+
+const ClientAgingDetail = ({ row }) => (
+  <table className="w-full text-xs">
+    <thead>
+      <tr className="text-left text-[10px] font-bold uppercase text-slate-400">
+        <th className="py-1 pr-3">Data</th>
+        <th className="py-1 pr-3">Lançamento</th>
+        <th className="py-1 pr-3">Parcela</th>
+        <th className="py-1 pr-3 text-right">Dias</th>
+        <th className="py-1 text-right">Em aberto</th>
+      </tr>
+    </thead>
+    <tbody className="divide-y divide-slate-100">
+      {row.itens.map((item) => (
+        <tr key={`${item.lancamentoId}-${item.numero}`}>
+          <td className="py-1.5 pr-3 text-slate-600">
+            {formatDate(item.dataLancamento)}
+          </td>
+          <td className="py-1.5 pr-3 text-slate-700">
+            {LEDGER_ENTRY_TYPES[item.tipo]?.label || item.tipo}
+            {item.descricao && (
+              <span className="text-slate-400"> · {item.descricao}</span>
+            )}
+          </td>
+          <td className="py-1.5 pr-3 text-slate-500">
+            {item.totalParcelas > 1
+              ? `${item.numero}/${item.totalParcelas}`
+              : "-"}
+          </td>
+          <td
+            className={`py-1.5 pr-3 text-right font-semibold ${BUCKET_STYLES[item.bucket]}`}
+          >
+            {item.dias}
+          </td>
+          <td className="py-1.5 text-right font-bold text-slate-800">
+            {formatCurrency(item.restante)}
+          </td>
+        </tr>
+      ))}
+    </tbody>
+  </table>
+);
+
+/**
+ * Idade das dívidas de todos os clientes com saldo devedor, por faixa de
+ * dias, com detalhamento por cliente e exportação em PDF e planilha.
+ */
+export default function DebtAgingReport() {
+  const { toast } = useToast();
+  const { customers } = useData();
+  const { data: entries = [], isLoading } = useLedgerEntries();
+  const [expanded, setExpanded] = useState(null);
+
+  const report = useMemo(
+    () => buildAgingReport(entries, customers),
+    [entries, customers],
+  );
+
+  const handleExport = (generator, data) => {
+    try {
+      generator(data);
+    } catch (err) {
+      toast({
+        title: "Erro ao exportar",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <Card className="p-4 border-slate-200 shadow-sm">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <div className="flex items-center gap-2 sm:flex-1">
+            <Hourglass className="h-5 w-5 text-emerald-600" />
+            <h3 className="font-bold text-slate-800">Idade das Dívidas</h3>
+            <Badge variant="outline">
+              {report.rows.length} cliente(s) com saldo devedor
+            </Badge>
+          </div>
+          <div className="flex gap-2">
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={report.rows.length === 0}
+              onClick={() => handleExport(generateDebtAgingPDF, report)}
+              className="gap-2"
+            >
+              <FileDown className="h-4 w-4" />
+              PDF
+            </Button>
+            <Button
+              variant="outline"
+              size="sm"
+              disabled={report.rows.length === 0}
+              onClick={() => handleExport(generateDebtAgingXLSX, report)}
+              className="gap-2"
+            >
+              <FileSpreadsheet className="h-4 w-4" />
+              Excel
+            </Button>
+          </div>
+        </div>
+
+        <div className="grid grid-cols-2 lg:grid-cols-5 gap-3 mt-4">
+          {AGING_BUCKETS.map((bucket) => (
+            <div
+              key={bucket.key}
+              className="p-3 rounded-lg border border-slate-100 bg-slate-50"
+            >
+              <p className="text-[10px] font-bold text-slate-400 uppercase">
+                {bucket.label}
+              </p>
+              <p className={`font-bold mt-1 ${BUCKET_STYLES[bucket.key]}`}>
+                {formatCurrency(report.totals.buckets[bucket.key])}
+              </p>
+            </div>
+          ))}
+          <div className="p-3 rounded-lg border border-slate-200 bg-white">
+            <p className="text-[10px] font-bold text-slate-400 uppercase">
+              Total a receber
+            </p>
+            <p className="font-black text-slate-900 mt-1">
+              {formatCurrency(report.totals.total)}
+            </p>
+          </div>
+        </div>
+      </Card>
+
+      <Card className="p-0 border-slate-200 shadow-sm overflow-x-auto">
+        {isLoading ? (
+          <p className="p-6 text-sm text-slate-400">Carregando...</p>
+        ) : report.rows.length === 0 ? (
+          <p className="p-6 text-sm text-slate-400">
+            Nenhum cliente com saldo devedor.
+          </p>
+        ) : (
+          <table className="w-full text-sm">
+            <thead className="bg-slate-50">
+              <tr className="text-left text-[10px] font-bold uppercase text-slate-400">
+                <th className="py-3 px-4">Cliente</th>
+                {AGING_BUCKETS.map((bucket) => (
+                  <th key={bucket.key} className="py-3 px-4 text-right">
+                    {bucket.label}
+                  </th>
+                ))}
+                <th className="py-3 px-4 text-right">Total</th>
+                <th className="py-3 px-4" />
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {report.rows.map((row) => {
+                const isOpen = expanded === row.clienteId;
+                return (
+                  <Fragment key={row.clienteId}>
+                    <tr
+                      className="cursor-pointer hover:bg-slate-50"
+                      onClick={() => setExpanded(isOpen ? null : row.clienteId)}
+                    >
+                      <td className="py-3 px-4 font-semibold text-slate-800">
+                        {row.nome}
+                      </td>
+                      {AGING_BUCKETS.map((bucket) => (
+                        <td
+                          key={bucket.key}
+                          className={`py-3 px-4 text-right ${row.buckets[bucket.key] > 0 ? BUCKET_STYLES[bucket.key] : "text-slate-300"}`}
+                        >
+                          {formatCurrency(row.buckets[bucket.key])}
+                        </td>
+                      ))}
+                      <td className="py-3 px-4 text-right font-black text-slate-900">
+                        {formatCurrency(row.total)}
+                      </td>
+                      <td className="py-3 px-4 text-right text-slate-400">
+                        {isOpen ? (
+                          <ChevronUp className="h-4 w-4 inline" />
+                        ) : (
+                          <ChevronDown className="h-4 w-4 inline" />
+                        )}
+                      </td>
+                    </tr>
+                    {isOpen && (
+                      <tr>
+                        <td colSpan={AGING_BUCKETS.length + 3} className="p-4">
+                          <div className="space-y-3 rounded-lg border border-slate-100 bg-slate-50/60 p-3">
+                            <ClientAgingDetail row={row} />
+                            <div className="flex justify-end gap-2">
+                              <Button
+                                variant="ghost"
+                                size="sm"
+                                onClick={() =>
+                                  handleExport(
+                                    generateDebtAgingPDF,
+                                    singleClientReport(report, row),
+                                  )
+                                }
+                                className="gap-2"
+                              >
+                                <FileDown className="h-4 w-4" />
+                                PDF do cliente
+                              </Button>
+                            </div>
+                          </div>
+                        </td>
+                      </tr>
+                    )}
+                  </Fragment>
+                );
+              })}
+            </tbody>
+          </table>
+        )}
+      </Card>
+    </div>
+  );
+}
@@ -6,6 +6,7 @@ import {
   ShoppingCart,
   Receipt,
   Activity,
+  Package,
 } from "lucide-react";
 import {
   BarChart,
@@ -20,8 +21,27 @@ import {
 import { formatCurrency, formatDate } from "../../utils/reportUtils";
 
 export default function FinancialSummary({ summaryData, period }) {
-  const { totalVendas, totalCompras, totalDespesas, totalLucro, dailyData } =
-    summaryData;
+  const {
+    totalVendas,
+    totalCompras,
+    totalDespesas,
+    totalLucro,
+    dailyData,
+    totalCustoVendas = 0,
+    totalLucroBruto = 0,
+    totalKgVendidos = 0,
+    countVendas = 0,
+  } = summaryData;
+
+  // Lucro bruto realizado: vendas menos o custo médio do que foi vendido (CMV)
+  const margemBruta =
+    totalLucroBruto + totalCustoVendas > 0
+      ? (totalLucroBruto / (totalLucroBruto + totalCustoVendas)) * 100
+      : 0;
+  const lucroBrutoPorKg =
+    totalKgVendidos > 0 ? totalLucroBruto / totalKgVendidos : 0;
+  const lucroBrutoPorVenda =
+    countVendas > 0 ? totalLucroBruto / countVendas : 0;
 
   // Lucro Real solicitado: VENDA - DESPESAS
   const lucroReal = totalVendas - totalDespesas;
@@ -122,6 +142,49 @@ export default function FinancialSummary({ summaryData, period }) {
         </Card>
       </div>
 
+      {/* Lucro Bruto Realizado (Vendas - CMV) */}
+      <Card>
+        <CardHeader className="flex flex-row items-center justify-between space-y-0 pb-2">
+          <CardTitle className="text-sm font-medium">
+            Lucro Bruto Realizado (Vendas - Custo Médio)
+          </CardTitle>
+          <Package className="h-4 w-4 text-emerald-600" />
+        </CardHeader>
+        <CardContent>
+          <div className="grid grid-cols-2 md:grid-cols-4 gap-4">
+            <div>
+              <p className="text-xs text-muted-foreground">CMV</p>
+              <p className="text-xl font-bold text-orange-600">
+                {formatCurrency(totalCustoVendas)}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-muted-foreground">Lucro Bruto</p>
+              <p
+                className={`text-xl font-bold ${totalLucroBruto >= 0 ? "text-emerald-600" : "text-red-600"}`}
+              >
+                {formatCurrency(totalLucroBruto)}
+              </p>
+              <p className="text-xs text-muted-foreground">
+                Margem de {margemBruta.toFixed(1)}%
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-muted-foreground">Por kg vendido</p>
+              <p className="text-xl font-bold text-slate-900">
+                {formatCurrency(lucroBrutoPorKg)}
+              </p>
+            </div>
+            <div>
+              <p className="text-xs text-muted-foreground">Por venda</p>
+              <p className="text-xl font-bold text-slate-900">
+                {formatCurrency(lucroBrutoPorVenda)}
+              </p>
+            </div>
+          </div>
+        </CardContent>
+      </Card>
+
       {/* Seção de Lucro Real (Venda - Despesas) */}
       <Card
         className={`border-2 ${isLucroRealPositivo ? "border-blue-200 bg-blue-50" : "border-red-200 bg-red-50"}`}
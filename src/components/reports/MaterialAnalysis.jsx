@@ -40,11 +40,18 @@ export default function MaterialAnalysis({ summaryData }) {
   });
 
   // Convert to array and sort
+  // lucroBruto/custoVendas vêm do CMV gravado em cada venda (custo médio ponderado)
   const materialsArray = Object.entries(materialStats).map(
     ([material, stats]) => ({
       material,
       nome: getMaterialName(material),
       ...stats,
+      custoVendas: stats.custoVendas || 0,
+      lucroBruto: stats.lucroBruto || 0,
+      lucroPorKg:
+        stats.quantidadeCusteada > 0
+          ? (stats.lucroBruto || 0) / stats.quantidadeCusteada
+          : 0,
     }),
   );
 
@@ -144,6 +151,22 @@ export default function MaterialAnalysis({ summaryData }) {
                     Lucro <ArrowUpDown className="h-4 w-4" />
                   </div>
                 </TableHead>
+                <TableHead
+                  className="text-right cursor-pointer"
+                  onClick={() => handleSort("lucroBruto")}
+                >
+                  <div className="flex items-center justify-end gap-1">
+                    Lucro Bruto <ArrowUpDown className="h-4 w-4" />
+                  </div>
+                </TableHead>
+                <TableHead
+                  className="text-right cursor-pointer"
+                  onClick={() => handleSort("lucroPorKg")}
+                >
+                  <div className="flex items-center justify-end gap-1">
+                    Lucro/kg <ArrowUpDown className="h-4 w-4" />
+                  </div>
+                </TableHead>
                 <TableHead
                   className="text-right cursor-pointer"
                   onClick={() => handleSort("margem")}
@@ -170,6 +193,15 @@ export default function MaterialAnalysis({ summaryData }) {
                   >
                     {formatCurrency(item.lucro)}
                   </TableCell>
+                  <TableCell
+                    className={`text-right font-semibold ${item.lucroBruto >= 0 ? "text-green-600" : "text-red-600"}`}
+                    title={`CMV: ${formatCurrency(item.custoVendas)}`}
+                  >
+                    {formatCurrency(item.lucroBruto)}
+                  </TableCell>
+                  <TableCell className="text-right">
+                    {formatCurrency(item.lucroPorKg)}
+                  </TableCell>
                   <TableCell className="text-right">{item.margem}%</TableCell>
                   <TableCell className="text-right">
                     {item.quantidade.toFixed(2)}
@@ -12,6 +12,7 @@ import {
   Award,
 } from "lucide-react";
 import { formatCurrency } from "@/lib/utils";
+import { hasCostOfGoods } from "@/utils/calculations";
 
 const MaterialsReport = ({ transactions }) => {
   const [sortBy, setSortBy] = useState("lucro"); // lucro, vendas, compras, margem
@@ -33,6 +34,10 @@ const MaterialsReport = ({ transactions }) => {
           transacoesCompra: 0,
           precoMedioVenda: 0,
           precoMedioCompra: 0,
+          custoVendas: 0,
+          vendasCusteadas: 0,
+          quantidadeCusteada: 0,
+          transacoesCusteadas: 0,
         };
       }
 
@@ -40,6 +45,12 @@ const MaterialsReport = ({ transactions }) => {
         stats[t.material].vendas += t.valorTotal;
         stats[t.material].quantidadeVendida += t.quantidade;
         stats[t.material].transacoesVenda++;
+        if (hasCostOfGoods(t)) {
+          stats[t.material].custoVendas += t.custoMercadoria;
+          stats[t.material].vendasCusteadas += t.valorTotal;
+          stats[t.material].quantidadeCusteada += t.quantidade;
+          stats[t.material].transacoesCusteadas++;
+        }
       } else if (t.tipo === "compra") {
         stats[t.material].compras += t.valorTotal;
         stats[t.material].quantidadeComprada += t.quantidade;
@@ -49,8 +60,18 @@ const MaterialsReport = ({ transactions }) => {
 
     Object.keys(stats).forEach((material) => {
       const data = stats[material];
-      data.lucro = data.vendas - data.compras;
-      data.margem = data.vendas > 0 ? (data.lucro / data.vendas) * 100 : 0;
+      // Lucro bruto realizado: só vendas com custo médio (CMV) apurado
+      data.lucro = data.vendasCusteadas - data.custoVendas;
+      data.margem =
+        data.vendasCusteadas > 0
+          ? (data.lucro / data.vendasCusteadas) * 100
+          : 0;
+      data.lucroPorKg =
+        data.quantidadeCusteada > 0 ? data.lucro / data.quantidadeCusteada : 0;
+      data.lucroPorVenda =
+        data.transacoesCusteadas > 0
+          ? data.lucro / data.transacoesCusteadas
+          : 0;
       data.precoMedioVenda =
         data.quantidadeVendida > 0 ? data.vendas / data.quantidadeVendida : 0;
       data.precoMedioCompra =
@@ -90,15 +111,22 @@ const MaterialsReport = ({ transactions }) => {
     const materials = Object.values(materialStats);
     const totalVendas = materials.reduce((sum, m) => sum + m.vendas, 0);
     const totalCompras = materials.reduce((sum, m) => sum + m.compras, 0);
-    // LUCRO = Vendas (compras sao investimento em estoque)
-    const totalLucro = totalVendas;
+    // Compras são investimento em estoque; o lucro vem do custo médio do que foi vendido
+    const totalLucro = materials.reduce((sum, m) => sum + m.lucro, 0);
+    const totalVendasCusteadas = materials.reduce(
+      (sum, m) => sum + m.vendasCusteadas,
+      0,
+    );
 
     return {
       totalMateriais: materials.length,
       totalVendas,
       totalCompras,
       totalLucro,
-      margemGeral: totalVendas > 0 ? (totalLucro / totalVendas) * 100 : 0,
+      margemGeral:
+        totalVendasCusteadas > 0
+          ? (totalLucro / totalVendasCusteadas) * 100
+          : 0,
       materialMaisLucrativo:
         materials.length > 0
           ? Object.entries(materialStats).reduce(
@@ -183,7 +211,7 @@ const MaterialsReport = ({ transactions }) => {
         </div>
         <div className="text-center">
           <TrendingUp className="h-6 w-6 text-blue-600 mx-auto mb-2" />
-          <p className="text-sm text-gray-600">Lucro Total</p>
+          <p className="text-sm text-gray-600">Lucro Bruto Realizado</p>
           <p
             className={`text-xl font-bold ${overallStats.totalLucro >= 0 ? "text-green-600" : "text-red-600"}`}
           >
@@ -231,7 +259,9 @@ const MaterialsReport = ({ transactions }) => {
 
               <div className="grid grid-cols-2 gap-3 mb-4">
                 <div className="text-center p-3 bg-green-50 rounded-lg border border-green-100">
-                  <p className="text-xs text-green-700 font-medium">💰 Lucro</p>
+                  <p className="text-xs text-green-700 font-medium">
+                    💰 Lucro Bruto
+                  </p>
                   <p
                     className={`text-lg font-bold ${data.lucro >= 0 ? "text-green-600" : "text-red-600"}`}
                   >
@@ -269,7 +299,29 @@ const MaterialsReport = ({ transactions }) => {
                   </span>
                 </div>
 
+                <div className="flex justify-between items-center p-2 rounded">
+                  <span className="text-gray-600 flex items-center">
+                    <Package className="h-4 w-4 mr-1 text-orange-600" />
+                    Custo das Vendas:
+                  </span>
+                  <span className="font-semibold text-orange-600">
+                    {formatCurrency(data.custoVendas)}
+                  </span>
+                </div>
+
                 <div className="pt-3 border-t border-gray-200 space-y-2">
+                  <div className="flex justify-between text-xs">
+                    <span className="text-gray-500">💰 Lucro por Kg:</span>
+                    <span className="font-medium">
+                      {formatCurrency(data.lucroPorKg)}
+                    </span>
+                  </div>
+                  <div className="flex justify-between text-xs">
+                    <span className="text-gray-500">💰 Lucro por Venda:</span>
+                    <span className="font-medium">
+                      {formatCurrency(data.lucroPorVenda)}
+                    </span>
+                  </div>
                   <div className="flex justify-between text-xs">
                     <span className="text-gray-500">⚖️ Kg Vendidos:</span>
                     <span className="font-medium">
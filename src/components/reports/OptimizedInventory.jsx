@@ -5,7 +5,7 @@ import { motion, AnimatePresence } from "framer-motion";
 import { Package } from "lucide-react";
 import { useInventory, useUpdateInventory } from "../../hooks/useFirebaseQuery";
 import { useDebounce } from "../../hooks/useDebounce";
-import { materialTypes } from "../../config/designTokens";
+import { useData } from "../../contexts/DataContext";
 import { InventoryCard } from "./InventoryCard";
 import { InventoryTableView } from "./InventoryTableView";
 import { InventoryFilters } from "./InventoryFilters";
@@ -23,6 +23,7 @@ export default function OptimizedInventory() {
   const [showLowStock, setShowLowStock] = useState(false);
 
   const debouncedSearch = useDebounce(searchTerm, 300);
+  const { materials: materialTypes } = useData();
   const { data: inventory = {}, isLoading, error } = useInventory();
   const updateInventoryMutation = useUpdateInventory();
 
@@ -42,7 +43,13 @@ export default function OptimizedInventory() {
         !showLowStock || (qtd <= (material.minStock || 0) && !isNegative);
       return matchesSearch && matchesCategory && matchesLowStock;
     });
-  }, [debouncedSearch, selectedCategory, showLowStock, inventory]);
+  }, [
+    debouncedSearch,
+    selectedCategory,
+    showLowStock,
+    inventory,
+    materialTypes,
+  ]);
 
   const handleEdit = (materialKey) => {
     setEditingItem(materialKey);
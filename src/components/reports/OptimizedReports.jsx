@@ -28,6 +28,7 @@ import {
   ArrowUpRight,
   ArrowDownRight,
   Users,
+  UserCheck,
   ShoppingCart,
   Activity,
   Target,
@@ -40,8 +41,18 @@ import {
   Briefcase,
   Wallet,
   PieChart as PieChartIcon,
+  DatabaseZap,
 } from "lucide-react";
 import { useData } from "@/contexts/DataContext";
+import { useRebuildReports } from "@/hooks/useFirebaseQuery";
+import { usePermissions } from "@/hooks/usePermissions";
+import { hasCostOfGoods } from "@/utils/calculations";
+import AuditLogReport from "./AuditLogReport";
+import TransactionTrash from "./TransactionTrash";
+import ShiftReport from "./ShiftReport";
+import TransactionImport from "./TransactionImport";
+import PriceComparisonReport from "./PriceComparisonReport";
+import DebtAgingReport from "./DebtAgingReport";
 import {
   format,
   startOfMonth,
@@ -70,6 +81,7 @@ import { jsPDF } from "jspdf";
 import autoTable from "jspdf-autotable";
 import * as XLSX from "xlsx";
 import TransactionEditModal from "@/components/TransactionEditModal";
+import { formatWeight, formatWeighing } from "@/utils/formatters";
 
 // Cores para gráficos
 const COLORS = [
@@ -394,7 +406,7 @@ const QuickFilters = memo(({ activePeriod, onPeriodChange }) => {
 QuickFilters.displayName = "QuickFilters";
 
 const TransactionDetailModal = memo(
-  ({ transaction, onClose, onEdit, onDelete }) => {
+  ({ transaction, onClose, onEdit, onDelete, canEdit, canDelete }) => {
     const [showDeleteConfirm, setShowDeleteConfirm] = useState(false);
     const [deleting, setDeleting] = useState(false);
 
@@ -508,6 +520,18 @@ const TransactionDetailModal = memo(
               </div>
             </div>
 
+            {formatWeighing(transaction) && (
+              <div className="bg-slate-50 rounded-xl p-2 border border-slate-100">
+                <p className="text-xs text-slate-500 uppercase font-medium mb-1">
+                  Pesagem
+                </p>
+                <p className="font-bold text-slate-800">
+                  {formatWeighing(transaction)} ={" "}
+                  {formatWeight(transaction.quantidade)} líquido
+                </p>
+              </div>
+            )}
+
             {(transaction.vendedor ||
               transaction.cliente ||
               transaction.fornecedor) && (
@@ -524,6 +548,23 @@ const TransactionDetailModal = memo(
               </div>
             )}
 
+            {transaction.registradaPor && (
+              <div className="bg-slate-50 rounded-xl p-2 border border-slate-100">
+                <p className="text-xs text-slate-500 uppercase font-medium mb-1">
+                  Registrada por
+                </p>
+                <p className="font-bold text-slate-800 flex items-center gap-2">
+                  <UserCheck className="h-4 w-4 text-slate-400" />
+                  {transaction.registradaPor.nome}
+                  {transaction.editadaPor && (
+                    <span className="text-xs font-medium text-slate-500">
+                      · editada por {transaction.editadaPor.nome}
+                    </span>
+                  )}
+                </p>
+              </div>
+            )}
+
             {transaction.observacoes && (
               <div className="bg-amber-50 rounded-xl p-2 border border-amber-200">
                 <p className="text-xs text-amber-600 uppercase font-medium mb-1">
@@ -557,21 +598,34 @@ const TransactionDetailModal = memo(
               </>
             ) : (
               <>
-                <Button
-                  onClick={() => onEdit(transaction)}
-                  className="flex-1 bg-emerald-600 hover:bg-emerald-700"
-                >
-                  <Edit3 className="h-4 w-4 mr-2" />
-                  Editar
-                </Button>
-                <Button
-                  onClick={() => setShowDeleteConfirm(true)}
-                  variant="outline"
-                  className="flex-1 text-red-600 hover:bg-red-50 hover:border-red-300"
-                >
-                  <Trash2 className="h-4 w-4 mr-2" />
-                  Excluir
-                </Button>
+                {canEdit && (
+                  <Button
+                    onClick={() => onEdit(transaction)}
+                    className="flex-1 bg-emerald-600 hover:bg-emerald-700"
+                  >
+                    <Edit3 className="h-4 w-4 mr-2" />
+                    Editar
+                  </Button>
+                )}
+                {canDelete && (
+                  <Button
+                    onClick={() => setShowDeleteConfirm(true)}
+                    variant="outline"
+                    className="flex-1 text-red-600 hover:bg-red-50 hover:border-red-300"
+                  >
+                    <Trash2 className="h-4 w-4 mr-2" />
+                    Excluir
+                  </Button>
+                )}
+                {!canEdit && !canDelete && (
+                  <Button
+                    onClick={onClose}
+                    variant="outline"
+                    className="flex-1"
+                  >
+                    Fechar
+                  </Button>
+                )}
               </>
             )}
           </div>
@@ -590,11 +644,14 @@ export default function OptimizedReports() {
     syncing,
     editTransaction,
     deleteTransaction,
-    liveSummary, // KPIs do Cloud Functions
+    liveSummary, // KPIs mantidos pela escrita atômica de transações
     fetchTransactionsByPeriod,
     inventory = {},
     customers = [],
   } = useData();
+  // Lucro, margens e ações administrativas ficam restritos ao proprietário
+  const { can } = usePermissions();
+  const canViewProfit = can("reports.viewProfit");
 
   // Estados
   const [period, setPeriod] = useState("month");
@@ -786,6 +843,12 @@ export default function OptimizedReports() {
       dailyStats: {},
       investimentoTotal: 0,
       lucroInvestimento: 0,
+      // Lucro bruto realizado: vendas com CMV apurado menos o custo médio vendido
+      totalCustoVendas: 0,
+      lucroBruto: 0,
+      vendasCusteadas: 0,
+      countVendasCusteadas: 0,
+      countVendasSemCusto: 0,
     };
 
     // CORREÇÃO PRINCIPAL: SEMPRE calcular stats a partir das transações reais
@@ -816,6 +879,15 @@ export default function OptimizedReports() {
         result.countVendas++;
         result.totalQuantidade += qtd;
         result.dailyStats[dateKey].vendas += valor;
+        if (hasCostOfGoods(t)) {
+          const custo = Number(t.custoMercadoria) || 0;
+          result.totalCustoVendas += custo;
+          result.lucroBruto += valor - custo;
+          result.vendasCusteadas += valor;
+          result.countVendasCusteadas++;
+        } else {
+          result.countVendasSemCusto++;
+        }
       } else if (tipo === "compra") {
         result.totalCompras += valor;
         result.countCompras++;
@@ -836,6 +908,12 @@ export default function OptimizedReports() {
             quantidade: 0,
             lucro: 0,
             transacoes: 0,
+            quantidadeVendida: 0,
+            custoVendas: 0,
+            lucroBruto: 0,
+            quantidadeCusteada: 0,
+            vendasCusteadas: 0,
+            countVendasCusteadas: 0,
           };
         }
         result.materialStats[t.material].transacoes++;
@@ -843,6 +921,15 @@ export default function OptimizedReports() {
           result.materialStats[t.material].vendas += valor;
           result.materialStats[t.material].quantidade += qtd;
           result.materialStats[t.material].lucro += valor;
+          result.materialStats[t.material].quantidadeVendida += qtd;
+          if (hasCostOfGoods(t)) {
+            const custo = Number(t.custoMercadoria) || 0;
+            result.materialStats[t.material].custoVendas += custo;
+            result.materialStats[t.material].lucroBruto += valor - custo;
+            result.materialStats[t.material].quantidadeCusteada += qtd;
+            result.materialStats[t.material].vendasCusteadas += valor;
+            result.materialStats[t.material].countVendasCusteadas++;
+          }
         } else {
           result.materialStats[t.material].compras += valor;
           result.materialStats[t.material].quantidade += qtd;
@@ -870,6 +957,28 @@ export default function OptimizedReports() {
       result.totalCompras > 0
         ? (result.lucroInvestimento / result.totalCompras) * 100
         : 0;
+    result.margemBruta =
+      result.vendasCusteadas > 0
+        ? (result.lucroBruto / result.vendasCusteadas) * 100
+        : 0;
+    result.lucroBrutoPorVenda =
+      result.countVendasCusteadas > 0
+        ? result.lucroBruto / result.countVendasCusteadas
+        : 0;
+    Object.values(result.materialStats).forEach((data) => {
+      data.margemBruta =
+        data.vendasCusteadas > 0
+          ? (data.lucroBruto / data.vendasCusteadas) * 100
+          : 0;
+      data.lucroBrutoPorKg =
+        data.quantidadeCusteada > 0
+          ? data.lucroBruto / data.quantidadeCusteada
+          : 0;
+      data.lucroBrutoPorVenda =
+        data.countVendasCusteadas > 0
+          ? data.lucroBruto / data.countVendasCusteadas
+          : 0;
+    });
 
     // Médias
     const diffDays = Math.max(
@@ -1302,8 +1411,10 @@ export default function OptimizedReports() {
                   "Qtd (kg)",
                   "Vendas",
                   "Compras",
-                  "Lucro",
+                  "CMV",
+                  "Lucro Bruto",
                   "Margem",
+                  "Lucro/kg",
                 ],
               ],
               body: Object.entries(stats.materialStats).map(([name, data]) => [
@@ -1311,8 +1422,10 @@ export default function OptimizedReports() {
                 `${data.quantidade.toFixed(2)} kg`,
                 formatCurrency(data.vendas),
                 formatCurrency(data.compras),
-                formatCurrency(data.lucro),
-                `${data.vendas > 0 ? ((data.lucro / data.vendas) * 100).toFixed(1) : 0}%`,
+                formatCurrency(data.custoVendas),
+                formatCurrency(data.lucroBruto),
+                `${data.margemBruta.toFixed(1)}%`,
+                formatCurrency(data.lucroBrutoPorKg),
               ]),
               theme: "striped",
               headStyles: { fillColor: [124, 58, 237] },
@@ -1456,6 +1569,32 @@ export default function OptimizedReports() {
     [deleteTransaction],
   );
 
+  // Ação administrativa: recria os daily_reports do período selecionado
+  const rebuildReports = useRebuildReports();
+  const handleRebuildReports = useCallback(async () => {
+    const confirmed = window.confirm(
+      `Reconstruir os relatórios diários de ${format(new Date(startDate + "T00:00:00"), "dd/MM/yyyy")} até ${format(new Date(endDate + "T00:00:00"), "dd/MM/yyyy")} a partir das transações?`,
+    );
+    if (!confirmed) return;
+
+    try {
+      const result = await rebuildReports.mutateAsync({
+        startDate: new Date(startDate + "T00:00:00"),
+        endDate: new Date(endDate + "T00:00:00"),
+      });
+      showToast(
+        "Relatórios reconstruídos",
+        `${result.transactions} transações agregadas em ${result.written} dias (${result.removed} relatórios obsoletos removidos). ${result.vendasCusteadas} vendas receberam o custo médio.`,
+      );
+    } catch (error) {
+      showToast(
+        "Erro",
+        `Falha ao reconstruir relatórios: ${error.message}`,
+        "error",
+      );
+    }
+  }, [rebuildReports, startDate, endDate]);
+
   const currentMonthDisplay = useMemo(() => {
     const date = new Date(startDate);
     return format(date, "MMMM yyyy", { locale: ptBR });
@@ -1496,11 +1635,28 @@ export default function OptimizedReports() {
             />
             Sincronizar
           </Button>
-          <ExportMenu
-            onExport={handleExport}
-            isExporting={isExporting}
-            disabled={!filteredTransactions.length}
-          />
+          {can("reports.rebuild") && (
+            <Button
+              variant="outline"
+              size="sm"
+              onClick={handleRebuildReports}
+              disabled={rebuildReports.isPending}
+              title="Recalcula os relatórios diários do período a partir das transações"
+              className="shadow-sm bg-white border-slate-200 hover:bg-slate-50"
+            >
+              <DatabaseZap
+                className={`h-4 w-4 mr-2 ${rebuildReports.isPending ? "animate-pulse" : ""}`}
+              />
+              Reconstruir Relatórios
+            </Button>
+          )}
+          {can("reports.export") && (
+            <ExportMenu
+              onExport={handleExport}
+              isExporting={isExporting}
+              disabled={!filteredTransactions.length}
+            />
+          )}
         </div>
       </div>
 
@@ -1634,7 +1790,9 @@ export default function OptimizedReports() {
       </Card>
 
       {/* KPIs Principais */}
-      <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-4 gap-4">
+      <div
+        className={`grid grid-cols-1 md:grid-cols-2 gap-4 ${canViewProfit ? "lg:grid-cols-4" : "lg:grid-cols-3"}`}
+      >
         <StatCard
           title="Receita Bruta"
           value={formatCurrency(stats.totalVendas)}
@@ -1680,191 +1838,219 @@ export default function OptimizedReports() {
           )}
           color="red"
         />
-        <StatCard
-          title="Lucro Líquido"
-          value={formatCurrency(stats.lucroTotal)}
-          subtitle={`Margem de ${stats.margemLucro.toFixed(1)}%`}
-          icon={(props) => (
-            <img
-              src="/image/fluxo-de-caixa.png" // Caminho da sua imagem na pasta public
-              alt="Ícone"
-              // 2. Usamos 'props.className' para herdar o tamanho/cor se o StatCard mandar,
-              // mas forçamos w-6 h-6 para garantir.
-              className={`w-6 h-6 object-contain ${props.className || ""}`}
-            />
-          )}
-          color="orange"
-          trend={stats.margemLucro}
-        />
+        {canViewProfit && (
+          <StatCard
+            title="Lucro Líquido"
+            value={formatCurrency(stats.lucroTotal)}
+            subtitle={`Margem de ${stats.margemLucro.toFixed(1)}%`}
+            icon={(props) => (
+              <img
+                src="/image/fluxo-de-caixa.png" // Caminho da sua imagem na pasta public
+                alt="Ícone"
+                // 2. Usamos 'props.className' para herdar o tamanho/cor se o StatCard mandar,
+                // mas forçamos w-6 h-6 para garantir.
+                className={`w-6 h-6 object-contain ${props.className || ""}`}
+              />
+            )}
+            color="orange"
+            trend={stats.margemLucro}
+          />
+        )}
       </div>
 
       {/* Métricas de Investimento (Nova Seção) */}
-      <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
-        <Card className="p-6 bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 text-white border-none shadow-2xl lg:col-span-2 relative overflow-hidden group">
-          {/* Efeito de brilho moderno */}
-          <div className="absolute -top-24 -right-24 w-48 h-48 bg-emerald-500/10 rounded-full blur-3xl group-hover:bg-emerald-500/20 transition-all duration-500"></div>
-
-          <div className="flex items-center justify-between mb-8 relative z-10">
-            <div>
-              <h3 className="text-xl font-black flex items-center gap-3 tracking-tight">
-                <img
-                  src="/image/pe.png"
-                  alt="Ícone de Relatório"
-                  className="w-7 h-7 object-contain"
-                  onError={(e) => {
-                    e.target.style.display = "none";
-                    e.target.nextSibling.style.display = "block";
-                  }}
-                />
-                <Activity className="h-6 w-6 text-emerald-400 hidden" />
-                Performance de Investimento
-              </h3>
-              <p className="text-slate-400 text-sm mt-1 font-medium">
-                Análise estratégica de compra, revenda e eficiência
-              </p>
-            </div>
-            <Badge className="bg-emerald-500/10 text-emerald-400 border-emerald-500/20 px-3 py-1 font-bold">
-              Mês Atual
-            </Badge>
-          </div>
+      {canViewProfit && (
+        <div className="grid grid-cols-1 lg:grid-cols-3 gap-4">
+          <Card className="p-6 bg-gradient-to-br from-slate-900 via-slate-800 to-slate-900 text-white border-none shadow-2xl lg:col-span-2 relative overflow-hidden group">
+            {/* Efeito de brilho moderno */}
+            <div className="absolute -top-24 -right-24 w-48 h-48 bg-emerald-500/10 rounded-full blur-3xl group-hover:bg-emerald-500/20 transition-all duration-500"></div>
 
-          <div className="grid grid-cols-1 sm:grid-cols-3 gap-8 relative z-10">
-            <div className="space-y-2 p-4 rounded-2xl bg-white/5 border border-white/5 hover:bg-white/10 transition-colors">
-              <p className="text-slate-400 text-[10px] uppercase font-black tracking-[0.2em]">
-                Total Investido
-              </p>
-              <p className="text-3xl font-black tracking-tighter">
-                {formatCurrency(stats.totalCompras)}
-              </p>
-              <p className="text-[10px] text-slate-500 font-medium">
-                Capital aplicado em estoque
-              </p>
-            </div>
-            <div className="space-y-2 p-4 rounded-2xl bg-emerald-500/5 border border-emerald-500/10 hover:bg-emerald-500/10 transition-colors">
-              <p className="text-emerald-400/70 text-[10px] uppercase font-black tracking-[0.2em]">
-                Retorno Bruto
-              </p>
-              <p className="text-3xl font-black text-emerald-400 tracking-tighter">
-                {formatCurrency(stats.totalVendas)}
-              </p>
-              <p className="text-[10px] text-slate-500 font-medium">
-                Valor total das revendas
-              </p>
-            </div>
-            <div className="space-y-2 p-4 rounded-2xl bg-blue-500/5 border border-blue-500/10 hover:bg-blue-500/10 transition-colors">
-              <p className="text-blue-400/70 text-[10px] uppercase font-black tracking-[0.2em]">
-                ROI Estratégico
-              </p>
-              <p className="text-3xl font-black text-blue-400 tracking-tighter">
-                {stats.roi.toFixed(1)}%
-              </p>
-              <p className="text-[10px] text-slate-500 font-medium">
-                Eficiência do capital
-              </p>
+            <div className="flex items-center justify-between mb-8 relative z-10">
+              <div>
+                <h3 className="text-xl font-black flex items-center gap-3 tracking-tight">
+                  <img
+                    src="/image/pe.png"
+                    alt="Ícone de Relatório"
+                    className="w-7 h-7 object-contain"
+                    onError={(e) => {
+                      e.target.style.display = "none";
+                      e.target.nextSibling.style.display = "block";
+                    }}
+                  />
+                  <Activity className="h-6 w-6 text-emerald-400 hidden" />
+                  Performance de Investimento
+                </h3>
+                <p className="text-slate-400 text-sm mt-1 font-medium">
+                  Análise estratégica de compra, revenda e eficiência
+                </p>
+              </div>
+              <Badge className="bg-emerald-500/10 text-emerald-400 border-emerald-500/20 px-3 py-1 font-bold">
+                Mês Atual
+              </Badge>
             </div>
-          </div>
 
-          <div className="mt-10 pt-8 border-t border-slate-700/50 flex flex-col sm:flex-row items-center justify-between gap-6 relative z-10">
-            <div className="flex items-center gap-8">
-              <div className="space-y-1">
-                <p className="text-[10px] text-slate-500 uppercase font-black tracking-widest">
-                  Lucro Real (Venda - Despesa)
+            <div className="grid grid-cols-1 sm:grid-cols-3 gap-8 relative z-10">
+              <div className="space-y-2 p-4 rounded-2xl bg-white/5 border border-white/5 hover:bg-white/10 transition-colors">
+                <p className="text-slate-400 text-[10px] uppercase font-black tracking-[0.2em]">
+                  Total Investido
                 </p>
-                <div className="flex items-baseline gap-2">
-                  <p className="text-2xl font-black text-emerald-400 tracking-tighter">
-                    {formatCurrency(stats.totalVendas - stats.totalDespesas)}
-                  </p>
-                  <span className="text-[10px] text-slate-500 font-bold">
-                    LÍQUIDO
-                  </span>
-                </div>
-                <p className="text-[10px] text-slate-400 italic">
-                  Resultado direto após subtrair custos operacionais
+                <p className="text-3xl font-black tracking-tighter">
+                  {formatCurrency(stats.totalCompras)}
+                </p>
+                <p className="text-[10px] text-slate-500 font-medium">
+                  Capital aplicado em estoque
                 </p>
               </div>
-              <div className="h-12 w-[1px] bg-slate-700/50 hidden sm:block"></div>
-              <div className="space-y-1">
-                <p className="text-[10px] text-slate-500 uppercase font-black tracking-widest">
-                  Lucro s/ Investimento
+              <div className="space-y-2 p-4 rounded-2xl bg-emerald-500/5 border border-emerald-500/10 hover:bg-emerald-500/10 transition-colors">
+                <p className="text-emerald-400/70 text-[10px] uppercase font-black tracking-[0.2em]">
+                  Retorno Bruto
+                </p>
+                <p className="text-3xl font-black text-emerald-400 tracking-tighter">
+                  {formatCurrency(stats.totalVendas)}
                 </p>
-                <p className="text-2xl font-black text-white tracking-tighter">
-                  {formatCurrency(stats.lucroInvestimento)}
+                <p className="text-[10px] text-slate-500 font-medium">
+                  Valor total das revendas
+                </p>
+              </div>
+              <div className="space-y-2 p-4 rounded-2xl bg-blue-500/5 border border-blue-500/10 hover:bg-blue-500/10 transition-colors">
+                <p className="text-blue-400/70 text-[10px] uppercase font-black tracking-[0.2em]">
+                  ROI Estratégico
+                </p>
+                <p className="text-3xl font-black text-blue-400 tracking-tighter">
+                  {stats.roi.toFixed(1)}%
+                </p>
+                <p className="text-[10px] text-slate-500 font-medium">
+                  Eficiência do capital
                 </p>
               </div>
             </div>
-            <div className="flex items-center gap-3 px-4 py-2 rounded-full bg-slate-950/50 border border-slate-800">
-              <CheckCircle2 className="h-4 w-4 text-emerald-500" />
-              <span className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">
-                Processamento em Tempo Real
-              </span>
-            </div>
-          </div>
-        </Card>
-
-        <Card className="p-5 bg-white border-slate-200 shadow-lg">
-          <h3 className="font-bold text-slate-800 mb-4 flex items-center gap-2">
-            <PieChartIcon className="h-5 w-5 text-blue-500" />
-            Distribuição de Custos
-          </h3>
-          <div className="h-48">
-            <ResponsiveContainer width="100%" height="100%">
-              <PieChart>
-                <Pie
-                  data={[
-                    { name: "Compras", value: stats.totalCompras },
-                    { name: "Despesas", value: stats.totalDespesas },
-                    { name: "Lucro", value: Math.max(0, stats.lucroTotal) },
-                  ]}
-                  cx="50%"
-                  cy="50%"
-                  innerRadius={60}
-                  outerRadius={80}
-                  paddingAngle={5}
-                  dataKey="value"
-                >
-                  <Cell fill="#3b82f6" />
-                  <Cell fill="#ef4444" />
-                  <Cell fill="#22c55e" />
-                </Pie>
-                <Tooltip formatter={(v) => formatCurrency(v)} />
-              </PieChart>
-            </ResponsiveContainer>
-          </div>
-          <div className="mt-4 space-y-2">
-            <div className="flex items-center justify-between text-xs">
-              <span className="flex items-center gap-2">
-                <div className="w-3 h-3 rounded-full bg-blue-500"></div> Compras
-              </span>
-              <span className="font-bold">
-                {(
-                  (stats.totalCompras / (stats.totalVendas || 1)) *
-                  100
-                ).toFixed(1)}
-                %
-              </span>
+
+            <div className="mt-10 pt-8 border-t border-slate-700/50 flex flex-col sm:flex-row items-center justify-between gap-6 relative z-10">
+              <div className="flex items-center gap-8">
+                <div className="space-y-1">
+                  <p className="text-[10px] text-slate-500 uppercase font-black tracking-widest">
+                    Lucro Real (Venda - Despesa)
+                  </p>
+                  <div className="flex items-baseline gap-2">
+                    <p className="text-2xl font-black text-emerald-400 tracking-tighter">
+                      {formatCurrency(stats.totalVendas - stats.totalDespesas)}
+                    </p>
+                    <span className="text-[10px] text-slate-500 font-bold">
+                      LÍQUIDO
+                    </span>
+                  </div>
+                  <p className="text-[10px] text-slate-400 italic">
+                    Resultado direto após subtrair custos operacionais
+                  </p>
+                </div>
+                <div className="h-12 w-[1px] bg-slate-700/50 hidden sm:block"></div>
+                <div className="space-y-1">
+                  <p className="text-[10px] text-slate-500 uppercase font-black tracking-widest">
+                    Lucro s/ Investimento
+                  </p>
+                  <p className="text-2xl font-black text-white tracking-tighter">
+                    {formatCurrency(stats.lucroInvestimento)}
+                  </p>
+                </div>
+                <div className="h-12 w-[1px] bg-slate-700/50 hidden sm:block"></div>
+                <div className="space-y-1">
+                  <p className="text-[10px] text-slate-500 uppercase font-black tracking-widest">
+                    Lucro Bruto Realizado
+                  </p>
+                  <div className="flex items-baseline gap-2">
+                    <p className="text-2xl font-black text-white tracking-tighter">
+                      {formatCurrency(stats.lucroBruto)}
+                    </p>
+                    <span className="text-[10px] text-emerald-400 font-bold">
+                      {stats.margemBruta.toFixed(1)}%
+                    </span>
+                  </div>
+                  <p className="text-[10px] text-slate-400 italic">
+                    {formatCurrency(stats.lucroBrutoPorVenda)} por venda (custo
+                    médio)
+                    {stats.countVendasSemCusto > 0 &&
+                      ` · ${stats.countVendasSemCusto} vendas sem custo apurado`}
+                  </p>
+                </div>
+              </div>
+              <div className="flex items-center gap-3 px-4 py-2 rounded-full bg-slate-950/50 border border-slate-800">
+                <CheckCircle2 className="h-4 w-4 text-emerald-500" />
+                <span className="text-[10px] font-bold text-slate-400 uppercase tracking-wider">
+                  Processamento em Tempo Real
+                </span>
+              </div>
             </div>
-            <div className="flex items-center justify-between text-xs">
-              <span className="flex items-center gap-2">
-                <div className="w-3 h-3 rounded-full bg-red-500"></div> Despesas
-              </span>
-              <span className="font-bold">
-                {(
-                  (stats.totalDespesas / (stats.totalVendas || 1)) *
-                  100
-                ).toFixed(1)}
-                %
-              </span>
+          </Card>
+
+          <Card className="p-5 bg-white border-slate-200 shadow-lg">
+            <h3 className="font-bold text-slate-800 mb-4 flex items-center gap-2">
+              <PieChartIcon className="h-5 w-5 text-blue-500" />
+              Distribuição de Custos
+            </h3>
+            <div className="h-48">
+              <ResponsiveContainer width="100%" height="100%">
+                <PieChart>
+                  <Pie
+                    data={[
+                      { name: "Compras", value: stats.totalCompras },
+                      { name: "Despesas", value: stats.totalDespesas },
+                      { name: "Lucro", value: Math.max(0, stats.lucroTotal) },
+                    ]}
+                    cx="50%"
+                    cy="50%"
+                    innerRadius={60}
+                    outerRadius={80}
+                    paddingAngle={5}
+                    dataKey="value"
+                  >
+                    <Cell fill="#3b82f6" />
+                    <Cell fill="#ef4444" />
+                    <Cell fill="#22c55e" />
+                  </Pie>
+                  <Tooltip formatter={(v) => formatCurrency(v)} />
+                </PieChart>
+              </ResponsiveContainer>
             </div>
-            <div className="flex items-center justify-between text-xs">
-              <span className="flex items-center gap-2">
-                <div className="w-3 h-3 rounded-full bg-emerald-500"></div>{" "}
-                Lucro
-              </span>
-              <span className="font-bold">{stats.margemLucro.toFixed(1)}%</span>
+            <div className="mt-4 space-y-2">
+              <div className="flex items-center justify-between text-xs">
+                <span className="flex items-center gap-2">
+                  <div className="w-3 h-3 rounded-full bg-blue-500"></div>{" "}
+                  Compras
+                </span>
+                <span className="font-bold">
+                  {(
+                    (stats.totalCompras / (stats.totalVendas || 1)) *
+                    100
+                  ).toFixed(1)}
+                  %
+                </span>
+              </div>
+              <div className="flex items-center justify-between text-xs">
+                <span className="flex items-center gap-2">
+                  <div className="w-3 h-3 rounded-full bg-red-500"></div>{" "}
+                  Despesas
+                </span>
+                <span className="font-bold">
+                  {(
+                    (stats.totalDespesas / (stats.totalVendas || 1)) *
+                    100
+                  ).toFixed(1)}
+                  %
+                </span>
+              </div>
+              <div className="flex items-center justify-between text-xs">
+                <span className="flex items-center gap-2">
+                  <div className="w-3 h-3 rounded-full bg-emerald-500"></div>{" "}
+                  Lucro
+                </span>
+                <span className="font-bold">
+                  {stats.margemLucro.toFixed(1)}%
+                </span>
+              </div>
             </div>
-          </div>
-        </Card>
-      </div>
+          </Card>
+        </div>
+      )}
 
       {/* Tabs de conteúdo */}
       <Tabs
@@ -1897,6 +2083,44 @@ export default function OptimizedReports() {
           >
             Pagamentos
           </TabsTrigger>
+          <TabsTrigger
+            value="aging"
+            className="data-[state=active]:bg-white data-[state=active]:text-emerald-600 data-[state=active]:shadow-sm py-2 px-6 font-bold transition-all rounded-lg"
+          >
+            Dívidas
+          </TabsTrigger>
+          {can("reports.shifts") && (
+            <TabsTrigger
+              value="shifts"
+              className="data-[state=active]:bg-white data-[state=active]:text-emerald-600 data-[state=active]:shadow-sm py-2 px-6 font-bold transition-all rounded-lg"
+            >
+              Turnos
+            </TabsTrigger>
+          )}
+          {can("transactions.import") && (
+            <TabsTrigger
+              value="import"
+              className="data-[state=active]:bg-white data-[state=active]:text-emerald-600 data-[state=active]:shadow-sm py-2 px-6 font-bold transition-all rounded-lg"
+            >
+              Importar
+            </TabsTrigger>
+          )}
+          {can("transactions.audit") && (
+            <TabsTrigger
+              value="audit"
+              className="data-[state=active]:bg-white data-[state=active]:text-emerald-600 data-[state=active]:shadow-sm py-2 px-6 font-bold transition-all rounded-lg"
+            >
+              Auditoria
+            </TabsTrigger>
+          )}
+          {can("transactions.delete") && (
+            <TabsTrigger
+              value="trash"
+              className="data-[state=active]:bg-white data-[state=active]:text-emerald-600 data-[state=active]:shadow-sm py-2 px-6 font-bold transition-all rounded-lg"
+            >
+              Lixeira
+            </TabsTrigger>
+          )}
         </TabsList>
 
         <TabsContent value="overview" className="space-y-4">
@@ -2165,6 +2389,10 @@ export default function OptimizedReports() {
         </TabsContent>
 
         <TabsContent value="materials" className="space-y-4">
+          <PriceComparisonReport
+            transactions={filteredTransactions}
+            inventory={inventory}
+          />
           <div className="grid grid-cols-1 md:grid-cols-2 lg:grid-cols-3 gap-4">
             {Object.entries(stats.materialStats)
               .sort(([, a], [, b]) => b.vendas - a.vendas)
@@ -2206,16 +2434,45 @@ export default function OptimizedReports() {
                         {formatCurrency(data.compras)}
                       </span>
                     </div>
-                    <div className="pt-2 border-t border-slate-100 flex justify-between items-center">
-                      <span className="text-xs font-bold text-slate-400 uppercase">
-                        Lucro Bruto:
-                      </span>
-                      <span
-                        className={`font-black ${data.lucro >= 0 ? "text-emerald-600" : "text-red-600"}`}
-                      >
-                        {formatCurrency(data.lucro)}
-                      </span>
-                    </div>
+                    {canViewProfit && (
+                      <>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-slate-500 font-medium">
+                            Saldo (Vendas - Compras):
+                          </span>
+                          <span
+                            className={`font-bold ${data.lucro >= 0 ? "text-slate-900" : "text-red-600"}`}
+                          >
+                            {formatCurrency(data.lucro)}
+                          </span>
+                        </div>
+                        <div className="flex justify-between text-sm">
+                          <span className="text-slate-500 font-medium">
+                            Custo das Vendas (CMV):
+                          </span>
+                          <span className="font-bold text-orange-600">
+                            {formatCurrency(data.custoVendas)}
+                          </span>
+                        </div>
+                        <div className="pt-2 border-t border-slate-100 flex justify-between items-center">
+                          <span className="text-xs font-bold text-slate-400 uppercase">
+                            Lucro Bruto Realizado:
+                          </span>
+                          <span
+                            className={`font-black ${data.lucroBruto >= 0 ? "text-emerald-600" : "text-red-600"}`}
+                          >
+                            {formatCurrency(data.lucroBruto)}
+                          </span>
+                        </div>
+                        <div className="flex justify-between text-xs text-slate-500">
+                          <span>Margem {data.margemBruta.toFixed(1)}%</span>
+                          <span>
+                            {formatCurrency(data.lucroBrutoPorKg)}/kg ·{" "}
+                            {formatCurrency(data.lucroBrutoPorVenda)}/venda
+                          </span>
+                        </div>
+                      </>
+                    )}
                   </div>
                 </Card>
               ))}
@@ -2267,6 +2524,34 @@ export default function OptimizedReports() {
             ))}
           </div>
         </TabsContent>
+
+        <TabsContent value="aging" className="space-y-4">
+          <DebtAgingReport />
+        </TabsContent>
+
+        {can("reports.shifts") && (
+          <TabsContent value="shifts" className="space-y-4">
+            <ShiftReport />
+          </TabsContent>
+        )}
+
+        {can("transactions.import") && (
+          <TabsContent value="import" className="space-y-4">
+            <TransactionImport />
+          </TabsContent>
+        )}
+
+        {can("transactions.audit") && (
+          <TabsContent value="audit" className="space-y-4">
+            <AuditLogReport />
+          </TabsContent>
+        )}
+
+        {can("transactions.delete") && (
+          <TabsContent value="trash" className="space-y-4">
+            <TransactionTrash />
+          </TabsContent>
+        )}
       </Tabs>
 
       {/* Modais */}
@@ -2276,12 +2561,21 @@ export default function OptimizedReports() {
           onClose={() => setSelectedTransaction(null)}
           onEdit={handleEdit}
           onDelete={handleDelete}
+          canEdit={can("transactions.edit")}
+          canDelete={can("transactions.delete")}
         />
       )}
 
       {editingTransaction && (
         <TransactionEditModal
           transaction={editingTransaction}
+          ticketLines={
+            editingTransaction.ticketId
+              ? transactions
+                  .filter((t) => t.ticketId === editingTransaction.ticketId)
+                  .sort((a, b) => a.ticketItem - b.ticketItem)
+              : []
+          }
           isOpen={!!editingTransaction}
           onClose={() => setEditingTransaction(null)}
           onSave={handleSaveEdit}
@@ -0,0 +1,145 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { format } from "date-fns";
+import { Scale, ChevronDown, ChevronUp } from "lucide-react";
+import { Card } from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { usePriceHistory } from "@/hooks/useFirebaseQuery";
+import { buildPriceComparison } from "@/services/reportService";
+import { getMaterialName } from "@/lib/materialCatalog";
+import { formatCurrency, formatWeight } from "@/utils/formatters";
+
+// Diferença positiva = pagamos acima da tabela
+const differenceClass = (value) =>
+  value > 0.005
+    ? "text-rose-600"
+    : value < -0.005
+      ? "text-emerald-600"
+      : "text-slate-500";
+
+const MaterialComparison = ({ summary }) => {
+  const [expanded, setExpanded] = useState(false);
+
+  return (
+    <>
+      <tr>
+        <td className="py-2 font-medium text-slate-700">
+          <button
+            type="button"
+            onClick={() => setExpanded((prev) => !prev)}
+            className="flex items-center gap-1"
+          >
+            {expanded ? (
+              <ChevronUp className="h-3 w-3" />
+            ) : (
+              <ChevronDown className="h-3 w-3" />
+            )}
+            {getMaterialName(summary.material)}
+          </button>
+        </td>
+        <td className="py-2 text-right text-slate-600">
+          {formatWeight(summary.quantidade)}
+        </td>
+        <td className="py-2 text-right text-slate-600">
+          {formatCurrency(summary.precoMedioPago)}
+        </td>
+        <td className="py-2 text-right text-slate-600">
+          {formatCurrency(summary.precoMedioTabela)}
+        </td>
+        <td
+          className={`py-2 text-right font-bold ${differenceClass(summary.diferenca)}`}
+        >
+          {formatCurrency(summary.diferenca)}
+        </td>
+      </tr>
+      {expanded &&
+        summary.transacoes.map((t) => (
+          <tr key={t.id} className="bg-slate-50/60 text-xs">
+            <td className="py-1 pl-5 text-slate-500">
+              {format(new Date(t.data), "dd/MM/yyyy")}
+              {t.vendedor && ` · ${t.vendedor}`}
+            </td>
+            <td className="py-1 text-right text-slate-500">
+              {formatWeight(t.quantidade)}
+            </td>
+            <td className="py-1 text-right text-slate-500">
+              {formatCurrency(t.precoPago)}
+            </td>
+            <td className="py-1 text-right text-slate-500">
+              {formatCurrency(t.precoTabela)}
+            </td>
+            <td className={`py-1 text-right ${differenceClass(t.diferenca)}`}>
+              {formatCurrency(t.diferenca)}
+            </td>
+          </tr>
+        ))}
+    </>
+  );
+};
+
+// Preço pago em cada compra contra o preço de tabela vigente naquele dia
+export default function PriceComparisonReport({ transactions, inventory }) {
+  const { data: history = [], isLoading, error } = usePriceHistory();
+
+  const comparison = useMemo(
+    () => buildPriceComparison(transactions, history, inventory),
+    [transactions, history, inventory],
+  );
+  const totalDiferenca = comparison.reduce((sum, m) => sum + m.diferenca, 0);
+  const semTabela = comparison.reduce((sum, m) => sum + m.semTabela, 0);
+
+  return (
+    <Card className="p-5 border-slate-200 shadow-md space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+        <h3 className="font-bold text-slate-800 flex items-center gap-2">
+          <Scale className="h-5 w-5 text-blue-500" />
+          Pago vs Tabela
+        </h3>
+        <Badge variant="outline" className={differenceClass(totalDiferenca)}>
+          {totalDiferenca > 0 ? "Acima da tabela: " : "Diferença: "}
+          {formatCurrency(totalDiferenca)}
+        </Badge>
+      </div>
+
+      {isLoading ? (
+        <p className="text-sm text-slate-500">Carregando preços de tabela...</p>
+      ) : error ? (
+        <p className="text-sm text-rose-600">
+          Erro ao carregar histórico de preços: {error.message}
+        </p>
+      ) : comparison.length === 0 ? (
+        <p className="text-sm text-slate-500">
+          Nenhuma compra no período selecionado.
+        </p>
+      ) : (
+        <div className="overflow-x-auto">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-slate-400 uppercase">
+                <th className="text-left font-semibold py-1">Material</th>
+                <th className="text-right font-semibold py-1">Peso</th>
+                <th className="text-right font-semibold py-1">Pago/kg</th>
+                <th className="text-right font-semibold py-1">Tabela/kg</th>
+                <th className="text-right font-semibold py-1">Diferença</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {comparison.map((summary) => (
+                <MaterialComparison key={summary.material} summary={summary} />
+              ))}
+            </tbody>
+          </table>
+        </div>
+      )}
+
+      <p className="text-xs text-slate-500">
+        Tabela = preço de compra vigente no dia de cada lançamento, pelo
+        histórico de preços do estoque. Diferença positiva significa que pagamos
+        acima da tabela.
+        {semTabela > 0 &&
+          ` ${semTabela} compra(s) sem preço de tabela ficaram de fora.`}
+      </p>
+    </Card>
+  );
+}
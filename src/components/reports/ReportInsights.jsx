@@ -17,6 +17,7 @@ import {
   AlertCircle,
 } from "lucide-react";
 import { motion } from "framer-motion";
+import { hasCostOfGoods } from "@/utils/calculations";
 
 const InsightCard = ({
   icon: Icon,
@@ -128,7 +129,8 @@ const ReportInsights = ({ transactions, stats, dateRange }) => {
     const vendas = transactions.filter((t) => t.tipo === "venda");
     const compras = transactions.filter((t) => t.tipo === "compra");
 
-    // Análise por material
+    // Análise por material. O lucro é o realizado: vendas com CMV apurado
+    // menos o custo médio do que foi vendido (vendas antigas ficam de fora)
     const materialStats = {};
     transactions.forEach((t) => {
       if (!t.material) return;
@@ -139,45 +141,55 @@ const ReportInsights = ({ transactions, stats, dateRange }) => {
           lucro: 0,
           quantidade: 0,
           transacoes: 0,
+          vendasCusteadas: 0,
+          quantidadeCusteada: 0,
         };
       }
       materialStats[t.material].transacoes++;
       if (t.tipo === "venda") {
         materialStats[t.material].vendas += t.valorTotal || 0;
         materialStats[t.material].quantidade += t.quantidade || 0;
+        if (hasCostOfGoods(t)) {
+          materialStats[t.material].lucro +=
+            (t.valorTotal || 0) - (t.custoMercadoria || 0);
+          materialStats[t.material].vendasCusteadas += t.valorTotal || 0;
+          materialStats[t.material].quantidadeCusteada += t.quantidade || 0;
+        }
       } else if (t.tipo === "compra") {
         materialStats[t.material].compras += t.valorTotal || 0;
       }
-      materialStats[t.material].lucro =
-        materialStats[t.material].vendas - materialStats[t.material].compras;
     });
 
-    // Material mais lucrativo
-    const mostProfitable = Object.entries(materialStats)
-      .map(([material, data]) => ({
+    const materialList = Object.entries(materialStats).map(
+      ([material, data]) => ({
         material,
         ...data,
-        margem: data.vendas > 0 ? (data.lucro / data.vendas) * 100 : 0,
-      }))
+        margem:
+          data.vendasCusteadas > 0
+            ? (data.lucro / data.vendasCusteadas) * 100
+            : 0,
+        lucroPorKg:
+          data.quantidadeCusteada > 0
+            ? data.lucro / data.quantidadeCusteada
+            : 0,
+      }),
+    );
+
+    // Material mais lucrativo
+    const mostProfitable = [...materialList]
+      .filter((m) => m.vendasCusteadas > 0)
       .sort((a, b) => b.lucro - a.lucro)[0];
 
     // Material com maior margem
-    const highestMargin = Object.entries(materialStats)
-      .map(([material, data]) => ({
-        material,
-        ...data,
-        margem: data.vendas > 0 ? (data.lucro / data.vendas) * 100 : 0,
-      }))
-      .filter((m) => m.vendas > 0)
+    const highestMargin = [...materialList]
+      .filter((m) => m.vendasCusteadas > 0)
       .sort((a, b) => b.margem - a.margem)[0];
 
     // Material com menor participação mas alta margem
     const totalVendas = stats.totalSales || 0;
-    const opportunities = Object.entries(materialStats)
-      .map(([material, data]) => ({
-        material,
+    const opportunities = materialList
+      .map((data) => ({
         ...data,
-        margem: data.vendas > 0 ? (data.lucro / data.vendas) * 100 : 0,
         participacao: totalVendas > 0 ? (data.vendas / totalVendas) * 100 : 0,
       }))
       .filter((m) => m.margem > 50 && m.participacao < 10 && m.vendas > 0)
@@ -254,6 +266,26 @@ const ReportInsights = ({ transactions, stats, dateRange }) => {
       Math.ceil((dateRange.to - dateRange.from) / (1000 * 60 * 60 * 24)) || 1;
     const lucroMedioDiario = stats.totalProfit / diasPeriodo;
 
+    // Margem bruta realizada (custo médio ponderado) por venda e por kg
+    const vendasCusteadas = vendas.filter(hasCostOfGoods);
+    const receitaCusteada = vendasCusteadas.reduce(
+      (sum, t) => sum + (t.valorTotal || 0),
+      0,
+    );
+    const lucroBruto = vendasCusteadas.reduce(
+      (sum, t) => sum + (t.valorTotal || 0) - (t.custoMercadoria || 0),
+      0,
+    );
+    const kgCusteados = vendasCusteadas.reduce(
+      (sum, t) => sum + (t.quantidade || 0),
+      0,
+    );
+    const margemBruta =
+      receitaCusteada > 0 ? (lucroBruto / receitaCusteada) * 100 : 0;
+    const lucroBrutoPorVenda =
+      vendasCusteadas.length > 0 ? lucroBruto / vendasCusteadas.length : 0;
+    const lucroBrutoPorKg = kgCusteados > 0 ? lucroBruto / kgCusteados : 0;
+
     return {
       mostProfitable,
       highestMargin,
@@ -265,6 +297,10 @@ const ReportInsights = ({ transactions, stats, dateRange }) => {
         margemLucro,
         roi,
         lucroMedioDiario,
+        margemBruta,
+        lucroBrutoPorVenda,
+        lucroBrutoPorKg,
+        vendasSemCusto: vendas.length - vendasCusteadas.length,
       },
     };
   }, [transactions, stats, dateRange]);
@@ -284,7 +320,7 @@ const ReportInsights = ({ transactions, stats, dateRange }) => {
           </h3>
         </div>
 
-        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-4 gap-4">
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-4">
           <KPICard
             label="Ticket Médio"
             value={`R$ ${insights.kpis.ticketMedio.toFixed(2)}`}
@@ -325,6 +361,24 @@ const ReportInsights = ({ transactions, stats, dateRange }) => {
             icon={Calendar}
             color={insights.kpis.lucroMedioDiario >= 0 ? "green" : "red"}
           />
+          <KPICard
+            label="Margem Bruta Realizada"
+            value={`${insights.kpis.margemBruta.toFixed(1)}%`}
+            subtitle={
+              insights.kpis.vendasSemCusto > 0
+                ? `${insights.kpis.vendasSemCusto} vendas sem custo apurado`
+                : "Sobre o custo médio do estoque"
+            }
+            icon={Package}
+            color={insights.kpis.margemBruta >= 0 ? "green" : "red"}
+          />
+          <KPICard
+            label="Lucro Bruto por Venda"
+            value={`R$ ${insights.kpis.lucroBrutoPorVenda.toFixed(2)}`}
+            subtitle={`R$ ${insights.kpis.lucroBrutoPorKg.toFixed(2)} por kg vendido`}
+            icon={DollarSign}
+            color={insights.kpis.lucroBrutoPorVenda >= 0 ? "blue" : "red"}
+          />
         </div>
       </Card>
 
@@ -344,7 +398,7 @@ const ReportInsights = ({ transactions, stats, dateRange }) => {
             <InsightCard
               icon={Award}
               title="Material Mais Lucrativo"
-              description={`${insights.mostProfitable.material} gerou R$ ${insights.mostProfitable.lucro.toFixed(2)} de lucro com margem de ${insights.mostProfitable.margem.toFixed(1)}%. Este é seu produto estrela!`}
+              description={`${insights.mostProfitable.material} gerou R$ ${insights.mostProfitable.lucro.toFixed(2)} de lucro bruto (R$ ${insights.mostProfitable.lucroPorKg.toFixed(2)}/kg) com margem de ${insights.mostProfitable.margem.toFixed(1)}%. Este é seu produto estrela!`}
               type="success"
             />
           )}
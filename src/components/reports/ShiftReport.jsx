@@ -0,0 +1,248 @@
+"use client";
+
+import { useMemo, useState } from "react";
+import { format } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import {
+  UserCheck,
+  ChevronDown,
+  ChevronUp,
+  ArrowDownCircle,
+  ArrowUpCircle,
+  Receipt,
+  Pencil,
+} from "lucide-react";
+import { Card } from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { useShiftActivity } from "@/hooks/useFirebaseQuery";
+import { buildShiftReport } from "@/services/reportService";
+import { getMaterialName } from "@/lib/materialCatalog";
+import { formatCurrency, formatWeight } from "@/utils/formatters";
+
+const TYPE_LABELS = { venda: "Venda", compra: "Compra", despesa: "Despesa" };
+
+const AUDIT_LABELS = {
+  edicao: "Edição",
+  exclusao: "Exclusão",
+  restauracao: "Restauração",
+};
+
+const ShiftMetric = ({ icon, label, value, detail, className }) => {
+  const MetricIcon = icon;
+  return (
+    <div className="p-3 rounded-lg border border-slate-100 bg-slate-50">
+      <p className="text-[10px] font-bold text-slate-400 uppercase flex items-center gap-1">
+        <MetricIcon className={`h-3 w-3 ${className}`} />
+        {label}
+      </p>
+      <p className="font-bold text-slate-800 mt-1">{value}</p>
+      {detail && <p className="text-xs text-slate-500">{detail}</p>}
+    </div>
+  );
+};
+
+const OperatorShift = ({ operator }) => {
+  const [expanded, setExpanded] = useState(false);
+  const alteracoes =
+    operator.edicoes + operator.exclusoes + operator.restauracoes;
+
+  return (
+    <Card className="p-4 border-slate-200 shadow-sm space-y-4">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-2">
+        <div className="flex items-center gap-3">
+          <div className="p-2 rounded-lg bg-emerald-100 text-emerald-600">
+            <UserCheck className="h-4 w-4" />
+          </div>
+          <div>
+            <p className="font-bold text-slate-800">{operator.nome}</p>
+            <p className="text-xs text-slate-500">
+              {operator.transactions.length} lançamento(s) · {alteracoes}{" "}
+              alteração(ões)
+            </p>
+          </div>
+        </div>
+        <div className="text-right">
+          <p className="text-[10px] font-bold text-slate-400 uppercase">
+            Saldo em dinheiro
+          </p>
+          <p
+            className={`font-black ${operator.dinheiroRecebido - operator.dinheiroPago >= 0 ? "text-emerald-600" : "text-rose-600"}`}
+          >
+            {formatCurrency(operator.dinheiroRecebido - operator.dinheiroPago)}
+          </p>
+        </div>
+      </div>
+
+      <div className="grid grid-cols-2 lg:grid-cols-5 gap-3">
+        <ShiftMetric
+          icon={ArrowDownCircle}
+          className="text-blue-500"
+          label="Compras"
+          value={formatCurrency(operator.compras.total)}
+          detail={`${operator.compras.count} · ${formatWeight(operator.compras.peso)}`}
+        />
+        <ShiftMetric
+          icon={ArrowUpCircle}
+          className="text-emerald-500"
+          label="Vendas"
+          value={formatCurrency(operator.vendas.total)}
+          detail={`${operator.vendas.count} · ${formatWeight(operator.vendas.peso)}`}
+        />
+        <ShiftMetric
+          icon={Receipt}
+          className="text-rose-500"
+          label="Despesas"
+          value={formatCurrency(operator.despesas.total)}
+          detail={`${operator.despesas.count} lançamento(s)`}
+        />
+        <ShiftMetric
+          icon={ArrowDownCircle}
+          className="text-orange-500"
+          label="Dinheiro pago"
+          value={formatCurrency(operator.dinheiroPago)}
+          detail={`Recebido ${formatCurrency(operator.dinheiroRecebido)}`}
+        />
+        <ShiftMetric
+          icon={Pencil}
+          className="text-amber-500"
+          label="Alterações"
+          value={alteracoes}
+          detail={`${operator.edicoes} ed. · ${operator.exclusoes} exc. · ${operator.restauracoes} rest.`}
+        />
+      </div>
+
+      <button
+        type="button"
+        onClick={() => setExpanded((prev) => !prev)}
+        className="text-xs font-bold flex items-center gap-1 text-emerald-600"
+      >
+        {expanded ? (
+          <ChevronUp className="h-3 w-3" />
+        ) : (
+          <ChevronDown className="h-3 w-3" />
+        )}
+        {expanded ? "Ocultar lançamentos" : "Ver lançamentos do turno"}
+      </button>
+
+      {expanded && (
+        <div className="space-y-3">
+          <table className="w-full text-sm">
+            <thead>
+              <tr className="text-xs text-slate-400 uppercase">
+                <th className="text-left font-semibold py-1">Hora</th>
+                <th className="text-left font-semibold py-1">Tipo</th>
+                <th className="text-left font-semibold py-1">Descrição</th>
+                <th className="text-left font-semibold py-1">Pagamento</th>
+                <th className="text-right font-semibold py-1">Valor</th>
+              </tr>
+            </thead>
+            <tbody className="divide-y divide-slate-100">
+              {operator.transactions.map((t) => (
+                <tr key={t.id}>
+                  <td className="py-1.5 text-slate-500">
+                    {t.createdAt && format(t.createdAt, "HH:mm")}
+                  </td>
+                  <td className="py-1.5">
+                    <Badge variant="secondary" className="text-[10px]">
+                      {TYPE_LABELS[t.tipo] || t.tipo}
+                    </Badge>
+                  </td>
+                  <td className="py-1.5 text-slate-700">
+                    {t.tipo === "despesa"
+                      ? t.descricao || t.observacoes || "Despesa"
+                      : `${formatWeight(t.quantidade)} de ${getMaterialName(t.material)}`}
+                  </td>
+                  <td className="py-1.5 text-slate-500 capitalize">
+                    {t.formaPagamento || "dinheiro"}
+                  </td>
+                  <td className="py-1.5 text-right font-semibold text-slate-800">
+                    {formatCurrency(t.valorTotal)}
+                  </td>
+                </tr>
+              ))}
+            </tbody>
+          </table>
+
+          {operator.auditEntries.length > 0 && (
+            <div className="rounded-lg bg-amber-50/50 p-3 space-y-1">
+              {operator.auditEntries.map((entry) => (
+                <p key={entry.id} className="text-xs text-slate-600">
+                  {format(entry.createdAt, "HH:mm")} ·{" "}
+                  <strong>{AUDIT_LABELS[entry.acao] || entry.acao}</strong> da
+                  transação{" "}
+                  <span className="font-mono">#{entry.documentoId}</span>
+                </p>
+              ))}
+            </div>
+          )}
+        </div>
+      )}
+    </Card>
+  );
+};
+
+export default function ShiftReport() {
+  const [day, setDay] = useState(format(new Date(), "yyyy-MM-dd"));
+  const { data, isLoading, error } = useShiftActivity(day);
+
+  const operators = useMemo(
+    () => buildShiftReport(data?.transactions, data?.auditEntries),
+    [data],
+  );
+
+  return (
+    <div className="space-y-4">
+      <Card className="p-4 border-slate-200 shadow-sm">
+        <div className="flex flex-col sm:flex-row sm:items-end gap-3">
+          <div className="flex items-center gap-2 sm:flex-1">
+            <UserCheck className="h-5 w-5 text-emerald-600" />
+            <h3 className="font-bold text-slate-800">Relatório de Turno</h3>
+            <Badge variant="outline">{operators.length} operador(es)</Badge>
+          </div>
+          <div>
+            <label className="text-xs font-bold text-slate-400 uppercase">
+              Dia
+            </label>
+            <Input
+              type="date"
+              value={day}
+              onChange={(e) => setDay(e.target.value)}
+            />
+          </div>
+        </div>
+        <p className="text-xs text-slate-500 mt-3">
+          Lançamentos agrupados por quem os registrou no sistema, pelo horário
+          do lançamento. Transações antigas, sem operador gravado, aparecem como
+          Não identificado.
+        </p>
+      </Card>
+
+      {isLoading ? (
+        <p className="text-center text-sm text-slate-500 py-10">
+          Carregando turno...
+        </p>
+      ) : error ? (
+        <p className="text-center text-sm text-rose-600 py-10">
+          Erro ao carregar turno: {error.message}
+        </p>
+      ) : operators.length === 0 ? (
+        <Card className="p-10 text-center text-slate-500 border-dashed">
+          Nenhum lançamento ou alteração registrada
+          {day &&
+            ` em ${format(new Date(day + "T00:00:00"), "dd/MM/yyyy", { locale: ptBR })}`}
+          .
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          {operators.map((operator) => (
+            <OperatorShift
+              key={operator.uid || operator.nome}
+              operator={operator}
+            />
+          ))}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -0,0 +1,356 @@
+"use client";
+
+import { useMemo, useRef, useState } from "react";
+import { format } from "date-fns";
+import { useQueryClient } from "@tanstack/react-query";
+import {
+  FileSpreadsheet,
+  Upload,
+  CheckCircle2,
+  AlertTriangle,
+  ArrowLeft,
+} from "lucide-react";
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/components/ui/use-toast";
+import { useData } from "@/contexts/DataContext";
+import { importTransactions } from "@/lib/firebaseService";
+import { getMaterialName } from "@/lib/materialCatalog";
+import {
+  IMPORT_FIELDS,
+  readSpreadsheet,
+  guessColumnMapping,
+  buildImportPreview,
+} from "@/lib/transactionImport";
+import { formatCurrency, formatWeight } from "@/utils/formatters";
+
+const TYPE_LABELS = { venda: "Venda", compra: "Compra", despesa: "Despesa" };
+const PREVIEW_LIMIT = 200;
+
+const selectClass =
+  "w-full rounded-md border border-slate-200 bg-white px-3 py-2 text-sm focus:outline-none focus:ring-2 focus:ring-emerald-500";
+
+export default function TransactionImport() {
+  const { toast } = useToast();
+  const { customers } = useData();
+  const queryClient = useQueryClient();
+  const fileInputRef = useRef(null);
+  const [sheet, setSheet] = useState(null); // { fileName, headers, rows }
+  const [mapping, setMapping] = useState({});
+  const [preview, setPreview] = useState(null);
+  const [onlyErrors, setOnlyErrors] = useState(false);
+  const [progress, setProgress] = useState(null); // { done, total }
+
+  const validRows = useMemo(
+    () => (preview || []).filter((row) => row.errors.length === 0),
+    [preview],
+  );
+  const invalidCount = (preview?.length || 0) - validRows.length;
+  const visibleRows = useMemo(
+    () =>
+      (preview || [])
+        .filter((row) => !onlyErrors || row.errors.length > 0)
+        .slice(0, PREVIEW_LIMIT),
+    [preview, onlyErrors],
+  );
+  const missingRequired = IMPORT_FIELDS.filter(
+    (field) => field.required && mapping[field.key] === undefined,
+  );
+
+  const reset = () => {
+    setSheet(null);
+    setMapping({});
+    setPreview(null);
+    setOnlyErrors(false);
+    setProgress(null);
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    try {
+      const { headers, rows } = await readSpreadsheet(file);
+      if (rows.length === 0) throw new Error("A planilha não tem linhas");
+      setSheet({ fileName: file.name, headers, rows });
+      setMapping(guessColumnMapping(headers));
+      setPreview(null);
+    } catch (err) {
+      toast({
+        title: "Erro ao ler planilha",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handleMappingChange = (field) => (e) => {
+    const { value } = e.target;
+    setMapping((prev) => {
+      const next = { ...prev };
+      if (value === "") delete next[field];
+      else next[field] = Number(value);
+      return next;
+    });
+  };
+
+  const handleImport = async () => {
+    if (
+      !window.confirm(
+        `Importar ${validRows.length} transações? Estoque e relatórios serão atualizados.`,
+      )
+    ) {
+      return;
+    }
+    setProgress({ done: 0, total: validRows.length });
+    try {
+      const { importadas, loteImportacao } = await importTransactions(
+        validRows.map((row) => row.transaction),
+        { onProgress: (done, total) => setProgress({ done, total }) },
+      );
+      await queryClient.invalidateQueries();
+      toast({
+        title: "Importação concluída",
+        description: `${importadas} transações gravadas no lote ${loteImportacao}.`,
+      });
+      reset();
+    } catch (err) {
+      await queryClient.invalidateQueries();
+      toast({
+        title: "Erro na importação",
+        description: err.message,
+        variant: "destructive",
+      });
+      setProgress(null);
+    }
+  };
+
+  const importing = progress !== null;
+
+  return (
+    <div className="space-y-4">
+      <Card className="p-4 border-slate-200 shadow-sm space-y-3">
+        <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+          <div className="flex items-center gap-2">
+            <FileSpreadsheet className="h-5 w-5 text-emerald-600" />
+            <h3 className="font-bold text-slate-800">Importar Planilha</h3>
+            {sheet && <Badge variant="outline">{sheet.fileName}</Badge>}
+          </div>
+          <div className="flex gap-2">
+            {sheet && (
+              <Button variant="outline" onClick={reset} disabled={importing}>
+                Cancelar
+              </Button>
+            )}
+            <Button
+              onClick={() => fileInputRef.current?.click()}
+              disabled={importing}
+            >
+              <Upload className="mr-2 h-4 w-4" />
+              {sheet ? "Trocar Arquivo" : "Selecionar Arquivo"}
+            </Button>
+            <input
+              ref={fileInputRef}
+              type="file"
+              accept=".csv,.xlsx,.xls"
+              onChange={handleFileSelected}
+              className="hidden"
+            />
+          </div>
+        </div>
+        <p className="text-xs text-slate-500">
+          Aceita CSV ou XLSX com uma linha de cabeçalho. Cada linha vira uma
+          transação e entra no estoque e nos relatórios como um lançamento
+          normal, na ordem das datas.
+        </p>
+      </Card>
+
+      {sheet && !preview && (
+        <Card className="p-4 border-slate-200 shadow-sm space-y-4">
+          <div>
+            <h4 className="font-bold text-slate-800">Mapeamento de colunas</h4>
+            <p className="text-xs text-slate-500">
+              {sheet.rows.length} linha(s) encontradas. Escolha qual coluna da
+              planilha preenche cada campo.
+            </p>
+          </div>
+
+          <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+            {IMPORT_FIELDS.map((field) => (
+              <div key={field.key}>
+                <label className="text-xs font-semibold text-slate-600">
+                  {field.label}
+                  {field.required && <span className="text-rose-500"> *</span>}
+                </label>
+                <select
+                  className={selectClass}
+                  value={mapping[field.key] ?? ""}
+                  onChange={handleMappingChange(field.key)}
+                >
+                  <option value="">— Não importar —</option>
+                  {sheet.headers.map((header, index) => (
+                    <option key={index} value={index}>
+                      {header}
+                    </option>
+                  ))}
+                </select>
+                {mapping[field.key] !== undefined && (
+                  <p className="text-[11px] text-slate-400 mt-1 truncate">
+                    Ex.: {String(sheet.rows[0]?.[mapping[field.key]] ?? "")}
+                  </p>
+                )}
+              </div>
+            ))}
+          </div>
+
+          {missingRequired.length > 0 && (
+            <p className="text-xs text-amber-700 flex items-center gap-1">
+              <AlertTriangle className="h-3 w-3" />
+              Obrigatório: {missingRequired.map((f) => f.label).join(", ")}
+            </p>
+          )}
+
+          <Button
+            onClick={() =>
+              setPreview(buildImportPreview(sheet.rows, mapping, customers))
+            }
+            disabled={missingRequired.length > 0}
+          >
+            Simular Importação
+          </Button>
+        </Card>
+      )}
+
+      {preview && (
+        <Card className="p-4 border-slate-200 shadow-sm space-y-4">
+          <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+            <div className="flex flex-wrap items-center gap-2">
+              <h4 className="font-bold text-slate-800">Simulação</h4>
+              <Badge className="bg-emerald-100 text-emerald-700 hover:bg-emerald-100">
+                {validRows.length} válida(s)
+              </Badge>
+              {invalidCount > 0 && (
+                <Badge className="bg-rose-100 text-rose-700 hover:bg-rose-100">
+                  {invalidCount} com erro
+                </Badge>
+              )}
+            </div>
+            <label className="flex items-center gap-2 text-sm text-slate-600">
+              <input
+                type="checkbox"
+                checked={onlyErrors}
+                onChange={(e) => setOnlyErrors(e.target.checked)}
+              />
+              Mostrar só linhas com erro
+            </label>
+          </div>
+
+          <div className="overflow-x-auto">
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-slate-400 uppercase">
+                  <th className="text-left font-semibold py-1">Linha</th>
+                  <th className="text-left font-semibold py-1">Data</th>
+                  <th className="text-left font-semibold py-1">Tipo</th>
+                  <th className="text-left font-semibold py-1">Descrição</th>
+                  <th className="text-right font-semibold py-1">Valor</th>
+                  <th className="text-left font-semibold py-1 pl-3">
+                    Situação
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-slate-100">
+                {visibleRows.map(({ linha, transaction: t, errors }) => (
+                  <tr
+                    key={linha}
+                    className={errors.length ? "bg-rose-50/50" : undefined}
+                  >
+                    <td className="py-1.5 font-mono text-slate-500">{linha}</td>
+                    <td className="py-1.5 text-slate-500">
+                      {t.data instanceof Date && !isNaN(t.data)
+                        ? format(t.data, "dd/MM/yyyy")
+                        : "—"}
+                    </td>
+                    <td className="py-1.5">
+                      {TYPE_LABELS[t.tipo] || t.tipo || "—"}
+                    </td>
+                    <td className="py-1.5 text-slate-700">
+                      {t.tipo === "despesa"
+                        ? t.observacoes || "Despesa"
+                        : `${formatWeight(t.quantidade || 0)} de ${getMaterialName(t.material) || "—"}`}
+                    </td>
+                    <td className="py-1.5 text-right font-semibold text-slate-800">
+                      {Number.isFinite(t.valorTotal)
+                        ? formatCurrency(t.valorTotal)
+                        : "—"}
+                    </td>
+                    <td className="py-1.5 pl-3">
+                      {errors.length === 0 ? (
+                        <CheckCircle2 className="h-4 w-4 text-emerald-500" />
+                      ) : (
+                        <ul className="text-xs text-rose-600 space-y-0.5">
+                          {errors.map((message) => (
+                            <li key={message}>{message}</li>
+                          ))}
+                        </ul>
+                      )}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+          </div>
+          {visibleRows.length === PREVIEW_LIMIT && (
+            <p className="text-xs text-slate-400">
+              Mostrando as primeiras {PREVIEW_LIMIT} linhas.
+            </p>
+          )}
+
+          {importing && (
+            <div className="space-y-1">
+              <div className="h-2 rounded-full bg-slate-100 overflow-hidden">
+                <div
+                  className="h-full bg-emerald-500 transition-all"
+                  style={{
+                    width: `${progress.total ? (progress.done / progress.total) * 100 : 0}%`,
+                  }}
+                />
+              </div>
+              <p className="text-xs text-slate-500">
+                {progress.done} de {progress.total} gravadas...
+              </p>
+            </div>
+          )}
+
+          <div className="flex flex-wrap gap-2">
+            <Button
+              variant="outline"
+              onClick={() => setPreview(null)}
+              disabled={importing}
+            >
+              <ArrowLeft className="mr-2 h-4 w-4" />
+              Voltar ao Mapeamento
+            </Button>
+            <Button
+              onClick={handleImport}
+              disabled={importing || validRows.length === 0}
+            >
+              {importing
+                ? "Importando..."
+                : `Importar ${validRows.length} linha(s) válida(s)`}
+            </Button>
+          </div>
+          {invalidCount > 0 && (
+            <p className="text-xs text-amber-700 flex items-center gap-1">
+              <AlertTriangle className="h-3 w-3" />
+              Linhas com erro são ignoradas. Corrija a planilha e importe de
+              novo se precisar delas.
+            </p>
+          )}
+        </Card>
+      )}
+    </div>
+  );
+}
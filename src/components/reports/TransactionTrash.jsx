@@ -0,0 +1,186 @@
+"use client";
+
+import { format, differenceInCalendarDays } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import { Trash2, RotateCcw, Clock, Eraser } from "lucide-react";
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  useDeletedTransactions,
+  useRestoreTransaction,
+  usePurgeDeletedTransactions,
+} from "@/hooks/useFirebaseQuery";
+import { TRASH_RETENTION_DAYS, getTrashPurgeDate } from "@/lib/firebaseService";
+import { getMaterialName } from "@/lib/materialCatalog";
+import { formatCurrency, formatWeight } from "@/utils/formatters";
+
+const TYPE_LABELS = { venda: "Venda", compra: "Compra", despesa: "Despesa" };
+
+export default function TransactionTrash() {
+  const { toast } = useToast();
+  const { data: deleted = [], isLoading, error } = useDeletedTransactions();
+  const restoreMutation = useRestoreTransaction();
+  const purgeMutation = usePurgeDeletedTransactions();
+
+  const now = new Date();
+  const expiredIds = deleted
+    .filter((t) => t.excluidaEm && getTrashPurgeDate(t.excluidaEm) <= now)
+    .map((t) => t.id);
+
+  const handleRestore = async (transaction) => {
+    try {
+      await restoreMutation.mutateAsync(transaction.id);
+      toast({
+        title: "Transação restaurada",
+        description: "Estoque e relatórios foram atualizados novamente.",
+      });
+    } catch (err) {
+      toast({
+        title: "Erro ao restaurar",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  const handlePurge = async (ids) => {
+    const total = ids?.length ?? expiredIds.length;
+    if (
+      !window.confirm(
+        `Apagar definitivamente ${total} transação(ões) da Lixeira? Esta ação não pode ser desfeita.`,
+      )
+    ) {
+      return;
+    }
+    try {
+      const { apagadas } = await purgeMutation.mutateAsync(ids);
+      toast({ title: `${apagadas} transação(ões) apagadas definitivamente` });
+    } catch (err) {
+      toast({
+        title: "Erro ao esvaziar a Lixeira",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <div className="space-y-4">
+      <Card className="p-4 border-slate-200 shadow-sm">
+        <div className="flex flex-col sm:flex-row sm:items-center gap-3">
+          <div className="flex items-center gap-2">
+            <Trash2 className="h-5 w-5 text-rose-600" />
+            <h3 className="font-bold text-slate-800">Lixeira</h3>
+            <Badge variant="outline">{deleted.length} transações</Badge>
+          </div>
+          <p className="text-xs text-slate-500 sm:flex-1">
+            Transações excluídas ficam aqui por {TRASH_RETENTION_DAYS} dias.
+            Restaurar devolve a transação ao estoque e aos relatórios.
+          </p>
+          <Button
+            variant="outline"
+            size="sm"
+            onClick={() => handlePurge()}
+            disabled={expiredIds.length === 0 || purgeMutation.isPending}
+            className="gap-2 text-rose-600 hover:bg-rose-50 hover:border-rose-300"
+          >
+            <Eraser className="h-4 w-4" />
+            Apagar vencidas ({expiredIds.length})
+          </Button>
+        </div>
+      </Card>
+
+      {isLoading ? (
+        <p className="text-center text-sm text-slate-500 py-10">
+          Carregando Lixeira...
+        </p>
+      ) : error ? (
+        <p className="text-center text-sm text-rose-600 py-10">
+          Erro ao carregar a Lixeira: {error.message}
+        </p>
+      ) : deleted.length === 0 ? (
+        <Card className="p-10 text-center text-slate-500 border-dashed">
+          A Lixeira está vazia.
+        </Card>
+      ) : (
+        <div className="space-y-3">
+          {deleted.map((transaction) => {
+            const purgeDate = transaction.excluidaEm
+              ? getTrashPurgeDate(transaction.excluidaEm)
+              : now;
+            const canPurge = purgeDate <= now;
+            const daysLeft = differenceInCalendarDays(purgeDate, now);
+
+            return (
+              <div
+                key={transaction.id}
+                className="p-4 border border-slate-200 rounded-xl bg-white flex flex-col md:flex-row md:items-center gap-3"
+              >
+                <div className="flex-1 min-w-0">
+                  <div className="flex items-center gap-2 flex-wrap">
+                    <Badge variant="secondary" className="text-[10px]">
+                      {TYPE_LABELS[transaction.tipo] || transaction.tipo}
+                    </Badge>
+                    <p className="font-bold text-slate-800 truncate">
+                      {transaction.tipo === "despesa"
+                        ? transaction.descricao ||
+                          transaction.observacoes ||
+                          "Despesa"
+                        : `${formatWeight(transaction.quantidade)} de ${getMaterialName(transaction.material)}`}
+                    </p>
+                    <span className="font-bold text-slate-900">
+                      {formatCurrency(transaction.valorTotal)}
+                    </span>
+                  </div>
+                  <p className="text-xs text-slate-500 mt-1">
+                    {transaction.data &&
+                      `Transação de ${format(transaction.data, "dd/MM/yyyy", { locale: ptBR })} · `}
+                    Excluída{" "}
+                    {transaction.excluidaEm &&
+                      format(transaction.excluidaEm, "dd/MM/yyyy 'às' HH:mm", {
+                        locale: ptBR,
+                      })}{" "}
+                    por {transaction.excluidaPor?.nome || "Desconhecido"}
+                  </p>
+                  <p
+                    className={`text-[11px] mt-1 flex items-center gap-1 ${canPurge ? "text-rose-600" : "text-slate-400"}`}
+                  >
+                    <Clock className="h-3 w-3" />
+                    {canPurge
+                      ? "Prazo de retenção encerrado"
+                      : `Pode ser apagada definitivamente em ${daysLeft} dia(s)`}
+                  </p>
+                </div>
+                <div className="flex gap-2">
+                  <Button
+                    size="sm"
+                    onClick={() => handleRestore(transaction)}
+                    disabled={restoreMutation.isPending}
+                    className="gap-2 bg-emerald-600 hover:bg-emerald-700"
+                  >
+                    <RotateCcw className="h-4 w-4" />
+                    Restaurar
+                  </Button>
+                  {canPurge && (
+                    <Button
+                      size="sm"
+                      variant="outline"
+                      onClick={() => handlePurge([transaction.id])}
+                      disabled={purgeMutation.isPending}
+                      className="gap-2 text-rose-600 hover:bg-rose-50 hover:border-rose-300"
+                    >
+                      <Trash2 className="h-4 w-4" />
+                      Apagar
+                    </Button>
+                  )}
+                </div>
+              </div>
+            );
+          })}
+        </div>
+      )}
+    </div>
+  );
+}
@@ -125,8 +125,8 @@ const TransactionsReport = ({
                 </p>
               </div>
               <p className="text-gray-600 mb-6">
-                ⚠️ <strong>Atenção:</strong> Esta ação não pode ser desfeita e
-                afetará automaticamente o estoque e relatórios.
+                ⚠️ <strong>Atenção:</strong> A transação irá para a Lixeira e
+                será retirada automaticamente do estoque e dos relatórios.
               </p>
               <div className="flex flex-col sm:flex-row gap-3">
                 <Button
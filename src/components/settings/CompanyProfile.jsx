@@ -0,0 +1,116 @@
+"use client";
+
+import { useEffect, useState } from "react";
+import { Building2, Save } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Input } from "@/components/ui/input";
+import { Label } from "@/components/ui/label";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  useCompanyProfile,
+  useSaveCompanyProfile,
+} from "@/hooks/useFirebaseQuery";
+import { can } from "@/lib/permissions";
+import { normalizePixKey } from "@/lib/pix";
+
+const FIELDS = [
+  { key: "nome", label: "Nome da Empresa", placeholder: "Império Sucata" },
+  { key: "documento", label: "CNPJ / CPF", placeholder: "00.000.000/0001-00" },
+  { key: "endereco", label: "Endereço", placeholder: "Rua, número - Cidade" },
+  { key: "telefone", label: "Telefone", placeholder: "(00) 00000-0000" },
+  { key: "email", label: "Email de Contato", type: "email" },
+  { key: "cidade", label: "Cidade", placeholder: "Usada no QR code PIX" },
+  {
+    key: "chavePix",
+    label: "Chave PIX",
+    placeholder: "CPF/CNPJ, e-mail, +55 telefone ou aleatória",
+  },
+];
+
+const EMPTY_PROFILE = Object.fromEntries(FIELDS.map(({ key }) => [key, ""]));
+
+// Dados do negócio impressos no cabeçalho dos comprovantes
+export default function CompanyProfile() {
+  const { toast } = useToast();
+  const { data: profile, isLoading } = useCompanyProfile();
+  const saveProfile = useSaveCompanyProfile();
+  const [form, setForm] = useState(EMPTY_PROFILE);
+  const canManage = can("company.manage");
+
+  useEffect(() => {
+    if (profile) setForm({ ...EMPTY_PROFILE, ...profile });
+  }, [profile]);
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const data = Object.fromEntries(
+        FIELDS.map(({ key }) => [key, (form[key] || "").trim()]),
+      );
+      if (data.chavePix) data.chavePix = normalizePixKey(data.chavePix);
+      await saveProfile.mutateAsync(data);
+      toast({
+        title: "Configurações salvas!",
+        description: "Os próximos comprovantes já saem com os novos dados.",
+      });
+    } catch (err) {
+      toast({
+        title: "Erro ao salvar",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Building2 className="mr-2 h-5 w-5" />
+          Informações da Empresa
+        </CardTitle>
+        <CardDescription>
+          Aparecem no cabeçalho dos comprovantes impressos. A chave PIX e a
+          cidade montam os QR codes de cobrança.
+        </CardDescription>
+      </CardHeader>
+      <CardContent>
+        <form onSubmit={handleSubmit} className="space-y-4">
+          <div className="grid gap-4 md:grid-cols-2">
+            {FIELDS.map((field) => (
+              <div key={field.key} className="grid gap-2">
+                <Label htmlFor={`company-${field.key}`}>{field.label}</Label>
+                <Input
+                  id={`company-${field.key}`}
+                  type={field.type || "text"}
+                  placeholder={field.placeholder}
+                  value={form[field.key] || ""}
+                  disabled={isLoading || !canManage}
+                  onChange={(e) =>
+                    setForm((prev) => ({
+                      ...prev,
+                      [field.key]: e.target.value,
+                    }))
+                  }
+                />
+              </div>
+            ))}
+          </div>
+          {canManage && (
+            <Button type="submit" disabled={saveProfile.isPending}>
+              <Save className="mr-2 h-4 w-4" />
+              {saveProfile.isPending ? "Salvando..." : "Salvar Alterações"}
+            </Button>
+          )}
+        </form>
+      </CardContent>
+    </Card>
+  );
+}
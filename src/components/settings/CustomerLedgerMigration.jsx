@@ -0,0 +1,75 @@
+"use client";
+
+import { BookOpen, RefreshCw } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  useLedgerMigrationStatus,
+  useMigrateCustomerLedger,
+} from "@/hooks/useFirebaseQuery";
+import { can } from "@/lib/permissions";
+import { formatDateTime } from "@/utils/formatters";
+
+// Gera a conta corrente dos clientes a partir do histórico de transações
+export default function CustomerLedgerMigration() {
+  const { toast } = useToast();
+  const { data: status, isLoading } = useLedgerMigrationStatus();
+  const migrate = useMigrateCustomerLedger();
+
+  if (!can("clients.ledgerReview")) return null;
+
+  const handleMigrate = async () => {
+    try {
+      const result = await migrate.mutateAsync();
+      toast({
+        title: "Conta corrente atualizada",
+        description: `${result.lancamentos} lançamentos criados, ${result.paraRevisar} para revisar em ${result.clientes} clientes.`,
+      });
+    } catch (err) {
+      toast({
+        title: "Erro na migração",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <BookOpen className="mr-2 h-5 w-5" />
+          Conta Corrente dos Clientes
+        </CardTitle>
+        <CardDescription>
+          Cria os lançamentos das transações antigas. O que foi identificado
+          pelo texto das observações ou pelo nome do cliente fica marcado "a
+          revisar" na ficha do cliente. Pode ser executada de novo: só cria o
+          que ainda não existe.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="flex flex-wrap items-center justify-between gap-4">
+        <p className="text-sm text-slate-600">
+          {isLoading
+            ? "Carregando..."
+            : status
+              ? `Última execução em ${formatDateTime(status.migradoEm)}${status.migradoPor?.nome ? ` por ${status.migradoPor.nome}` : ""}: ${status.lancamentos} lançamentos, ${status.paraRevisar} para revisar.`
+              : "Ainda não executada."}
+        </p>
+        <Button onClick={handleMigrate} disabled={migrate.isPending}>
+          <RefreshCw
+            className={`mr-2 h-4 w-4 ${migrate.isPending ? "animate-spin" : ""}`}
+          />
+          {migrate.isPending ? "Migrando..." : "Migrar histórico"}
+        </Button>
+      </CardContent>
+    </Card>
+  );
+}
@@ -0,0 +1,247 @@
+"use client";
+
+import { useRef, useState } from "react";
+import { format } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import { useQueryClient } from "@tanstack/react-query";
+import { Database, Download, Upload, AlertTriangle } from "lucide-react";
+import { Button } from "@/components/ui/button";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { useToast } from "@/components/ui/use-toast";
+import {
+  exportBackup,
+  parseBackup,
+  diffBackup,
+  restoreBackup,
+} from "@/lib/backupService";
+
+export default function DatabaseBackup() {
+  const { toast } = useToast();
+  const queryClient = useQueryClient();
+  const fileInputRef = useRef(null);
+  const [exporting, setExporting] = useState(false);
+  const [restoring, setRestoring] = useState(false);
+  const [pending, setPending] = useState(null); // { backup, fileName, diff }
+  const [removeMissing, setRemoveMissing] = useState(false);
+
+  const handleExport = async () => {
+    setExporting(true);
+    try {
+      const backup = await exportBackup();
+      const blob = new Blob([JSON.stringify(backup, null, 2)], {
+        type: "application/json",
+      });
+      const url = URL.createObjectURL(blob);
+      const link = document.createElement("a");
+      link.href = url;
+      link.download = `backup_imperio_sucata_${format(new Date(), "yyyyMMdd_HHmm")}.json`;
+      link.click();
+      URL.revokeObjectURL(url);
+
+      const total = Object.values(backup.collections).reduce(
+        (sum, docs) => sum + docs.length,
+        0,
+      );
+      toast({
+        title: "Backup gerado",
+        description: `${total} documentos salvos no arquivo.`,
+      });
+    } catch (err) {
+      toast({
+        title: "Erro ao gerar backup",
+        description: err.message,
+        variant: "destructive",
+      });
+    } finally {
+      setExporting(false);
+    }
+  };
+
+  const handleFileSelected = async (e) => {
+    const file = e.target.files?.[0];
+    e.target.value = "";
+    if (!file) return;
+
+    setRestoring(true);
+    try {
+      const backup = parseBackup(await file.text());
+      const diff = await diffBackup(backup);
+      setPending({ backup, fileName: file.name, diff });
+      setRemoveMissing(false);
+    } catch (err) {
+      toast({
+        title: "Backup inválido",
+        description: err.message,
+        variant: "destructive",
+      });
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  const handleRestore = async () => {
+    if (
+      !window.confirm(
+        "Restaurar este backup? Os documentos do arquivo vão sobrescrever os dados atuais.",
+      )
+    ) {
+      return;
+    }
+    setRestoring(true);
+    try {
+      const { gravados, apagados } = await restoreBackup(pending.backup, {
+        removeMissing,
+      });
+      await queryClient.invalidateQueries();
+      setPending(null);
+      toast({
+        title: "Backup restaurado",
+        description: `${gravados} documentos gravados${apagados ? `, ${apagados} apagados` : ""}.`,
+      });
+    } catch (err) {
+      toast({
+        title: "Erro ao restaurar backup",
+        description: err.message,
+        variant: "destructive",
+      });
+    } finally {
+      setRestoring(false);
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <Database className="mr-2 h-5 w-5" />
+          Banco de Dados
+        </CardTitle>
+        <CardDescription>
+          Baixe uma cópia completa dos dados (transações, estoque, clientes,
+          caixa, tickets, comprovantes, relatórios, notificações e
+          configurações) ou restaure um backup anterior para desfazer erros.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="flex flex-wrap gap-2">
+          <Button onClick={handleExport} disabled={exporting || restoring}>
+            <Download className="mr-2 h-4 w-4" />
+            {exporting ? "Gerando backup..." : "Baixar Backup"}
+          </Button>
+          <Button
+            variant="secondary"
+            onClick={() => fileInputRef.current?.click()}
+            disabled={exporting || restoring}
+          >
+            <Upload className="mr-2 h-4 w-4" />
+            Restaurar Backup
+          </Button>
+          <input
+            ref={fileInputRef}
+            type="file"
+            accept="application/json,.json"
+            onChange={handleFileSelected}
+            className="hidden"
+          />
+        </div>
+
+        {pending && (
+          <div className="rounded-lg border border-amber-200 bg-amber-50/50 p-4 space-y-3">
+            <div>
+              <p className="font-semibold text-slate-800">{pending.fileName}</p>
+              <p className="text-xs text-slate-500">
+                Gerado em{" "}
+                {format(
+                  new Date(pending.backup.createdAt),
+                  "dd/MM/yyyy 'às' HH:mm",
+                  { locale: ptBR },
+                )}
+                {pending.backup.createdBy?.nome &&
+                  ` por ${pending.backup.createdBy.nome}`}
+              </p>
+            </div>
+
+            <table className="w-full text-sm">
+              <thead>
+                <tr className="text-xs text-slate-400 uppercase">
+                  <th className="text-left font-semibold py-1">Coleção</th>
+                  <th className="text-right font-semibold py-1">Novos</th>
+                  <th className="text-right font-semibold py-1">Alterados</th>
+                  <th className="text-right font-semibold py-1">Iguais</th>
+                  <th className="text-right font-semibold py-1">
+                    Fora do backup
+                  </th>
+                </tr>
+              </thead>
+              <tbody className="divide-y divide-amber-100">
+                {pending.diff.map((row) => (
+                  <tr key={row.colecao}>
+                    <td className="py-1.5 font-medium text-slate-700">
+                      {row.label}
+                    </td>
+                    <td className="py-1.5 text-right text-emerald-700">
+                      {row.novos}
+                    </td>
+                    <td className="py-1.5 text-right text-amber-700">
+                      {row.alterados}
+                    </td>
+                    <td className="py-1.5 text-right text-slate-500">
+                      {row.iguais}
+                    </td>
+                    <td className="py-1.5 text-right text-rose-600">
+                      {row.ausentes}
+                    </td>
+                  </tr>
+                ))}
+              </tbody>
+            </table>
+
+            <label className="flex items-start gap-2 text-sm text-slate-700">
+              <input
+                type="checkbox"
+                checked={removeMissing}
+                onChange={(e) => setRemoveMissing(e.target.checked)}
+                className="mt-1"
+              />
+              <span>
+                Apagar os documentos que não estão no backup
+                <span className="block text-xs text-slate-500">
+                  Sem esta opção, registros criados depois do backup são
+                  mantidos.
+                </span>
+              </span>
+            </label>
+
+            <p className="text-xs text-amber-700 flex items-center gap-1">
+              <AlertTriangle className="h-3 w-3" />
+              Estoque e relatórios voltam exatamente como estavam no arquivo.
+            </p>
+
+            <div className="flex gap-2">
+              <Button
+                onClick={handleRestore}
+                disabled={restoring}
+                className="bg-amber-600 hover:bg-amber-700"
+              >
+                {restoring ? "Restaurando..." : "Confirmar Restauração"}
+              </Button>
+              <Button
+                variant="outline"
+                onClick={() => setPending(null)}
+                disabled={restoring}
+              >
+                Cancelar
+              </Button>
+            </div>
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
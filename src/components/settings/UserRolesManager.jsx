@@ -0,0 +1,123 @@
+"use client";
+
+import { ShieldCheck, UserCog } from "lucide-react";
+import {
+  Card,
+  CardContent,
+  CardDescription,
+  CardHeader,
+  CardTitle,
+} from "@/components/ui/card";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/components/ui/use-toast";
+import { useUsers, useUpdateUserRole } from "@/hooks/useFirebaseQuery";
+import { getCurrentActor } from "@/lib/currentActor";
+import { ROLES } from "@/lib/permissions";
+
+const ROLE_BADGE_CLASSES = {
+  owner: "bg-emerald-100 text-emerald-700",
+  operator: "bg-blue-100 text-blue-700",
+  viewer: "bg-slate-100 text-slate-700",
+};
+
+export default function UserRolesManager() {
+  const { toast } = useToast();
+  const { data: users = [], isLoading, error } = useUsers();
+  const updateRole = useUpdateUserRole();
+  const currentUid = getCurrentActor().uid;
+
+  const handleRoleChange = async (user, role) => {
+    if (role === user.role) return;
+    try {
+      await updateRole.mutateAsync({ uid: user.uid, role });
+      toast({
+        title: "Perfil atualizado",
+        description: `${user.nome || user.email} agora é ${ROLES[role].label}. A mudança vale a partir do próximo acesso.`,
+      });
+    } catch (err) {
+      toast({
+        title: "Erro ao alterar perfil",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Card>
+      <CardHeader>
+        <CardTitle className="flex items-center">
+          <UserCog className="mr-2 h-5 w-5" />
+          Usuários e Permissões
+        </CardTitle>
+        <CardDescription>
+          Defina o que cada pessoa pode fazer no sistema. Novos usuários entram
+          como Consulta até receberem outro perfil.
+        </CardDescription>
+      </CardHeader>
+      <CardContent className="space-y-4">
+        <div className="grid grid-cols-1 md:grid-cols-3 gap-3">
+          {Object.entries(ROLES).map(([key, role]) => (
+            <div
+              key={key}
+              className="p-3 rounded-lg border border-slate-100 bg-slate-50"
+            >
+              <Badge className={ROLE_BADGE_CLASSES[key]}>{role.label}</Badge>
+              <p className="text-xs text-slate-500 mt-2">{role.description}</p>
+            </div>
+          ))}
+        </div>
+
+        {isLoading ? (
+          <p className="text-sm text-slate-500 py-6 text-center">
+            Carregando usuários...
+          </p>
+        ) : error ? (
+          <p className="text-sm text-rose-600 py-6 text-center">
+            Erro ao carregar usuários: {error.message}
+          </p>
+        ) : (
+          <div className="divide-y divide-slate-100 border border-slate-100 rounded-lg">
+            {users.map((user) => (
+              <div
+                key={user.uid}
+                className="flex flex-col sm:flex-row sm:items-center justify-between gap-2 p-3"
+              >
+                <div className="min-w-0">
+                  <p className="font-semibold text-slate-800 truncate flex items-center gap-2">
+                    {user.nome || user.email}
+                    {user.uid === currentUid && (
+                      <Badge variant="outline" className="text-[10px]">
+                        Você
+                      </Badge>
+                    )}
+                  </p>
+                  <p className="text-xs text-slate-500 truncate">
+                    {user.email}
+                  </p>
+                </div>
+                <div className="flex items-center gap-2">
+                  {user.role === "owner" && (
+                    <ShieldCheck className="h-4 w-4 text-emerald-600" />
+                  )}
+                  <select
+                    value={user.role || ""}
+                    onChange={(e) => handleRoleChange(user, e.target.value)}
+                    disabled={updateRole.isPending}
+                    className="h-9 px-3 rounded-md border border-slate-200 bg-white text-sm"
+                  >
+                    {Object.entries(ROLES).map(([key, role]) => (
+                      <option key={key} value={key}>
+                        {role.label}
+                      </option>
+                    ))}
+                  </select>
+                </div>
+              </div>
+            ))}
+          </div>
+        )}
+      </CardContent>
+    </Card>
+  );
+}
@@ -16,8 +16,12 @@ import {
   ArrowRight,
   Clock,
   Minus,
+  History,
 } from "lucide-react"
 import { useData } from "../../contexts/DataContext"
+import { useInfiniteTransactions } from "../../hooks/useFirebaseQuery"
+import { useDebounce } from "../../hooks/useDebounce"
+import { getMaterialColorClass, getMaterialName } from "../../lib/materialCatalog"
 
 const formatCurrency = (value) => {
   return new Intl.NumberFormat("pt-BR", {
@@ -33,29 +37,17 @@ const formatDate = (date) => {
   })
 }
 
-const materials = {
-  ferro: { label: "Ferro", color: "bg-gray-600" },
-  aluminio: { label: "Alumínio", color: "bg-blue-600" },
-  cobre: { label: "Cobre", color: "bg-orange-600" },
-  latinha: { label: "Latinha", color: "bg-green-600" },
-  panela: { label: "Panela", color: "bg-purple-600" },
-  bloco2: { label: "Bloco 2°", color: "bg-red-600" },
-  chapa: { label: "Chapa", color: "bg-yellow-600" },
-  "perfil pintado": { label: "Perfil Pintado", color: "bg-indigo-600" },
-  "perfil natural": { label: "Perfil Natural", color: "bg-indigo-500" },
-  bloco: { label: "Bloco", color: "bg-pink-600" },
-  metal: { label: "Metal", color: "bg-gray-700" },
-  inox: { label: "Inox", color: "bg-blue-700" },
-  bateria: { label: "Bateria", color: "bg-green-700" },
-  motor_gel: { label: "Motor Gel", color: "bg-purple-700" },
-  roda: { label: "Roda", color: "bg-gray-800" },
-  papelao: { label: "Papelão", color: "bg-yellow-700" },
-}
-
 export function TransactionCommandPalette({ isOpen, onClose, onNavigate, onSelectTransaction, onNewTransaction }) {
-  const { transactions } = useData()
+  const { transactions, materials: catalogMaterials } = useData()
   const [search, setSearch] = useState("")
   const [activeSection, setActiveSection] = useState("all") // all, transactions, actions, materials
+  const debouncedSearch = useDebounce(search, 400)
+
+  // Transações antigas (fora do listener) são buscadas no histórico paginado
+  const history = useInfiniteTransactions(
+    { searchTerm: debouncedSearch },
+    { enabled: isOpen && debouncedSearch.trim().length >= 2 },
+  )
 
   useEffect(() => {
     if (!isOpen) {
@@ -69,7 +61,7 @@ export function TransactionCommandPalette({ isOpen, onClose, onNavigate, onSelec
     if (!search) return transactions.slice(0, 5)
 
     const query = search.toLowerCase()
-    return transactions
+    const recent = transactions
       .filter(
         (t) =>
           t.material?.toLowerCase().includes(query) ||
@@ -79,7 +71,25 @@ export function TransactionCommandPalette({ isOpen, onClose, onNavigate, onSelec
           t.observacoes?.toLowerCase().includes(query),
       )
       .slice(0, 10)
-  }, [transactions, search])
+
+    const seen = new Set(recent.map((t) => t.id))
+    const older = (history.data?.pages ?? [])
+      .flatMap((page) => page.transactions)
+      .filter((t) => !seen.has(t.id))
+    return [...recent, ...older]
+  }, [transactions, search, history.data])
+
+  // Materiais do catálogo no formato { chave: { label, color } }
+  const materials = useMemo(
+    () =>
+      Object.fromEntries(
+        catalogMaterials.map((material) => [
+          material.key,
+          { label: material.name, color: getMaterialColorClass(material.key) },
+        ]),
+      ),
+    [catalogMaterials],
+  )
 
   // Filter materials based on search
   const filteredMaterials = useMemo(() => {
@@ -89,7 +99,7 @@ export function TransactionCommandPalette({ isOpen, onClose, onNavigate, onSelec
     return Object.entries(materials).filter(
       ([key, value]) => value.label.toLowerCase().includes(query) || key.includes(query),
     )
-  }, [search])
+  }, [search, materials])
 
   const commands = useMemo(
     () => [
@@ -282,7 +292,7 @@ export function TransactionCommandPalette({ isOpen, onClose, onNavigate, onSelec
                       </div>
                       {filteredTransactions.map((transaction) => {
                         const material = materials[transaction.material] || {
-                          label: transaction.material,
+                          label: getMaterialName(transaction.material),
                           color: "bg-gray-500",
                         }
                         return (
@@ -343,6 +353,16 @@ export function TransactionCommandPalette({ isOpen, onClose, onNavigate, onSelec
                           </Command.Item>
                         )
                       })}
+                      {search && history.hasNextPage && (
+                        <Command.Item
+                          forceMount
+                          onSelect={() => history.fetchNextPage()}
+                          className="flex items-center gap-3 px-3 py-2 rounded-xl cursor-pointer text-sm text-blue-600 hover:bg-blue-50 data-[selected=true]:bg-blue-50"
+                        >
+                          <History className="h-4 w-4" />
+                          {history.isFetchingNextPage ? "Buscando..." : "Buscar em transacoes mais antigas"}
+                        </Command.Item>
+                      )}
                     </Command.Group>
                   )}
 
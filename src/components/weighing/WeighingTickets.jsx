@@ -0,0 +1,624 @@
+"use client";
+
+import { useState } from "react";
+import { format } from "date-fns";
+import { ptBR } from "date-fns/locale";
+import {
+  Truck,
+  Plus,
+  Trash2,
+  LogOut,
+  XCircle,
+  History,
+  Tag,
+} from "lucide-react";
+import { Card } from "@/components/ui/card";
+import { Button } from "@/components/ui/button";
+import { Input } from "@/components/ui/input";
+import { Badge } from "@/components/ui/badge";
+import { useToast } from "@/components/ui/use-toast";
+import { useData } from "@/contexts/DataContext";
+import {
+  useOpenWeighingTickets,
+  useRecentWeighingTickets,
+  useOpenWeighingTicket,
+  useCompleteWeighingTicket,
+  useCancelWeighingTicket,
+} from "@/hooks/useFirebaseQuery";
+import { getMaterialByKey, getMaterialName } from "@/lib/materialCatalog";
+import { getNegotiatedPrice } from "@/lib/negotiatedPrices";
+import {
+  calculateNetWeight,
+  calculateTruckNetWeight,
+} from "@/utils/calculations";
+import {
+  formatCurrency,
+  formatWeight,
+  formatRelativeTime,
+} from "@/utils/formatters";
+
+const TYPE_LABELS = { compra: "Compra", venda: "Venda" };
+
+const STATUS_STYLES = {
+  concluido: {
+    label: "Concluído",
+    className: "bg-emerald-100 text-emerald-700",
+  },
+  cancelado: { label: "Cancelado", className: "bg-slate-100 text-slate-500" },
+};
+
+const selectClass =
+  "w-full h-10 rounded-md border border-slate-200 bg-white px-3 text-sm focus:outline-none focus:ring-2 focus:ring-blue-500";
+
+const labelClass = "text-xs font-bold text-slate-400 uppercase";
+
+const EMPTY_TICKET = {
+  tipo: "compra",
+  placa: "",
+  motorista: "",
+  vendedor: "",
+  clienteId: "",
+  pesoEntrada: "",
+  observacoes: "",
+};
+
+const EMPTY_LINE = {
+  material: "",
+  peso: "",
+  descontoImpureza: "",
+  precoUnitario: "",
+};
+
+const formatDateTime = (date) =>
+  date ? format(date, "dd/MM/yyyy 'às' HH:mm", { locale: ptBR }) : "-";
+
+// Preço inicial de um material: acordo vigente com o cliente, senão a tabela
+const getDefaultPrice = (material, tipo, inventory, customer) => {
+  const negotiated = getNegotiatedPrice(customer, material, tipo);
+  if (negotiated) return negotiated.preco;
+  const item = inventory[material] || getMaterialByKey(material);
+  return (tipo === "venda" ? item?.precoVenda : item?.precoCompra) || "";
+};
+
+const OpenWeighingForm = () => {
+  const { toast } = useToast();
+  const { customers } = useData();
+  const openTicket = useOpenWeighingTicket();
+  const [ticket, setTicket] = useState(EMPTY_TICKET);
+
+  const update = (field, value) =>
+    setTicket((prev) => ({ ...prev, [field]: value }));
+
+  const handleCustomerChange = (clienteId) => {
+    const customer = customers.find((c) => c.id === clienteId);
+    setTicket((prev) => ({
+      ...prev,
+      clienteId,
+      vendedor: customer ? customer.nome : prev.vendedor,
+    }));
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    try {
+      const opened = await openTicket.mutateAsync(ticket);
+      toast({
+        title: "Entrada registrada",
+        description: `${opened.placa}: ${formatWeight(opened.pesoEntrada)} na entrada. O ticket fica aberto até a pesagem de saída.`,
+      });
+      setTicket(EMPTY_TICKET);
+    } catch (err) {
+      toast({
+        title: "Erro ao registrar entrada",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Card className="p-6 border-slate-200 shadow-sm">
+      <form onSubmit={handleSubmit} className="space-y-4">
+        <div className="flex items-center gap-2">
+          <Truck className="h-5 w-5 text-blue-600" />
+          <h3 className="font-bold text-slate-800">Pesagem de Entrada</h3>
+        </div>
+        <div className="grid grid-cols-2 gap-2 max-w-xs">
+          {Object.entries(TYPE_LABELS).map(([tipo, label]) => (
+            <button
+              key={tipo}
+              type="button"
+              onClick={() => update("tipo", tipo)}
+              className={`h-9 rounded-md border-2 text-sm font-semibold ${
+                ticket.tipo === tipo
+                  ? "border-blue-500 bg-blue-50 text-blue-700"
+                  : "border-slate-200 text-slate-500"
+              }`}
+            >
+              {label}
+            </button>
+          ))}
+        </div>
+        <p className="text-xs text-slate-500">
+          {ticket.tipo === "compra"
+            ? "Compra: o caminhão entra carregado e sai vazio."
+            : "Venda: o caminhão entra vazio e sai carregado."}
+        </p>
+        <div className="grid grid-cols-1 sm:grid-cols-2 lg:grid-cols-3 gap-3">
+          <div>
+            <label className={labelClass}>Placa *</label>
+            <Input
+              required
+              value={ticket.placa}
+              onChange={(e) => update("placa", e.target.value.toUpperCase())}
+              placeholder="ABC1D23"
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Motorista</label>
+            <Input
+              value={ticket.motorista}
+              onChange={(e) => update("motorista", e.target.value)}
+              placeholder="Nome do motorista"
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Peso de Entrada (kg) *</label>
+            <Input
+              type="number"
+              step="0.01"
+              min="0"
+              required
+              value={ticket.pesoEntrada}
+              onChange={(e) => update("pesoEntrada", e.target.value)}
+              placeholder="0.00"
+            />
+          </div>
+          <div>
+            <label className={labelClass}>
+              {ticket.tipo === "compra" ? "Fornecedor" : "Comprador"}
+            </label>
+            <Input
+              value={ticket.vendedor}
+              onChange={(e) => update("vendedor", e.target.value)}
+              placeholder="Nome"
+            />
+          </div>
+          <div>
+            <label className={labelClass}>Cliente cadastrado</label>
+            <select
+              className={selectClass}
+              value={ticket.clienteId}
+              onChange={(e) => handleCustomerChange(e.target.value)}
+            >
+              <option value="">— Nenhum —</option>
+              {customers.map((customer) => (
+                <option key={customer.id} value={customer.id}>
+                  {customer.nome}
+                </option>
+              ))}
+            </select>
+          </div>
+          <div>
+            <label className={labelClass}>Observações</label>
+            <Input
+              value={ticket.observacoes}
+              onChange={(e) => update("observacoes", e.target.value)}
+              placeholder="Opcional"
+            />
+          </div>
+        </div>
+        <Button type="submit" disabled={openTicket.isPending}>
+          {openTicket.isPending ? "Registrando..." : "Registrar Entrada"}
+        </Button>
+      </form>
+    </Card>
+  );
+};
+
+const CompleteWeighingForm = ({ ticket, onDone }) => {
+  const { toast } = useToast();
+  const { materials, inventory, customers } = useData();
+  const completeTicket = useCompleteWeighingTicket();
+  const [pesoSaida, setPesoSaida] = useState("");
+  const [formaPagamento, setFormaPagamento] = useState("dinheiro");
+  const [itens, setItens] = useState([{ ...EMPTY_LINE }]);
+
+  const customer = customers.find((c) => c.id === ticket.clienteId);
+  const pesoLiquido = pesoSaida
+    ? calculateTruckNetWeight(ticket.tipo, ticket.pesoEntrada, pesoSaida)
+    : 0;
+  const distribuido = itens.reduce(
+    (sum, item) => sum + (Number(item.peso) || 0),
+    0,
+  );
+  const restante = Number((pesoLiquido - distribuido).toFixed(3));
+  const valorTotal = itens.reduce(
+    (sum, item) =>
+      sum +
+      calculateNetWeight(item.peso, 0, item.descontoImpureza) *
+        (Number(item.precoUnitario) || 0),
+    0,
+  );
+
+  const handlePesoSaidaChange = (value) => {
+    setPesoSaida(value);
+    // Com um material só, ele recebe o peso líquido inteiro
+    if (itens.length === 1) {
+      const liquido = calculateTruckNetWeight(
+        ticket.tipo,
+        ticket.pesoEntrada,
+        value,
+      );
+      setItens((prev) => [
+        { ...prev[0], peso: liquido > 0 ? String(liquido) : "" },
+      ]);
+    }
+  };
+
+  const updateLine = (index, field, value) => {
+    setItens((prev) =>
+      prev.map((item, i) => {
+        if (i !== index) return item;
+        const next = { ...item, [field]: value };
+        if (field === "material" && value) {
+          next.precoUnitario = String(
+            getDefaultPrice(value, ticket.tipo, inventory, customer),
+          );
+        }
+        return next;
+      }),
+    );
+  };
+
+  const handleSubmit = async (e) => {
+    e.preventDefault();
+    // Venda não pode deixar o estoque negativo, como no formulário de transação
+    if (ticket.tipo === "venda") {
+      const semSaldo = itens.find(
+        (item) =>
+          calculateNetWeight(item.peso, 0, item.descontoImpureza) >
+          (inventory[item.material]?.quantidade || 0),
+      );
+      if (semSaldo) {
+        toast({
+          title: "Estoque insuficiente",
+          description: `Saldo de ${getMaterialName(semSaldo.material)}: ${formatWeight(inventory[semSaldo.material]?.quantidade || 0)}.`,
+          variant: "destructive",
+        });
+        return;
+      }
+    }
+    try {
+      const result = await completeTicket.mutateAsync({
+        id: ticket.id,
+        pesoSaida,
+        formaPagamento,
+        itens,
+      });
+      toast({
+        title: "Pesagem concluída",
+        description: `${formatWeight(result.pesoLiquido)} líquidos em ${result.ids.length} transação(ões). Total ${formatCurrency(result.valorTotal)}.`,
+      });
+      onDone();
+    } catch (err) {
+      toast({
+        title: "Erro ao concluir pesagem",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <form
+      onSubmit={handleSubmit}
+      className="mt-3 pt-3 border-t border-slate-100 space-y-3"
+    >
+      <div className="grid grid-cols-1 sm:grid-cols-3 gap-3">
+        <div>
+          <label className={labelClass}>Peso de Saída (kg) *</label>
+          <Input
+            type="number"
+            step="0.01"
+            min="0"
+            required
+            autoFocus
+            value={pesoSaida}
+            onChange={(e) => handlePesoSaidaChange(e.target.value)}
+            placeholder="0.00"
+          />
+        </div>
+        <div>
+          <label className={labelClass}>Peso Líquido</label>
+          <p
+            className={`h-10 flex items-center font-bold ${pesoLiquido > 0 || !pesoSaida ? "text-slate-800" : "text-red-600"}`}
+          >
+            {pesoSaida ? formatWeight(pesoLiquido) : "—"}
+          </p>
+        </div>
+        <div>
+          <label className={labelClass}>Pagamento</label>
+          <select
+            className={selectClass}
+            value={formaPagamento}
+            onChange={(e) => setFormaPagamento(e.target.value)}
+          >
+            <option value="dinheiro">Dinheiro</option>
+            <option value="pix">PIX</option>
+          </select>
+        </div>
+      </div>
+
+      <div className="space-y-2">
+        {itens.map((item, index) => (
+          <div
+            key={index}
+            className="grid grid-cols-2 sm:grid-cols-[2fr_1fr_1fr_1fr_auto] gap-2 items-end"
+          >
+            <div className="col-span-2 sm:col-span-1">
+              <label className={labelClass}>Material *</label>
+              <select
+                className={selectClass}
+                required
+                value={item.material}
+                onChange={(e) => updateLine(index, "material", e.target.value)}
+              >
+                <option value="">Material...</option>
+                {materials.map((material) => (
+                  <option key={material.key} value={material.key}>
+                    {material.icon} {material.name}
+                  </option>
+                ))}
+              </select>
+            </div>
+            <div>
+              <label className={labelClass}>Peso (kg)</label>
+              <Input
+                type="number"
+                step="0.01"
+                min="0"
+                required
+                value={item.peso}
+                onChange={(e) => updateLine(index, "peso", e.target.value)}
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Impureza (%)</label>
+              <Input
+                type="number"
+                step="0.5"
+                min="0"
+                max="100"
+                value={item.descontoImpureza}
+                onChange={(e) =>
+                  updateLine(index, "descontoImpureza", e.target.value)
+                }
+                placeholder="0"
+              />
+            </div>
+            <div>
+              <label className={labelClass}>Preço/kg</label>
+              <Input
+                type="number"
+                step="0.01"
+                min="0"
+                required
+                value={item.precoUnitario}
+                onChange={(e) =>
+                  updateLine(index, "precoUnitario", e.target.value)
+                }
+              />
+            </div>
+            <Button
+              type="button"
+              variant="ghost"
+              size="icon"
+              disabled={itens.length === 1}
+              onClick={() =>
+                setItens((prev) => prev.filter((_, i) => i !== index))
+              }
+              className="text-slate-400 hover:text-red-600"
+            >
+              <Trash2 className="h-4 w-4" />
+            </Button>
+          </div>
+        ))}
+      </div>
+
+      <div className="flex flex-wrap items-center justify-between gap-2 text-sm">
+        <Button
+          type="button"
+          variant="outline"
+          size="sm"
+          disabled={!(restante > 0)}
+          onClick={() =>
+            setItens((prev) => [
+              ...prev,
+              { ...EMPTY_LINE, peso: String(restante) },
+            ])
+          }
+        >
+          <Plus className="h-4 w-4 mr-1" />
+          Outro material
+        </Button>
+        <span
+          className={
+            pesoSaida && Math.abs(restante) > 0.001
+              ? "text-amber-700"
+              : "text-slate-500"
+          }
+        >
+          {pesoSaida && Math.abs(restante) > 0.001
+            ? `Faltam distribuir ${formatWeight(restante)}`
+            : `Total estimado ${formatCurrency(valorTotal)}`}
+        </span>
+      </div>
+
+      {customer && (
+        <p className="text-xs text-amber-700 flex items-center gap-1">
+          <Tag className="h-3 w-3" />
+          Preços negociados com {customer.nome} são aplicados ao escolher o
+          material.
+        </p>
+      )}
+
+      <div className="flex gap-2">
+        <Button type="submit" disabled={completeTicket.isPending}>
+          {completeTicket.isPending ? "Gravando..." : "Concluir Pesagem"}
+        </Button>
+        <Button type="button" variant="outline" onClick={onDone}>
+          Voltar
+        </Button>
+      </div>
+    </form>
+  );
+};
+
+const OpenTicketCard = ({ ticket }) => {
+  const { toast } = useToast();
+  const cancelTicket = useCancelWeighingTicket();
+  const [completing, setCompleting] = useState(false);
+
+  const handleCancel = async () => {
+    const motivo = window.prompt(
+      `Cancelar o ticket do caminhão ${ticket.placa}? Informe o motivo:`,
+    );
+    if (motivo === null) return;
+    try {
+      await cancelTicket.mutateAsync({ id: ticket.id, motivo });
+      toast({ title: "Ticket cancelado", description: ticket.placa });
+    } catch (err) {
+      toast({
+        title: "Erro ao cancelar",
+        description: err.message,
+        variant: "destructive",
+      });
+    }
+  };
+
+  return (
+    <Card className="p-4 border-slate-200 shadow-sm">
+      <div className="flex flex-col sm:flex-row sm:items-center justify-between gap-3">
+        <div>
+          <div className="flex items-center gap-2">
+            <span className="font-mono font-bold text-slate-800">
+              {ticket.placa}
+            </span>
+            <Badge variant="outline">{TYPE_LABELS[ticket.tipo]}</Badge>
+          </div>
+          <p className="text-xs text-slate-500 mt-1">
+            {[ticket.vendedor, ticket.motorista && `mot. ${ticket.motorista}`]
+              .filter(Boolean)
+              .join(" · ") || "Sem identificação"}
+          </p>
+          <p className="text-xs text-slate-500">
+            Entrada {formatWeight(ticket.pesoEntrada)} ·{" "}
+            {formatRelativeTime(ticket.entradaEm)}
+            {ticket.abertoPor?.nome && ` · ${ticket.abertoPor.nome}`}
+          </p>
+        </div>
+        {!completing && (
+          <div className="flex gap-2">
+            <Button size="sm" onClick={() => setCompleting(true)}>
+              <LogOut className="h-4 w-4 mr-1" />
+              Registrar Saída
+            </Button>
+            <Button
+              size="sm"
+              variant="outline"
+              onClick={handleCancel}
+              disabled={cancelTicket.isPending}
+            >
+              <XCircle className="h-4 w-4 mr-1" />
+              Cancelar
+            </Button>
+          </div>
+        )}
+      </div>
+      {completing && (
+        <CompleteWeighingForm
+          ticket={ticket}
+          onDone={() => setCompleting(false)}
+        />
+      )}
+    </Card>
+  );
+};
+
+// Balança de caminhões: entrada, tickets abertos e fechamento com a saída
+export default function WeighingTickets() {
+  const { data: openTickets = [], isLoading, error } = useOpenWeighingTickets();
+  const { data: recentTickets = [] } = useRecentWeighingTickets();
+
+  return (
+    <div className="space-y-6 p-4 md:p-8">
+      <OpenWeighingForm />
+
+      <section className="space-y-3">
+        <h3 className="font-bold text-slate-800 flex items-center gap-2">
+          Caminhões no pátio
+          <Badge variant="outline">{openTickets.length}</Badge>
+        </h3>
+        {isLoading ? (
+          <p className="text-sm text-slate-500">Carregando tickets...</p>
+        ) : error ? (
+          <p className="text-sm text-rose-600">
+            Erro ao carregar tickets: {error.message}
+          </p>
+        ) : openTickets.length === 0 ? (
+          <p className="text-sm text-slate-500">
+            Nenhum caminhão aguardando a pesagem de saída.
+          </p>
+        ) : (
+          openTickets.map((ticket) => (
+            <OpenTicketCard key={ticket.id} ticket={ticket} />
+          ))
+        )}
+      </section>
+
+      {recentTickets.length > 0 && (
+        <Card className="p-4 border-slate-200 shadow-sm space-y-2">
+          <h3 className="font-bold text-slate-800 flex items-center gap-2">
+            <History className="h-4 w-4 text-slate-400" />
+            Últimas pesagens
+          </h3>
+          <ul className="divide-y divide-slate-100">
+            {recentTickets.map((ticket) => {
+              const status = STATUS_STYLES[ticket.status];
+              return (
+                <li
+                  key={ticket.id}
+                  className="py-2 flex items-center justify-between gap-3 text-sm"
+                >
+                  <span className="text-slate-600">
+                    <span className="font-mono font-semibold text-slate-800">
+                      {ticket.placa}
+                    </span>{" "}
+                    · {formatDateTime(ticket.saidaEm)}
+                    {ticket.status === "concluido" &&
+                      ` · ${formatWeight(ticket.pesoLiquido)} líquido`}
+                    {ticket.motivoCancelamento &&
+                      ` · ${ticket.motivoCancelamento}`}
+                  </span>
+                  <span className="flex items-center gap-2">
+                    {ticket.status === "concluido" && (
+                      <span className="font-semibold text-slate-800">
+                        {formatCurrency(ticket.valorTotal)}
+                      </span>
+                    )}
+                    {status && (
+                      <Badge className={`${status.className} border-none`}>
+                        {status.label}
+                      </Badge>
+                    )}
+                  </span>
+                </li>
+              );
+            })}
+          </ul>
+        </Card>
+      )}
+    </div>
+  );
+}
@@ -162,261 +162,8 @@ export const designTokens = {
   },
 };
 
-// Material types configuration
-export const materialTypes = [
-  // Metais Ferrosos
-  {
-    key: "ferro",
-    name: "Ferro",
-    category: "ferrosos",
-    color: "gray",
-    icon: "⚙️",
-    minStock: 100,
-    density: "high",
-  },
-  {
-    key: "chapa",
-    name: "Chapa",
-    category: "ferrosos",
-    color: "gray",
-    icon: "🔲",
-    minStock: 50,
-    density: "high",
-  },
-  {
-    key: "perfil pintado",
-    name: "Perfil pintado",
-    category: "ferrosos",
-    color: "gray",
-    icon: "📐",
-    minStock: 30,
-    density: "medium",
-  },
-  {
-    key: "perfil natural",
-    name: "Perfil natural",
-    category: "ferrosos",
-    color: "gray",
-    icon: "🪝",
-    minStock: 30,
-    density: "medium",
-  },
-  {
-    key: "bloco",
-    name: "Bloco",
-    category: "ferrosos",
-    color: "gray",
-    icon: "🧱",
-    minStock: 20,
-    density: "high",
-  },
-  {
-    key: "bloco2",
-    name: "Bloco 2°",
-    category: "ferrosos",
-    color: "gray",
-    icon: "🔳",
-    minStock: 15,
-    density: "medium",
-  },
-  {
-    key: "rad_chapa",
-    name: "Rad. Chapa",
-    category: "ferrosos",
-    color: "gray",
-    icon: "🔧",
-    minStock: 25,
-    density: "medium",
-  },
-
-  // Metais Não-Ferrosos
-  {
-    key: "aluminio",
-    name: "Alumínio",
-    category: "nao-ferrosos",
-    color: "blue",
-    icon: "🔧",
-    minStock: 80,
-    density: "high",
-  },
-  {
-    key: "cobre",
-    name: "Cobre",
-    category: "nao-ferrosos",
-    color: "orange",
-    icon: "🔶",
-    minStock: 50,
-    density: "high",
-  },
-  {
-    key: "bronze",
-    name: "Bronze",
-    category: "nao-ferrosos",
-    color: "orange",
-    icon: "🔶",
-    minStock: 55,
-    density: "medium",
-  },
-  {
-    key: "cobre_mel",
-    name: "Cobre Mel",
-    category: "nao-ferrosos",
-    color: "amber",
-    icon: "🍯",
-    minStock: 40,
-    density: "medium",
-  },
-  {
-    key: "magnesio",
-    name: "Magnésio",
-    category: "nao-ferrosos",
-    color: "slate",
-    icon: "⚗️",
-    minStock: 35,
-    density: "low",
-  },
-  {
-    key: "rad_cobre",
-    name: "Rad. Cobre",
-    category: "nao-ferrosos",
-    color: "orange",
-    icon: "🔥",
-    minStock: 30,
-    density: "medium",
-  },
-  {
-    key: "rad_metal",
-    name: "Rad. Metal",
-    category: "nao-ferrosos",
-    color: "orange",
-    icon: "⚡",
-    minStock: 35,
-    density: "medium",
-  },
-  {
-    key: "latinha",
-    name: "Latinha",
-    category: "nao-ferrosos",
-    color: "green",
-    icon: "🥤",
-    minStock: 200,
-    density: "low",
-  },
-  {
-    key: "inox",
-    name: "Inox",
-    category: "nao-ferrosos",
-    color: "silver",
-    icon: "✨",
-    minStock: 30,
-    density: "high",
-  },
-  {
-    key: "antimonio",
-    name: "Antimônio",
-    category: "nao-ferrosos",
-    color: "purple",
-    icon: "💎",
-    minStock: 10,
-    density: "high",
-  },
-
-  // Cabos e Fios
-  {
-    key: "cabo_ai",
-    name: "Cabo AI",
-    category: "cabos",
-    color: "yellow",
-    icon: "🔌",
-    minStock: 40,
-    density: "medium",
-  },
-  {
-    key: "tela",
-    name: "Tela",
-    category: "cabos",
-    color: "yellow",
-    icon: "🕸️",
-    minStock: 50,
-    density: "low",
-  },
-
-  // Tubos e Estruturas
-  {
-    key: "tubo_limpo",
-    name: "Tubo Limpo",
-    category: "tubos",
-    color: "cyan",
-    icon: "🚰",
-    minStock: 20,
-    density: "medium",
-  },
-
-  // Outros Materiais
-  {
-    key: "panela",
-    name: "Panela",
-    category: "outros",
-    color: "yellow",
-    icon: "🍳",
-    minStock: 25,
-    density: "medium",
-  },
-  {
-    key: "metal",
-    name: "Metal",
-    category: "outros",
-    color: "purple",
-    icon: "🔩",
-    minStock: 60,
-    density: "high",
-  },
-  {
-    key: "bateria",
-    name: "Bateria",
-    category: "eletronicos",
-    color: "red",
-    icon: "🔋",
-    minStock: 40,
-    density: "high",
-  },
-  {
-    key: "motor_gel",
-    name: "Motor Gel",
-    category: "eletronicos",
-    color: "indigo",
-    icon: "⚡",
-    minStock: 10,
-    density: "high",
-  },
-  {
-    key: "roda",
-    name: "Roda",
-    category: "automotivo",
-    color: "black",
-    icon: "🛞",
-    minStock: 15,
-    density: "high",
-  },
-  {
-    key: "papelao",
-    name: "Papelão",
-    category: "papel",
-    color: "brown",
-    icon: "📦",
-    minStock: 100,
-    density: "low",
-  },
-  {
-    key: "papel_branco",
-    name: "Papel branco",
-    category: "papel",
-    color: "white",
-    icon: "📄",
-    minStock: 80,
-    density: "low",
-  },
-];
+// Os materiais ficam no catálogo do Firestore (coleção "materials");
+// o catálogo padrão está em config/materials.js
 
 export const categories = [
   { key: "todos", name: "Todos os Materiais", icon: "📋" },
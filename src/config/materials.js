@@ -0,0 +1,183 @@
+/**
+ * Catálogo padrão de materiais.
+ *
+ * Usado apenas para popular a coleção "materials" do Firestore na primeira
+ * execução e como fallback enquanto o catálogo real ainda não foi carregado.
+ * Para cadastrar ou alterar materiais, use a tela de Catálogo no Estoque.
+ */
+
+// Paleta disponível para os materiais. As classes ficam escritas por extenso
+// para que o Tailwind as encontre no build.
+export const MATERIAL_COLORS = {
+  gray: { label: "Cinza", solid: "bg-gray-600", soft: "bg-gray-100" },
+  slate: { label: "Ardósia", solid: "bg-slate-600", soft: "bg-slate-100" },
+  black: { label: "Preto", solid: "bg-black", soft: "bg-gray-200" },
+  red: { label: "Vermelho", solid: "bg-red-600", soft: "bg-red-100" },
+  rose: { label: "Rosa", solid: "bg-rose-600", soft: "bg-rose-100" },
+  pink: { label: "Pink", solid: "bg-pink-600", soft: "bg-pink-100" },
+  orange: { label: "Laranja", solid: "bg-orange-600", soft: "bg-orange-100" },
+  amber: { label: "Âmbar", solid: "bg-amber-600", soft: "bg-amber-100" },
+  yellow: { label: "Amarelo", solid: "bg-yellow-600", soft: "bg-yellow-100" },
+  lime: { label: "Lima", solid: "bg-lime-600", soft: "bg-lime-100" },
+  green: { label: "Verde", solid: "bg-green-600", soft: "bg-green-100" },
+  sky: { label: "Céu", solid: "bg-sky-600", soft: "bg-sky-100" },
+  blue: { label: "Azul", solid: "bg-blue-600", soft: "bg-blue-100" },
+  indigo: { label: "Índigo", solid: "bg-indigo-600", soft: "bg-indigo-100" },
+  violet: { label: "Violeta", solid: "bg-violet-600", soft: "bg-violet-100" },
+  purple: { label: "Roxo", solid: "bg-purple-600", soft: "bg-purple-100" },
+  fuchsia: {
+    label: "Fúcsia",
+    solid: "bg-fuchsia-600",
+    soft: "bg-fuchsia-100",
+  },
+};
+
+export const MATERIAL_UNITS = [
+  { value: "kg", label: "Quilograma (kg)" },
+  { value: "un", label: "Unidade (un)" },
+];
+
+const material = (
+  key,
+  name,
+  category,
+  color,
+  icon,
+  precoCompra,
+  precoVenda,
+  minStock,
+  aliases = [],
+) => ({
+  key,
+  name,
+  category,
+  color,
+  icon,
+  unit: "kg",
+  precoCompra,
+  precoVenda,
+  minStock,
+  aliases,
+  ativo: true,
+});
+
+export const DEFAULT_MATERIALS = [
+  // Metais Ferrosos
+  material("ferro", "Ferro", "ferrosos", "gray", "⚙️", 2.5, 3.2, 100),
+  material("chapa", "Chapa", "ferrosos", "yellow", "📋", 2.2, 3.0, 50),
+  material(
+    "perfil pintado",
+    "Perfil pintado",
+    "ferrosos",
+    "indigo",
+    "🎨",
+    2.8,
+    3.8,
+    30,
+  ),
+  material(
+    "perfil natural",
+    "Perfil natural",
+    "ferrosos",
+    "indigo",
+    "🔩",
+    2.8,
+    3.8,
+    30,
+    ["perfil"],
+  ),
+  material("bloco", "Bloco", "ferrosos", "pink", "🧱", 1.5, 2.2, 20),
+  material("bloco2", "Bloco 2°", "ferrosos", "red", "🧱", 1.8, 2.5, 15),
+  material("rad_chapa", "Rad. Chapa", "ferrosos", "violet", "📐", 2.8, 3.6, 25),
+
+  // Metais Não-Ferrosos
+  material("aluminio", "Alumínio", "nao-ferrosos", "blue", "🔷", 8.5, 10.8, 80),
+  material("cobre", "Cobre", "nao-ferrosos", "orange", "🟠", 25.0, 32.0, 50),
+  material("bronze", "Bronze", "nao-ferrosos", "amber", "🥉", 15.0, 20.0, 55),
+  material(
+    "cobre_mel",
+    "Cobre Mel",
+    "nao-ferrosos",
+    "amber",
+    "🍯",
+    20.0,
+    26.0,
+    40,
+  ),
+  material(
+    "magnesio",
+    "Magnésio",
+    "nao-ferrosos",
+    "slate",
+    "⚡",
+    18.0,
+    24.0,
+    35,
+  ),
+  material(
+    "rad_cobre",
+    "Rad. Cobre",
+    "nao-ferrosos",
+    "orange",
+    "🔶",
+    28.0,
+    35.0,
+    30,
+  ),
+  material(
+    "rad_metal",
+    "Rad. Metal",
+    "nao-ferrosos",
+    "rose",
+    "🌡️",
+    3.5,
+    4.5,
+    35,
+  ),
+  material("latinha", "Latinha", "nao-ferrosos", "green", "🥫", 4.2, 5.5, 200),
+  material("inox", "Inox", "nao-ferrosos", "blue", "✨", 12.0, 15.0, 30),
+  material(
+    "antimonio",
+    "Antimônio",
+    "nao-ferrosos",
+    "fuchsia",
+    "💎",
+    45.0,
+    55.0,
+    10,
+  ),
+
+  // Cabos e Fios
+  material("cabo_ai", "Cabo AI", "cabos", "sky", "🔌", 12.0, 16.0, 40),
+  material("tela", "Tela", "cabos", "lime", "🕸️", 1.5, 2.0, 50),
+
+  // Tubos e Estruturas
+  material("tubo_limpo", "Tubo Limpo", "tubos", "green", "🚰", 4.0, 5.5, 20),
+
+  // Outros Materiais
+  material("panela", "Panela", "outros", "purple", "🍳", 3.0, 4.0, 25),
+  material("metal", "Metal", "outros", "gray", "🔨", 2.0, 2.8, 60),
+  material("bateria", "Bateria", "eletronicos", "green", "🔋", 8.0, 12.0, 40),
+  material(
+    "motor_gel",
+    "Motor Gel",
+    "eletronicos",
+    "purple",
+    "⚙️",
+    15.0,
+    20.0,
+    10,
+  ),
+  material("roda", "Roda", "automotivo", "black", "⚫", 5.0, 7.0, 15),
+  material("papelao", "Papelão", "papel", "yellow", "📦", 0.8, 1.2, 100),
+  material(
+    "papel_branco",
+    "Papel branco",
+    "papel",
+    "green",
+    "📄",
+    1.0,
+    1.5,
+    80,
+  ),
+];
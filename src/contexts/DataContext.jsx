@@ -6,9 +6,11 @@ import {
   useState,
   useEffect,
   useCallback,
+  useMemo,
 } from "react";
 import {
   addTransaction as addTransactionToFirebase,
+  addTicket as addTicketToFirebase,
   getTransactions,
   getInventory,
   updateInventoryItem,
@@ -23,7 +25,11 @@ import {
   subscribeToLiveSummary,
   getTransactionsByPeriod,
   subscribeToCustomers,
+  subscribeToMaterials,
 } from "../lib/firebaseService";
+import { setMaterialCatalog } from "../lib/materialCatalog";
+import { DEFAULT_MATERIALS } from "../config/materials";
+import { hasWeighing, pickWeighingFields } from "../utils/calculations";
 
 const DataContext = createContext();
 
@@ -54,6 +60,7 @@ export const DataProvider = ({ children }) => {
   const [transactions, setTransactions] = useState([]);
   const [inventory, setInventory] = useState({});
   const [customers, setCustomers] = useState([]);
+  const [allMaterials, setAllMaterials] = useState(DEFAULT_MATERIALS);
   const [liveSummary, setLiveSummary] = useState(null);
   const [loading, setLoading] = useState(true);
   const [syncing, setSyncing] = useState(false);
@@ -69,6 +76,7 @@ export const DataProvider = ({ children }) => {
     let unsubscribeInventory = null;
     let unsubscribeLiveSummary = null;
     let unsubscribeCustomers = null;
+    let unsubscribeMaterials = null;
 
     // 1. Listener de Transações isolado
     try {
@@ -122,6 +130,17 @@ export const DataProvider = ({ children }) => {
       console.error("[v0] Erro no listener de Clientes:", error);
     }
 
+    // 5. Listener do Catálogo de Materiais isolado
+    try {
+      unsubscribeMaterials = subscribeToMaterials((firebaseMaterials) => {
+        // Atualiza também o catálogo usado por utilitários fora do React
+        setMaterialCatalog(firebaseMaterials);
+        setAllMaterials(firebaseMaterials);
+      });
+    } catch (error) {
+      console.error("[v0] Erro no listener de Materiais:", error);
+    }
+
     setLoading(false);
     setSyncing(false);
 
@@ -131,6 +150,7 @@ export const DataProvider = ({ children }) => {
       if (unsubscribeInventory) unsubscribeInventory();
       if (unsubscribeLiveSummary) unsubscribeLiveSummary();
       if (unsubscribeCustomers) unsubscribeCustomers();
+      if (unsubscribeMaterials) unsubscribeMaterials();
     };
   }, []);
 
@@ -223,6 +243,7 @@ export const DataProvider = ({ children }) => {
         formaPagamento: transaction.formaPagamento || "dinheiro",
         numeroTransacao: transaction.numeroTransacao || "",
         clienteId: transaction.clienteId || "",
+        ...(hasWeighing(transaction) ? pickWeighingFields(transaction) : {}),
       };
 
       console.log(
@@ -230,24 +251,8 @@ export const DataProvider = ({ children }) => {
         normalizedTransaction.data,
       );
 
-      await addTransactionToFirebase(normalizedTransaction);
-
-      // CORREÇÃO CRÍTICA: Atualizar o inventário após salvar a transação
-      const { updateInventoryQuantity } =
-        await import("../lib/firebaseService");
-      const quantidade = normalizedTransaction.quantidade;
-      const tipo = normalizedTransaction.tipo;
-      const material = normalizedTransaction.material;
-
-      console.log(
-        `[v0] DataContext: Atualizando estoque - material=${material}, quantidade=${quantidade}, tipo=${tipo}`,
-      );
-
-      await updateInventoryQuantity(material, quantidade, tipo);
-
-      console.log(
-        `[v0] DataContext: Estoque atualizado com sucesso para ${material}`,
-      );
+      // Transação, estoque, daily_reports e live_summary são gravados juntos
+      return await addTransactionToFirebase(normalizedTransaction);
     } catch (error) {
       console.error(
         "[v0] DataContext: Erro ao adicionar transação ao Firebase:",
@@ -272,6 +277,28 @@ export const DataProvider = ({ children }) => {
     }
   };
 
+  // Ticket com vários materiais: todas as linhas são gravadas juntas
+  const addTicket = async (ticket) => {
+    try {
+      console.log(
+        `[v0] DataContext: Adicionando ticket com ${ticket.itens.length} itens`,
+      );
+      return await addTicketToFirebase({
+        tipo: ticket.tipo,
+        vendedor: ticket.vendedor || "",
+        observacoes: ticket.observacoes || "",
+        data: ticket.data,
+        formaPagamento: ticket.formaPagamento || "dinheiro",
+        numeroTransacao: ticket.numeroTransacao || "",
+        clienteId: ticket.clienteId || "",
+        itens: ticket.itens,
+      });
+    } catch (error) {
+      console.error("[v0] DataContext: Erro ao adicionar ticket:", error);
+      throw error;
+    }
+  };
+
   const editTransaction = async (id, updatedTransaction) => {
     try {
       console.log("[v0] DataContext: Editando transação:", id);
@@ -294,6 +321,8 @@ export const DataProvider = ({ children }) => {
         formaPagamento: updatedTransaction.formaPagamento || "dinheiro",
         numeroTransacao: updatedTransaction.numeroTransacao || "",
         clienteId: updatedTransaction.clienteId || "",
+        // Campos nulos removem a pesagem de uma transação que a tinha
+        ...pickWeighingFields(updatedTransaction),
       };
 
       console.log(
@@ -301,42 +330,8 @@ export const DataProvider = ({ children }) => {
         normalizedTransaction.data,
       );
 
+      // O firebaseService desfaz a versão gravada e aplica a nova atomicamente
       await updateTransactionFirebase(id, normalizedTransaction);
-
-      // CORRECAO CRITICA: Recalcular o estoque apos editar a transacao
-      const oldTransaction = transactions.find((t) => t.id === id);
-      if (oldTransaction) {
-        const { updateInventoryQuantity } =
-          await import("../lib/firebaseService");
-
-        const oldQuantidade = oldTransaction.quantidade || 0;
-        const newQuantidade = normalizedTransaction.quantidade;
-        const material = normalizedTransaction.material;
-        const tipo = normalizedTransaction.tipo;
-        const oldTipo = oldTransaction.tipo || "compra";
-
-        console.log(
-          `[v0] DataContext: Editando estoque - material=${material}, quantidade antiga=${oldQuantidade}, quantidade nova=${newQuantidade}`,
-        );
-
-        // Desfazer a transacao antiga
-        if (oldTipo === "compra") {
-          await updateInventoryQuantity(material, -oldQuantidade, "compra");
-        } else if (oldTipo === "venda") {
-          await updateInventoryQuantity(material, oldQuantidade, "venda");
-        }
-
-        // Aplicar a nova transacao
-        if (tipo === "compra") {
-          await updateInventoryQuantity(material, newQuantidade, "compra");
-        } else if (tipo === "venda") {
-          await updateInventoryQuantity(material, newQuantidade, "venda");
-        }
-
-        console.log(
-          `[v0] DataContext: Estoque recalculado com sucesso para ${material}`,
-        );
-      }
     } catch (error) {
       console.error("[v0] DataContext: Erro ao editar transacao:", error);
       setFirebaseConnected(false);
@@ -357,69 +352,15 @@ export const DataProvider = ({ children }) => {
     try {
       console.log("[v0] DataContext: Excluindo transação:", id);
 
-      // CORRECAO CRITICA: Reverter o estoque ANTES de deletar a transacao
-      const transactionToDelete = transactions.find((t) => t.id === id);
-      if (transactionToDelete) {
-        const { updateInventoryQuantity } =
-          await import("../lib/firebaseService");
-
-        const quantidade = transactionToDelete.quantidade || 0;
-        const tipo = transactionToDelete.tipo || "compra";
-        const material = transactionToDelete.material;
-
-        console.log(
-          `[v0] DataContext: Revertendo estoque - material=${material}, quantidade=${quantidade}, tipo=${tipo}`,
-        );
-
-        // Reverter a operacao: se foi compra, subtrair; se foi venda, adicionar
-        if (tipo === "compra") {
-          await updateInventoryQuantity(material, -quantidade, "compra");
-        } else if (tipo === "venda") {
-          await updateInventoryQuantity(material, quantidade, "venda");
-        }
-
-        console.log(
-          `[v0] DataContext: Estoque revertido com sucesso para ${material}`,
-        );
-      }
-
+      // Reverte estoque, daily_reports e live_summary na mesma gravação
       await deleteTransactionFirebase(id);
 
-      console.log(
-        "[v0] DataContext: Transação excluída. daily_reports atualizado pelo firebaseService.",
-      );
-
       // CORRECAO: Remover imediatamente do estado local E do localStorage
       setTransactions((prev) => {
         const updated = prev.filter((t) => t.id !== id);
         localStorage.setItem("recyclingTransactions", JSON.stringify(updated));
         return updated;
       });
-
-      // Recarregar o inventario para refletir as mudancas
-      const updatedInventory = await getInventory();
-      setInventory(updatedInventory);
-      localStorage.setItem(
-        "recycling_inventory",
-        JSON.stringify(updatedInventory),
-      );
-
-      // CORRECAO: Aguardar um momento para o Firebase processar a atualizacao do daily_reports
-      // e entao re-buscar o live_summary para refletir os totais corretos
-      setTimeout(async () => {
-        try {
-          const summary = await getLiveSummary();
-          setLiveSummary(summary);
-          console.log(
-            "[v0] DataContext: live_summary atualizado após exclusão",
-          );
-        } catch (err) {
-          console.warn(
-            "[v0] DataContext: Falha ao atualizar live_summary após exclusão:",
-            err,
-          );
-        }
-      }, 500);
     } catch (error) {
       console.error("[v0] DataContext: Erro ao excluir transação:", error);
       setFirebaseConnected(false);
@@ -493,10 +434,18 @@ export const DataProvider = ({ children }) => {
     }
   }, []);
 
+  // Formulários e filtros só oferecem materiais ativos
+  const materials = useMemo(
+    () => allMaterials.filter((material) => material.ativo !== false),
+    [allMaterials],
+  );
+
   const value = {
     transactions,
     inventory,
     customers,
+    materials,
+    allMaterials,
     liveSummary,
     loading,
     syncing,
@@ -504,6 +453,7 @@ export const DataProvider = ({ children }) => {
     lastSyncTime,
     realTimeSync,
     addTransaction,
+    addTicket,
     editTransaction,
     deleteTransaction,
     updateInventory,
@@ -1,8 +1,14 @@
 "use client";
 
-import { useQuery, useMutation, useQueryClient } from "@tanstack/react-query";
+import {
+  useQuery,
+  useInfiniteQuery,
+  useMutation,
+  useQueryClient,
+} from "@tanstack/react-query";
 import {
   getTransactions,
+  getTransactionsPage,
   getInventory,
   addTransaction as addTransactionToFirebase,
   updateInventoryItem,
@@ -10,12 +16,74 @@ import {
   deleteTransaction as deleteTransactionFirebase,
   getTransactionsByPeriod,
   getAggregatedReport,
+  getStockMovements,
+  getPriceHistory,
+  getTarePresets,
+  saveTarePresets,
+  convertInventoryMaterial,
+  getDeletedTransactions,
+  restoreTransaction as restoreTransactionFirebase,
+  purgeDeletedTransactions,
+  getUsers,
+  updateUserRole,
+  getShiftActivity,
+  getOpenCashSession,
+  openCashSession,
+  addCashMovement,
+  getCashSessionActivity,
+  closeCashSession,
+  getCashSessions,
+  getOpenWeighingTickets,
+  getRecentWeighingTickets,
+  openWeighingTicket,
+  completeWeighingTicket,
+  cancelWeighingTicket,
+  getTransactionById,
+  getTicketTransactions,
+  getCompanyProfile,
+  saveCompanyProfile,
+  getReceipt,
+  issueReceipt,
+  getCustomerLedger,
+  getLedgerEntries,
+  addLedgerEntry,
+  reviewLedgerEntry,
+  deleteLedgerEntry,
+  getLedgerMigrationStatus,
+  migrateCustomerLedger,
 } from "../lib/firebaseService";
+import { getAuditLog } from "../lib/auditLog";
+import {
+  backfillCostOfGoods,
+  rebuildDailyReports,
+  rebuildLiveSummary,
+} from "../lib/reportAggregator";
+import { buildInstallmentSchedule } from "../lib/installments";
 
 // Query Keys
 export const QUERY_KEYS = {
   transactions: ["transactions"],
+  transactionsPage: (filters) => ["transactions", "paged", filters],
   inventory: ["inventory"],
+  stockMovements: (material) => ["stockMovements", material],
+  priceHistory: (material) => ["priceHistory", material ?? "all"],
+  tarePresets: ["tarePresets"],
+  auditLog: (filters) => ["auditLog", filters],
+  shiftActivity: (day) => ["shiftActivity", day],
+  openCashSession: ["cashSession", "open"],
+  cashSessionActivity: (sessionId) => ["cashSession", sessionId, "activity"],
+  cashSessions: ["cashSession", "history"],
+  openWeighingTickets: ["weighingTickets", "open"],
+  recentWeighingTickets: ["weighingTickets", "recent"],
+  transaction: (id) => ["transaction", id],
+  ticketTransactions: (ticketId) => ["ticketTransactions", ticketId],
+  companyProfile: ["companyProfile"],
+  receipt: (key) => ["receipts", key],
+  customerLedger: (clienteId) => ["customerLedger", clienteId],
+  ledgerMigration: ["customerLedger", "migration"],
+  ledgerEntries: ["customerLedger", "all"],
+  deletedTransactions: ["deletedTransactions"],
+  users: ["users"],
   dailyReports: (startDate, endDate) => ["dailyReports", startDate, endDate],
   monthlyReport: (year, month) => ["monthlyReport", year, month],
   yearlyReport: (year) => ["yearlyReport", year],
@@ -43,6 +111,20 @@ export function useTransactions() {
   });
 }
 
+// Histórico completo paginado por cursor (rolagem infinita)
+export function useInfiniteTransactions(filters = {}, options = {}) {
+  return useInfiniteQuery({
+    queryKey: QUERY_KEYS.transactionsPage(filters),
+    queryFn: ({ pageParam }) =>
+      getTransactionsPage({ filters, cursor: pageParam }),
+    initialPageParam: null,
+    getNextPageParam: (lastPage) =>
+      lastPage.hasMore ? lastPage.cursor : undefined,
+    staleTime: 1000 * 30, // 30 segundos
+    ...options,
+  });
+}
+
 export function useTransactionsByPeriod(startDate, endDate, options = {}) {
   return useQuery({
     queryKey: QUERY_KEYS.transactionsByPeriod(startDate, endDate),
@@ -117,6 +199,7 @@ export function useAddTransaction() {
       queryClient.invalidateQueries({ queryKey: ["dailyReports"] });
       queryClient.invalidateQueries({ queryKey: ["monthlyReport"] });
       queryClient.invalidateQueries({ queryKey: ["yearlyReport"] });
+      queryClient.invalidateQueries({ queryKey: ["customerLedger"] });
     },
   });
 }
@@ -154,6 +237,8 @@ export function useUpdateTransaction() {
       queryClient.invalidateQueries({ queryKey: ["dailyReports"] });
       queryClient.invalidateQueries({ queryKey: ["monthlyReport"] });
       queryClient.invalidateQueries({ queryKey: ["yearlyReport"] });
+      queryClient.invalidateQueries({ queryKey: ["customerLedger"] });
+      queryClient.invalidateQueries({ queryKey: ["auditLog"] });
     },
   });
 }
@@ -199,6 +284,11 @@ export function useDeleteTransaction() {
       // Invalidar relatórios mensais e anuais
       queryClient.invalidateQueries({ queryKey: ["monthlyReport"] });
       queryClient.invalidateQueries({ queryKey: ["yearlyReport"] });
+      queryClient.invalidateQueries({ queryKey: ["customerLedger"] });
+      queryClient.invalidateQueries({ queryKey: ["auditLog"] });
+      queryClient.invalidateQueries({
+        queryKey: QUERY_KEYS.deletedTransactions,
+      });
       console.log(
         "[v0] Todas as queries invalidadas após exclusão de transação",
       );
@@ -229,6 +319,456 @@ export function useUpdateInventory() {
     },
     onSettled: () => {
       queryClient.invalidateQueries({ queryKey: QUERY_KEYS.inventory });
+      queryClient.invalidateQueries({ queryKey: ["stockMovements"] });
+      queryClient.invalidateQueries({ queryKey: ["priceHistory"] });
+    },
+  });
+}
+
+// Stock Movements Query (histórico de um material)
+export function useStockMovements(material, options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.stockMovements(material),
+    queryFn: () => getStockMovements(material),
+    enabled: !!material,
+    staleTime: 0, // o histórico é aberto sob demanda e deve vir sempre atual
+    ...options,
+  });
+}
+
+// Histórico de preços de um material (ou de todos, sem material)
+export function usePriceHistory(material, options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.priceHistory(material),
+    queryFn: () => getPriceHistory(material),
+    staleTime: 1000 * 60 * 5,
+    ...options,
+  });
+}
+
+// Taras salvas usadas na pesagem
+export function useTarePresets(options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.tarePresets,
+    queryFn: getTarePresets,
+    staleTime: 1000 * 60 * 10, // 10 minutos
+    ...options,
+  });
+}
+
+export function useSaveTarePresets() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: saveTarePresets,
+    onError: (err) => {
+      console.error("[v0] Error saving tare presets:", err);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.tarePresets });
+    },
+  });
+}
+
+// Convert Material Mutation
+export function useConvertMaterial() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ fromMaterial, toMaterial, quantidade, options }) =>
+      convertInventoryMaterial(fromMaterial, toMaterial, quantidade, options),
+    onError: (err) => {
+      console.error("[v0] Error converting material:", err);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.inventory });
+      queryClient.invalidateQueries({ queryKey: ["stockMovements"] });
+    },
+  });
+}
+
+// Rebuild Reports Mutation (ação administrativa)
+export function useRebuildReports() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: async ({ startDate, endDate }) => {
+      // Vendas antigas sem CMV recebem o custo médio antes de reagregar
+      const costResult = await backfillCostOfGoods();
+      const result = await rebuildDailyReports(startDate, endDate);
+      await rebuildLiveSummary();
+      return { ...result, vendasCusteadas: costResult.vendasAtualizadas };
+    },
+    onError: (err) => {
+      console.error("[v0] Error rebuilding reports:", err);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ["aggregatedReport"] });
+      queryClient.invalidateQueries({ queryKey: ["dailyReports"] });
+      queryClient.invalidateQueries({ queryKey: ["monthlyReport"] });
+      queryClient.invalidateQueries({ queryKey: ["yearlyReport"] });
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.inventory });
+      queryClient.invalidateQueries({ queryKey: ["transactionsByPeriod"] });
+    },
+  });
+}
+
+// Audit Log Query (edições e exclusões de transações)
+export function useAuditLog(filters, options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.auditLog(filters),
+    queryFn: () => getAuditLog(filters),
+    staleTime: 1000 * 30, // 30 segundos
+    ...options,
+  });
+}
+
+// Turno: lançamentos e alterações de um dia, para o relatório por operador
+export function useShiftActivity(day, options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.shiftActivity(day),
+    queryFn: () => getShiftActivity(new Date(day + "T00:00:00")),
+    enabled: !!day,
+    staleTime: 1000 * 30, // 30 segundos
+    ...options,
+  });
+}
+
+// Lixeira: transações excluídas aguardando restauração ou exclusão definitiva
+export function useDeletedTransactions(options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.deletedTransactions,
+    queryFn: getDeletedTransactions,
+    staleTime: 1000 * 30, // 30 segundos
+    ...options,
+  });
+}
+
+// Restore Transaction Mutation (reaplica estoque e relatórios)
+export function useRestoreTransaction() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: restoreTransactionFirebase,
+    onError: (err) => {
+      console.error("[v0] Error restoring transaction:", err);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({
+        queryKey: QUERY_KEYS.deletedTransactions,
+      });
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.transactions });
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.inventory });
+      queryClient.invalidateQueries({ queryKey: ["aggregatedReport"] });
+      queryClient.invalidateQueries({ queryKey: ["transactionsByPeriod"] });
+      queryClient.invalidateQueries({ queryKey: ["dailyReports"] });
+      queryClient.invalidateQueries({ queryKey: ["monthlyReport"] });
+      queryClient.invalidateQueries({ queryKey: ["yearlyReport"] });
+      queryClient.invalidateQueries({ queryKey: ["stockMovements"] });
+      queryClient.invalidateQueries({ queryKey: ["auditLog"] });
+    },
+  });
+}
+
+// Purge Mutation (apaga de vez o que passou do prazo de retenção)
+export function usePurgeDeletedTransactions() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: (ids) => purgeDeletedTransactions(ids),
+    onError: (err) => {
+      console.error("[v0] Error purging deleted transactions:", err);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({
+        queryKey: QUERY_KEYS.deletedTransactions,
+      });
     },
   });
 }
+
+// Usuários e perfis de acesso (tela de administração)
+export function useUsers(options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.users,
+    queryFn: getUsers,
+    staleTime: 1000 * 60, // 1 minuto
+    ...options,
+  });
+}
+
+export function useUpdateUserRole() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ uid, role }) => updateUserRole(uid, role),
+    onError: (err) => {
+      console.error("[v0] Error updating user role:", err);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.users });
+    },
+  });
+}
+
+// Caixa: sessão aberta, movimento da sessão e histórico de fechamentos
+export function useOpenCashSession(options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.openCashSession,
+    queryFn: getOpenCashSession,
+    staleTime: 1000 * 30, // 30 segundos
+    ...options,
+  });
+}
+
+export function useCashSessionActivity(session, options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.cashSessionActivity(session?.id),
+    queryFn: () => getCashSessionActivity(session),
+    enabled: !!session?.id,
+    staleTime: 1000 * 15, // 15 segundos
+    ...options,
+  });
+}
+
+export function useCashSessions(options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.cashSessions,
+    queryFn: () => getCashSessions(),
+    staleTime: 1000 * 60, // 1 minuto
+    ...options,
+  });
+}
+
+function useCashMutation(mutationFn, label) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onError: (err) => {
+      console.error(`[v0] Error ${label}:`, err);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ["cashSession"] });
+    },
+  });
+}
+
+export function useOpenCash() {
+  return useCashMutation(openCashSession, "opening cash session");
+}
+
+export function useAddCashMovement() {
+  return useCashMutation(addCashMovement, "adding cash movement");
+}
+
+export function useCloseCash() {
+  return useCashMutation(closeCashSession, "closing cash session");
+}
+
+// Tickets de pesagem de caminhão (entrada/saída)
+export function useOpenWeighingTickets(options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.openWeighingTickets,
+    queryFn: getOpenWeighingTickets,
+    staleTime: 1000 * 30, // 30 segundos
+    refetchInterval: 1000 * 60, // caminhões entram enquanto a tela fica aberta
+    ...options,
+  });
+}
+
+export function useRecentWeighingTickets(options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.recentWeighingTickets,
+    queryFn: () => getRecentWeighingTickets(),
+    staleTime: 1000 * 60, // 1 minuto
+    ...options,
+  });
+}
+
+function useWeighingMutation(mutationFn, label) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onError: (err) => {
+      console.error(`[v0] Error ${label}:`, err);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ["weighingTickets"] });
+    },
+  });
+}
+
+export function useOpenWeighingTicket() {
+  return useWeighingMutation(openWeighingTicket, "opening weighing ticket");
+}
+
+export function useCompleteWeighingTicket() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: ({ id, ...completion }) =>
+      completeWeighingTicket(id, completion),
+    onError: (err) => {
+      console.error("[v0] Error completing weighing ticket:", err);
+    },
+    onSettled: () => {
+      // O fechamento grava transações: estoque e relatórios mudam junto
+      queryClient.invalidateQueries({ queryKey: ["weighingTickets"] });
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.transactions });
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.inventory });
+      queryClient.invalidateQueries({ queryKey: ["aggregatedReport"] });
+      queryClient.invalidateQueries({ queryKey: ["transactionsByPeriod"] });
+      queryClient.invalidateQueries({ queryKey: ["dailyReports"] });
+      queryClient.invalidateQueries({ queryKey: ["monthlyReport"] });
+      queryClient.invalidateQueries({ queryKey: ["yearlyReport"] });
+    },
+  });
+}
+
+export function useCancelWeighingTicket() {
+  return useWeighingMutation(
+    cancelWeighingTicket,
+    "cancelling weighing ticket",
+  );
+}
+
+// Busca pelo id lido no QR code do comprovante
+export function useTransactionById(id, options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.transaction(id),
+    queryFn: () => getTransactionById(id),
+    enabled: !!id,
+    staleTime: 1000 * 60, // 1 minuto
+    ...options,
+  });
+}
+
+export function useTicketTransactions(ticketId, options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.ticketTransactions(ticketId),
+    queryFn: () => getTicketTransactions(ticketId),
+    enabled: !!ticketId,
+    staleTime: 1000 * 60, // 1 minuto
+    ...options,
+  });
+}
+
+// Dados da empresa (cabeçalho dos comprovantes)
+export function useCompanyProfile(options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.companyProfile,
+    queryFn: getCompanyProfile,
+    staleTime: 1000 * 60 * 30, // 30 minutos
+    ...options,
+  });
+}
+
+export function useSaveCompanyProfile() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: saveCompanyProfile,
+    onError: (err) => {
+      console.error("[v0] Error saving company profile:", err);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: QUERY_KEYS.companyProfile });
+    },
+  });
+}
+
+// Comprovante emitido (número e histórico de impressões)
+export function useReceipt(key, options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.receipt(key),
+    queryFn: () => getReceipt(key),
+    enabled: !!key,
+    staleTime: 1000 * 30, // 30 segundos
+    ...options,
+  });
+}
+
+export function useIssueReceipt() {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn: issueReceipt,
+    onError: (err) => {
+      console.error("[v0] Error issuing receipt:", err);
+    },
+    onSuccess: (receipt) => {
+      queryClient.setQueryData(QUERY_KEYS.receipt(receipt.id), receipt);
+    },
+  });
+}
+
+// Conta corrente do cliente (lançamentos do livro-razão)
+export function useCustomerLedger(clienteId, options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.customerLedger(clienteId),
+    queryFn: () => getCustomerLedger(clienteId),
+    enabled: !!clienteId,
+    staleTime: 1000 * 30, // 30 segundos
+    ...options,
+  });
+}
+
+// Lançamentos de todos os clientes (idade das dívidas, vencimentos)
+export function useLedgerEntries(options = {}) {
+  return useQuery({
+    queryKey: QUERY_KEYS.ledgerEntries,
+    queryFn: getLedgerEntries,
+    staleTime: 1000 * 60 * 5, // 5 minutos
+    ...options,
+  });
+}
+
+// Parcelas com vencimento de todos os clientes (situação calculada na leitura)
+export function useInstallmentSchedule() {
+  return useLedgerEntries({
+    select: (entries) => buildInstallmentSchedule(entries),
+  });
+}
+
+export function useLedgerMigrationStatus() {
+  return useQuery({
+    queryKey: QUERY_KEYS.ledgerMigration,
+    queryFn: getLedgerMigrationStatus,
+    staleTime: 1000 * 60 * 10, // 10 minutos
+  });
+}
+
+function useLedgerMutation(mutationFn, label) {
+  const queryClient = useQueryClient();
+
+  return useMutation({
+    mutationFn,
+    onError: (err) => {
+      console.error(`[v0] Error ${label}:`, err);
+    },
+    onSettled: () => {
+      queryClient.invalidateQueries({ queryKey: ["customerLedger"] });
+    },
+  });
+}
+
+export function useAddLedgerEntry() {
+  return useLedgerMutation(addLedgerEntry, "adding ledger entry");
+}
+
+export function useReviewLedgerEntry() {
+  return useLedgerMutation(
+    ({ id, ...changes }) => reviewLedgerEntry(id, changes),
+    "reviewing ledger entry",
+  );
+}
+
+export function useDeleteLedgerEntry() {
+  return useLedgerMutation(deleteLedgerEntry, "deleting ledger entry");
+}
+
+export function useMigrateCustomerLedger() {
+  return useLedgerMutation(migrateCustomerLedger, "migrating customer ledger");
+}
@@ -0,0 +1,18 @@
+"use client";
+
+import { getCurrentActor } from "../lib/currentActor";
+import { can, ROLES } from "../lib/permissions";
+
+/**
+ * Perfil do usuário logado e checagem de permissões para a interface.
+ * O perfil é carregado no login; mudanças feitas pelo proprietário valem
+ * a partir do próximo acesso do usuário.
+ */
+export function usePermissions() {
+  const actor = getCurrentActor();
+  return {
+    role: actor.role,
+    roleLabel: ROLES[actor.role]?.label || "Sem perfil",
+    can: (permission) => can(permission, actor.role),
+  };
+}
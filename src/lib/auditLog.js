@@ -0,0 +1,178 @@
+/**
+ * Trilha de Auditoria - coleção audit_log
+ *
+ * Cada edição grava a diferença campo a campo (antes/depois) e cada exclusão
+ * ou restauração da Lixeira grava o documento completo, sempre com o operador
+ * e o horário. As entradas
+ * são gravadas dentro da mesma transação do Firestore que altera o documento,
+ * então não existe alteração sem registro.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  limit,
+  Timestamp,
+} from "firebase/firestore";
+import { db } from "./firebase";
+import { getCurrentActor } from "./currentActor";
+
+const AUDIT_LOG_COLLECTION = "audit_log";
+
+// Campos mantidos pelo sistema que não interessam no diff (o operador da
+// edição já fica em ator)
+const IGNORED_FIELDS = ["updatedAt", "editadaPor"];
+
+// Converte Timestamps em Date (recursivamente) para comparar e gravar
+function toPlainValue(value) {
+  if (value === undefined) return null;
+  if (value && typeof value.toDate === "function") return value.toDate();
+  if (value instanceof Date) return value;
+  if (Array.isArray(value)) return value.map(toPlainValue);
+  if (value && typeof value === "object") {
+    const plain = {};
+    for (const [key, nested] of Object.entries(value)) {
+      plain[key] = toPlainValue(nested);
+    }
+    return plain;
+  }
+  return value;
+}
+
+function isSameValue(a, b) {
+  if (a instanceof Date && b instanceof Date) {
+    return a.getTime() === b.getTime();
+  }
+  if (a && b && typeof a === "object" && typeof b === "object") {
+    return JSON.stringify(a) === JSON.stringify(b);
+  }
+  // "5" e 5 vindos de formulários contam como iguais
+  if (typeof a === "number" || typeof b === "number") {
+    return Number(a) === Number(b) && a !== null && b !== null;
+  }
+  return a === b;
+}
+
+/**
+ * Lista os campos que mudaram entre duas versões de um documento.
+ * Retorna [{ campo, anterior, novo }].
+ */
+export function diffFields(before, after) {
+  const changes = [];
+  const fields = new Set([
+    ...Object.keys(before || {}),
+    ...Object.keys(after || {}),
+  ]);
+
+  fields.forEach((campo) => {
+    if (IGNORED_FIELDS.includes(campo)) return;
+    const anterior = toPlainValue(before?.[campo]);
+    const novo = toPlainValue(after?.[campo]);
+    if (!isSameValue(anterior, novo)) {
+      changes.push({ campo, anterior, novo });
+    }
+  });
+
+  return changes;
+}
+
+/**
+ * Grava uma entrada de auditoria dentro de uma transação do Firestore.
+ *
+ * - acao "edicao": grava o diff entre antes e depois (nada se não houver mudança)
+ * - acao "exclusao" ou "restauracao": grava o documento completo em snapshot
+ */
+export function recordAuditEntry(
+  tx,
+  { acao, colecao, documentoId, antes = null, depois = null, now = new Date() },
+) {
+  const entry = {
+    acao,
+    colecao,
+    documentoId,
+    alteracoes: [],
+    snapshot: null,
+    ator: getCurrentActor(),
+    atorNome: getCurrentActor().nome,
+    createdAt: now,
+  };
+
+  if (acao === "edicao") {
+    entry.alteracoes = diffFields(antes, depois);
+    if (entry.alteracoes.length === 0) return;
+  } else {
+    entry.snapshot = toPlainValue(antes);
+  }
+
+  tx.set(doc(collection(db, AUDIT_LOG_COLLECTION)), entry);
+}
+
+const mapAuditDoc = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    createdAt: data.createdAt?.toDate
+      ? data.createdAt.toDate()
+      : new Date(data.createdAt),
+  };
+};
+
+/**
+ * Busca o histórico de auditoria, mais recentes primeiro.
+ *
+ * Com documentoId a busca é por documento (todo o histórico dele); sem ele,
+ * pelo período. O filtro de operador é aplicado sobre o resultado para não
+ * exigir índices compostos.
+ */
+export const getAuditLog = async ({
+  startDate,
+  endDate,
+  documentoId,
+  ator,
+  maxResults = 200,
+} = {}) => {
+  try {
+    const constraints = [];
+    if (documentoId) {
+      constraints.push(where("documentoId", "==", documentoId));
+    } else {
+      if (startDate) {
+        const start = new Date(startDate);
+        start.setHours(0, 0, 0, 0);
+        constraints.push(where("createdAt", ">=", Timestamp.fromDate(start)));
+      }
+      if (endDate) {
+        const end = new Date(endDate);
+        end.setHours(23, 59, 59, 999);
+        constraints.push(where("createdAt", "<=", Timestamp.fromDate(end)));
+      }
+      constraints.push(orderBy("createdAt", "desc"));
+    }
+    constraints.push(limit(maxResults));
+
+    const querySnapshot = await getDocs(
+      query(collection(db, AUDIT_LOG_COLLECTION), ...constraints),
+    );
+    let entries = querySnapshot.docs.map(mapAuditDoc);
+
+    if (documentoId) {
+      entries.sort((a, b) => b.createdAt - a.createdAt);
+    }
+    if (ator) {
+      const term = ator.toLowerCase();
+      entries = entries.filter((entry) =>
+        (entry.atorNome || "").toLowerCase().includes(term),
+      );
+    }
+
+    return entries;
+  } catch (error) {
+    console.error("[Audit] Erro ao buscar auditoria:", error);
+    throw error;
+  }
+};
@@ -0,0 +1,71 @@
+/**
+ * Autenticação - Firebase Auth (e-mail e senha)
+ *
+ * A sessão é mantida pelo próprio Firebase Auth; o App apenas observa
+ * subscribeToAuth. As regras do Firestore só liberam leitura e escrita
+ * para usuários autenticados.
+ */
+
+import {
+  signInWithEmailAndPassword,
+  signOut as firebaseSignOut,
+  sendPasswordResetEmail,
+  onAuthStateChanged,
+} from "firebase/auth";
+import { auth } from "./firebase";
+
+// Mensagens em português para os códigos de erro do Firebase Auth
+const AUTH_ERROR_MESSAGES = {
+  "auth/invalid-email": "E-mail inválido.",
+  "auth/invalid-credential": "E-mail ou senha incorretos.",
+  "auth/wrong-password": "E-mail ou senha incorretos.",
+  "auth/user-not-found": "E-mail ou senha incorretos.",
+  "auth/user-disabled": "Este usuário foi desativado.",
+  "auth/too-many-requests":
+    "Muitas tentativas seguidas. Aguarde alguns minutos e tente novamente.",
+  "auth/network-request-failed":
+    "Sem conexão com o servidor. Verifique a internet.",
+  "auth/missing-email": "Informe o e-mail.",
+};
+
+export const getAuthErrorMessage = (error) =>
+  AUTH_ERROR_MESSAGES[error?.code] ||
+  "Não foi possível concluir a operação. Tente novamente.";
+
+export const signIn = async (email, password) => {
+  try {
+    const credential = await signInWithEmailAndPassword(
+      auth,
+      email.trim(),
+      password,
+    );
+    console.log("[v0] Login realizado:", credential.user.email);
+    return credential.user;
+  } catch (error) {
+    console.error("[v0] Erro ao fazer login:", error.code);
+    throw error;
+  }
+};
+
+export const signOut = async () => {
+  try {
+    await firebaseSignOut(auth);
+    console.log("[v0] Sessão encerrada");
+  } catch (error) {
+    console.error("[v0] Erro ao sair:", error);
+    throw error;
+  }
+};
+
+export const sendPasswordReset = async (email) => {
+  try {
+    await sendPasswordResetEmail(auth, email.trim());
+    console.log("[v0] E-mail de redefinição enviado para:", email);
+  } catch (error) {
+    console.error("[v0] Erro ao enviar redefinição de senha:", error.code);
+    throw error;
+  }
+};
+
+// Chama o callback com o usuário logado (ou null) sempre que a sessão muda
+export const subscribeToAuth = (callback) => onAuthStateChanged(auth, callback);
@@ -0,0 +1,331 @@
+/**
+ * Backup e Restauração do banco
+ *
+ * Exporta as coleções do sistema para um único arquivo JSON versionado e
+ * restaura esse arquivo de volta. Timestamps do Firestore são gravados como
+ * { __type: "timestamp", value: ISO } para voltarem como datas na restauração.
+ *
+ * Ficam de fora:
+ * - usuários e perfis: restaurar poderia trancar o proprietário fora do sistema;
+ * - settings/access e settings/caixa: estado da sessão e do caixa aberto;
+ * - settings/recibos: o contador atual é mantido (no máximo avança até o maior
+ *   número restaurado) para que nenhum número de comprovante se repita;
+ * - audit_log e price_history: só recebem novas entradas e não são regravados.
+ *
+ * Movimentações de estoque e comprovantes também só recebem novas entradas:
+ * a restauração recria os documentos que faltam, sem regravar nem apagar os
+ * que já existem.
+ */
+
+import {
+  collection,
+  doc,
+  getDoc,
+  getDocs,
+  writeBatch,
+  Timestamp,
+} from "firebase/firestore";
+import { db } from "./firebase";
+import { getActorStamp } from "./currentActor";
+import { assertPermission } from "./permissions";
+
+export const BACKUP_VERSION = 1;
+const BACKUP_APP = "imperio-sucata";
+const BATCH_SIZE = 500;
+
+// Coleção → rótulo exibido no resumo da restauração
+export const BACKUP_COLLECTIONS = {
+  transactions: "Transações",
+  inventory: "Estoque",
+  clients: "Clientes",
+  customer_ledger: "Conta Corrente dos Clientes",
+  loans: "Empréstimos",
+  daily_reports: "Relatórios Diários",
+  reports: "Resumo ao Vivo",
+  materials: "Catálogo de Materiais",
+  notifications: "Notificações",
+  settings: "Configurações",
+  transactions_trash: "Lixeira de Transações",
+  stock_movements: "Movimentações de Estoque",
+  cash_sessions: "Sessões de Caixa",
+  cash_movements: "Sangrias e Suprimentos",
+  weighing_tickets: "Tickets de Pesagem",
+  receipts: "Comprovantes",
+};
+
+const EXCLUDED_DOCS = { settings: ["access", "caixa", "recibos"] };
+
+// Coleções que as regras só deixam crescer: restaura apenas o que falta
+const APPEND_ONLY = ["stock_movements", "receipts"];
+
+const isExcluded = (colecao, id) => (EXCLUDED_DOCS[colecao] || []).includes(id);
+
+// Firestore → JSON
+function serializeValue(value) {
+  if (value === undefined) return null;
+  if (value && typeof value.toDate === "function") {
+    return { __type: "timestamp", value: value.toDate().toISOString() };
+  }
+  if (value instanceof Date) {
+    return { __type: "timestamp", value: value.toISOString() };
+  }
+  if (Array.isArray(value)) return value.map(serializeValue);
+  if (value && typeof value === "object") {
+    const plain = {};
+    for (const [key, nested] of Object.entries(value)) {
+      plain[key] = serializeValue(nested);
+    }
+    return plain;
+  }
+  return value;
+}
+
+// JSON → Firestore
+function deserializeValue(value) {
+  if (value && value.__type === "timestamp") {
+    return Timestamp.fromDate(new Date(value.value));
+  }
+  if (Array.isArray(value)) return value.map(deserializeValue);
+  if (value && typeof value === "object") {
+    const data = {};
+    for (const [key, nested] of Object.entries(value)) {
+      data[key] = deserializeValue(nested);
+    }
+    return data;
+  }
+  return value;
+}
+
+// JSON com chaves ordenadas: o Firestore não garante a ordem dos campos
+function stableStringify(value) {
+  if (Array.isArray(value)) return `[${value.map(stableStringify).join(",")}]`;
+  if (value && typeof value === "object") {
+    return `{${Object.keys(value)
+      .sort()
+      .map((key) => `${JSON.stringify(key)}:${stableStringify(value[key])}`)
+      .join(",")}}`;
+  }
+  return JSON.stringify(value);
+}
+
+async function readCollection(colecao) {
+  const querySnapshot = await getDocs(collection(db, colecao));
+  return querySnapshot.docs
+    .filter((docSnap) => !isExcluded(colecao, docSnap.id))
+    .map((docSnap) => ({
+      id: docSnap.id,
+      data: serializeValue(docSnap.data()),
+    }));
+}
+
+/**
+ * Lê todas as coleções do backup e monta o arquivo.
+ * Retorna o objeto pronto para JSON.stringify.
+ */
+export const exportBackup = async () => {
+  try {
+    assertPermission("backup.manage");
+    const names = Object.keys(BACKUP_COLLECTIONS);
+    const contents = await Promise.all(names.map(readCollection));
+
+    const collections = {};
+    names.forEach((name, index) => {
+      collections[name] = contents[index];
+    });
+
+    const total = contents.reduce((sum, docs) => sum + docs.length, 0);
+    console.log(`[Backup] ${total} documentos exportados`);
+
+    return {
+      app: BACKUP_APP,
+      version: BACKUP_VERSION,
+      createdAt: new Date().toISOString(),
+      createdBy: getActorStamp(),
+      collections,
+    };
+  } catch (error) {
+    console.error("[Backup] Erro ao gerar backup:", error);
+    throw error;
+  }
+};
+
+/**
+ * Lê e valida o texto de um arquivo de backup.
+ * Lança um erro com a causa quando o arquivo não pode ser restaurado.
+ */
+export const parseBackup = (text) => {
+  let backup;
+  try {
+    backup = JSON.parse(text);
+  } catch {
+    throw new Error("O arquivo não é um JSON válido");
+  }
+
+  if (backup?.app !== BACKUP_APP) {
+    throw new Error("O arquivo não é um backup do Império Sucata");
+  }
+  if (typeof backup.version !== "number" || backup.version > BACKUP_VERSION) {
+    throw new Error(
+      `Versão de backup não suportada (${backup.version}). Atualize o sistema antes de restaurar.`,
+    );
+  }
+  if (!backup.collections || typeof backup.collections !== "object") {
+    throw new Error("O backup não contém coleções");
+  }
+
+  for (const [colecao, docs] of Object.entries(backup.collections)) {
+    if (!BACKUP_COLLECTIONS[colecao]) {
+      throw new Error(`Coleção desconhecida no backup: ${colecao}`);
+    }
+    if (!Array.isArray(docs)) {
+      throw new Error(`Coleção ${colecao} está em formato inválido`);
+    }
+    docs.forEach((item, index) => {
+      if (
+        typeof item?.id !== "string" ||
+        !item.id ||
+        item.id.includes("/") ||
+        !item.data ||
+        typeof item.data !== "object"
+      ) {
+        throw new Error(
+          `Documento ${index + 1} de ${colecao} está em formato inválido`,
+        );
+      }
+    });
+  }
+
+  return backup;
+};
+
+/**
+ * Compara o backup com o banco atual, coleção por coleção.
+ * Retorna [{ colecao, label, novos, alterados, iguais, ausentes }], onde
+ * ausentes são documentos que existem hoje e não estão no backup.
+ */
+export const diffBackup = async (backup) => {
+  try {
+    const names = Object.keys(backup.collections);
+    const current = await Promise.all(names.map(readCollection));
+
+    return names.map((colecao, index) => {
+      const currentById = new Map(
+        current[index].map((item) => [item.id, stableStringify(item.data)]),
+      );
+      const backupIds = new Set();
+      const summary = {
+        colecao,
+        label: BACKUP_COLLECTIONS[colecao],
+        novos: 0,
+        alterados: 0,
+        iguais: 0,
+        ausentes: 0,
+      };
+
+      const appendOnly = APPEND_ONLY.includes(colecao);
+      backup.collections[colecao].forEach((item) => {
+        if (isExcluded(colecao, item.id)) return;
+        backupIds.add(item.id);
+        if (!currentById.has(item.id)) summary.novos += 1;
+        else if (
+          appendOnly ||
+          currentById.get(item.id) === stableStringify(item.data)
+        ) {
+          summary.iguais += 1;
+        } else summary.alterados += 1;
+      });
+      if (!appendOnly) {
+        currentById.forEach((_, id) => {
+          if (!backupIds.has(id)) summary.ausentes += 1;
+        });
+      }
+
+      return summary;
+    });
+  } catch (error) {
+    console.error("[Backup] Erro ao comparar backup:", error);
+    throw error;
+  }
+};
+
+/**
+ * Grava o backup de volta no banco, em lotes de até 500 escritas.
+ *
+ * Com removeMissing, os documentos que existem hoje e não estão no backup são
+ * apagados, deixando cada coleção exatamente como no arquivo. As coleções
+ * APPEND_ONLY só ganham os documentos que faltam.
+ * Retorna { gravados, apagados }.
+ */
+export const restoreBackup = async (backup, { removeMissing = false } = {}) => {
+  try {
+    assertPermission("backup.manage");
+    const operations = [];
+
+    for (const [colecao, docs] of Object.entries(backup.collections)) {
+      const appendOnly = APPEND_ONLY.includes(colecao);
+      const existingIds = appendOnly
+        ? new Set((await readCollection(colecao)).map((item) => item.id))
+        : null;
+      const backupIds = new Set();
+      docs.forEach((item) => {
+        if (isExcluded(colecao, item.id)) return;
+        backupIds.add(item.id);
+        if (appendOnly && existingIds.has(item.id)) return;
+        operations.push({
+          ref: doc(db, colecao, item.id),
+          data: deserializeValue(item.data),
+        });
+      });
+
+      if (removeMissing && !appendOnly) {
+        const current = await readCollection(colecao);
+        current
+          .filter((item) => !backupIds.has(item.id))
+          .forEach((item) => {
+            operations.push({ ref: doc(db, colecao, item.id), data: null });
+          });
+      }
+    }
+
+    // Comprovantes recriados não podem ficar acima do contador, senão a
+    // próxima impressão repetiria um número já emitido
+    const maiorNumero = (backup.collections.receipts || []).reduce(
+      (maior, item) => Math.max(maior, Number(item.data?.numero) || 0),
+      0,
+    );
+    if (maiorNumero > 0) {
+      const counterRef = doc(db, "settings", "recibos");
+      const counterSnap = await getDoc(counterRef);
+      if ((counterSnap.data()?.ultimoNumero || 0) < maiorNumero) {
+        operations.push({
+          ref: counterRef,
+          data: { ultimoNumero: maiorNumero, updatedAt: new Date() },
+        });
+      }
+    }
+
+    let gravados = 0;
+    let apagados = 0;
+    for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+      const batch = writeBatch(db);
+      operations.slice(i, i + BATCH_SIZE).forEach(({ ref, data }) => {
+        if (data) {
+          batch.set(ref, data);
+          gravados += 1;
+        } else {
+          batch.delete(ref);
+          apagados += 1;
+        }
+      });
+      await batch.commit();
+    }
+
+    console.log(
+      `[Backup] Restauração concluída: ${gravados} gravados, ${apagados} apagados`,
+    );
+    return { gravados, apagados };
+  } catch (error) {
+    console.error("[Backup] Erro ao restaurar backup:", error);
+    throw error;
+  }
+};
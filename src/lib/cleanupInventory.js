@@ -12,6 +12,7 @@
 
 import { doc, getDoc, setDoc } from "firebase/firestore";
 import { db } from "./firebase";
+import { getAliasMappings } from "./materialCatalog";
 
 const INVENTORY_COLLECTION = "inventory";
 
@@ -33,11 +34,12 @@ export const cleanupCorruptedInventoryKeys = async () => {
   const rawData = docSnap.data();
   const allKeys = Object.keys(rawData);
 
+  // precos é a tabela de preços do estoque, não um material
   const corruptedKeys = allKeys.filter(
     (k) => k !== "updatedAt" && k.includes("."),
   );
   const validKeys = allKeys.filter(
-    (k) => k !== "updatedAt" && !k.includes("."),
+    (k) => k !== "updatedAt" && k !== "precos" && !k.includes("."),
   );
 
   console.log(`[Cleanup] Total de chaves: ${allKeys.length}`);
@@ -57,10 +59,8 @@ export const cleanupCorruptedInventoryKeys = async () => {
   // Montar objeto limpo apenas com chaves válidas
   const cleanInventory = {};
 
-  // Migrar "perfil" → "perfil natural" se necessário
-  const keyMappings = {
-    perfil: "perfil natural",
-  };
+  // Migrar apelidos do catálogo (ex: "perfil" → "perfil natural") se necessário
+  const keyMappings = getAliasMappings();
 
   for (const key of validKeys) {
     const mappedKey = keyMappings[key] || key;
@@ -81,6 +81,8 @@ export const cleanupCorruptedInventoryKeys = async () => {
     }
   }
 
+  const kept = Object.keys(cleanInventory);
+  if (rawData.precos) cleanInventory.precos = rawData.precos;
   cleanInventory.updatedAt = new Date();
 
   // Salvar documento limpo (isso sobrescreve TODO o documento, removendo as chaves corrompidas)
@@ -88,14 +90,12 @@ export const cleanupCorruptedInventoryKeys = async () => {
 
   console.log(`[Cleanup] ✅ Limpeza concluída!`);
   console.log(`[Cleanup] Removidas ${corruptedKeys.length} chaves corrompidas`);
-  console.log(
-    `[Cleanup] Mantidas ${Object.keys(cleanInventory).length - 1} chaves válidas`,
-  );
+  console.log(`[Cleanup] Mantidas ${kept.length} chaves válidas`);
 
   return {
     cleaned: true,
     removed: corruptedKeys,
-    kept: Object.keys(cleanInventory).filter((k) => k !== "updatedAt"),
+    kept,
   };
 };
 
@@ -0,0 +1,61 @@
+/**
+ * Operador da sessão atual
+ *
+ * Guarda quem está usando o sistema (e o perfil de acesso) para que a camada
+ * de serviço carimbe auditoria e cheque permissões sem precisar receber o
+ * usuário em cada chamada. O App define o operador no login e o limpa no logout.
+ */
+
+const ACTOR_STORAGE_KEY = "imperio_sucata_user";
+
+const ANONYMOUS_ACTOR = {
+  uid: null,
+  nome: "Desconhecido",
+  email: null,
+  role: null,
+};
+
+let currentActor = null;
+
+function readStoredActor() {
+  try {
+    const stored = localStorage.getItem(ACTOR_STORAGE_KEY);
+    return stored ? JSON.parse(stored) : null;
+  } catch (error) {
+    console.error("[Actor] Erro ao ler operador salvo:", error);
+    return null;
+  }
+}
+
+export const setCurrentActor = (actor) => {
+  currentActor = actor
+    ? {
+        uid: actor.uid || null,
+        nome: actor.nome || actor.email || "Desconhecido",
+        email: actor.email || null,
+        role: actor.role || null,
+      }
+    : null;
+
+  try {
+    if (currentActor) {
+      localStorage.setItem(ACTOR_STORAGE_KEY, JSON.stringify(currentActor));
+    } else {
+      localStorage.removeItem(ACTOR_STORAGE_KEY);
+    }
+  } catch (error) {
+    console.error("[Actor] Erro ao salvar operador:", error);
+  }
+};
+
+export const getCurrentActor = () => {
+  if (!currentActor) currentActor = readStoredActor();
+  return currentActor || ANONYMOUS_ACTOR;
+};
+
+// Carimbo gravado nos documentos (registradaPor, editadaPor): sem o perfil,
+// que pode mudar depois
+export const getActorStamp = () => {
+  const { uid, nome, email } = getCurrentActor();
+  return { uid, nome, email };
+};
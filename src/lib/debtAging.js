@@ -0,0 +1,74 @@
+/**
+ * Idade das dívidas dos clientes (aging)
+ *
+ * Parte da conta corrente: depois de aplicar os pagamentos do mais antigo
+ * para o mais novo (allocateLedgerDebts), o que ficou em aberto em cada
+ * débito é separado pela idade, em dias desde a data do lançamento.
+ */
+
+import { differenceInCalendarDays } from "date-fns";
+import { allocateLedgerDebts } from "./installments";
+
+// Rótulos com hífen: a fonte padrão do jsPDF não tem o travessão
+export const AGING_BUCKETS = [
+  { key: "0_30", label: "0-30 dias", max: 30 },
+  { key: "31_60", label: "31-60 dias", max: 60 },
+  { key: "61_90", label: "61-90 dias", max: 90 },
+  { key: "90_mais", label: "90+ dias", max: Infinity },
+];
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+const emptyBuckets = () =>
+  Object.fromEntries(AGING_BUCKETS.map(({ key }) => [key, 0]));
+
+export const getAgingBucket = (dias) =>
+  AGING_BUCKETS.find((bucket) => dias <= bucket.max).key;
+
+/**
+ * Monta o relatório a partir dos lançamentos de todos os clientes.
+ * Só entram clientes com saldo devedor. Cada linha traz os itens em aberto
+ * para o detalhamento por cliente.
+ */
+export const buildAgingReport = (
+  entries = [],
+  customers = [],
+  today = new Date(),
+) => {
+  const names = Object.fromEntries(customers.map((c) => [c.id, c.nome]));
+  const rows = {};
+
+  allocateLedgerDebts(entries, today)
+    .filter((parcela) => parcela.restante > 0)
+    .forEach((parcela) => {
+      const dias = Math.max(
+        differenceInCalendarDays(today, parcela.dataLancamento || today),
+        0,
+      );
+      const bucket = getAgingBucket(dias);
+      const row = rows[parcela.clienteId] || {
+        clienteId: parcela.clienteId,
+        nome: names[parcela.clienteId] || "Cliente removido",
+        total: 0,
+        buckets: emptyBuckets(),
+        itens: [],
+      };
+      row.total = roundMoney(row.total + parcela.restante);
+      row.buckets[bucket] = roundMoney(row.buckets[bucket] + parcela.restante);
+      row.itens.push({ ...parcela, dias, bucket });
+      rows[parcela.clienteId] = row;
+    });
+
+  const list = Object.values(rows).sort((a, b) => b.total - a.total);
+  list.forEach((row) => row.itens.sort((a, b) => b.dias - a.dias));
+
+  const totals = { total: 0, buckets: emptyBuckets() };
+  list.forEach((row) => {
+    totals.total = roundMoney(totals.total + row.total);
+    AGING_BUCKETS.forEach(({ key }) => {
+      totals.buckets[key] = roundMoney(totals.buckets[key] + row.buckets[key]);
+    });
+  });
+
+  return { rows: list, totals, geradoEm: today };
+};
@@ -0,0 +1,125 @@
+/**
+ * Conta corrente (dívida) dos clientes
+ *
+ * Cada lançamento da coleção customer_ledger tem um tipo explícito e o saldo
+ * do cliente é a soma dos lançamentos (positivo = o cliente deve à empresa).
+ * O campo saldo do cadastro é só uma cópia dessa soma, atualizada na mesma
+ * escrita de cada lançamento.
+ *
+ * Lançamento: { clienteId, tipo, valor, data, descricao, transacaoId,
+ * origem: "transacao" | "manual" | "migracao" | "emprestimo", revisado }.
+ * Os de origem "emprestimo" pertencem a um documento de loans. O valor é sempre
+ * positivo, exceto no ajuste, em que o sinal vem do próprio valor. Débitos
+ * podem trazer parcelas com vencimento (ver installments.js).
+ */
+
+export const LEDGER_ENTRY_TYPES = {
+  emprestimo: { label: "Empréstimo", sinal: 1, cor: "amber" },
+  venda_prazo: { label: "Venda a Prazo", sinal: 1, cor: "amber" },
+  pagamento: { label: "Pagamento", sinal: -1, cor: "green" },
+  abate_compra: { label: "Abate em Compra", sinal: -1, cor: "green" },
+  ajuste: { label: "Ajuste", sinal: 1, cor: "slate" },
+};
+
+// Lançamentos feitos à mão na conta do cliente (os demais vêm das transações)
+export const MANUAL_ENTRY_TYPES = ["pagamento", "emprestimo", "ajuste"];
+
+// Quanto o lançamento soma ao saldo devedor
+export const getLedgerImpact = (entry) => {
+  if (!entry) return 0;
+  const valor = Number(entry.valor) || 0;
+  if (entry.tipo === "ajuste") return valor;
+  const type = LEDGER_ENTRY_TYPES[entry.tipo];
+  return type ? type.sinal * Math.abs(valor) : 0;
+};
+
+export const calculateLedgerBalance = (entries = []) =>
+  Number(
+    entries.reduce((sum, entry) => sum + getLedgerImpact(entry), 0).toFixed(2),
+  );
+
+/**
+ * Tipo do lançamento gerado por uma transação, só pelos campos do registro
+ * (nunca pelo texto das observações). null quando não mexe na dívida.
+ */
+export const getTransactionLedgerType = (t) => {
+  if (!t?.clienteId) return null;
+  if (
+    t.tipo === "despesa" &&
+    (t.categoria === "emprestimo" || t.material === "emprestimo_cliente")
+  ) {
+    return "emprestimo";
+  }
+  if (t.tipo === "venda" && t.formaPagamento === "prazo") return "venda_prazo";
+  if (t.formaPagamento === "pagamento_divida") {
+    return t.tipo === "compra" ? "abate_compra" : "pagamento";
+  }
+  return null;
+};
+
+// Lançamento correspondente à transação, ou null
+export const buildTransactionLedgerEntry = (transactionId, t) => {
+  const tipo = getTransactionLedgerType(t);
+  if (!tipo) return null;
+  return {
+    clienteId: t.clienteId,
+    tipo,
+    valor: Math.abs(Number(t.valorTotal) || 0),
+    data: t.data instanceof Date ? t.data : new Date(t.data),
+    descricao: t.observacoes || "",
+    transacaoId: transactionId,
+    origem: "transacao",
+    revisado: true,
+    // Vencimento único ou parcelas definidos no lançamento do empréstimo
+    ...(t.parcelas?.length ? { parcelas: t.parcelas } : {}),
+  };
+};
+
+/**
+ * Classificação do histórico anterior ao livro-razão, usada só na migração.
+ * Reproduz a regra antiga por palavras-chave; o que não sai dos campos
+ * explícitos volta com revisar = true para alguém conferir.
+ */
+export const classifyLegacyTransaction = (t) => {
+  const obs = (t.observacoes || "").toLowerCase();
+  const material = (t.material || "").toLowerCase();
+  const forma = (t.formaPagamento || "").toLowerCase();
+
+  const isEmprestimo =
+    t.tipo === "despesa" &&
+    (t.categoria === "emprestimo" ||
+      obs.includes("empréstimo") ||
+      material.includes("emprestimo"));
+  const isVendaPrazo =
+    t.tipo === "venda" &&
+    (forma === "prazo" ||
+      forma === "divida" ||
+      obs.includes("marcar") ||
+      obs.includes("pendente"));
+  const isPagamento =
+    forma === "pagamento_divida" ||
+    material.includes("pagamento") ||
+    obs.includes("pagou") ||
+    obs.includes("acerto");
+  const isAbateCompra =
+    t.tipo === "compra" &&
+    (obs.includes("abater") || obs.includes("descontar") || forma === "abate");
+
+  // Mesma precedência do cálculo antigo: débitos (empréstimo, venda a prazo)
+  // antes de créditos. Uma linha que casa com os dois continua sendo débito,
+  // como no saldo que o cadastro já mostrava; classificá-la como pagamento
+  // trocaria o sinal da dívida migrada.
+  const explicit = getTransactionLedgerType(t);
+  const isDebito = isEmprestimo || isVendaPrazo;
+  if (explicit && (LEDGER_ENTRY_TYPES[explicit].sinal > 0 || !isDebito)) {
+    return { tipo: explicit, revisar: false };
+  }
+  if (isEmprestimo) return { tipo: "emprestimo", revisar: true };
+  if (isVendaPrazo) return { tipo: "venda_prazo", revisar: true };
+  if (isPagamento) return { tipo: "pagamento", revisar: true };
+  if (isAbateCompra) return { tipo: "abate_compra", revisar: true };
+  return null;
+};
+
+// Id do lançamento ligado a uma transação: um por transação, regravado na edição
+export const getTransactionLedgerId = (transactionId) => `tx_${transactionId}`;
@@ -1,5 +1,6 @@
 import { initializeApp } from "firebase/app";
-import { getFirestore } from "firebase/firestore";
+import { getFirestore, connectFirestoreEmulator } from "firebase/firestore";
+import { getAuth, connectAuthEmulator } from "firebase/auth";
 
 // As chaves agora são lidas com segurança do ambiente, protegendo seu sistema no GitHub
 const firebaseConfig = {
@@ -12,12 +13,26 @@ const firebaseConfig = {
   measurementId: import.meta.env.VITE_FIREBASE_MEASUREMENT_ID,
 };
 
+// Com VITE_USE_FIREBASE_EMULATORS=true o app usa os emuladores locais
+// (firebase emulators:start) em vez do projeto real
+const useEmulators = import.meta.env.VITE_USE_FIREBASE_EMULATORS === "true";
+
 let app;
 let db;
+let auth;
 
 try {
   app = initializeApp(firebaseConfig);
   db = getFirestore(app);
+  auth = getAuth(app);
+
+  if (useEmulators) {
+    connectFirestoreEmulator(db, "127.0.0.1", 8080);
+    connectAuthEmulator(auth, "http://127.0.0.1:9099", {
+      disableWarnings: true,
+    });
+    console.log("[v0] Firebase conectado aos emuladores locais");
+  }
 
   if (import.meta.env.DEV) {
     console.log("[v0] Firebase e Firestore operando com variáveis de ambiente");
@@ -27,5 +42,5 @@ try {
   throw error;
 }
 
-export { db };
+export { db, auth };
 export default app;
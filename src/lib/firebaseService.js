@@ -12,9 +12,55 @@ import {
   getDoc,
   where,
   limit,
+  startAfter,
+  runTransaction,
+  writeBatch,
   Timestamp,
 } from "firebase/firestore";
+import { format } from "date-fns";
 import { db } from "./firebase";
+import { DEFAULT_MATERIALS } from "../config/materials";
+import {
+  getActiveMaterials,
+  getMaterialByKey,
+  resolveMaterialKey,
+} from "./materialCatalog";
+import {
+  getDayKey,
+  round3,
+  getTransactionEffect,
+  createEmptyDailyReport,
+  cloneDailyReport,
+  applyEffectToDailyReport,
+  createEmptyLiveSummary,
+  applyEffectToLiveSummary,
+  buildDailyReports,
+  commitInBatches,
+  toJsDate,
+} from "./reportAggregator";
+import {
+  calculateWeightedAverageCost,
+  calculateNetWeight,
+  calculateTruckNetWeight,
+  hasWeighing,
+  pickWeighingFields,
+} from "../utils/calculations";
+import {
+  filterTransactions,
+  getFilterDateRange,
+  buildCashSummary,
+} from "../services/reportService";
+import { recordAuditEntry, getAuditLog } from "./auditLog";
+import { getCurrentActor, getActorStamp } from "./currentActor";
+import { assertPermission, can, DEFAULT_ROLE } from "./permissions";
+import {
+  buildTransactionLedgerEntry,
+  classifyLegacyTransaction,
+  getLedgerImpact,
+  getTransactionLedgerId,
+  LEDGER_ENTRY_TYPES,
+} from "./debtLedger";
+import { getLoanLedgerId, getLoanPending, getLoanStatus } from "./loans";
 
 // Coleções do Firestore
 const TRANSACTIONS_COLLECTION = "transactions";
@@ -22,12 +68,426 @@ const INVENTORY_COLLECTION = "inventory";
 const DAILY_REPORTS_COLLECTION = "daily_reports";
 const LIVE_SUMMARY_COLLECTION = "reports";
 const CUSTOMERS_COLLECTION = "clients";
+const MATERIALS_COLLECTION = "materials";
+const STOCK_MOVEMENTS_COLLECTION = "stock_movements";
+const PRICE_HISTORY_COLLECTION = "price_history";
+const TRASH_COLLECTION = "transactions_trash";
+const USERS_COLLECTION = "users";
+const SETTINGS_COLLECTION = "settings";
+const CASH_SESSIONS_COLLECTION = "cash_sessions";
+const CASH_MOVEMENTS_COLLECTION = "cash_movements";
+const WEIGHING_TICKETS_COLLECTION = "weighing_tickets";
+const RECEIPTS_COLLECTION = "receipts";
+const LEDGER_COLLECTION = "customer_ledger";
+const LOANS_COLLECTION = "loans";
+
+// Dias que uma transação excluída fica na Lixeira antes de poder ser apagada de vez
+export const TRASH_RETENTION_DAYS = 30;
+
+// =============================================
+// ESCRITA ATÔMICA DE TRANSAÇÕES
+// =============================================
+// Toda gravação de transação (criar, editar, excluir) passa por
+// commitTransactionWrite, que aplica na mesma transação do Firestore:
+// o documento da transação, o inventory/current, o daily_reports do dia,
+// o reports/live_summary, as movimentações em stock_movements e, em edições
+// e exclusões, a entrada do audit_log. Se a conexão cair no meio, nada é gravado.
+// Exclusões não apagam o registro: ele é movido para a Lixeira
+// (transactions_trash) e pode ser restaurado, reaplicando todos os efeitos.
+
+// Material ainda sem registro no estoque começa com os preços padrão do catálogo
+function getInventoryItem(inventory, material) {
+  if (inventory[material]) return inventory[material];
+  const catalogItem = getMaterialByKey(material);
+  const precoCompra = Number(catalogItem?.precoCompra) || 0;
+  return {
+    quantidade: 0,
+    precoCompra,
+    precoVenda: Number(catalogItem?.precoVenda) || 0,
+    custoMedio: precoCompra,
+  };
+}
+
+function applyEffectToInventory(inventory, effect, sign) {
+  if (!effect.material) return;
+  if (effect.tipo !== "compra" && effect.tipo !== "venda") return;
+
+  const item = getInventoryItem(inventory, effect.material);
+  const delta = (effect.tipo === "compra" ? 1 : -1) * sign * effect.quantidade;
+
+  // Só compras (e seus estornos) alteram o custo médio; vendas saem pelo custo
+  // vigente. Sem valor (ajuste manual de quantidade) o custo é mantido.
+  let custoMedio = item.custoMedio;
+  if (effect.tipo === "compra" && effect.valor !== undefined) {
+    custoMedio = round3(
+      calculateWeightedAverageCost(
+        item.quantidade,
+        item.custoMedio,
+        delta,
+        sign * effect.valor,
+      ),
+    );
+  }
+
+  // Sem limite em zero: um saldo negativo indica venda acima do estoque
+  // registrado e precisa aparecer, não ser escondido
+  inventory[effect.material] = {
+    ...item,
+    quantidade: round3(item.quantidade + delta),
+    custoMedio,
+  };
+}
+
+// Custo da mercadoria vendida (CMV) de uma venda pelo custo médio atual do material
+function getCostOfGoodsFields(inventory, effect) {
+  const custoMedioUnitario = round3(
+    getInventoryItem(inventory, effect.material).custoMedio,
+  );
+  const custoMercadoria = round3(effect.quantidade * custoMedioUnitario);
+  return {
+    custoMedioUnitario,
+    custoMercadoria,
+    lucroBruto: round3(effect.valor - custoMercadoria),
+  };
+}
+
+const getStockBalance = (inventory, material) =>
+  Number(inventory[material]?.quantidade) || 0;
+
+// Guarda o saldo atual dos materiais antes de uma alteração no estoque
+function snapshotStockBalances(inventory, materials) {
+  const balances = {};
+  materials.filter(Boolean).forEach((material) => {
+    balances[material] = getStockBalance(inventory, material);
+  });
+  return balances;
+}
+
+/**
+ * Grava em stock_movements a variação líquida de cada material entre o saldo
+ * guardado por snapshotStockBalances e o inventário já alterado.
+ * Materiais sem variação (ex: edição que só mudou o cliente) não geram registro.
+ */
+function writeStockMovements(tx, balancesBefore, inventory, movementData) {
+  for (const [material, saldoAnterior] of Object.entries(balancesBefore)) {
+    const saldoPosterior = getStockBalance(inventory, material);
+    const delta = round3(saldoPosterior - saldoAnterior);
+    if (delta === 0) continue;
+
+    tx.set(doc(collection(db, STOCK_MOVEMENTS_COLLECTION)), {
+      material,
+      delta,
+      saldoAnterior,
+      saldoPosterior,
+      transactionId: null,
+      observacao: "",
+      ...movementData,
+    });
+  }
+}
+
+// Serializa o inventário no formato limpo gravado em inventory/current
+function serializeInventory(inventory) {
+  const inventoryToSave = {};
+  for (const [key, value] of Object.entries(inventory)) {
+    inventoryToSave[key] = {
+      quantidade: Number(value.quantidade) || 0,
+      precoCompra: Number(value.precoCompra) || 0,
+      precoVenda: Number(value.precoVenda) || 0,
+      custoMedio: Number(value.custoMedio) || 0,
+    };
+  }
+  return inventoryToSave;
+}
+
+// Tabela de preços do estoque (campo precos de inventory/current): as regras
+// do Firestore só deixam o proprietário alterá-la
+function serializePrices(inventory) {
+  const precos = {};
+  for (const [key, value] of Object.entries(inventory)) {
+    precos[key] = {
+      precoCompra: Number(value.precoCompra) || 0,
+      precoVenda: Number(value.precoVenda) || 0,
+    };
+  }
+  return precos;
+}
+
+// Estoque gravado pelo balcão (transações): quantidades e custo médio mudam,
+// a tabela de preços volta exatamente como foi lida
+function serializeInventoryKeepingPrices(inventory, inventorySnap) {
+  const precos = inventorySnap.exists() ? inventorySnap.data().precos : null;
+  return {
+    ...serializeInventory(inventory),
+    ...(precos ? { precos } : {}),
+  };
+}
+
+// Conta corrente do cliente: cada transação que mexe na dívida tem um
+// lançamento (id tx_<transação>) regravado junto com ela. O saldo do cadastro
+// é ajustado pela diferença, na mesma escrita.
+
+// Leituras: lançamentos atuais das transações e cadastros dos clientes afetados
+async function readLedgerChanges(tx, changes, { isNew = false } = {}) {
+  const plans = await Promise.all(
+    changes.map(async ({ transactionId, data }) => {
+      const ref = doc(
+        db,
+        LEDGER_COLLECTION,
+        getTransactionLedgerId(transactionId),
+      );
+      const snap = isNew ? null : await tx.get(ref);
+      const current = snap?.exists() ? snap.data() : null;
+      const next = data
+        ? buildTransactionLedgerEntry(transactionId, data)
+        : null;
+      // Lançamento vindo da migração, sem tipo explícito na transação: fica
+      if (!next && data && current?.origem === "migracao") return null;
+      if (!current && !next) return null;
+      return { ref, current, next };
+    }),
+  );
+
+  return readLedgerBalances(tx, plans.filter(Boolean));
+}
+
+// Lê o cadastro de cada cliente afetado pelos planos { ref, current, next }
+async function readLedgerBalances(tx, plans) {
+  const deltas = {};
+  plans.forEach(({ current, next }) => {
+    if (current) {
+      deltas[current.clienteId] =
+        (deltas[current.clienteId] || 0) - getLedgerImpact(current);
+    }
+    if (next) {
+      deltas[next.clienteId] =
+        (deltas[next.clienteId] || 0) + getLedgerImpact(next);
+    }
+  });
+  const clientIds = Object.keys(deltas);
+  const clientSnaps = await Promise.all(
+    clientIds.map((id) => tx.get(doc(db, CUSTOMERS_COLLECTION, id))),
+  );
+
+  return {
+    plans,
+    balances: clientIds.map((id, index) => ({
+      snap: clientSnaps[index],
+      delta: deltas[id],
+    })),
+  };
+}
+
+const roundMoney = (value) => Number(Number(value).toFixed(2));
+
+function writeLedgerChanges(tx, { plans, balances }, now) {
+  const actor = getActorStamp();
+  plans.forEach(({ ref, current, next }) => {
+    if (next) {
+      tx.set(ref, {
+        ...next,
+        criadoPor: current?.criadoPor || actor,
+        createdAt: current?.createdAt || now,
+        updatedAt: now,
+      });
+    } else {
+      tx.delete(ref);
+    }
+  });
+  balances.forEach(({ snap, delta }) => {
+    // Cliente já excluído: o lançamento fica, sem cadastro para atualizar
+    if (!snap.exists() || roundMoney(delta) === 0) return;
+    tx.update(snap.ref, {
+      saldo: roundMoney((Number(snap.data().saldo) || 0) + delta),
+      updatedAt: now,
+    });
+  });
+}
+
+/**
+ * Grava uma transação e todos os seus efeitos em uma única transação do Firestore.
+ *
+ * - nextData preenchido e documento inexistente: criação
+ * - nextData preenchido e documento existente: edição (desfaz a versão antiga e aplica a nova)
+ * - nextData null: exclusão (o documento vai para a Lixeira)
+ * - restoreFromTrash: recria o documento a partir da Lixeira
+ *
+ * Com requireExisting, falha sem gravar nada se o documento não existir.
+ * Retorna os dados anteriores do documento (ou null se ele não existia).
+ */
+async function commitTransactionWrite(
+  transactionRef,
+  nextData,
+  { requireExisting = false, restoreFromTrash = false } = {},
+) {
+  return runTransaction(db, async (tx) => {
+    const trashRef = doc(db, TRASH_COLLECTION, transactionRef.id);
+    const [currentSnap, trashSnap] = await Promise.all([
+      tx.get(transactionRef),
+      restoreFromTrash ? tx.get(trashRef) : null,
+    ]);
+    const previousData = currentSnap.exists() ? currentSnap.data() : null;
+
+    if (restoreFromTrash) {
+      if (!trashSnap.exists()) {
+        throw new Error(
+          `Transação ${transactionRef.id} não está mais na Lixeira`,
+        );
+      }
+      if (previousData) {
+        throw new Error(`Transação ${transactionRef.id} já está ativa`);
+      }
+      nextData = { ...trashSnap.data(), restauradaEm: new Date() };
+      delete nextData.excluidaEm;
+      delete nextData.excluidaPor;
+    }
+
+    if (!previousData && (requireExisting || !nextData)) {
+      if (requireExisting) {
+        throw new Error(`Transação ${transactionRef.id} não encontrada`);
+      }
+      return null;
+    }
+
+    const mergedData = nextData
+      ? { ...(previousData || {}), ...nextData }
+      : null;
+    const before = getTransactionEffect(previousData);
+    let after = getTransactionEffect(mergedData);
+    let writeData = nextData;
+
+    const inventoryRef = doc(db, INVENTORY_COLLECTION, "current");
+    const summaryRef = doc(db, LIVE_SUMMARY_COLLECTION, "live_summary");
+    const dayDates = {};
+    [before, after].filter(Boolean).forEach((effect) => {
+      dayDates[getDayKey(effect.data)] = effect.data;
+    });
+    const dayKeys = Object.keys(dayDates);
+    const reportRefs = dayKeys.map((key) =>
+      doc(db, DAILY_REPORTS_COLLECTION, key),
+    );
+
+    // O Firestore exige todas as leituras antes de qualquer escrita
+    const [inventorySnap, summarySnap, ...reportSnaps] = await Promise.all([
+      tx.get(inventoryRef),
+      tx.get(summaryRef),
+      ...reportRefs.map((ref) => tx.get(ref)),
+    ]);
+    const ledgerChanges = await readLedgerChanges(tx, [
+      { transactionId: transactionRef.id, data: mergedData },
+    ]);
+
+    const now = new Date();
+    const inventory = normalizeInventory(
+      inventorySnap.exists() ? inventorySnap.data() : null,
+    );
+    const summary = summarySnap.exists()
+      ? { ...summarySnap.data() }
+      : createEmptyLiveSummary();
+    const reports = {};
+    dayKeys.forEach((key, index) => {
+      reports[key] = reportSnaps[index].exists()
+        ? cloneDailyReport(reportSnaps[index].data())
+        : createEmptyDailyReport(dayDates[key]);
+    });
+
+    const stockBalances = snapshotStockBalances(inventory, [
+      before?.material,
+      after?.material,
+    ]);
+
+    if (before) {
+      applyEffectToInventory(inventory, before, -1);
+      applyEffectToDailyReport(reports[getDayKey(before.data)], before, -1);
+      applyEffectToLiveSummary(summary, before, -1, now);
+    }
+    if (after) {
+      // A venda grava o próprio CMV; na edição ele é recalculado pelo custo
+      // médio vigente, já sem o efeito da versão anterior
+      if (after.tipo === "venda" && after.material) {
+        writeData = {
+          ...writeData,
+          ...getCostOfGoodsFields(inventory, after),
+        };
+      } else if (previousData?.custoMercadoria != null) {
+        writeData = {
+          ...writeData,
+          custoMedioUnitario: null,
+          custoMercadoria: null,
+          lucroBruto: null,
+        };
+      }
+      after = getTransactionEffect({ ...mergedData, ...writeData });
+
+      applyEffectToInventory(inventory, after, 1);
+      applyEffectToDailyReport(reports[getDayKey(after.data)], after, 1);
+      applyEffectToLiveSummary(summary, after, 1, now);
+    }
+
+    if (writeData) {
+      tx.set(transactionRef, writeData, { merge: !!previousData });
+    } else {
+      tx.set(trashRef, {
+        ...previousData,
+        excluidaEm: now,
+        excluidaPor: getCurrentActor(),
+      });
+      tx.delete(transactionRef);
+    }
+    if (restoreFromTrash) {
+      tx.delete(trashRef);
+    }
+    tx.set(inventoryRef, {
+      ...serializeInventoryKeepingPrices(inventory, inventorySnap),
+      updatedAt: now,
+    });
+    writeStockMovements(tx, stockBalances, inventory, {
+      causa: restoreFromTrash
+        ? "restauracao"
+        : !previousData
+          ? after.tipo
+          : !nextData
+            ? "exclusao"
+            : "edicao",
+      transactionId: transactionRef.id,
+      createdAt: now,
+    });
+    tx.set(summaryRef, { ...summary, updatedAt: now });
+    dayKeys.forEach((key, index) => {
+      tx.set(reportRefs[index], { ...reports[key], generatedAt: now });
+    });
+    writeLedgerChanges(tx, ledgerChanges, now);
+    if (previousData) {
+      recordAuditEntry(tx, {
+        acao: writeData ? "edicao" : "exclusao",
+        colecao: TRANSACTIONS_COLLECTION,
+        documentoId: transactionRef.id,
+        antes: previousData,
+        depois: writeData ? { ...previousData, ...writeData } : null,
+        now,
+      });
+    } else if (restoreFromTrash) {
+      recordAuditEntry(tx, {
+        acao: "restauracao",
+        colecao: TRANSACTIONS_COLLECTION,
+        documentoId: transactionRef.id,
+        antes: writeData,
+        now,
+      });
+    }
+
+    return previousData;
+  });
+}
 
 // Funções para Transações
 export const addTransaction = async (transaction) => {
   try {
+    assertPermission("transactions.create");
     const transactionData = {
       ...transaction,
+      // Funcionário logado que lançou (vendedor é o nome do fornecedor)
+      registradaPor: getActorStamp(),
       createdAt: new Date(),
       data:
         transaction.data instanceof Date
@@ -37,10 +497,8 @@ export const addTransaction = async (transaction) => {
 
     console.log("[v0] Salvando transação com data:", transactionData.data);
 
-    const docRef = await addDoc(
-      collection(db, TRANSACTIONS_COLLECTION),
-      transactionData,
-    );
+    const docRef = doc(collection(db, TRANSACTIONS_COLLECTION));
+    await commitTransactionWrite(docRef, transactionData);
     console.log("[v0] Transação salva com ID:", docRef.id);
     return docRef.id;
   } catch (error) {
@@ -73,8 +531,119 @@ export const getTransactions = async () => {
   }
 };
 
+// Busca direta pelo id, usada pelo QR code dos comprovantes
+export const getTransactionById = async (id) => {
+  try {
+    const snap = await getDoc(doc(db, TRANSACTIONS_COLLECTION, id));
+    if (!snap.exists()) return null;
+    const data = snap.data();
+    return {
+      id: snap.id,
+      ...data,
+      data: data.data?.toDate ? data.data.toDate() : new Date(data.data),
+    };
+  } catch (error) {
+    console.error("[v0] Erro ao buscar transação:", error);
+    throw error;
+  }
+};
+
+// Todas as linhas de um ticket, na ordem dos itens
+export const getTicketTransactions = async (ticketId) => {
+  try {
+    const querySnapshot = await getDocs(
+      query(
+        collection(db, TRANSACTIONS_COLLECTION),
+        where("ticketId", "==", ticketId),
+      ),
+    );
+    return querySnapshot.docs
+      .map((doc) => ({
+        id: doc.id,
+        ...doc.data(),
+        data: doc.data().data?.toDate
+          ? doc.data().data.toDate()
+          : new Date(doc.data().data),
+      }))
+      .sort((a, b) => (a.ticketItem || 0) - (b.ticketItem || 0));
+  } catch (error) {
+    console.error("[v0] Erro ao buscar itens do ticket:", error);
+    throw error;
+  }
+};
+
+/**
+ * Busca uma página do histórico de transações (data desc), continuando a
+ * partir do cursor da página anterior.
+ *
+ * Aceita os mesmos filtros de reportService.filterTransactions. Período, tipo e
+ * material vão para a consulta do Firestore (tipo e material exigem os índices
+ * compostos declarados em firestore.indexes.json); os demais filtros
+ * (busca, cliente, pagamento e faixa de valor) não têm consulta equivalente e
+ * são aplicados sobre a página. Por isso uma página pode vir com menos itens
+ * que pageSize mesmo havendo mais resultados: use hasMore, não o tamanho.
+ */
+export const getTransactionsPage = async ({
+  filters = {},
+  cursor = null,
+  pageSize = 30,
+} = {}) => {
+  try {
+    const constraints = [];
+    const { start, end } = getFilterDateRange(filters);
+    if (start) {
+      constraints.push(where("data", ">=", Timestamp.fromDate(start)));
+    }
+    if (end) {
+      constraints.push(where("data", "<", Timestamp.fromDate(end)));
+    }
+    if (filters.tipo) {
+      constraints.push(where("tipo", "==", filters.tipo));
+    }
+    if (filters.material) {
+      constraints.push(where("material", "==", filters.material));
+    }
+    constraints.push(orderBy("data", "desc"));
+    if (cursor) {
+      constraints.push(startAfter(cursor));
+    }
+    constraints.push(limit(pageSize));
+
+    const querySnapshot = await getDocs(
+      query(collection(db, TRANSACTIONS_COLLECTION), ...constraints),
+    );
+    const docs = querySnapshot.docs;
+    const pageTransactions = docs.map((docSnap) => ({
+      id: docSnap.id,
+      ...docSnap.data(),
+      data: docSnap.data().data?.toDate
+        ? docSnap.data().data.toDate()
+        : new Date(docSnap.data().data),
+    }));
+
+    // O período já foi aplicado na consulta
+    const transactions = filterTransactions(pageTransactions, {
+      ...filters,
+      periodo: "todos",
+    });
+
+    console.log(
+      `[v0] getTransactionsPage: ${docs.length} lidas, ${transactions.length} após filtros`,
+    );
+    return {
+      transactions,
+      cursor: docs.length > 0 ? docs[docs.length - 1] : cursor,
+      hasMore: docs.length === pageSize,
+    };
+  } catch (error) {
+    console.error("[v0] Erro ao buscar página de transações:", error);
+    throw error;
+  }
+};
+
 export const updateTransaction = async (id, transaction) => {
   try {
+    assertPermission("transactions.edit");
     const docRef = doc(db, TRANSACTIONS_COLLECTION, id);
     const updateData = {
       ...transaction,
@@ -82,12 +651,15 @@ export const updateTransaction = async (id, transaction) => {
         transaction.data instanceof Date
           ? transaction.data
           : new Date(transaction.data),
+      editadaPor: getActorStamp(),
       updatedAt: new Date(),
     };
+    // Quem lançou não muda na edição
+    delete updateData.registradaPor;
 
     console.log("[v0] Atualizando transação com data:", updateData.data);
 
-    await updateDoc(docRef, updateData);
+    await commitTransactionWrite(docRef, updateData, { requireExisting: true });
     console.log("[v0] Transação atualizada com sucesso");
   } catch (error) {
     console.error("[v0] Erro ao atualizar transação:", error);
@@ -97,267 +669,373 @@ export const updateTransaction = async (id, transaction) => {
 
 export const deleteTransaction = async (id) => {
   try {
+    assertPermission("transactions.delete");
     console.log("[v0] Deletando transação:", id);
     const docRef = doc(db, TRANSACTIONS_COLLECTION, id);
 
-    // CORREÇÃO: Ler os dados da transação ANTES de deletar
-    // para poder atualizar o daily_reports correspondente
-    const docSnap = await getDoc(docRef);
-
-    if (!docSnap.exists()) {
+    const previousData = await commitTransactionWrite(docRef, null);
+    if (!previousData) {
       console.warn("[v0] Transação não encontrada para deletar:", id);
       return;
     }
 
-    const transactionData = docSnap.data();
-    const valor =
-      Number(transactionData.valorTotal || transactionData.total) || 0;
-    const tipo = transactionData.tipo || transactionData.type;
-    const quantidade =
-      Number(transactionData.quantidade || transactionData.weight) || 0;
-    const material = transactionData.material || "";
-    const formaPagamento = transactionData.formaPagamento || "dinheiro";
-
-    // Determinar a data da transação para encontrar o daily_report correto
-    let transactionDate;
-    if (
-      transactionData.data &&
-      typeof transactionData.data.toDate === "function"
-    ) {
-      transactionDate = transactionData.data.toDate();
-    } else if (transactionData.data instanceof Date) {
-      transactionDate = transactionData.data;
-    } else if (transactionData.data) {
-      transactionDate = new Date(transactionData.data);
-    } else {
-      transactionDate = new Date();
-    }
-
-    // Deletar o documento da transação
-    await deleteDoc(docRef);
-    console.log("[v0] Transação deletada com sucesso");
-
-    // CORREÇÃO PRINCIPAL: Atualizar o daily_report correspondente
-    // para subtrair os valores da transação excluída
-    await updateDailyReportAfterDeletion(
-      transactionDate,
-      tipo,
-      valor,
-      quantidade,
-      material,
-      formaPagamento,
+    console.log(
+      "[v0] Transação movida para a Lixeira; estoque, daily_reports e live_summary atualizados",
     );
-
-    // CORREÇÃO: Também atualizar o live_summary para que o dashboard
-    // reflita imediatamente a exclusão da despesa/transação
-    await updateLiveSummaryAfterDeletion(tipo, valor);
-
-    console.log("[v0] Daily report e live_summary atualizados após exclusão");
   } catch (error) {
     console.error("[v0] Erro ao deletar transação:", error);
     throw error;
   }
 };
 
+// =============================================
+// GRAVAÇÃO DE VÁRIAS TRANSAÇÕES (TICKETS E IMPORTAÇÃO)
+// =============================================
+
 /**
- * Atualiza o documento daily_reports correspondente após a exclusão de uma transação.
- * Subtrai os valores da transação excluída dos totais agregados.
+ * Grava várias transações novas em uma única transação do Firestore, com os
+ * mesmos efeitos de commitTransactionWrite (estoque, custo médio, CMV,
+ * daily_reports, live_summary e stock_movements). As linhas são aplicadas na
+ * ordem recebida e cada uma gera a própria movimentação de estoque.
+ *
+ * entries: [{ ref, data }]; movementData completa as movimentações.
+ * linked (opcional): { ref, check(snap), data } — documento lido e atualizado
+ * na mesma transação (ex: o ticket de pesagem concluído); check lança um
+ * erro para abortar tudo.
  */
-async function updateDailyReportAfterDeletion(
-  transactionDate,
-  tipo,
-  valor,
-  quantidade,
-  material,
-  formaPagamento,
-) {
-  try {
-    const dateStr = transactionDate.toISOString().split("T")[0];
-    console.log(
-      `[v0] Atualizando daily_report do dia ${dateStr} após exclusão`,
+async function commitNewTransactions(entries, movementData, linked) {
+  return runTransaction(db, async (tx) => {
+    const inventoryRef = doc(db, INVENTORY_COLLECTION, "current");
+    const summaryRef = doc(db, LIVE_SUMMARY_COLLECTION, "live_summary");
+    const dayDates = {};
+    entries.forEach(({ data }) => {
+      dayDates[getDayKey(data.data)] = data.data;
+    });
+    const dayKeys = Object.keys(dayDates);
+    const reportRefs = dayKeys.map((key) =>
+      doc(db, DAILY_REPORTS_COLLECTION, key),
     );
 
-    // Buscar o daily_report pelo ID (formato: YYYY-MM-DD)
-    const reportRef = doc(db, DAILY_REPORTS_COLLECTION, dateStr);
-    const reportSnap = await getDoc(reportRef);
-
-    if (!reportSnap.exists()) {
-      // Tentar buscar por query de data se o ID não corresponder
-      const dayStart = new Date(transactionDate);
-      dayStart.setHours(0, 0, 0, 0);
-      const dayEnd = new Date(transactionDate);
-      dayEnd.setHours(23, 59, 59, 999);
-
-      const q = query(
-        collection(db, DAILY_REPORTS_COLLECTION),
-        where("date", ">=", Timestamp.fromDate(dayStart)),
-        where("date", "<=", Timestamp.fromDate(dayEnd)),
-      );
-      const querySnapshot = await getDocs(q);
+    if (linked) {
+      linked.check(await tx.get(linked.ref));
+    }
+    const [inventorySnap, summarySnap, ...reportSnaps] = await Promise.all([
+      tx.get(inventoryRef),
+      tx.get(summaryRef),
+      ...reportRefs.map((ref) => tx.get(ref)),
+    ]);
+    // Transações novas ainda não têm lançamento na conta do cliente
+    const ledgerChanges = await readLedgerChanges(
+      tx,
+      entries.map(({ ref, data }) => ({ transactionId: ref.id, data })),
+      { isNew: true },
+    );
 
-      if (querySnapshot.empty) {
-        console.warn(
-          `[v0] Nenhum daily_report encontrado para ${dateStr}. Os totais podem estar desatualizados.`,
-        );
-        return;
+    const now = new Date();
+    const inventory = normalizeInventory(
+      inventorySnap.exists() ? inventorySnap.data() : null,
+    );
+    const summary = summarySnap.exists()
+      ? { ...summarySnap.data() }
+      : createEmptyLiveSummary();
+    const reports = {};
+    dayKeys.forEach((key, index) => {
+      reports[key] = reportSnaps[index].exists()
+        ? cloneDailyReport(reportSnaps[index].data())
+        : createEmptyDailyReport(dayDates[key]);
+    });
+
+    entries.forEach(({ ref, data }) => {
+      let writeData = { ...data, createdAt: now };
+      let effect = getTransactionEffect(writeData);
+      if (effect.tipo === "venda" && effect.material) {
+        writeData = {
+          ...writeData,
+          ...getCostOfGoodsFields(inventory, effect),
+        };
+        effect = getTransactionEffect(writeData);
       }
 
-      // Atualizar o primeiro report encontrado para esse dia
-      const reportDoc = querySnapshot.docs[0];
-      await subtractFromReport(
-        reportDoc.ref,
-        reportDoc.data(),
-        tipo,
-        valor,
-        quantidade,
-        material,
-        formaPagamento,
-      );
-    } else {
-      await subtractFromReport(
-        reportRef,
-        reportSnap.data(),
-        tipo,
-        valor,
-        quantidade,
-        material,
-        formaPagamento,
-      );
+      const stockBalances = snapshotStockBalances(inventory, [effect.material]);
+      applyEffectToInventory(inventory, effect, 1);
+      applyEffectToDailyReport(reports[getDayKey(effect.data)], effect, 1);
+      applyEffectToLiveSummary(summary, effect, 1, now);
+      tx.set(ref, writeData);
+      writeStockMovements(tx, stockBalances, inventory, {
+        causa: effect.tipo,
+        ...movementData,
+        transactionId: ref.id,
+        createdAt: now,
+      });
+    });
+
+    tx.set(inventoryRef, {
+      ...serializeInventoryKeepingPrices(inventory, inventorySnap),
+      updatedAt: now,
+    });
+    tx.set(summaryRef, { ...summary, updatedAt: now });
+    dayKeys.forEach((key, index) => {
+      tx.set(reportRefs[index], { ...reports[key], generatedAt: now });
+    });
+    writeLedgerChanges(tx, ledgerChanges, now);
+    if (linked) {
+      tx.update(linked.ref, linked.data);
     }
-  } catch (error) {
-    console.error("[v0] Erro ao atualizar daily_report após exclusão:", error);
-    // Não lançar erro aqui para não impedir a exclusão da transação
-    // O relatório será corrigido na próxima agregação
-  }
+  });
+}
+
+// Linhas de um ticket como transações: o cabeçalho comum mais os dados de
+// cada item. Com ticketId as linhas ficam agrupadas nas listagens.
+function buildTicketEntries(header, itens, ticketId) {
+  const registradaPor = getActorStamp();
+  const data =
+    header.data instanceof Date ? header.data : new Date(header.data);
+  return itens.map((item, index) => ({
+    ref: doc(collection(db, TRANSACTIONS_COLLECTION)),
+    data: {
+      ...header,
+      data,
+      material: resolveMaterialKey(item.material),
+      quantidade: item.quantidade,
+      precoUnitario: item.precoUnitario,
+      valorTotal: item.valorTotal,
+      ...(hasWeighing(item) ? pickWeighingFields(item) : {}),
+      ...(ticketId && {
+        ticketId,
+        ticketItem: index + 1,
+        ticketItens: itens.length,
+      }),
+      registradaPor,
+    },
+  }));
 }
 
 /**
- * Subtrai os valores de uma transação excluída do documento de relatório diário.
+ * Registra um ticket de pesagem com vários materiais (ex: ferro, alumínio e
+ * cobre do mesmo fornecedor). Cada item vira uma transação comum, com os
+ * dados do cabeçalho (tipo, cliente, data, pagamento) e o mesmo ticketId, e
+ * todas são gravadas juntas: ou o ticket entra inteiro, ou nada é gravado.
+ * Retorna { ticketId, ids, valorTotal }.
  */
-async function subtractFromReport(
-  reportRef,
-  reportData,
-  tipo,
-  valor,
-  quantidade,
-  material,
-  formaPagamento,
-) {
-  const updates = {
-    totalTransactions: Math.max(0, (reportData.totalTransactions || 0) - 1),
-  };
+export const addTicket = async ({ itens = [], ...header }) => {
+  try {
+    assertPermission("transactions.create");
+    if (itens.length === 0) {
+      throw new Error("O ticket precisa de pelo menos um item");
+    }
+
+    // Um id automático qualquer: serve apenas para agrupar as linhas
+    const ticketId = doc(collection(db, TRANSACTIONS_COLLECTION)).id;
+    const entries = buildTicketEntries(header, itens, ticketId);
 
-  if (tipo === "venda") {
-    updates.totalSales = Math.max(0, (reportData.totalSales || 0) - valor);
-    updates.salesCount = Math.max(0, (reportData.salesCount || 0) - 1);
-  } else if (tipo === "compra") {
-    updates.totalPurchases = Math.max(
+    await commitNewTransactions(entries);
+
+    const valorTotal = itens.reduce(
+      (sum, item) => sum + (Number(item.valorTotal) || 0),
       0,
-      (reportData.totalPurchases || 0) - valor,
     );
-    updates.purchasesCount = Math.max(0, (reportData.purchasesCount || 0) - 1);
-  } else if (tipo === "despesa") {
-    updates.totalExpenses = Math.max(
-      0,
-      (reportData.totalExpenses || 0) - valor,
+    console.log(
+      `[v0] Ticket ${ticketId} gravado com ${itens.length} itens (${valorTotal})`,
     );
-    updates.expensesCount = Math.max(0, (reportData.expensesCount || 0) - 1);
-  }
-
-  // Recalcular lucro
-  const newSales =
-    updates.totalSales !== undefined
-      ? updates.totalSales
-      : reportData.totalSales || 0;
-  const newPurchases =
-    updates.totalPurchases !== undefined
-      ? updates.totalPurchases
-      : reportData.totalPurchases || 0;
-  const newExpenses =
-    updates.totalExpenses !== undefined
-      ? updates.totalExpenses
-      : reportData.totalExpenses || 0;
-  updates.totalProfit = newSales - newPurchases - newExpenses;
-
-  // Atualizar materialStats se houver material
-  if (
-    material &&
-    reportData.materialStats &&
-    reportData.materialStats[material]
-  ) {
-    const matStats = { ...reportData.materialStats[material] };
-    if (tipo === "venda") {
-      matStats.vendas = Math.max(0, (matStats.vendas || 0) - valor);
-      matStats.quantidade = Math.max(
-        0,
-        (matStats.quantidade || 0) - quantidade,
-      );
-    } else if (tipo === "compra") {
-      matStats.compras = Math.max(0, (matStats.compras || 0) - valor);
-    }
-    matStats.transacoes = Math.max(0, (matStats.transacoes || 0) - 1);
-    updates.materialStats = {
-      ...reportData.materialStats,
-      [material]: matStats,
-    };
+    return { ticketId, ids: entries.map(({ ref }) => ref.id), valorTotal };
+  } catch (error) {
+    console.error("[v0] Erro ao registrar ticket:", error);
+    throw error;
   }
+};
 
-  // Atualizar paymentStats
-  if (
-    formaPagamento &&
-    reportData.paymentStats &&
-    reportData.paymentStats[formaPagamento]
-  ) {
-    const payStats = { ...reportData.paymentStats[formaPagamento] };
-    payStats.total = Math.max(0, (payStats.total || 0) - valor);
-    payStats.count = Math.max(0, (payStats.count || 0) - 1);
-    updates.paymentStats = {
-      ...reportData.paymentStats,
-      [formaPagamento]: payStats,
-    };
-  }
+// =============================================
+// IMPORTAÇÃO DE TRANSAÇÕES (PLANILHAS)
+// =============================================
+// Cada lote de até IMPORT_CHUNK_SIZE linhas é gravado por
+// commitNewTransactions. Uma linha grava até cinco documentos (a transação,
+// a movimentação de estoque, o lançamento e o saldo do cliente e o
+// daily_reports do dia), além do inventory/current e do live_summary:
+// 80 linhas ficam em no máximo 402 escritas, abaixo do limite de 500.
+
+const IMPORT_CHUNK_SIZE = 80;
+
+function commitImportChunk(chunk, loteImportacao) {
+  const registradaPor = getActorStamp();
+  return commitNewTransactions(
+    chunk.map((transaction) => ({
+      ref: doc(collection(db, TRANSACTIONS_COLLECTION)),
+      data: { ...transaction, registradaPor, loteImportacao },
+    })),
+    { causa: "importacao", observacao: `Lote ${loteImportacao}` },
+  );
+}
 
-  updates.updatedAt = new Date();
+/**
+ * Importa transações já validadas, em ordem cronológica (o custo médio
+ * depende da ordem das compras). onProgress recebe (importadas, total).
+ * Retorna { importadas, loteImportacao }; se um lote falhar, os anteriores
+ * continuam gravados e o erro informa quantas linhas entraram.
+ */
+export const importTransactions = async (transactions, { onProgress } = {}) => {
+  assertPermission("transactions.import");
+  const loteImportacao = `imp_${format(new Date(), "yyyyMMdd_HHmmss")}`;
+  const sorted = [...transactions].sort((a, b) => a.data - b.data);
+  let importadas = 0;
 
-  console.log(`[v0] Subtraindo do daily_report: tipo=${tipo}, valor=${valor}`);
-  await updateDoc(reportRef, updates);
-}
+  try {
+    for (let i = 0; i < sorted.length; i += IMPORT_CHUNK_SIZE) {
+      const chunk = sorted.slice(i, i + IMPORT_CHUNK_SIZE);
+      await commitImportChunk(chunk, loteImportacao);
+      importadas += chunk.length;
+      onProgress?.(importadas, sorted.length);
+    }
+    console.log(
+      `[v0] Importação ${loteImportacao}: ${importadas} transações gravadas`,
+    );
+    return { importadas, loteImportacao };
+  } catch (error) {
+    console.error("[v0] Erro ao importar transações:", error);
+    throw new Error(
+      `Importação interrompida após ${importadas} de ${sorted.length} linhas (lote ${loteImportacao}): ${error.message}`,
+    );
+  }
+};
 
-// Normaliza o inventário recebido do Firestore, corrigindo chaves legadas e garantindo
-// que todos os campos numéricos sejam números válidos.
-function normalizeInventory(rawData) {
-  if (!rawData) return {};
-  const normalized = {};
+// =============================================
+// LIXEIRA DE TRANSAÇÕES
+// =============================================
 
-  for (const [key, value] of Object.entries(rawData)) {
-    // Ignorar campos de metadados
-    if (key === "updatedAt") continue;
+const mapTrashDoc = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    data: toJsDate(data.data, null),
+    excluidaEm: toJsDate(data.excluidaEm, null),
+  };
+};
 
-    // CORREÇÃO: Ignorar chaves corrompidas com ponto (ex: "perfil natural.quantidade")
-    // Estas são criadas acidentalmente quando updateDoc usa dot-notation em chaves com espaço
-    if (key.includes(".")) {
-      console.warn(`[normalizeInventory] Ignorando chave corrompida: "${key}"`);
-      continue;
-    }
+// Data a partir da qual a transação excluída pode ser apagada definitivamente
+export const getTrashPurgeDate = (excluidaEm) => {
+  const purgeDate = new Date(excluidaEm);
+  purgeDate.setDate(purgeDate.getDate() + TRASH_RETENTION_DAYS);
+  return purgeDate;
+};
 
-    // Migrar chave legada "perfil" → "perfil natural"
-    const normalizedKey = key === "perfil" ? "perfil natural" : key;
-    if (typeof value === "object" && value !== null) {
-      // Se já existe a chave destino e estamos migrando, somar quantidades
-      if (normalizedKey !== key && normalized[normalizedKey]) {
-        normalized[normalizedKey].quantidade =
-          (normalized[normalizedKey].quantidade || 0) +
+export const getDeletedTransactions = async () => {
+  try {
+    const q = query(
+      collection(db, TRASH_COLLECTION),
+      orderBy("excluidaEm", "desc"),
+    );
+    const querySnapshot = await getDocs(q);
+    console.log(
+      `[v0] getDeletedTransactions: ${querySnapshot.docs.length} transações na Lixeira`,
+    );
+    return querySnapshot.docs.map(mapTrashDoc);
+  } catch (error) {
+    console.error("[v0] Erro ao buscar a Lixeira:", error);
+    throw error;
+  }
+};
+
+// Devolve a transação à coleção ativa, reaplicando estoque e relatórios
+export const restoreTransaction = async (id) => {
+  try {
+    assertPermission("transactions.delete");
+    console.log("[v0] Restaurando transação da Lixeira:", id);
+    const docRef = doc(db, TRANSACTIONS_COLLECTION, id);
+    await commitTransactionWrite(docRef, null, { restoreFromTrash: true });
+    console.log("[v0] Transação restaurada com sucesso");
+  } catch (error) {
+    console.error("[v0] Erro ao restaurar transação:", error);
+    throw error;
+  }
+};
+
+// Apaga definitivamente transações da Lixeira que já passaram do prazo de
+// retenção. Com ids, limita a essas transações (as ainda no prazo são mantidas).
+export const purgeDeletedTransactions = async (ids = null) => {
+  try {
+    assertPermission("transactions.delete");
+    const deleted = await getDeletedTransactions();
+    const now = new Date();
+    const expired = deleted.filter(
+      (t) =>
+        (!ids || ids.includes(t.id)) &&
+        t.excluidaEm &&
+        getTrashPurgeDate(t.excluidaEm) <= now,
+    );
+
+    // writeBatch aceita no máximo 500 operações
+    for (let i = 0; i < expired.length; i += 500) {
+      const batch = writeBatch(db);
+      expired.slice(i, i + 500).forEach((t) => {
+        batch.delete(doc(db, TRASH_COLLECTION, t.id));
+      });
+      await batch.commit();
+    }
+
+    console.log(
+      `[v0] purgeDeletedTransactions: ${expired.length} transações apagadas definitivamente`,
+    );
+    return { apagadas: expired.length };
+  } catch (error) {
+    console.error("[v0] Erro ao esvaziar a Lixeira:", error);
+    throw error;
+  }
+};
+
+// Normaliza o inventário recebido do Firestore, corrigindo chaves legadas e garantindo
+// que todos os campos numéricos sejam números válidos.
+function normalizeInventory(rawData) {
+  if (!rawData) return {};
+  const normalized = {};
+
+  for (const [key, value] of Object.entries(rawData)) {
+    // Ignorar campos de metadados e a tabela de preços (aplicada abaixo)
+    if (key === "updatedAt" || key === "precos") continue;
+
+    // CORREÇÃO: Ignorar chaves corrompidas com ponto (ex: "perfil natural.quantidade")
+    // Estas são criadas acidentalmente quando updateDoc usa dot-notation em chaves com espaço
+    if (key.includes(".")) {
+      console.warn(`[normalizeInventory] Ignorando chave corrompida: "${key}"`);
+      continue;
+    }
+
+    // Migrar chaves legadas para a chave do catálogo (ex: "perfil" → "perfil natural")
+    const normalizedKey = resolveMaterialKey(key);
+    if (typeof value === "object" && value !== null) {
+      // Se já existe a chave destino e estamos migrando, somar quantidades
+      if (normalizedKey !== key && normalized[normalizedKey]) {
+        normalized[normalizedKey].quantidade =
+          (normalized[normalizedKey].quantidade || 0) +
           (Number(value.quantidade) || 0);
       } else {
+        const precoCompra = Number(value.precoCompra) || 0;
         normalized[normalizedKey] = {
           quantidade: Number(value.quantidade) || 0,
-          precoCompra: Number(value.precoCompra) || 0,
+          precoCompra,
           precoVenda: Number(value.precoVenda) || 0,
+          // Estoques anteriores ao custo médio partem do preço de compra da tabela
+          custoMedio:
+            value.custoMedio !== undefined
+              ? Number(value.custoMedio) || 0
+              : precoCompra,
         };
       }
     }
   }
 
+  // Com a tabela de preços gravada, os preços de cada item saem só dela; os
+  // campos de preço dentro dos itens ficam apenas em documentos antigos
+  const precos = rawData.precos;
+  if (precos && typeof precos === "object") {
+    for (const [key, item] of Object.entries(normalized)) {
+      const catalogItem = getMaterialByKey(key);
+      item.precoCompra =
+        Number(precos[key]?.precoCompra ?? catalogItem?.precoCompra) || 0;
+      item.precoVenda =
+        Number(precos[key]?.precoVenda ?? catalogItem?.precoVenda) || 0;
+    }
+  }
+
   return normalized;
 }
 
@@ -368,38 +1046,31 @@ export const getInventory = async () => {
     const docSnap = await getDoc(docRef);
 
     if (docSnap.exists()) {
-      return normalizeInventory(docSnap.data());
+      const inventory = normalizeInventory(docSnap.data());
+      // Documento anterior à tabela de preços: o proprietário a cria a partir
+      // dos preços gravados nos itens
+      if (!docSnap.data().precos && can("inventory.edit")) {
+        await updateDoc(docRef, { precos: serializePrices(inventory) });
+        console.log("[v0] getInventory: tabela de preços criada");
+      }
+      return inventory;
     } else {
-      const initialInventory = {
-        ferro: { quantidade: 0, precoCompra: 2.5, precoVenda: 3.2 },
-        aluminio: { quantidade: 0, precoCompra: 8.5, precoVenda: 10.8 },
-        cobre: { quantidade: 0, precoCompra: 25.0, precoVenda: 32.0 },
-        latinha: { quantidade: 0, precoCompra: 4.2, precoVenda: 5.5 },
-        panela: { quantidade: 0, precoCompra: 3.0, precoVenda: 4.0 },
-        bloco2: { quantidade: 0, precoCompra: 1.8, precoVenda: 2.5 },
-        chapa: { quantidade: 0, precoCompra: 2.2, precoVenda: 3.0 },
-        "perfil natural": { quantidade: 0, precoCompra: 2.8, precoVenda: 3.8 },
-        "perfil pintado": { quantidade: 0, precoCompra: 2.8, precoVenda: 3.8 },
-        bloco: { quantidade: 0, precoCompra: 1.5, precoVenda: 2.2 },
-        metal: { quantidade: 0, precoCompra: 2.0, precoVenda: 2.8 },
-        inox: { quantidade: 0, precoCompra: 12.0, precoVenda: 15.0 },
-        bateria: { quantidade: 0, precoCompra: 8.0, precoVenda: 12.0 },
-        motor_gel: { quantidade: 0, precoCompra: 15.0, precoVenda: 20.0 },
-        roda: { quantidade: 0, precoCompra: 5.0, precoVenda: 7.0 },
-        papelao: { quantidade: 0, precoCompra: 0.8, precoVenda: 1.2 },
-        papel_branco: { quantidade: 0, precoCompra: 1.0, precoVenda: 1.5 },
-        rad_metal: { quantidade: 0, precoCompra: 3.5, precoVenda: 4.5 },
-        rad_cobre: { quantidade: 0, precoCompra: 28.0, precoVenda: 35.0 },
-        rad_chapa: { quantidade: 0, precoCompra: 2.8, precoVenda: 3.6 },
-        tela: { quantidade: 0, precoCompra: 1.5, precoVenda: 2.0 },
-        antimonio: { quantidade: 0, precoCompra: 45.0, precoVenda: 55.0 },
-        cabo_ai: { quantidade: 0, precoCompra: 12.0, precoVenda: 16.0 },
-        tubo_limpo: { quantidade: 0, precoCompra: 4.0, precoVenda: 5.5 },
-        cobre_mel: { quantidade: 0, precoCompra: 20.0, precoVenda: 26.0 },
-        bronze: { quantidade: 0, precoCompra: 15.0, precoVenda: 20.0 },
-        magnesio: { quantidade: 0, precoCompra: 18.0, precoVenda: 24.0 },
-      };
-      await setDoc(docRef, initialInventory);
+      // Inventário inicial com os preços padrão do catálogo de materiais
+      const initialInventory = {};
+      getActiveMaterials().forEach((material) => {
+        initialInventory[material.key] = {
+          quantidade: 0,
+          precoCompra: Number(material.precoCompra) || 0,
+          precoVenda: Number(material.precoVenda) || 0,
+          custoMedio: Number(material.precoCompra) || 0,
+        };
+      });
+      await setDoc(docRef, {
+        ...initialInventory,
+        ...(can("inventory.edit")
+          ? { precos: serializePrices(initialInventory) }
+          : {}),
+      });
       return initialInventory;
     }
   } catch (error) {
@@ -410,6 +1081,7 @@ export const getInventory = async () => {
 
 export const updateInventory = async (inventory) => {
   try {
+    assertPermission("inventory.edit");
     const docRef = doc(db, INVENTORY_COLLECTION, "current");
     await setDoc(docRef, {
       ...inventory,
@@ -421,69 +1093,45 @@ export const updateInventory = async (inventory) => {
   }
 };
 
-// Localize no firebaseService.js
-export const updateInventoryQuantity = async (material, quantidade, tipo) => {
+// Ajusta o saldo de um material fora do fluxo de transações, registrando a
+// movimentação. Compras somam, vendas subtraem (o saldo pode ficar negativo).
+export const updateInventoryQuantity = async (
+  material,
+  quantidade,
+  tipo,
+  transactionId = null,
+) => {
   try {
+    assertPermission("inventory.edit");
     const docRef = doc(db, INVENTORY_COLLECTION, "current");
-    const docSnap = await getDoc(docRef);
+    material = resolveMaterialKey(material);
 
-    let currentInventory = docSnap.exists() ? docSnap.data() : {};
-
-    // CORREÇÃO: Normalizar chaves legadas (ex: "perfil" → "perfil natural")
-    if (
-      "perfil" in currentInventory &&
-      !("perfil natural" in currentInventory)
-    ) {
-      currentInventory["perfil natural"] = currentInventory["perfil"];
-      delete currentInventory["perfil"];
-    }
-
-    // Força a inicialização como objeto caso não exista
-    if (
-      !currentInventory[material] ||
-      typeof currentInventory[material] !== "object"
-    ) {
-      currentInventory[material] = {
-        quantidade: 0,
-        precoCompra: 0,
-        precoVenda: 0,
-      };
-    }
-
-    // Lógica de cálculo
-    const valorAtual = Number(currentInventory[material].quantidade) || 0;
-    let novaQuantidade;
-    if (tipo === "compra") {
-      novaQuantidade = valorAtual + Number(quantidade);
-    } else if (tipo === "venda") {
-      novaQuantidade = Math.max(0, valorAtual - Number(quantidade));
-    } else {
-      novaQuantidade = valorAtual;
-    }
-
-    currentInventory[material] = {
-      ...currentInventory[material],
-      quantidade: novaQuantidade,
-      updatedAt: new Date(),
-    };
+    const novaQuantidade = await runTransaction(db, async (tx) => {
+      const docSnap = await tx.get(docRef);
+      const currentInventory = normalizeInventory(
+        docSnap.exists() ? docSnap.data() : null,
+      );
+      const stockBalances = snapshotStockBalances(currentInventory, [material]);
 
-    // CORREÇÃO CRÍTICA: Usar setDoc com merge:false para garantir que campos com
-    // espaços no nome (ex: "perfil natural", "perfil pintado") sejam gravados corretamente.
-    // Construímos um objeto limpo sem referências que possam causar problemas.
-    const inventoryToSave = {};
-    for (const [key, value] of Object.entries(currentInventory)) {
-      if (key === "updatedAt" || key.includes(".")) continue;
-      {
-        inventoryToSave[key] = {
-          quantidade: Number(value.quantidade) || 0,
-          precoCompra: Number(value.precoCompra) || 0,
-          precoVenda: Number(value.precoVenda) || 0,
-        };
-      }
-    }
-    inventoryToSave.updatedAt = new Date();
+      applyEffectToInventory(
+        currentInventory,
+        { tipo, material, quantidade: Number(quantidade) || 0 },
+        1,
+      );
 
-    await setDoc(docRef, inventoryToSave);
+      const now = new Date();
+      tx.set(docRef, {
+        ...serializeInventory(currentInventory),
+        precos: serializePrices(currentInventory),
+        updatedAt: now,
+      });
+      writeStockMovements(tx, stockBalances, currentInventory, {
+        causa: tipo,
+        transactionId,
+        createdAt: now,
+      });
+      return getStockBalance(currentInventory, material);
+    });
 
     console.log(
       `[v0] updateInventoryQuantity: ${material} → ${novaQuantidade}kg (tipo=${tipo})`,
@@ -635,6 +1283,50 @@ export const getTransactionsByPeriod = async (startDate, endDate) => {
   }
 };
 
+/**
+ * Movimento de um turno: transações lançadas no dia (pelo horário do
+ * lançamento, não pela data informada no formulário) e as edições,
+ * exclusões e restaurações registradas na auditoria no mesmo dia.
+ */
+export const getShiftActivity = async (day) => {
+  try {
+    const start = new Date(day);
+    start.setHours(0, 0, 0, 0);
+    const end = new Date(start);
+    end.setDate(end.getDate() + 1);
+
+    const [querySnapshot, auditEntries] = await Promise.all([
+      getDocs(
+        query(
+          collection(db, TRANSACTIONS_COLLECTION),
+          where("createdAt", ">=", Timestamp.fromDate(start)),
+          where("createdAt", "<", Timestamp.fromDate(end)),
+          orderBy("createdAt", "asc"),
+        ),
+      ),
+      getAuditLog({ startDate: start, endDate: start, maxResults: 500 }),
+    ]);
+
+    const transactions = querySnapshot.docs.map((docSnap) => {
+      const data = docSnap.data();
+      return {
+        id: docSnap.id,
+        ...data,
+        data: toJsDate(data.data, null),
+        createdAt: toJsDate(data.createdAt, null),
+      };
+    });
+
+    console.log(
+      `[v0] Turno de ${start.toLocaleDateString("pt-BR")}: ${transactions.length} lançamentos, ${auditEntries.length} alterações`,
+    );
+    return { transactions, auditEntries };
+  } catch (error) {
+    console.error("[v0] Erro ao buscar movimento do turno:", error);
+    throw error;
+  }
+};
+
 /**
  * Busca relatórios diários agregados diretamente da coleção 'daily_reports'.
  * Nível Sênior: Reduz drasticamente o consumo de leituras ao evitar ler transação por transação.
@@ -670,6 +1362,8 @@ export const getAggregatedReport = async (startDate, endDate) => {
         totalPurchases: acc.totalPurchases + (curr.totalPurchases || 0),
         totalExpenses: acc.totalExpenses + (curr.totalExpenses || 0),
         totalProfit: acc.totalProfit + (curr.totalProfit || 0),
+        totalCostOfSales: acc.totalCostOfSales + (curr.totalCostOfSales || 0),
+        totalGrossProfit: acc.totalGrossProfit + (curr.totalGrossProfit || 0),
         totalTransactions:
           acc.totalTransactions + (curr.totalTransactions || 0),
       }),
@@ -678,6 +1372,8 @@ export const getAggregatedReport = async (startDate, endDate) => {
         totalPurchases: 0,
         totalExpenses: 0,
         totalProfit: 0,
+        totalCostOfSales: 0,
+        totalGrossProfit: 0,
         totalTransactions: 0,
       },
     );
@@ -697,6 +1393,8 @@ export const getAggregatedReport = async (startDate, endDate) => {
         totalPurchases: 0,
         totalExpenses: 0,
         totalProfit: 0,
+        totalCostOfSales: 0,
+        totalGrossProfit: 0,
         totalTransactions: 0,
       },
     };
@@ -714,80 +1412,15 @@ export const getDailyReports = async (startDate, endDate) => {
       "[v0] getDailyReports: Buscando transações individuais (fallback caro)",
     );
     const transactions = await getTransactionsByPeriod(startDate, endDate);
-    return processTransactionsToDailyReports(transactions);
+    return Object.values(buildDailyReports(transactions)).sort(
+      (a, b) => b.date - a.date,
+    );
   } catch (error) {
     console.error("Erro ao gerar relatórios diários:", error);
     throw error;
   }
 };
 
-function processTransactionsToDailyReports(transactions) {
-  const dailyMap = {};
-
-  transactions.forEach((t) => {
-    const dateStr = t.data.toISOString().split("T")[0];
-    if (!dailyMap[dateStr]) {
-      dailyMap[dateStr] = {
-        date: new Date(dateStr),
-        totalSales: 0,
-        totalPurchases: 0,
-        totalExpenses: 0,
-        totalTransactions: 0,
-        materialStats: {},
-        paymentStats: {},
-      };
-    }
-
-    const report = dailyMap[dateStr];
-    const valor = Number.parseFloat(t.valorTotal) || 0;
-    const quantidade = Number.parseFloat(t.quantidade) || 0;
-
-    report.totalTransactions++;
-
-    if (t.tipo === "venda") {
-      report.totalSales += valor;
-    } else if (t.tipo === "compra") {
-      report.totalPurchases += valor;
-    } else if (t.tipo === "despesa") {
-      report.totalExpenses += valor;
-    }
-
-    if (t.material) {
-      if (!report.materialStats[t.material]) {
-        report.materialStats[t.material] = {
-          vendas: 0,
-          compras: 0,
-          quantidade: 0,
-          transacoes: 0,
-        };
-      }
-      if (t.tipo === "venda") {
-        report.materialStats[t.material].vendas += valor;
-        report.materialStats[t.material].quantidade += quantidade;
-      } else if (t.tipo === "compra") {
-        report.materialStats[t.material].compras += valor;
-      }
-      report.materialStats[t.material].transacoes++;
-    }
-
-    const pagamento = t.formaPagamento || "dinheiro";
-    if (!report.paymentStats[pagamento]) {
-      report.paymentStats[pagamento] = { total: 0, count: 0 };
-    }
-    report.paymentStats[pagamento].total += valor;
-    report.paymentStats[pagamento].count++;
-  });
-
-  Object.values(dailyMap).forEach((report) => {
-    report.totalProfit =
-      report.totalSales - report.totalPurchases - report.totalExpenses;
-  });
-
-  return Object.values(dailyMap).sort(
-    (a, b) => new Date(b.date) - new Date(a.date),
-  );
-}
-
 export const getMonthlyReport = async (year, month) => {
   try {
     console.log("[v0] Generating monthly report:", { year, month });
@@ -926,47 +1559,266 @@ export const getYearlyReport = async (year) => {
   }
 };
 
+// "aaaa-mm-dd" do formulário vira meia-noite local; sem data, vale agora
+function parseEffectiveDate(value, fallback) {
+  if (!value) return fallback;
+  const date = value instanceof Date ? value : new Date(`${value}T00:00:00`);
+  return isNaN(date) ? fallback : date;
+}
+
+// Atualiza preços e, opcionalmente, a quantidade de um material.
+// Mudança de quantidade é registrada como "ajuste" (data.motivo vira a observação).
 export const updateInventoryItem = async (material, data) => {
   try {
+    assertPermission("inventory.edit");
     const docRef = doc(db, INVENTORY_COLLECTION, "current");
-    const docSnap = await getDoc(docRef);
 
-    // CORREÇÃO: Normalizar o inventário existente antes de atualizar
-    let currentInventory = docSnap.exists()
-      ? normalizeInventory(docSnap.data())
-      : {};
-
-    currentInventory[material] = {
-      quantidade: Number(currentInventory[material]?.quantidade) || 0,
-      precoCompra:
-        Number(data.precoCompra ?? currentInventory[material]?.precoCompra) ||
-        0,
-      precoVenda:
-        Number(data.precoVenda ?? currentInventory[material]?.precoVenda) || 0,
-      ...(data.quantidade !== undefined && {
-        quantidade: Number(data.quantidade),
-      }),
-    };
+    return await runTransaction(db, async (tx) => {
+      const docSnap = await tx.get(docRef);
+
+      // CORREÇÃO: Normalizar o inventário existente antes de atualizar
+      const currentInventory = docSnap.exists()
+        ? normalizeInventory(docSnap.data())
+        : {};
+      const stockBalances = snapshotStockBalances(currentInventory, [material]);
+      const precoCompraAnterior =
+        Number(currentInventory[material]?.precoCompra) || 0;
+      const precoVendaAnterior =
+        Number(currentInventory[material]?.precoVenda) || 0;
 
-    // Salvar limpo (sem campos updatedAt por item, apenas no root)
-    const inventoryToSave = {};
-    for (const [key, value] of Object.entries(currentInventory)) {
-      inventoryToSave[key] = {
-        quantidade: Number(value.quantidade) || 0,
-        precoCompra: Number(value.precoCompra) || 0,
-        precoVenda: Number(value.precoVenda) || 0,
+      currentInventory[material] = {
+        quantidade: Number(currentInventory[material]?.quantidade) || 0,
+        precoCompra:
+          Number(data.precoCompra ?? currentInventory[material]?.precoCompra) ||
+          0,
+        precoVenda:
+          Number(data.precoVenda ?? currentInventory[material]?.precoVenda) ||
+          0,
+        custoMedio: getInventoryItem(currentInventory, material).custoMedio,
+        ...(data.quantidade !== undefined && {
+          quantidade: round3(Number(data.quantidade) || 0),
+        }),
       };
-    }
-    inventoryToSave.updatedAt = new Date();
 
-    await setDoc(docRef, inventoryToSave);
-    return inventoryToSave;
+      // Salvar limpo (sem campos updatedAt por item, apenas no root)
+      const now = new Date();
+      const inventoryToSave = {
+        ...serializeInventory(currentInventory),
+        precos: serializePrices(currentInventory),
+        updatedAt: now,
+      };
+      tx.set(docRef, inventoryToSave);
+      writeStockMovements(tx, stockBalances, currentInventory, {
+        causa: "ajuste",
+        observacao: data.motivo || "",
+        createdAt: now,
+      });
+
+      const { precoCompra, precoVenda } = currentInventory[material];
+      if (
+        precoCompra !== precoCompraAnterior ||
+        precoVenda !== precoVendaAnterior
+      ) {
+        tx.set(doc(collection(db, PRICE_HISTORY_COLLECTION)), {
+          material,
+          precoCompra,
+          precoVenda,
+          precoCompraAnterior,
+          precoVendaAnterior,
+          vigenteDesde: parseEffectiveDate(data.vigenteDesde, now),
+          motivo: data.motivoPreco || "",
+          alteradoPor: getActorStamp(),
+          createdAt: now,
+        });
+      }
+      return inventoryToSave;
+    });
   } catch (error) {
     console.error("Erro ao atualizar item do inventário:", error);
     throw error;
   }
 };
 
+/**
+ * Converte estoque de um material em outro (ex: triagem de sucata mista).
+ * quantidadeDestino permite registrar perdas na conversão; por padrão é igual
+ * à quantidade de origem. As duas movimentações são gravadas como "conversao".
+ */
+export const convertInventoryMaterial = async (
+  fromMaterial,
+  toMaterial,
+  quantidade,
+  { quantidadeDestino = quantidade, observacao = "" } = {},
+) => {
+  try {
+    assertPermission("inventory.edit");
+    fromMaterial = resolveMaterialKey(fromMaterial);
+    toMaterial = resolveMaterialKey(toMaterial);
+    if (!fromMaterial || !toMaterial || fromMaterial === toMaterial) {
+      throw new Error("Escolha dois materiais diferentes para a conversão");
+    }
+    if (!(Number(quantidade) > 0) || !(Number(quantidadeDestino) > 0)) {
+      throw new Error("Quantidade de conversão inválida");
+    }
+
+    const docRef = doc(db, INVENTORY_COLLECTION, "current");
+    await runTransaction(db, async (tx) => {
+      const docSnap = await tx.get(docRef);
+      const currentInventory = normalizeInventory(
+        docSnap.exists() ? docSnap.data() : null,
+      );
+      const stockBalances = snapshotStockBalances(currentInventory, [
+        fromMaterial,
+        toMaterial,
+      ]);
+
+      // O custo da origem passa para o destino (perdas encarecem o kg)
+      const custoOrigem = getInventoryItem(
+        currentInventory,
+        fromMaterial,
+      ).custoMedio;
+      applyEffectToInventory(
+        currentInventory,
+        {
+          tipo: "venda",
+          material: fromMaterial,
+          quantidade: Number(quantidade),
+        },
+        1,
+      );
+      applyEffectToInventory(
+        currentInventory,
+        {
+          tipo: "compra",
+          material: toMaterial,
+          quantidade: Number(quantidadeDestino),
+          valor: Number(quantidade) * custoOrigem,
+        },
+        1,
+      );
+
+      const now = new Date();
+      tx.set(docRef, {
+        ...serializeInventory(currentInventory),
+        precos: serializePrices(currentInventory),
+        updatedAt: now,
+      });
+      writeStockMovements(tx, stockBalances, currentInventory, {
+        causa: "conversao",
+        observacao,
+        createdAt: now,
+      });
+    });
+
+    console.log(
+      `[v0] Conversão de estoque: ${quantidade}kg ${fromMaterial} → ${quantidadeDestino}kg ${toMaterial}`,
+    );
+  } catch (error) {
+    console.error("[v0] Erro ao converter material:", error);
+    throw error;
+  }
+};
+
+const mapStockMovementDoc = (docSnap) => ({
+  id: docSnap.id,
+  ...docSnap.data(),
+  createdAt: docSnap.data().createdAt?.toDate
+    ? docSnap.data().createdAt.toDate()
+    : new Date(docSnap.data().createdAt),
+});
+
+// Histórico de movimentações de um material, mais recentes primeiro.
+// Requer o índice composto stock_movements (material ASC, createdAt DESC).
+export const getStockMovements = async (material, maxResults = 100) => {
+  try {
+    const q = query(
+      collection(db, STOCK_MOVEMENTS_COLLECTION),
+      where("material", "==", resolveMaterialKey(material)),
+      orderBy("createdAt", "desc"),
+      limit(maxResults),
+    );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(mapStockMovementDoc);
+  } catch (error) {
+    console.error("[v0] Erro ao buscar movimentações de estoque:", error);
+    throw error;
+  }
+};
+
+const mapPriceHistoryDoc = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    vigenteDesde: toJsDate(data.vigenteDesde, null),
+    createdAt: toJsDate(data.createdAt, null),
+  };
+};
+
+/**
+ * Histórico de preços de tabela, do mais antigo para o mais recente.
+ * Sem material, traz o histórico de todos (usado na comparação dos
+ * relatórios). Com material, requer o índice composto price_history
+ * (material ASC, vigenteDesde ASC).
+ */
+export const getPriceHistory = async (material) => {
+  try {
+    const q = material
+      ? query(
+          collection(db, PRICE_HISTORY_COLLECTION),
+          where("material", "==", resolveMaterialKey(material)),
+          orderBy("vigenteDesde", "asc"),
+        )
+      : query(
+          collection(db, PRICE_HISTORY_COLLECTION),
+          orderBy("vigenteDesde", "asc"),
+        );
+    const querySnapshot = await getDocs(q);
+    return querySnapshot.docs.map(mapPriceHistoryDoc);
+  } catch (error) {
+    console.error("[v0] Erro ao buscar histórico de preços:", error);
+    throw error;
+  }
+};
+
+// =============================================
+// TARAS SALVAS (PESAGEM)
+// =============================================
+// Recipientes de peso conhecido ("carrinho", "bag"...) ficam em
+// settings/taras para a balança escolher a tara sem digitar.
+
+export const getTarePresets = async () => {
+  try {
+    const snap = await getDoc(doc(db, SETTINGS_COLLECTION, "taras"));
+    return snap.exists() ? snap.data().presets || [] : [];
+  } catch (error) {
+    console.error("[v0] Erro ao buscar taras salvas:", error);
+    throw error;
+  }
+};
+
+export const saveTarePresets = async (presets) => {
+  try {
+    assertPermission("transactions.create");
+    const normalized = presets
+      .map((preset) => ({
+        nome: String(preset.nome || "").trim(),
+        peso: Number(Number(preset.peso).toFixed(3)),
+      }))
+      .filter((preset) => preset.nome && preset.peso > 0);
+
+    await setDoc(doc(db, SETTINGS_COLLECTION, "taras"), {
+      presets: normalized,
+      updatedAt: Timestamp.now(),
+    });
+    console.log(`[v0] ${normalized.length} taras salvas`);
+    return normalized;
+  } catch (error) {
+    console.error("[v0] Erro ao salvar taras:", error);
+    throw error;
+  }
+};
+
 export const getAllTransactions = async () => {
   try {
     const q = query(
@@ -1087,6 +1939,7 @@ export const updateCustomer = async (id, customerData) => {
 
 export const deleteCustomer = async (id) => {
   try {
+    assertPermission("clients.delete");
     const docRef = doc(db, CUSTOMERS_COLLECTION, id);
     await deleteDoc(docRef);
     console.log("[v0] Cliente deletado:", id);
@@ -1117,6 +1970,13 @@ export const subscribeToCustomers = (callback) => {
   });
 };
 
+// Nomes usados pela tela Clients.jsx
+export const addClient = addCustomer;
+export const getClients = getCustomers;
+export const updateClient = updateCustomer;
+export const deleteClient = deleteCustomer;
+export const subscribeToClients = subscribeToCustomers;
+
 export const getCustomerTransactions = async (customerId, customerName) => {
   try {
     const allTransactions = await getAllTransactions();
@@ -1140,110 +2000,1410 @@ export const getCustomerTransactions = async (customerId, customerName) => {
   }
 };
 
-export const updateCustomerBalance = async (customerId, amount, type) => {
-  try {
-    const docRef = doc(db, CUSTOMERS_COLLECTION, customerId);
-    const docSnap = await getDoc(docRef);
+// =============================================
+// CONTA CORRENTE DOS CLIENTES (LIVRO-RAZÃO)
+// =============================================
+// Lançamentos tipados em customer_ledger; o saldo do cadastro é a soma deles.
+// Os lançamentos das transações são gravados em commitTransactionWrite e
+// commitNewTransactions; aqui ficam os manuais, a revisão e a migração.
+
+const mapLedgerDoc = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    data: toJsDate(data.data, null),
+    parcelas: (data.parcelas || []).map((parcela) => ({
+      ...parcela,
+      vencimento: toJsDate(parcela.vencimento, null),
+    })),
+    createdAt: toJsDate(data.createdAt, null),
+  };
+};
 
-    if (docSnap.exists()) {
-      const currentData = docSnap.data();
-      let newBalance = Number(currentData.saldo || 0);
-      let totalEmprestimos = Number(currentData.totalEmprestimos || 0);
-      let totalPagamentos = Number(currentData.totalPagamentos || 0);
-
-      if (type === "emprestimo") {
-        newBalance += Number(amount);
-        totalEmprestimos += Number(amount);
-      } else if (type === "pagamento") {
-        newBalance -= Number(amount);
-        totalPagamentos += Number(amount);
-      }
+// Todos os lançamentos, para os vencimentos do painel e da lista de clientes
+export const getLedgerEntries = async () => {
+  try {
+    const snapshot = await getDocs(collection(db, LEDGER_COLLECTION));
+    return snapshot.docs.map(mapLedgerDoc);
+  } catch (error) {
+    console.error("[v0] Erro ao buscar conta corrente:", error);
+    throw error;
+  }
+};
 
-      await updateDoc(docRef, {
-        saldo: newBalance,
-        totalEmprestimos,
-        totalPagamentos,
-        updatedAt: new Date(),
-      });
-      console.log(
-        `[v0] Saldo do cliente ${customerId} atualizado: ${newBalance}`,
-      );
-      return newBalance;
-    }
+export const getCustomerLedger = async (clienteId) => {
+  try {
+    const snapshot = await getDocs(
+      query(
+        collection(db, LEDGER_COLLECTION),
+        where("clienteId", "==", clienteId),
+      ),
+    );
+    // Ordenado aqui para não exigir índice composto
+    return snapshot.docs
+      .map(mapLedgerDoc)
+      .sort((a, b) => new Date(a.data) - new Date(b.data));
   } catch (error) {
-    console.error("[v0] Erro ao atualizar saldo do cliente:", error);
+    console.error("[v0] Erro ao buscar conta do cliente:", error);
     throw error;
   }
 };
 
+// Relê o lançamento, aplica buildNext(atual) e ajusta o saldo do cadastro
+// na mesma transação. buildNext devolve null para remover o lançamento.
+async function commitLedgerEntry(ref, buildNext) {
+  return runTransaction(db, async (tx) => {
+    const snap = await tx.get(ref);
+    const current = snap.exists() ? snap.data() : null;
+    const next = buildNext(current);
+    const changes = await readLedgerBalances(tx, [{ ref, current, next }]);
+    writeLedgerChanges(tx, changes, new Date());
+  });
+}
+
 /**
- * Atualiza o documento live_summary após a exclusão de uma transação.
- * Subtrai os valores da transação excluída dos totais globais.
+ * Lançamento feito à mão: pagamento recebido no balcão, empréstimo em
+ * dinheiro ou ajuste (este só pelo proprietário, com valor positivo ou
+ * negativo). Pagamentos e empréstimos guardam a forma de pagamento e entram
+ * no resumo do caixa.
  */
-async function updateLiveSummaryAfterDeletion(tipo, valor) {
+export const addLedgerEntry = async ({
+  clienteId,
+  tipo,
+  valor,
+  data = new Date(),
+  descricao = "",
+  formaPagamento = "dinheiro",
+}) => {
   try {
-    const summaryRef = doc(db, LIVE_SUMMARY_COLLECTION, "live_summary");
-    const summarySnap = await getDoc(summaryRef);
-
-    if (!summarySnap.exists()) {
-      console.warn("[v0] live_summary não existe, pulando atualização");
-      return;
+    assertPermission(
+      tipo === "ajuste" ? "clients.ledgerReview" : "clients.ledger",
+    );
+    if (!clienteId) throw new Error("Selecione o cliente");
+    if (!LEDGER_ENTRY_TYPES[tipo]) {
+      throw new Error(`Tipo de lançamento inválido: ${tipo}`);
     }
-
-    const summaryData = summarySnap.data();
-    const updates = { updatedAt: new Date() };
-
-    if (tipo === "venda") {
-      updates.totalVendas = Math.max(0, (summaryData.totalVendas || 0) - valor);
-      updates.totalVendasMes = Math.max(
-        0,
-        (summaryData.totalVendasMes || 0) - valor,
-      );
-    } else if (tipo === "compra") {
-      updates.totalCompras = Math.max(
-        0,
-        (summaryData.totalCompras || 0) - valor,
-      );
-      updates.totalComprasMes = Math.max(
-        0,
-        (summaryData.totalComprasMes || 0) - valor,
-      );
-    } else if (tipo === "despesa") {
-      updates.totalDespesas = Math.max(
-        0,
-        (summaryData.totalDespesas || 0) - valor,
-      );
-      updates.totalDespesasMes = Math.max(
-        0,
-        (summaryData.totalDespesasMes || 0) - valor,
-      );
+    const amount = roundMoney(valor);
+    if (!Number.isFinite(amount) || amount === 0) {
+      throw new Error("Informe um valor válido");
+    }
+    if (tipo !== "ajuste" && amount < 0) {
+      throw new Error("O valor deve ser positivo");
     }
 
-    // Recalcular totais
-    const newVendas =
-      updates.totalVendas !== undefined
-        ? updates.totalVendas
-        : summaryData.totalVendas || 0;
-    const newCompras =
-      updates.totalCompras !== undefined
-        ? updates.totalCompras
-        : summaryData.totalCompras || 0;
-    const newDespesas =
-      updates.totalDespesas !== undefined
-        ? updates.totalDespesas
-        : summaryData.totalDespesas || 0;
-    updates.totalLucro = newVendas - newCompras - newDespesas;
-    updates.totalTransacoes = Math.max(
-      0,
-      (summaryData.totalTransacoes || 0) - 1,
-    );
-
-    console.log(
-      `[v0] Atualizando live_summary após exclusão: tipo=${tipo}, valor=${valor}`,
-    );
-    await updateDoc(summaryRef, updates);
+    const ref = doc(collection(db, LEDGER_COLLECTION));
+    await commitLedgerEntry(ref, () => ({
+      clienteId,
+      tipo,
+      valor: amount,
+      data: data instanceof Date ? data : new Date(data),
+      descricao: descricao.trim(),
+      transacaoId: null,
+      origem: "manual",
+      ...(tipo !== "ajuste" ? { formaPagamento } : {}),
+      revisado: true,
+    }));
+    console.log(`[v0] Lançamento ${tipo} de ${amount} para ${clienteId}`);
+    return ref.id;
   } catch (error) {
-    console.error("[v0] Erro ao atualizar live_summary após exclusão:", error);
-    // Não lançar erro para não impedir a exclusão
+    console.error("[v0] Erro ao registrar lançamento:", error);
+    throw error;
   }
-}
+};
+
+// Confirma um lançamento da migração, podendo corrigir o tipo ou o valor
+export const reviewLedgerEntry = async (id, { tipo, valor } = {}) => {
+  try {
+    assertPermission("clients.ledgerReview");
+    if (tipo && !LEDGER_ENTRY_TYPES[tipo]) {
+      throw new Error(`Tipo de lançamento inválido: ${tipo}`);
+    }
+    await commitLedgerEntry(doc(db, LEDGER_COLLECTION, id), (current) => {
+      if (!current) throw new Error("Lançamento não encontrado");
+      return {
+        ...current,
+        tipo: tipo || current.tipo,
+        valor: valor != null ? roundMoney(valor) : current.valor,
+        revisado: true,
+        revisadoPor: getActorStamp(),
+        revisadoEm: new Date(),
+      };
+    });
+    console.log("[v0] Lançamento revisado:", id);
+  } catch (error) {
+    console.error("[v0] Erro ao revisar lançamento:", error);
+    throw error;
+  }
+};
+
+// Remove um lançamento (ex.: classificação errada da migração)
+export const deleteLedgerEntry = async (id) => {
+  try {
+    assertPermission("clients.ledgerReview");
+    await commitLedgerEntry(doc(db, LEDGER_COLLECTION, id), () => null);
+    console.log("[v0] Lançamento removido:", id);
+  } catch (error) {
+    console.error("[v0] Erro ao remover lançamento:", error);
+    throw error;
+  }
+};
+
+export const getLedgerMigrationStatus = async () => {
+  try {
+    const snap = await getDoc(doc(db, SETTINGS_COLLECTION, "ledger"));
+    if (!snap.exists()) return null;
+    const data = snap.data();
+    return { ...data, migradoEm: toJsDate(data.migradoEm, null) };
+  } catch (error) {
+    console.error("[v0] Erro ao buscar status da migração:", error);
+    throw error;
+  }
+};
+
+/**
+ * Migração do histórico para o livro-razão.
+ *
+ * Classifica as transações antigas de cada cliente (por clienteId ou pelo
+ * nome) com a regra antiga de palavras-chave. O que não vem de campos
+ * explícitos fica com revisado = false para conferência. A diferença entre
+ * o saldo antigo do cadastro e a soma dos lançamentos vira um ajuste, também
+ * a revisar, datado pela movimentação mais antiga do cliente que não gerou
+ * lançamento (ou pelo cadastro). Por fim o saldo de todos os clientes é recalculado. Pode ser
+ * executada de novo: lançamentos já existentes não são duplicados.
+ */
+export const migrateCustomerLedger = async () => {
+  try {
+    assertPermission("clients.ledgerReview");
+    const [customers, transactions, ledgerSnapshot] = await Promise.all([
+      getCustomers(),
+      getAllTransactions(),
+      getDocs(collection(db, LEDGER_COLLECTION)),
+    ]);
+
+    const entries = ledgerSnapshot.docs.map((docSnap) => ({
+      id: docSnap.id,
+      ...docSnap.data(),
+    }));
+    const existingIds = new Set(entries.map((entry) => entry.id));
+    const customersById = new Map(customers.map((c) => [c.id, c]));
+    const customersByName = new Map();
+    customers.forEach((c) => {
+      const key = (c.nome || "").trim().toLowerCase();
+      if (!key) return;
+      // Nome repetido não identifica ninguém com segurança
+      customersByName.set(key, customersByName.has(key) ? null : c);
+    });
+
+    const now = new Date();
+    const actor = getActorStamp();
+    const created = [];
+    // Transação mais antiga de cada cliente que não virou lançamento: data do
+    // ajuste do saldo sem explicação, para a idade da dívida não zerar
+    const oldestUnexplained = {};
+
+    transactions.forEach((t) => {
+      const id = getTransactionLedgerId(t.id);
+      if (existingIds.has(id)) return;
+      const customer =
+        customersById.get(t.clienteId) ||
+        customersByName.get(
+          (t.vendedor || t.cliente || "").trim().toLowerCase(),
+        );
+      if (!customer) return;
+
+      const legacy = classifyLegacyTransaction({
+        ...t,
+        clienteId: customer.id,
+      });
+      if (!legacy) {
+        const date = t.data instanceof Date ? t.data : new Date(t.data);
+        const oldest = oldestUnexplained[customer.id];
+        if (!isNaN(date) && (!oldest || date < oldest)) {
+          oldestUnexplained[customer.id] = date;
+        }
+        return;
+      }
+
+      created.push({
+        id,
+        clienteId: customer.id,
+        tipo: legacy.tipo,
+        valor: Math.abs(Number(t.valorTotal) || 0),
+        data: t.data instanceof Date ? t.data : new Date(t.data),
+        descricao: t.observacoes || "",
+        transacaoId: t.id,
+        origem: "migracao",
+        // Achado pelo nome ou por palavra-chave: alguém precisa conferir
+        revisado: !legacy.revisar && t.clienteId === customer.id,
+        criadoPor: actor,
+        createdAt: now,
+        updatedAt: now,
+      });
+    });
+
+    // Saldo antigo sem lançamento que o explique vira um ajuste a revisar
+    const allEntries = [...entries, ...created];
+    const balances = {};
+    allEntries.forEach((entry) => {
+      balances[entry.clienteId] =
+        (balances[entry.clienteId] || 0) + getLedgerImpact(entry);
+    });
+    customers.forEach((c) => {
+      const id = `migracao_${c.id}`;
+      if (existingIds.has(id)) return;
+      const diferenca = roundMoney(
+        (Number(c.saldo) || 0) - (balances[c.id] || 0),
+      );
+      if (diferenca === 0) return;
+      const ajuste = {
+        id,
+        clienteId: c.id,
+        tipo: "ajuste",
+        valor: diferenca,
+        data: oldestUnexplained[c.id] || c.createdAt || now,
+        descricao: "Diferença do saldo anterior à conta corrente",
+        transacaoId: null,
+        origem: "migracao",
+        revisado: false,
+        criadoPor: actor,
+        createdAt: now,
+        updatedAt: now,
+      };
+      created.push(ajuste);
+      balances[c.id] = (balances[c.id] || 0) + diferenca;
+    });
+
+    const writes = created.map(
+      ({ id, ...entry }) =>
+        (batch) =>
+          batch.set(doc(db, LEDGER_COLLECTION, id), entry),
+    );
+    customers.forEach((c) => {
+      const saldo = roundMoney(balances[c.id] || 0);
+      if (saldo === roundMoney(Number(c.saldo) || 0)) return;
+      writes.push((batch) =>
+        batch.update(doc(db, CUSTOMERS_COLLECTION, c.id), {
+          saldo,
+          updatedAt: now,
+        }),
+      );
+    });
+    await commitInBatches(writes);
+
+    const resultado = {
+      lancamentos: created.length,
+      paraRevisar: created.filter((entry) => !entry.revisado).length,
+      clientes: customers.length,
+    };
+    await setDoc(doc(db, SETTINGS_COLLECTION, "ledger"), {
+      ...resultado,
+      migradoEm: now,
+      migradoPor: actor,
+    });
+    console.log("[v0] Migração da conta corrente concluída:", resultado);
+    return resultado;
+  } catch (error) {
+    console.error("[v0] Erro na migração da conta corrente:", error);
+    throw error;
+  }
+};
+
+// =============================================
+// EMPRÉSTIMOS A CLIENTES
+// =============================================
+// O documento em loans guarda o valor e a lista de pagamentos parciais.
+// O empréstimo vira o lançamento loan_<id> na conta corrente e cada pagamento
+// um lançamento próprio; tudo gravado na mesma transação do Firestore, junto
+// com o saldo do cliente. Os lançamentos levam a forma de pagamento e entram
+// no resumo do caixa (getCashSessionActivity).
+
+const mapLoanDoc = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    data: toJsDate(data.data, null),
+    pagamentos: (data.pagamentos || []).map((pagamento) => ({
+      ...pagamento,
+      data: toJsDate(pagamento.data, null),
+    })),
+    createdAt: toJsDate(data.createdAt, null),
+  };
+};
+
+const sortLoans = (loans) =>
+  loans.sort((a, b) => new Date(b.data) - new Date(a.data));
+
+// Lançamento da conta corrente que espelha o valor emprestado
+const buildLoanLedgerEntry = (loanId, loan) => ({
+  clienteId: loan.clienteId,
+  tipo: "emprestimo",
+  valor: loan.valor,
+  data: loan.data,
+  descricao: loan.descricao || "Empréstimo",
+  transacaoId: null,
+  emprestimoId: loanId,
+  origem: "emprestimo",
+  formaPagamento: loan.formaPagamento || "dinheiro",
+  revisado: true,
+  ...(loan.parcelas?.length ? { parcelas: loan.parcelas } : {}),
+});
+
+export const addLoan = async ({
+  clienteId,
+  clienteNome = "",
+  valor,
+  data = new Date(),
+  descricao = "",
+  parcelas = [],
+  formaPagamento = "dinheiro",
+}) => {
+  try {
+    assertPermission("clients.ledger");
+    if (!clienteId) throw new Error("Selecione o cliente");
+    const amount = roundMoney(valor);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error("Informe um valor válido");
+    }
+
+    const loanRef = doc(collection(db, LOANS_COLLECTION));
+    const loan = {
+      clienteId,
+      clienteNome,
+      valor: amount,
+      valorPago: 0,
+      status: "aberto",
+      pagamentos: [],
+      data: data instanceof Date ? data : new Date(data),
+      descricao: descricao.trim(),
+      parcelas,
+      formaPagamento,
+    };
+
+    await runTransaction(db, async (tx) => {
+      const now = new Date();
+      const changes = await readLedgerBalances(tx, [
+        {
+          ref: doc(db, LEDGER_COLLECTION, getLoanLedgerId(loanRef.id)),
+          current: null,
+          next: buildLoanLedgerEntry(loanRef.id, loan),
+        },
+      ]);
+      tx.set(loanRef, {
+        ...loan,
+        criadoPor: getActorStamp(),
+        createdAt: now,
+        updatedAt: now,
+      });
+      writeLedgerChanges(tx, changes, now);
+    });
+    console.log(`[v0] Empréstimo de ${amount} para ${clienteId}`);
+    return loanRef.id;
+  } catch (error) {
+    console.error("[v0] Erro ao registrar empréstimo:", error);
+    throw error;
+  }
+};
+
+// Empréstimos de um cliente, ou de todos quando clienteId não é informado
+export const getLoans = async (clienteId) => {
+  try {
+    const ref = collection(db, LOANS_COLLECTION);
+    const snapshot = await getDocs(
+      clienteId ? query(ref, where("clienteId", "==", clienteId)) : ref,
+    );
+    return sortLoans(snapshot.docs.map(mapLoanDoc));
+  } catch (error) {
+    console.error("[v0] Erro ao buscar empréstimos:", error);
+    throw error;
+  }
+};
+
+export const subscribeToLoans = (callback, clienteId) => {
+  const ref = collection(db, LOANS_COLLECTION);
+  const q = clienteId ? query(ref, where("clienteId", "==", clienteId)) : ref;
+  console.log("[v0] subscribeToLoans: Listener configurado");
+  return onSnapshot(q, (snapshot) => {
+    callback(sortLoans(snapshot.docs.map(mapLoanDoc)));
+  });
+};
+
+/**
+ * Corrige valor, data ou descrição de um empréstimo (só o proprietário).
+ * O valor não pode ficar abaixo do que já foi pago.
+ */
+export const updateLoan = async (id, { valor, data, descricao } = {}) => {
+  try {
+    assertPermission("clients.ledgerReview");
+    const loanRef = doc(db, LOANS_COLLECTION, id);
+    const entryRef = doc(db, LEDGER_COLLECTION, getLoanLedgerId(id));
+
+    await runTransaction(db, async (tx) => {
+      const [loanSnap, entrySnap] = await Promise.all([
+        tx.get(loanRef),
+        tx.get(entryRef),
+      ]);
+      if (!loanSnap.exists()) throw new Error("Empréstimo não encontrado");
+      const current = loanSnap.data();
+      const next = {
+        ...current,
+        valor: valor != null ? roundMoney(valor) : current.valor,
+        data: data ? new Date(data) : current.data,
+        descricao: descricao != null ? descricao.trim() : current.descricao,
+      };
+      if (!Number.isFinite(next.valor) || next.valor <= 0) {
+        throw new Error("Informe um valor válido");
+      }
+      if (next.valor < (current.valorPago || 0)) {
+        throw new Error("O valor não pode ser menor que o total já pago");
+      }
+      next.status = getLoanStatus(next);
+
+      const now = new Date();
+      const changes = await readLedgerBalances(tx, [
+        {
+          ref: entryRef,
+          current: entrySnap.exists() ? entrySnap.data() : null,
+          next: buildLoanLedgerEntry(id, next),
+        },
+      ]);
+      tx.set(loanRef, { ...next, updatedAt: now });
+      writeLedgerChanges(tx, changes, now);
+    });
+    console.log("[v0] Empréstimo atualizado:", id);
+  } catch (error) {
+    console.error("[v0] Erro ao atualizar empréstimo:", error);
+    throw error;
+  }
+};
+
+// Pagamento parcial (ou total) de um empréstimo
+export const registrarPagamentoEmprestimo = async (
+  loanId,
+  { valor, data = new Date(), observacao = "", formaPagamento = "dinheiro" },
+) => {
+  try {
+    assertPermission("clients.ledger");
+    const amount = roundMoney(valor);
+    if (!Number.isFinite(amount) || amount <= 0) {
+      throw new Error("Informe um valor válido");
+    }
+    const loanRef = doc(db, LOANS_COLLECTION, loanId);
+    const entryRef = doc(collection(db, LEDGER_COLLECTION));
+
+    await runTransaction(db, async (tx) => {
+      const loanSnap = await tx.get(loanRef);
+      if (!loanSnap.exists()) throw new Error("Empréstimo não encontrado");
+      const loan = loanSnap.data();
+      const pendente = getLoanPending(loan);
+      if (amount > pendente) {
+        throw new Error(
+          `O pagamento passa do valor em aberto (R$ ${pendente.toFixed(2)})`,
+        );
+      }
+
+      const now = new Date();
+      const paymentDate = data instanceof Date ? data : new Date(data);
+      const changes = await readLedgerBalances(tx, [
+        {
+          ref: entryRef,
+          current: null,
+          next: {
+            clienteId: loan.clienteId,
+            tipo: "pagamento",
+            valor: amount,
+            data: paymentDate,
+            descricao: observacao.trim() || "Pagamento de empréstimo",
+            transacaoId: null,
+            emprestimoId: loanId,
+            origem: "emprestimo",
+            formaPagamento,
+            revisado: true,
+          },
+        },
+      ]);
+      const next = {
+        ...loan,
+        valorPago: roundMoney((loan.valorPago || 0) + amount),
+        pagamentos: [
+          ...(loan.pagamentos || []),
+          {
+            id: entryRef.id,
+            valor: amount,
+            data: paymentDate,
+            observacao: observacao.trim(),
+            formaPagamento,
+            registradoPor: getActorStamp(),
+          },
+        ],
+      };
+      next.status = getLoanStatus(next);
+      tx.set(loanRef, { ...next, updatedAt: now });
+      writeLedgerChanges(tx, changes, now);
+    });
+    console.log(`[v0] Pagamento de ${amount} no empréstimo ${loanId}`);
+    return entryRef.id;
+  } catch (error) {
+    console.error("[v0] Erro ao registrar pagamento do empréstimo:", error);
+    throw error;
+  }
+};
+
+// Exclui o empréstimo e estorna da conta corrente o valor e os pagamentos
+export const deleteLoan = async (id) => {
+  try {
+    assertPermission("clients.ledgerReview");
+    const loanRef = doc(db, LOANS_COLLECTION, id);
+
+    await runTransaction(db, async (tx) => {
+      const loanSnap = await tx.get(loanRef);
+      if (!loanSnap.exists()) throw new Error("Empréstimo não encontrado");
+      const entryRefs = [
+        doc(db, LEDGER_COLLECTION, getLoanLedgerId(id)),
+        ...(loanSnap.data().pagamentos || []).map((pagamento) =>
+          doc(db, LEDGER_COLLECTION, pagamento.id),
+        ),
+      ];
+      const entrySnaps = await Promise.all(entryRefs.map((ref) => tx.get(ref)));
+      const changes = await readLedgerBalances(
+        tx,
+        entrySnaps
+          .filter((snap) => snap.exists())
+          .map((snap) => ({ ref: snap.ref, current: snap.data(), next: null })),
+      );
+      tx.delete(loanRef);
+      writeLedgerChanges(tx, changes, new Date());
+    });
+    console.log("[v0] Empréstimo excluído:", id);
+  } catch (error) {
+    console.error("[v0] Erro ao excluir empréstimo:", error);
+    throw error;
+  }
+};
+
+// =============================================
+// FUNÇÕES PARA O CATÁLOGO DE MATERIAIS
+// =============================================
+// Cada documento de "materials" usa a chave do material como ID. A chave é a
+// mesma usada em inventory/current e no campo "material" das transações, por
+// isso não pode ser alterada depois de criada; nomes antigos ficam em "aliases".
+
+const mapMaterialDoc = (docSnap) => ({
+  ...docSnap.data(),
+  key: docSnap.id,
+  aliases: docSnap.data().aliases || [],
+  ativo: docSnap.data().ativo !== false,
+});
+
+const sortMaterials = (materials) =>
+  [...materials].sort((a, b) => a.name.localeCompare(b.name, "pt-BR"));
+
+// Grava o catálogo padrão quando a coleção ainda está vazia
+export const seedDefaultMaterials = async () => {
+  try {
+    const batch = writeBatch(db);
+    const now = new Date();
+    DEFAULT_MATERIALS.forEach((material) => {
+      batch.set(doc(db, MATERIALS_COLLECTION, material.key), {
+        ...material,
+        createdAt: now,
+        updatedAt: now,
+      });
+    });
+    await batch.commit();
+    console.log(
+      `[v0] Catálogo de materiais criado com ${DEFAULT_MATERIALS.length} itens padrão`,
+    );
+    return DEFAULT_MATERIALS;
+  } catch (error) {
+    console.error("[v0] Erro ao criar catálogo de materiais:", error);
+    throw error;
+  }
+};
+
+export const getMaterials = async () => {
+  try {
+    const querySnapshot = await getDocs(collection(db, MATERIALS_COLLECTION));
+    if (querySnapshot.empty) {
+      return sortMaterials(await seedDefaultMaterials());
+    }
+    return sortMaterials(querySnapshot.docs.map(mapMaterialDoc));
+  } catch (error) {
+    console.error("[v0] Erro ao buscar materiais:", error);
+    throw error;
+  }
+};
+
+// Valida e normaliza os campos editáveis de um material
+function sanitizeMaterial(material) {
+  const name = (material.name || "").trim();
+  if (!name) throw new Error("Informe o nome do material");
+
+  return {
+    name,
+    category: material.category || "outros",
+    color: material.color || "gray",
+    icon: material.icon || "📦",
+    unit: material.unit || "kg",
+    precoCompra: Number(material.precoCompra) || 0,
+    precoVenda: Number(material.precoVenda) || 0,
+    minStock: Number(material.minStock) || 0,
+    aliases: (material.aliases || [])
+      .map((alias) => alias.trim())
+      .filter(Boolean),
+  };
+}
+
+export const addMaterial = async (material) => {
+  try {
+    assertPermission("materials.manage");
+    const key = (material.key || "").trim().toLowerCase();
+    // Pontos e barras quebram o documento de inventário e os IDs do Firestore
+    if (!key || /[./]/.test(key)) {
+      throw new Error("Chave inválida: use letras, números, espaço ou _");
+    }
+
+    const docRef = doc(db, MATERIALS_COLLECTION, key);
+    const docSnap = await getDoc(docRef);
+    if (docSnap.exists()) {
+      throw new Error(`Já existe um material com a chave "${key}"`);
+    }
+
+    await setDoc(docRef, {
+      ...sanitizeMaterial(material),
+      key,
+      ativo: true,
+      createdAt: new Date(),
+      updatedAt: new Date(),
+    });
+    console.log("[v0] Material cadastrado:", key);
+    return key;
+  } catch (error) {
+    console.error("[v0] Erro ao cadastrar material:", error);
+    throw error;
+  }
+};
+
+export const updateMaterial = async (key, material) => {
+  try {
+    assertPermission("materials.manage");
+    const docRef = doc(db, MATERIALS_COLLECTION, key);
+    await updateDoc(docRef, {
+      ...sanitizeMaterial(material),
+      updatedAt: new Date(),
+    });
+    console.log("[v0] Material atualizado:", key);
+  } catch (error) {
+    console.error("[v0] Erro ao atualizar material:", error);
+    throw error;
+  }
+};
+
+// Materiais não são apagados: arquivar tira o material dos formulários,
+// mas mantém o nome disponível para o histórico de transações
+export const setMaterialActive = async (key, ativo) => {
+  try {
+    assertPermission("materials.manage");
+    const docRef = doc(db, MATERIALS_COLLECTION, key);
+    await updateDoc(docRef, { ativo, updatedAt: new Date() });
+    console.log(`[v0] Material ${key} ${ativo ? "reativado" : "arquivado"}`);
+  } catch (error) {
+    console.error("[v0] Erro ao alterar status do material:", error);
+    throw error;
+  }
+};
+
+let seedingMaterials = false;
+
+export const subscribeToMaterials = (callback) => {
+  const q = collection(db, MATERIALS_COLLECTION);
+  console.log("[v0] subscribeToMaterials: Listener configurado");
+  return onSnapshot(q, (querySnapshot) => {
+    if (querySnapshot.empty && !querySnapshot.metadata.fromCache) {
+      // Primeira execução: o próximo snapshot já trará o catálogo padrão
+      if (!seedingMaterials) {
+        seedingMaterials = true;
+        seedDefaultMaterials().finally(() => {
+          seedingMaterials = false;
+        });
+      }
+      callback(sortMaterials(DEFAULT_MATERIALS));
+      return;
+    }
+    const materials = sortMaterials(querySnapshot.docs.map(mapMaterialDoc));
+    console.log(
+      `[v0] subscribeToMaterials: ${materials.length} materiais recebidos`,
+    );
+    callback(materials);
+  });
+};
+
+// =============================================
+// FUNÇÕES PARA USUÁRIOS E PERFIS DE ACESSO
+// =============================================
+// Cada usuário do Firebase Auth tem um documento users/{uid} com o perfil
+// (owner, operator ou viewer). O primeiro usuário a entrar vira proprietário e
+// marca settings/access; os seguintes entram como consulta até o proprietário
+// atribuir outro perfil.
+
+const mapUserDoc = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    uid: docSnap.id,
+    ...data,
+    createdAt: data.createdAt?.toDate
+      ? data.createdAt.toDate()
+      : data.createdAt
+        ? new Date(data.createdAt)
+        : null,
+  };
+};
+
+// Busca (ou cria no primeiro acesso) o perfil do usuário autenticado
+export const ensureUserProfile = async (firebaseUser) => {
+  try {
+    const userRef = doc(db, USERS_COLLECTION, firebaseUser.uid);
+    const accessRef = doc(db, SETTINGS_COLLECTION, "access");
+
+    return await runTransaction(db, async (tx) => {
+      const [userSnap, accessSnap] = await Promise.all([
+        tx.get(userRef),
+        tx.get(accessRef),
+      ]);
+      if (userSnap.exists()) return mapUserDoc(userSnap);
+
+      const now = new Date();
+      const isFirstUser = !accessSnap.exists();
+      const profile = {
+        email: firebaseUser.email,
+        nome: firebaseUser.displayName || firebaseUser.email,
+        role: isFirstUser ? "owner" : DEFAULT_ROLE,
+        createdAt: now,
+      };
+      tx.set(userRef, profile);
+      if (isFirstUser) {
+        tx.set(accessRef, { ownerUid: firebaseUser.uid, createdAt: now });
+        console.log("[v0] Primeiro acesso: usuário definido como proprietário");
+      }
+      return { uid: firebaseUser.uid, ...profile };
+    });
+  } catch (error) {
+    console.error("[v0] Erro ao carregar perfil do usuário:", error);
+    throw error;
+  }
+};
+
+export const getUsers = async () => {
+  try {
+    assertPermission("users.manage");
+    const querySnapshot = await getDocs(collection(db, USERS_COLLECTION));
+    return querySnapshot.docs
+      .map(mapUserDoc)
+      .sort((a, b) => (a.nome || "").localeCompare(b.nome || "", "pt-BR"));
+  } catch (error) {
+    console.error("[v0] Erro ao buscar usuários:", error);
+    throw error;
+  }
+};
+
+export const updateUserRole = async (uid, role) => {
+  try {
+    assertPermission("users.manage");
+    const users = await getUsers();
+    const target = users.find((u) => u.uid === uid);
+    if (!target) {
+      throw new Error("Usuário não encontrado");
+    }
+    // Sempre deve restar ao menos um proprietário
+    const owners = users.filter((u) => u.role === "owner");
+    if (target.role === "owner" && role !== "owner" && owners.length <= 1) {
+      throw new Error("O sistema precisa de pelo menos um proprietário");
+    }
+
+    await updateDoc(doc(db, USERS_COLLECTION, uid), {
+      role,
+      updatedAt: new Date(),
+      updatedBy: getCurrentActor().uid,
+    });
+    console.log(`[v0] Perfil de ${target.email} alterado para ${role}`);
+  } catch (error) {
+    console.error("[v0] Erro ao alterar perfil do usuário:", error);
+    throw error;
+  }
+};
+
+// =============================================
+// FUNÇÕES PARA O CAIXA (ABERTURA E FECHAMENTO)
+// =============================================
+// Existe no máximo uma sessão de caixa aberta; settings/caixa aponta para ela.
+// As transações da sessão são as lançadas entre a abertura e o fechamento
+// (createdAt), e sangrias/suprimentos ficam em cash_movements. Empréstimos e
+// pagamentos lançados na conta do cliente não são transações: entram pelos
+// lançamentos da conta corrente criados no mesmo período.
+
+// Origens dos lançamentos da conta corrente que movimentam o caixa
+const CASH_LEDGER_ORIGINS = ["emprestimo", "manual"];
+
+const mapCashSessionDoc = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    abertoEm: toJsDate(data.abertoEm, null),
+    fechadoEm: toJsDate(data.fechadoEm, null),
+  };
+};
+
+export const getOpenCashSession = async () => {
+  try {
+    const pointerSnap = await getDoc(doc(db, SETTINGS_COLLECTION, "caixa"));
+    const sessionId = pointerSnap.exists()
+      ? pointerSnap.data().sessaoAbertaId
+      : null;
+    if (!sessionId) return null;
+
+    const sessionSnap = await getDoc(
+      doc(db, CASH_SESSIONS_COLLECTION, sessionId),
+    );
+    return sessionSnap.exists() ? mapCashSessionDoc(sessionSnap) : null;
+  } catch (error) {
+    console.error("[v0] Erro ao buscar caixa aberto:", error);
+    throw error;
+  }
+};
+
+export const openCashSession = async ({ valorAbertura, observacoes = "" }) => {
+  try {
+    assertPermission("cash.operate");
+    const pointerRef = doc(db, SETTINGS_COLLECTION, "caixa");
+    const sessionRef = doc(collection(db, CASH_SESSIONS_COLLECTION));
+
+    await runTransaction(db, async (tx) => {
+      const pointerSnap = await tx.get(pointerRef);
+      if (pointerSnap.exists() && pointerSnap.data().sessaoAbertaId) {
+        throw new Error(
+          "Já existe um caixa aberto. Feche-o antes de abrir outro.",
+        );
+      }
+
+      const now = new Date();
+      tx.set(sessionRef, {
+        status: "aberto",
+        valorAbertura: Number(valorAbertura) || 0,
+        observacoesAbertura: observacoes,
+        abertoEm: now,
+        abertoPor: getActorStamp(),
+      });
+      tx.set(pointerRef, { sessaoAbertaId: sessionRef.id, updatedAt: now });
+    });
+
+    console.log("[v0] Caixa aberto:", sessionRef.id);
+    return sessionRef.id;
+  } catch (error) {
+    console.error("[v0] Erro ao abrir caixa:", error);
+    throw error;
+  }
+};
+
+// Sangria (retirada) ou suprimento (reforço) no caixa aberto
+export const addCashMovement = async ({ sessionId, tipo, valor, motivo }) => {
+  try {
+    assertPermission("cash.operate");
+    if (!["sangria", "suprimento"].includes(tipo)) {
+      throw new Error(`Tipo de movimentação de caixa inválido: ${tipo}`);
+    }
+    if (!(Number(valor) > 0)) {
+      throw new Error("Informe um valor maior que zero");
+    }
+
+    const docRef = await addDoc(collection(db, CASH_MOVEMENTS_COLLECTION), {
+      sessionId,
+      tipo,
+      valor: Number(valor),
+      motivo: motivo || "",
+      registradoPor: getActorStamp(),
+      createdAt: new Date(),
+    });
+    console.log(`[v0] ${tipo} registrada no caixa ${sessionId}`);
+    return docRef.id;
+  } catch (error) {
+    console.error("[v0] Erro ao registrar movimentação de caixa:", error);
+    throw error;
+  }
+};
+
+// Transações e movimentações de uma sessão, com o resumo esperado
+export const getCashSessionActivity = async (session) => {
+  try {
+    const constraints = [
+      where("createdAt", ">=", Timestamp.fromDate(session.abertoEm)),
+    ];
+    if (session.fechadoEm) {
+      constraints.push(
+        where("createdAt", "<=", Timestamp.fromDate(session.fechadoEm)),
+      );
+    }
+
+    const [transactionsSnap, movementsSnap, ledgerSnap] = await Promise.all([
+      getDocs(
+        query(
+          collection(db, TRANSACTIONS_COLLECTION),
+          ...constraints,
+          orderBy("createdAt", "asc"),
+        ),
+      ),
+      getDocs(
+        query(
+          collection(db, CASH_MOVEMENTS_COLLECTION),
+          where("sessionId", "==", session.id),
+        ),
+      ),
+      getDocs(query(collection(db, LEDGER_COLLECTION), ...constraints)),
+    ]);
+
+    const transactions = transactionsSnap.docs.map((docSnap) => ({
+      id: docSnap.id,
+      ...docSnap.data(),
+      data: toJsDate(docSnap.data().data, null),
+      createdAt: toJsDate(docSnap.data().createdAt, null),
+    }));
+    const movements = movementsSnap.docs
+      .map((docSnap) => ({
+        id: docSnap.id,
+        ...docSnap.data(),
+        createdAt: toJsDate(docSnap.data().createdAt, null),
+      }))
+      .sort((a, b) => a.createdAt - b.createdAt);
+    const ledgerEntries = ledgerSnap.docs
+      .map(mapLedgerDoc)
+      .filter((entry) => CASH_LEDGER_ORIGINS.includes(entry.origem));
+
+    return {
+      transactions,
+      movements,
+      ledgerEntries,
+      resumo: buildCashSummary({
+        valorAbertura: session.valorAbertura,
+        transactions,
+        movements,
+        ledgerEntries,
+      }),
+    };
+  } catch (error) {
+    console.error("[v0] Erro ao buscar movimento do caixa:", error);
+    throw error;
+  }
+};
+
+/**
+ * Fecha o caixa aberto com o valor contado. Grava o valor esperado, a
+ * diferença (contado - esperado) e o resumo por tipo e forma de pagamento,
+ * que alimentam o PDF de fechamento. Retorna a sessão fechada.
+ */
+export const closeCashSession = async ({ valorContado, observacoes = "" }) => {
+  try {
+    assertPermission("cash.operate");
+    const session = await getOpenCashSession();
+    if (!session) {
+      throw new Error("Nenhum caixa aberto para fechar");
+    }
+
+    const fechadoEm = new Date();
+    const { resumo, movements } = await getCashSessionActivity({
+      ...session,
+      fechadoEm,
+    });
+    const contado = Number(valorContado) || 0;
+    const closingData = {
+      status: "fechado",
+      fechadoEm,
+      fechadoPor: getActorStamp(),
+      valorContado: contado,
+      valorEsperado: resumo.valorEsperado,
+      diferenca: Math.round((contado - resumo.valorEsperado) * 100) / 100,
+      resumo: { ...resumo, movimentacoes: movements.length },
+      observacoesFechamento: observacoes,
+    };
+
+    const pointerRef = doc(db, SETTINGS_COLLECTION, "caixa");
+    const sessionRef = doc(db, CASH_SESSIONS_COLLECTION, session.id);
+    await runTransaction(db, async (tx) => {
+      const pointerSnap = await tx.get(pointerRef);
+      if (pointerSnap.data()?.sessaoAbertaId !== session.id) {
+        throw new Error("Este caixa já foi fechado por outro usuário");
+      }
+      tx.update(sessionRef, closingData);
+      tx.set(pointerRef, { sessaoAbertaId: null, updatedAt: fechadoEm });
+    });
+
+    console.log(
+      `[v0] Caixa ${session.id} fechado. Diferença: ${closingData.diferenca}`,
+    );
+    return { ...session, ...closingData };
+  } catch (error) {
+    console.error("[v0] Erro ao fechar caixa:", error);
+    throw error;
+  }
+};
+
+// Sessões mais recentes primeiro, para o histórico de fechamentos
+export const getCashSessions = async (maxResults = 30) => {
+  try {
+    const querySnapshot = await getDocs(
+      query(
+        collection(db, CASH_SESSIONS_COLLECTION),
+        orderBy("abertoEm", "desc"),
+        limit(maxResults),
+      ),
+    );
+    return querySnapshot.docs.map(mapCashSessionDoc);
+  } catch (error) {
+    console.error("[v0] Erro ao buscar sessões de caixa:", error);
+    throw error;
+  }
+};
+
+// =============================================
+// TICKETS DE PESAGEM DE CAMINHÃO (ENTRADA/SAÍDA)
+// =============================================
+// O caminhão é pesado na entrada e de novo na saída, às vezes horas depois.
+// O ticket fica "aberto" entre as duas pesagens; ao concluir, o peso líquido
+// é dividido em um ou mais materiais e vira transações comuns, gravadas
+// junto com o fechamento do ticket.
+
+const mapWeighingTicketDoc = (docSnap) => {
+  const data = docSnap.data();
+  return {
+    id: docSnap.id,
+    ...data,
+    entradaEm: toJsDate(data.entradaEm, null),
+    saidaEm: toJsDate(data.saidaEm, null),
+  };
+};
+
+export const openWeighingTicket = async ({
+  tipo = "compra",
+  placa,
+  motorista = "",
+  vendedor = "",
+  clienteId = "",
+  pesoEntrada,
+  observacoes = "",
+}) => {
+  try {
+    assertPermission("transactions.create");
+    const peso = Number(Number(pesoEntrada).toFixed(3));
+    if (!placa?.trim()) throw new Error("Informe a placa do caminhão");
+    if (!(peso > 0)) throw new Error("Informe o peso de entrada");
+
+    const now = Timestamp.now();
+    const ticket = {
+      tipo: tipo === "venda" ? "venda" : "compra",
+      placa: placa.trim().toUpperCase(),
+      motorista: motorista.trim(),
+      vendedor: vendedor.trim(),
+      clienteId,
+      pesoEntrada: peso,
+      observacoes,
+      status: "aberto",
+      entradaEm: now,
+      abertoPor: getActorStamp(),
+      createdAt: now,
+    };
+    const docRef = await addDoc(
+      collection(db, WEIGHING_TICKETS_COLLECTION),
+      ticket,
+    );
+    console.log(`[v0] Ticket de pesagem ${docRef.id} aberto (${ticket.placa})`);
+    return { id: docRef.id, ...ticket, entradaEm: now.toDate() };
+  } catch (error) {
+    console.error("[v0] Erro ao abrir ticket de pesagem:", error);
+    throw error;
+  }
+};
+
+// Tickets aguardando a pesagem de saída, do mais antigo para o mais novo
+export const getOpenWeighingTickets = async () => {
+  try {
+    const querySnapshot = await getDocs(
+      query(
+        collection(db, WEIGHING_TICKETS_COLLECTION),
+        where("status", "==", "aberto"),
+      ),
+    );
+    return querySnapshot.docs
+      .map(mapWeighingTicketDoc)
+      .sort((a, b) => a.entradaEm - b.entradaEm);
+  } catch (error) {
+    console.error("[v0] Erro ao buscar tickets de pesagem abertos:", error);
+    throw error;
+  }
+};
+
+// Últimos tickets fechados (concluídos ou cancelados), mais recentes primeiro
+export const getRecentWeighingTickets = async (maxResults = 20) => {
+  try {
+    const querySnapshot = await getDocs(
+      query(
+        collection(db, WEIGHING_TICKETS_COLLECTION),
+        orderBy("entradaEm", "desc"),
+        limit(maxResults),
+      ),
+    );
+    return querySnapshot.docs
+      .map(mapWeighingTicketDoc)
+      .filter((ticket) => ticket.status !== "aberto");
+  } catch (error) {
+    console.error("[v0] Erro ao buscar tickets de pesagem:", error);
+    throw error;
+  }
+};
+
+/**
+ * Conclui o ticket com o peso de saída. itens divide o peso líquido entre os
+ * materiais: [{ material, peso, precoUnitario, descontoImpureza }], e a soma
+ * dos pesos precisa bater com o líquido. Cada item vira uma transação (com
+ * o desconto de impureza aplicado) e o ticket é fechado na mesma gravação.
+ */
+export const completeWeighingTicket = async (
+  id,
+  { pesoSaida, itens = [], formaPagamento = "dinheiro" },
+) => {
+  try {
+    assertPermission("transactions.create");
+    const ticketRef = doc(db, WEIGHING_TICKETS_COLLECTION, id);
+    const ticketSnap = await getDoc(ticketRef);
+    if (!ticketSnap.exists()) {
+      throw new Error("Ticket de pesagem não encontrado");
+    }
+    const pesagem = ticketSnap.data();
+
+    const saida = Number(Number(pesoSaida).toFixed(3));
+    const pesoLiquido = calculateTruckNetWeight(
+      pesagem.tipo,
+      pesagem.pesoEntrada,
+      saida,
+    );
+    if (!(pesoLiquido > 0)) {
+      throw new Error(
+        pesagem.tipo === "venda"
+          ? "O peso de saída precisa ser maior que o de entrada"
+          : "O peso de saída precisa ser menor que o de entrada",
+      );
+    }
+    if (itens.length === 0) {
+      throw new Error("Informe pelo menos um material");
+    }
+    const somaItens = Number(
+      itens.reduce((sum, item) => sum + (Number(item.peso) || 0), 0).toFixed(3),
+    );
+    if (Math.abs(somaItens - pesoLiquido) > 0.001) {
+      throw new Error(
+        `Os materiais somam ${somaItens} kg, mas o peso líquido é ${pesoLiquido} kg`,
+      );
+    }
+
+    const linhas = itens.map((item) => {
+      const peso = Number(Number(item.peso).toFixed(3));
+      const desconto = Number(item.descontoImpureza) || 0;
+      const quantidade = calculateNetWeight(peso, 0, desconto);
+      const precoUnitario = Number(Number(item.precoUnitario).toFixed(3));
+      if (!(quantidade > 0) || !(precoUnitario > 0)) {
+        throw new Error(
+          "Cada material precisa de peso e preço maiores que zero",
+        );
+      }
+      return {
+        material: item.material,
+        quantidade,
+        precoUnitario,
+        valorTotal: Number((quantidade * precoUnitario).toFixed(3)),
+        // Com desconto, a parte do caminhão fica como peso bruto da linha
+        ...(desconto > 0 && {
+          pesoBruto: peso,
+          tara: 0,
+          descontoImpureza: desconto,
+        }),
+      };
+    });
+
+    const now = new Date();
+    const header = {
+      tipo: pesagem.tipo,
+      vendedor: pesagem.vendedor || "",
+      clienteId: pesagem.clienteId || "",
+      observacoes: pesagem.observacoes || "",
+      data: now,
+      formaPagamento,
+      numeroTransacao: "",
+      pesagemId: id,
+      placa: pesagem.placa,
+    };
+    // Mais de um material: as linhas ficam agrupadas como um ticket
+    const entries = buildTicketEntries(
+      header,
+      linhas,
+      linhas.length > 1 ? id : null,
+    );
+    const valorTotal = Number(
+      linhas.reduce((sum, linha) => sum + linha.valorTotal, 0).toFixed(3),
+    );
+
+    await commitNewTransactions(
+      entries,
+      { observacao: `Pesagem ${pesagem.placa}` },
+      {
+        ref: ticketRef,
+        check: (snap) => {
+          if (snap.data()?.status !== "aberto") {
+            throw new Error("Este ticket de pesagem já foi fechado");
+          }
+        },
+        data: {
+          status: "concluido",
+          pesoSaida: saida,
+          pesoLiquido,
+          saidaEm: now,
+          valorTotal,
+          formaPagamento,
+          transacaoIds: entries.map(({ ref }) => ref.id),
+          concluidoPor: getActorStamp(),
+        },
+      },
+    );
+
+    console.log(
+      `[v0] Ticket de pesagem ${id} concluído: ${pesoLiquido} kg em ${linhas.length} transação(ões)`,
+    );
+    return {
+      id,
+      pesoLiquido,
+      valorTotal,
+      ids: entries.map(({ ref }) => ref.id),
+    };
+  } catch (error) {
+    console.error("[v0] Erro ao concluir ticket de pesagem:", error);
+    throw error;
+  }
+};
+
+export const cancelWeighingTicket = async ({ id, motivo = "" }) => {
+  try {
+    assertPermission("transactions.create");
+    const ticketRef = doc(db, WEIGHING_TICKETS_COLLECTION, id);
+    await runTransaction(db, async (tx) => {
+      const snap = await tx.get(ticketRef);
+      if (snap.data()?.status !== "aberto") {
+        throw new Error("Só é possível cancelar um ticket aberto");
+      }
+      tx.update(ticketRef, {
+        status: "cancelado",
+        motivoCancelamento: motivo,
+        saidaEm: new Date(),
+        concluidoPor: getActorStamp(),
+      });
+    });
+    console.log(`[v0] Ticket de pesagem ${id} cancelado`);
+  } catch (error) {
+    console.error("[v0] Erro ao cancelar ticket de pesagem:", error);
+    throw error;
+  }
+};
+
+// =============================================
+// DADOS DA EMPRESA
+// =============================================
+// Cabeçalho dos comprovantes, em settings/empresa.
+
+export const getCompanyProfile = async () => {
+  try {
+    const snap = await getDoc(doc(db, SETTINGS_COLLECTION, "empresa"));
+    return snap.exists() ? snap.data() : {};
+  } catch (error) {
+    console.error("[v0] Erro ao buscar dados da empresa:", error);
+    throw error;
+  }
+};
+
+export const saveCompanyProfile = async (profile) => {
+  try {
+    assertPermission("company.manage");
+    await setDoc(
+      doc(db, SETTINGS_COLLECTION, "empresa"),
+      { ...profile, updatedAt: Timestamp.now() },
+      { merge: true },
+    );
+    console.log("[v0] Dados da empresa salvos");
+  } catch (error) {
+    console.error("[v0] Erro ao salvar dados da empresa:", error);
+    throw error;
+  }
+};
+
+// =============================================
+// COMPROVANTES (RECIBOS)
+// =============================================
+// Um comprovante por transação avulsa ou por ticket (chave = id da transação
+// ou ticketId). A primeira impressão recebe o próximo número sequencial de
+// settings/recibos; as reimpressões entram no histórico do mesmo número.
+
+const mapReceiptDoc = (id, data) => ({
+  id,
+  ...data,
+  emitidoEm: toJsDate(data.emitidoEm, null),
+  impressoes: (data.impressoes || []).map((impressao) => ({
+    ...impressao,
+    em: toJsDate(impressao.em, null),
+  })),
+});
+
+export const getReceipt = async (key) => {
+  try {
+    const snap = await getDoc(doc(db, RECEIPTS_COLLECTION, key));
+    return snap.exists() ? mapReceiptDoc(snap.id, snap.data()) : null;
+  } catch (error) {
+    console.error("[v0] Erro ao buscar comprovante:", error);
+    throw error;
+  }
+};
+
+export const issueReceipt = async ({ key, transactionIds, layout }) => {
+  try {
+    assertPermission("receipts.print");
+    const receiptRef = doc(db, RECEIPTS_COLLECTION, key);
+    const counterRef = doc(db, SETTINGS_COLLECTION, "recibos");
+    const impressao = { em: new Date(), por: getActorStamp(), layout };
+
+    const receipt = await runTransaction(db, async (tx) => {
+      const receiptSnap = await tx.get(receiptRef);
+      if (receiptSnap.exists()) {
+        const current = receiptSnap.data();
+        const impressoes = [...(current.impressoes || []), impressao];
+        tx.update(receiptRef, { impressoes });
+        return { ...current, impressoes };
+      }
+
+      const counterSnap = await tx.get(counterRef);
+      const numero = (counterSnap.data()?.ultimoNumero || 0) + 1;
+      const created = {
+        numero,
+        transactionIds,
+        emitidoEm: impressao.em,
+        emitidoPor: impressao.por,
+        impressoes: [impressao],
+      };
+      tx.set(counterRef, { ultimoNumero: numero, updatedAt: impressao.em });
+      tx.set(receiptRef, created);
+      return created;
+    });
+
+    console.log(
+      `[v0] Comprovante ${receipt.numero} impresso (${receipt.impressoes.length}ª via)`,
+    );
+    return mapReceiptDoc(key, receipt);
+  } catch (error) {
+    console.error("[v0] Erro ao emitir comprovante:", error);
+    throw error;
+  }
+};
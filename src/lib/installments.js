@@ -0,0 +1,170 @@
+/**
+ * Vencimentos e parcelas das dívidas dos clientes
+ *
+ * Um empréstimo (ou outro débito da conta corrente) pode trazer
+ * parcelas: [{ numero, valor, vencimento }]; vencimento único é uma parcela só.
+ * A situação de cada parcela sai da conta corrente: os créditos do cliente
+ * (pagamentos e abates) quitam os débitos do mais antigo para o mais novo,
+ * usando o vencimento quando há e a data do lançamento quando não há.
+ */
+
+import { addDays, addMonths, startOfDay } from "date-fns";
+import { getLedgerImpact } from "./debtLedger";
+import { toJsDate } from "./reportAggregator";
+
+export const INSTALLMENT_STATUS = {
+  a_vencer: { label: "A vencer", className: "bg-blue-100 text-blue-700" },
+  vencida: { label: "Vencida", className: "bg-red-100 text-red-700" },
+  paga: { label: "Paga", className: "bg-emerald-100 text-emerald-700" },
+};
+
+// Janela da lista "vence esta semana" do painel, contando hoje
+export const DUE_SOON_DAYS = 7;
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+/**
+ * Divide o valor em parcelas mensais a partir do primeiro vencimento.
+ * Os centavos que sobram da divisão vão para a última parcela.
+ */
+export const buildInstallments = ({
+  valor,
+  quantidade = 1,
+  primeiroVencimento,
+}) => {
+  const total = roundMoney(valor);
+  const count = Math.max(1, Math.floor(Number(quantidade) || 1));
+  const first = toJsDate(primeiroVencimento, null);
+  if (!first) throw new Error("Informe a data do primeiro vencimento");
+  if (!(total > 0)) throw new Error("Informe um valor válido");
+
+  const base = Math.floor((total / count) * 100) / 100;
+  return Array.from({ length: count }, (_, index) => {
+    const vencimento = addMonths(first, index);
+    vencimento.setHours(12, 0, 0, 0);
+    return {
+      numero: index + 1,
+      valor:
+        index === count - 1 ? roundMoney(total - base * (count - 1)) : base,
+      vencimento,
+    };
+  });
+};
+
+// Parcelas do lançamento; se o valor mudou depois, a última absorve a diferença
+const getEntryInstallments = (entry, impacto) => {
+  const parcelas = entry.parcelas || [];
+  if (parcelas.length === 0) {
+    return [{ numero: 1, valor: impacto, vencimento: null }];
+  }
+  let restante = impacto;
+  return parcelas.map((parcela, index) => {
+    const valor =
+      index === parcelas.length - 1
+        ? roundMoney(restante)
+        : Math.min(roundMoney(parcela.valor), roundMoney(restante));
+    restante -= valor;
+    return {
+      numero: parcela.numero || index + 1,
+      valor: Math.max(valor, 0),
+      vencimento: toJsDate(parcela.vencimento, null),
+    };
+  });
+};
+
+/**
+ * Aplica os créditos de cada cliente sobre os débitos, do mais antigo para o
+ * mais novo. Devolve todos os débitos (com ou sem vencimento) com o valor
+ * pago, o que resta em aberto e a situação.
+ */
+export const allocateLedgerDebts = (entries = [], today = new Date()) => {
+  const hoje = startOfDay(today);
+  const byClient = {};
+  entries.forEach((entry) => {
+    if (!byClient[entry.clienteId]) byClient[entry.clienteId] = [];
+    byClient[entry.clienteId].push(entry);
+  });
+
+  return Object.entries(byClient).flatMap(([clienteId, clientEntries]) => {
+    let credito = 0;
+    const debitos = [];
+    clientEntries.forEach((entry) => {
+      const impacto = getLedgerImpact(entry);
+      if (impacto < 0) {
+        credito += Math.abs(impacto);
+        return;
+      }
+      if (impacto === 0) return;
+      const parcelas = getEntryInstallments(entry, impacto);
+      parcelas.forEach((parcela) => {
+        debitos.push({
+          ...parcela,
+          clienteId,
+          lancamentoId: entry.id,
+          tipo: entry.tipo,
+          descricao: entry.descricao,
+          totalParcelas: entry.parcelas?.length || 1,
+          dataLancamento: toJsDate(entry.data, null),
+        });
+      });
+    });
+
+    const ordem = (parcela) =>
+      parcela.vencimento || parcela.dataLancamento || hoje;
+    debitos.sort((a, b) => ordem(a) - ordem(b));
+    return debitos.map((parcela) => {
+      const pago = roundMoney(Math.min(parcela.valor, credito));
+      credito = Math.max(credito - pago, 0);
+      const restante = roundMoney(parcela.valor - pago);
+      const status =
+        restante <= 0
+          ? "paga"
+          : parcela.vencimento && parcela.vencimento < hoje
+            ? "vencida"
+            : "a_vencer";
+      return { ...parcela, pago, restante, status };
+    });
+  });
+};
+
+/**
+ * Parcelas com vencimento de todos os clientes presentes em entries
+ * (lançamentos da conta corrente), já com o valor pago e a situação.
+ */
+export const buildInstallmentSchedule = (entries = [], today = new Date()) =>
+  allocateLedgerDebts(entries, today).filter((parcela) => parcela.vencimento);
+
+// clienteId → { valor, quantidade, desde } das parcelas vencidas
+export const getOverdueByClient = (schedule = []) => {
+  const overdue = {};
+  schedule
+    .filter((parcela) => parcela.status === "vencida")
+    .forEach((parcela) => {
+      const atual = overdue[parcela.clienteId] || {
+        valor: 0,
+        quantidade: 0,
+        desde: parcela.vencimento,
+      };
+      overdue[parcela.clienteId] = {
+        valor: roundMoney(atual.valor + parcela.restante),
+        quantidade: atual.quantidade + 1,
+        desde:
+          parcela.vencimento < atual.desde ? parcela.vencimento : atual.desde,
+      };
+    });
+  return overdue;
+};
+
+// Parcelas em aberto que vencem de hoje até DUE_SOON_DAYS dias à frente
+export const getDueSoon = (schedule = [], today = new Date()) => {
+  const inicio = startOfDay(today);
+  const fim = addDays(inicio, DUE_SOON_DAYS);
+  return schedule
+    .filter(
+      (parcela) =>
+        parcela.status === "a_vencer" &&
+        parcela.vencimento >= inicio &&
+        parcela.vencimento < fim,
+    )
+    .sort((a, b) => a.vencimento - b.vencimento);
+};
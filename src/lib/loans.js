@@ -0,0 +1,37 @@
+/**
+ * Empréstimos a clientes
+ *
+ * Cada empréstimo (coleção loans) guarda o valor emprestado e os pagamentos
+ * parciais recebidos. O valor e cada pagamento também entram na conta
+ * corrente do cliente (customer_ledger), que continua sendo a fonte do saldo.
+ */
+
+const roundMoney = (value) => Number((Number(value) || 0).toFixed(2));
+
+// Id do lançamento de empréstimo na conta corrente
+export const getLoanLedgerId = (loanId) => `loan_${loanId}`;
+
+export const getLoanPending = (loan) =>
+  Math.max(roundMoney((loan?.valor || 0) - (loan?.valorPago || 0)), 0);
+
+export const getLoanStatus = (loan) =>
+  getLoanPending(loan) === 0 ? "quitado" : "aberto";
+
+// Totais de uma lista de empréstimos (de um cliente ou de todos)
+export const calculateLoanTotals = (loans = []) => {
+  const totalLoans = roundMoney(
+    loans.reduce((sum, loan) => sum + (Number(loan.valor) || 0), 0),
+  );
+  const totalPaid = roundMoney(
+    loans.reduce((sum, loan) => sum + (Number(loan.valorPago) || 0), 0),
+  );
+  return {
+    totalLoans,
+    totalPaid,
+    pending: roundMoney(
+      loans.reduce((sum, loan) => sum + getLoanPending(loan), 0),
+    ),
+    loansCount: loans.length,
+    openCount: loans.filter((loan) => getLoanStatus(loan) === "aberto").length,
+  };
+};
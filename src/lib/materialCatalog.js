@@ -0,0 +1,62 @@
+/**
+ * Catálogo de Materiais em memória
+ *
+ * Mantém a última versão da coleção "materials" recebida do Firestore para que
+ * utilitários fora do React (getMaterialName, relatórios, PDFs, normalização de
+ * chaves legadas) leiam do mesmo catálogo que as telas. O DataContext chama
+ * setMaterialCatalog a cada snapshot; até lá vale o catálogo padrão.
+ */
+
+import { DEFAULT_MATERIALS, MATERIAL_COLORS } from "../config/materials";
+
+let catalog = DEFAULT_MATERIALS;
+let byKey = {};
+let aliasToKey = {};
+
+function indexCatalog() {
+  byKey = {};
+  aliasToKey = {};
+  catalog.forEach((material) => {
+    byKey[material.key] = material;
+    (material.aliases || []).forEach((alias) => {
+      aliasToKey[alias] = material.key;
+    });
+  });
+}
+
+indexCatalog();
+
+export const setMaterialCatalog = (materials) => {
+  catalog = materials && materials.length > 0 ? materials : DEFAULT_MATERIALS;
+  indexCatalog();
+};
+
+// Todos os materiais, inclusive os arquivados (necessários para o histórico)
+export const getMaterialCatalog = () => catalog;
+
+// Apenas materiais ativos, na ordem de exibição dos formulários
+export const getActiveMaterials = () =>
+  catalog.filter((material) => material.ativo !== false);
+
+/**
+ * Converte uma chave legada (alias) na chave atual do catálogo.
+ * Chaves desconhecidas são devolvidas como vieram.
+ */
+export const resolveMaterialKey = (key) => {
+  if (!key) return key;
+  if (byKey[key]) return key;
+  return aliasToKey[key] || key;
+};
+
+// Mapa { apelido: chave } usado pelas migrações de inventário
+export const getAliasMappings = () => ({ ...aliasToKey });
+
+export const getMaterialByKey = (key) => byKey[resolveMaterialKey(key)];
+
+export const getMaterialName = (key) => getMaterialByKey(key)?.name || key;
+
+// Classe Tailwind da cor do material; variant "solid" (padrão) ou "soft"
+export const getMaterialColorClass = (key, variant = "solid") => {
+  const color = MATERIAL_COLORS[getMaterialByKey(key)?.color];
+  return (color || MATERIAL_COLORS.gray)[variant];
+};
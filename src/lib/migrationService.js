@@ -7,12 +7,13 @@
 
 import { doc, getDoc, setDoc } from "firebase/firestore";
 import { db } from "./firebase";
+import { getAliasMappings, getMaterialCatalog } from "./materialCatalog";
 
 const INVENTORY_COLLECTION = "inventory";
 
 /**
  * Migra dados do inventário de chaves antigas para chaves novas
- * Exemplo: "perfil" → "perfil natural"
+ * conforme os apelidos do catálogo. Exemplo: "perfil" → "perfil natural"
  */
 export const migrateInventoryKeys = async () => {
   try {
@@ -28,11 +29,8 @@ export const migrateInventoryKeys = async () => {
     let needsUpdate = false;
     const updatedInventory = { ...currentInventory };
 
-    // Mapeamento de chaves antigas para novas
-    const keyMappings = {
-      perfil: "perfil natural",
-      // Adicionar mais mapeamentos conforme necessário
-    };
+    // Mapeamento de chaves antigas para novas (apelidos do catálogo)
+    const keyMappings = getAliasMappings();
 
     // Processar cada mapeamento
     for (const [oldKey, newKey] of Object.entries(keyMappings)) {
@@ -83,40 +81,16 @@ export const validateInventoryKeys = async () => {
     const inventory = docSnap.data();
     const issues = [];
 
-    // Chaves esperadas (baseado em TransactionForm.jsx)
-    const expectedKeys = [
-      "ferro",
-      "aluminio",
-      "cobre",
-      "cobre_mel",
-      "bronze",
-      "magnesio",
-      "latinha",
-      "panela",
-      "bloco2",
-      "chapa",
-      "perfil natural",
-      "perfil pintado",
-      "bloco",
-      "metal",
-      "inox",
-      "bateria",
-      "motor_gel",
-      "roda",
-      "papelao",
-      "papel_branco",
-      "rad_metal",
-      "rad_cobre",
-      "rad_chapa",
-      "tela",
-      "antimonio",
-      "cabo_ai",
-      "tubo_limpo",
-    ];
+    // Chaves esperadas (catálogo de materiais, incluindo arquivados)
+    const expectedKeys = getMaterialCatalog().map((material) => material.key);
 
     // Verificar chaves inesperadas
     for (const key of Object.keys(inventory)) {
-      if (key !== "updatedAt" && !expectedKeys.includes(key)) {
+      if (
+        key !== "updatedAt" &&
+        key !== "precos" &&
+        !expectedKeys.includes(key)
+      ) {
         issues.push({
           type: "unexpected_key",
           key,
@@ -127,13 +101,16 @@ export const validateInventoryKeys = async () => {
     }
 
     // Verificar chaves antigas problemáticas
-    if ("perfil" in inventory) {
-      issues.push({
-        type: "old_key",
-        key: "perfil",
-        quantity: inventory.perfil.quantidade || 0,
-        message: `Chave antiga "perfil" encontrada com ${inventory.perfil.quantidade || 0}kg. Deve ser migrada para "perfil natural"`,
-      });
+    for (const [oldKey, newKey] of Object.entries(getAliasMappings())) {
+      if (oldKey in inventory) {
+        const quantity = inventory[oldKey].quantidade || 0;
+        issues.push({
+          type: "old_key",
+          key: oldKey,
+          quantity,
+          message: `Chave antiga "${oldKey}" encontrada com ${quantity}kg. Deve ser migrada para "${newKey}"`,
+        });
+      }
     }
 
     return {
@@ -0,0 +1,86 @@
+/**
+ * Preços negociados por cliente/fornecedor
+ *
+ * Ficam no próprio cadastro do cliente, em precosNegociados:
+ * [{ material, tipo: "compra" | "venda", preco, validoDe, validoAte }], com
+ * as datas de validade como "aaaa-mm-dd" (vazias = sem limite). Enquanto
+ * vigente, o preço negociado substitui o preço de tabela do estoque.
+ */
+
+import { format } from "date-fns";
+
+const toDayKey = (date) => format(new Date(date), "yyyy-MM-dd");
+
+const isActiveOn = (price, day) =>
+  (!price.validoDe || price.validoDe <= day) &&
+  (!price.validoAte || day <= price.validoAte);
+
+/**
+ * Preço negociado vigente para o cliente, material e tipo na data.
+ * Havendo mais de um, vale o que começou por último. Retorna null sem acordo.
+ */
+export const getNegotiatedPrice = (
+  customer,
+  material,
+  tipo,
+  date = new Date(),
+) => {
+  if (!customer?.precosNegociados?.length || !material) return null;
+  const day = toDayKey(date);
+
+  const matches = customer.precosNegociados.filter(
+    (price) =>
+      price.material === material &&
+      (price.tipo || "compra") === tipo &&
+      Number(price.preco) > 0 &&
+      isActiveOn(price, day),
+  );
+  if (matches.length === 0) return null;
+
+  return matches.sort((a, b) =>
+    (b.validoDe || "").localeCompare(a.validoDe || ""),
+  )[0];
+};
+
+// Situação de um acordo hoje: "vigente", "futuro" ou "expirado"
+export const getNegotiatedPriceStatus = (price, date = new Date()) => {
+  const day = toDayKey(date);
+  if (price.validoDe && day < price.validoDe) return "futuro";
+  if (price.validoAte && day > price.validoAte) return "expirado";
+  return "vigente";
+};
+
+/**
+ * Valida e limpa a lista editada no cadastro do cliente.
+ * Lança um erro com a linha problemática; linhas vazias são descartadas.
+ */
+export const normalizeNegotiatedPrices = (prices = []) =>
+  prices
+    .filter((price) => price.material || price.preco)
+    .map((price, index) => {
+      const preco = Number(price.preco);
+      if (!price.material) {
+        throw new Error(`Preço negociado ${index + 1}: escolha o material`);
+      }
+      if (!Number.isFinite(preco) || preco <= 0) {
+        throw new Error(
+          `Preço negociado ${index + 1}: informe um preço válido`,
+        );
+      }
+      if (
+        price.validoDe &&
+        price.validoAte &&
+        price.validoAte < price.validoDe
+      ) {
+        throw new Error(
+          `Preço negociado ${index + 1}: a validade termina antes de começar`,
+        );
+      }
+      return {
+        material: price.material,
+        tipo: price.tipo === "venda" ? "venda" : "compra",
+        preco: Math.round(preco * 1000) / 1000,
+        validoDe: price.validoDe || "",
+        validoAte: price.validoAte || "",
+      };
+    });
@@ -0,0 +1,93 @@
+/**
+ * Perfis de acesso e mapa de permissões
+ *
+ * - owner (Proprietário): acesso total, inclusive usuários e lucro
+ * - operator (Operador): balança e caixa; registra compras, vendas e despesas
+ * - viewer (Consulta): apenas visualiza painel, estoque e relatórios
+ *
+ * A mesma tabela é usada para esconder abas e botões na interface e para
+ * barrar as chamadas no firebaseService. As regras do Firestore
+ * (firestore.rules) repetem a checagem no servidor.
+ */
+
+import { getCurrentActor } from "./currentActor";
+
+export const ROLES = {
+  owner: {
+    label: "Proprietário",
+    description: "Acesso total, incluindo lucro, preços e usuários",
+  },
+  operator: {
+    label: "Operador",
+    description: "Registra compras, vendas e despesas; não exclui nem edita",
+  },
+  viewer: {
+    label: "Consulta",
+    description: "Apenas visualiza painel, estoque e relatórios",
+  },
+};
+
+export const DEFAULT_ROLE = "viewer";
+
+// Permissão → perfis que a possuem
+export const PERMISSIONS = {
+  // Abas da navegação
+  "nav.dashboard": ["owner", "operator", "viewer"],
+  "nav.clients": ["owner", "operator"],
+  "nav.transaction": ["owner", "operator"],
+  "nav.inventory": ["owner", "operator", "viewer"],
+  "nav.expenses": ["owner", "operator"],
+  "nav.cash": ["owner", "operator"],
+  "nav.weighing": ["owner", "operator"],
+  "nav.reports": ["owner", "operator", "viewer"],
+  "nav.settings": ["owner"],
+
+  // Transações
+  "transactions.create": ["owner", "operator"],
+  "transactions.edit": ["owner"],
+  "transactions.delete": ["owner"],
+  "transactions.audit": ["owner"],
+  "transactions.import": ["owner"],
+  "receipts.print": ["owner", "operator"],
+
+  // Caixa
+  "cash.operate": ["owner", "operator"],
+
+  // Clientes
+  "clients.delete": ["owner"],
+  "clients.prices": ["owner"],
+  // Conta corrente: o balcão lança pagamentos e empréstimos; ajustes,
+  // revisão e migração ficam com o proprietário
+  "clients.ledger": ["owner", "operator"],
+  "clients.ledgerReview": ["owner"],
+
+  // Estoque e catálogo
+  "inventory.edit": ["owner"],
+  "materials.manage": ["owner"],
+
+  // Relatórios
+  "reports.viewProfit": ["owner"],
+  "reports.rebuild": ["owner"],
+  // As exportações trazem lucro e margens
+  "reports.export": ["owner"],
+  "reports.shifts": ["owner"],
+
+  // Administração
+  "users.manage": ["owner"],
+  "backup.manage": ["owner"],
+  "company.manage": ["owner"],
+};
+
+export const can = (permission, role = getCurrentActor().role) =>
+  (PERMISSIONS[permission] || []).includes(role);
+
+// Usado pela camada de serviço: interrompe a operação se o perfil não permitir
+export const assertPermission = (permission) => {
+  const actor = getCurrentActor();
+  if (!can(permission, actor.role)) {
+    const roleLabel = ROLES[actor.role]?.label || "sem perfil";
+    throw new Error(
+      `Permissão negada: o perfil "${roleLabel}" não pode realizar esta ação (${permission})`,
+    );
+  }
+};
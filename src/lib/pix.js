@@ -0,0 +1,120 @@
+/**
+ * PIX "copia e cola" (BR Code)
+ *
+ * Monta o payload EMV do Banco Central a partir da chave PIX da empresa
+ * (settings/empresa). Sem valor o código é estático e pode ser reutilizado;
+ * com valor e txid ele identifica uma cobrança específica. O mesmo texto
+ * vira o QR code lido pelo app do banco.
+ */
+
+const GUI_PIX = "br.gov.bcb.pix";
+
+const UUID_PATTERN =
+  /^[0-9a-f]{8}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{4}-[0-9a-f]{12}$/i;
+
+// Campo TLV: id + tamanho com dois dígitos + valor
+const tlv = (id, value) => {
+  if (value.length > 99) {
+    throw new Error(`Campo PIX ${id} excede 99 caracteres`);
+  }
+  return `${id}${String(value.length).padStart(2, "0")}${value}`;
+};
+
+// Nome, cidade e descrição só aceitam ASCII: tira acentos e símbolos
+const sanitizeText = (text, maxLength) =>
+  String(text || "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .replace(/[^A-Za-z0-9 .,\-/]/g, "")
+    .replace(/\s+/g, " ")
+    .trim()
+    .slice(0, maxLength);
+
+// CRC16-CCITT (polinômio 0x1021, início 0xFFFF), exigido no campo 63
+export const crc16 = (payload) => {
+  let crc = 0xffff;
+  for (let i = 0; i < payload.length; i++) {
+    crc ^= payload.charCodeAt(i) << 8;
+    for (let bit = 0; bit < 8; bit++) {
+      crc = crc & 0x8000 ? (crc << 1) ^ 0x1021 : crc << 1;
+      crc &= 0xffff;
+    }
+  }
+  return crc.toString(16).toUpperCase().padStart(4, "0");
+};
+
+/**
+ * Coloca a chave no formato que o DICT espera: e-mail em minúsculas,
+ * telefone como +55DDDNÚMERO, CPF/CNPJ só com dígitos e chave aleatória
+ * (EVP) em minúsculas. Lança um erro quando não reconhece a chave.
+ */
+export const normalizePixKey = (chave) => {
+  const value = String(chave || "").trim();
+  if (!value) throw new Error("Informe a chave PIX");
+
+  if (value.includes("@")) return value.toLowerCase();
+  if (UUID_PATTERN.test(value)) return value.toLowerCase();
+
+  const digits = value.replace(/\D/g, "");
+  const looksLikePhone = /^[+(]/.test(value);
+  if (looksLikePhone) {
+    const phone = digits.startsWith("55") ? digits : `55${digits}`;
+    if (phone.length === 12 || phone.length === 13) return `+${phone}`;
+  } else if (digits.length === 11 || digits.length === 14) {
+    return digits;
+  }
+
+  throw new Error(
+    "Chave PIX inválida: use CPF/CNPJ, e-mail, telefone com +55 ou chave aleatória",
+  );
+};
+
+// txid: até 25 caracteres alfanuméricos; "***" quando não há identificador
+export const normalizeTxid = (txid) =>
+  String(txid || "")
+    .replace(/[^A-Za-z0-9]/g, "")
+    .slice(0, 25) || "***";
+
+/**
+ * Gera o payload "copia e cola".
+ * chave, nome e cidade vêm do cadastro da empresa; valor (em reais),
+ * txid e descricao são opcionais.
+ */
+export const buildPixPayload = ({
+  chave,
+  nome,
+  cidade,
+  valor,
+  txid,
+  descricao,
+}) => {
+  const merchantName = sanitizeText(nome, 25);
+  const merchantCity = sanitizeText(cidade, 15);
+  if (!merchantName) throw new Error("Informe o nome da empresa");
+  if (!merchantCity) throw new Error("Informe a cidade da empresa");
+
+  const amount = Number(valor);
+  const hasAmount = Number.isFinite(amount) && amount > 0;
+  const info = sanitizeText(descricao, 40);
+
+  const merchantAccount =
+    tlv("00", GUI_PIX) +
+    tlv("01", normalizePixKey(chave)) +
+    (info ? tlv("02", info) : "");
+
+  const payload =
+    tlv("00", "01") +
+    // 12 = cobrança de uso único; sem valor fica o QR estático reutilizável
+    (hasAmount ? tlv("01", "12") : "") +
+    tlv("26", merchantAccount) +
+    tlv("52", "0000") +
+    tlv("53", "986") +
+    (hasAmount ? tlv("54", amount.toFixed(2)) : "") +
+    tlv("58", "BR") +
+    tlv("59", merchantName) +
+    tlv("60", merchantCity) +
+    tlv("62", tlv("05", normalizeTxid(txid))) +
+    "6304";
+
+  return payload + crc16(payload);
+};
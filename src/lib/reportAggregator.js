@@ -0,0 +1,508 @@
+/**
+ * Agregador de Relatórios - Mantém a coleção daily_reports a partir de transactions
+ *
+ * Cada documento de daily_reports (ID = dia local no formato YYYY-MM-DD) segue o
+ * formato DailyReport de src/types: totais, contagens, materialStats e paymentStats.
+ *
+ * As funções puras deste módulo são usadas por firebaseService na escrita atômica
+ * de cada transação. rebuildDailyReports reconstrói um período inteiro do zero,
+ * lendo as transações, e rebuildLiveSummary recalcula reports/live_summary a
+ * partir dos relatórios diários. backfillCostOfGoods apura o custo médio e o
+ * CMV (custo da mercadoria vendida) de vendas gravadas antes dessa apuração.
+ */
+
+import {
+  collection,
+  doc,
+  getDocs,
+  query,
+  where,
+  orderBy,
+  writeBatch,
+  runTransaction,
+  Timestamp,
+} from "firebase/firestore";
+import { format } from "date-fns";
+import { db } from "./firebase";
+import { resolveMaterialKey } from "./materialCatalog";
+import { assertPermission } from "./permissions";
+import {
+  calculateWeightedAverageCost,
+  hasCostOfGoods,
+} from "../utils/calculations";
+
+const TRANSACTIONS_COLLECTION = "transactions";
+const DAILY_REPORTS_COLLECTION = "daily_reports";
+const LIVE_SUMMARY_COLLECTION = "reports";
+const INVENTORY_COLLECTION = "inventory";
+
+// Limite de operações por writeBatch do Firestore é 500; deixamos folga
+const BATCH_SIZE = 450;
+
+// Converte Timestamp do Firestore, Date ou string em Date. Sem valor (ou com
+// um valor inválido) devolve fallback: agora, ou null quando informado
+export function toJsDate(value, fallback = new Date()) {
+  if (value && typeof value.toDate === "function") return value.toDate();
+  if (!value) return fallback;
+  const date = value instanceof Date ? value : new Date(value);
+  return isNaN(date) ? fallback : date;
+}
+
+// Chave do dia no fuso local (YYYY-MM-DD) — é o ID do documento em daily_reports
+export const getDayKey = (date) => format(date, "yyyy-MM-dd");
+export const getMonthKey = (date) => format(date, "yyyy-MM");
+
+// Evita acúmulo de erro de ponto flutuante nos totais (kg e R$ com 3 casas)
+export const round3 = (value) => Math.round((Number(value) || 0) * 1000) / 1000;
+
+// Extrai da transação apenas o que afeta estoque e relatórios
+export function getTransactionEffect(transaction) {
+  if (!transaction) return null;
+  return {
+    tipo: transaction.tipo || transaction.type,
+    material: resolveMaterialKey(transaction.material || ""),
+    quantidade: Number(transaction.quantidade || transaction.weight) || 0,
+    valor: Number(transaction.valorTotal || transaction.total) || 0,
+    // CMV da venda; null em vendas antigas, que ficam fora do lucro bruto
+    custo: hasCostOfGoods(transaction)
+      ? Number(transaction.custoMercadoria) || 0
+      : null,
+    formaPagamento: transaction.formaPagamento || "dinheiro",
+    data: toJsDate(transaction.data),
+  };
+}
+
+export function createEmptyDailyReport(date) {
+  const dayStart = new Date(date);
+  dayStart.setHours(0, 0, 0, 0);
+  return {
+    date: dayStart,
+    dateString: getDayKey(dayStart),
+    totalSales: 0,
+    totalPurchases: 0,
+    totalExpenses: 0,
+    totalProfit: 0,
+    totalCostOfSales: 0,
+    totalGrossProfit: 0,
+    totalTransactions: 0,
+    salesCount: 0,
+    purchasesCount: 0,
+    expensesCount: 0,
+    materialStats: {},
+    paymentStats: {},
+  };
+}
+
+// Cópia com os mapas aninhados clonados, para poder mutar com segurança
+export function cloneDailyReport(data) {
+  const materialStats = {};
+  for (const [material, stats] of Object.entries(data.materialStats || {})) {
+    materialStats[material] = { ...stats };
+  }
+  const paymentStats = {};
+  for (const [forma, stats] of Object.entries(data.paymentStats || {})) {
+    paymentStats[forma] = { ...stats };
+  }
+  return { ...data, materialStats, paymentStats };
+}
+
+// sign = +1 para somar a transação ao relatório, -1 para retirá-la
+export function applyEffectToDailyReport(report, effect, sign) {
+  const valor = sign * effect.valor;
+
+  report.totalTransactions = (report.totalTransactions || 0) + sign;
+
+  if (effect.tipo === "venda") {
+    report.totalSales = round3((report.totalSales || 0) + valor);
+    report.salesCount = (report.salesCount || 0) + sign;
+    if (effect.custo !== null) {
+      const custo = sign * effect.custo;
+      report.totalCostOfSales = round3((report.totalCostOfSales || 0) + custo);
+      report.totalGrossProfit = round3(
+        (report.totalGrossProfit || 0) + valor - custo,
+      );
+    }
+  } else if (effect.tipo === "compra") {
+    report.totalPurchases = round3((report.totalPurchases || 0) + valor);
+    report.purchasesCount = (report.purchasesCount || 0) + sign;
+  } else if (effect.tipo === "despesa") {
+    report.totalExpenses = round3((report.totalExpenses || 0) + valor);
+    report.expensesCount = (report.expensesCount || 0) + sign;
+  }
+
+  report.totalProfit = round3(
+    (report.totalSales || 0) -
+      (report.totalPurchases || 0) -
+      (report.totalExpenses || 0),
+  );
+
+  if (
+    effect.material &&
+    (effect.tipo === "compra" || effect.tipo === "venda")
+  ) {
+    const stats = report.materialStats[effect.material] || {
+      vendas: 0,
+      compras: 0,
+      quantidade: 0,
+      lucro: 0,
+      transacoes: 0,
+    };
+    if (effect.tipo === "venda") {
+      stats.vendas = round3(stats.vendas + valor);
+      stats.quantidade = round3(stats.quantidade + sign * effect.quantidade);
+      if (effect.custo !== null) {
+        const custo = sign * effect.custo;
+        stats.custoVendas = round3((stats.custoVendas || 0) + custo);
+        stats.lucroBruto = round3((stats.lucroBruto || 0) + valor - custo);
+        stats.quantidadeCusteada = round3(
+          (stats.quantidadeCusteada || 0) + sign * effect.quantidade,
+        );
+      }
+    } else {
+      stats.compras = round3(stats.compras + valor);
+    }
+    stats.transacoes += sign;
+    stats.lucro = round3(stats.vendas - stats.compras);
+
+    if (stats.transacoes > 0) {
+      report.materialStats[effect.material] = stats;
+    } else {
+      delete report.materialStats[effect.material];
+    }
+  }
+
+  const payStats = report.paymentStats[effect.formaPagamento] || {
+    total: 0,
+    count: 0,
+  };
+  payStats.total = round3(payStats.total + valor);
+  payStats.count += sign;
+  if (payStats.count > 0) {
+    report.paymentStats[effect.formaPagamento] = payStats;
+  } else {
+    delete report.paymentStats[effect.formaPagamento];
+  }
+}
+
+export function createEmptyLiveSummary() {
+  return {
+    totalVendas: 0,
+    totalCompras: 0,
+    totalDespesas: 0,
+    totalLucro: 0,
+    totalCustoVendas: 0,
+    totalLucroBruto: 0,
+    totalTransacoes: 0,
+    vendasHoje: 0,
+    comprasHoje: 0,
+    transacoesHoje: 0,
+    totalVendasMes: 0,
+    totalComprasMes: 0,
+    totalDespesasMes: 0,
+  };
+}
+
+// Os contadores "Hoje" e "Mes" são zerados quando o dia/mês de referência vira
+export function applyEffectToLiveSummary(summary, effect, sign, now) {
+  const todayKey = getDayKey(now);
+  const monthKey = getMonthKey(now);
+
+  if (summary.diaReferencia !== todayKey) {
+    summary.vendasHoje = 0;
+    summary.comprasHoje = 0;
+    summary.transacoesHoje = 0;
+    summary.diaReferencia = todayKey;
+  }
+  if (summary.mesReferencia !== monthKey) {
+    summary.totalVendasMes = 0;
+    summary.totalComprasMes = 0;
+    summary.totalDespesasMes = 0;
+    summary.mesReferencia = monthKey;
+  }
+
+  const valor = sign * effect.valor;
+  const isToday = getDayKey(effect.data) === todayKey;
+  const isThisMonth = getMonthKey(effect.data) === monthKey;
+
+  summary.totalTransacoes = (summary.totalTransacoes || 0) + sign;
+  if (isToday) summary.transacoesHoje += sign;
+
+  if (effect.tipo === "venda") {
+    summary.totalVendas = round3((summary.totalVendas || 0) + valor);
+    if (effect.custo !== null) {
+      const custo = sign * effect.custo;
+      summary.totalCustoVendas = round3(
+        (summary.totalCustoVendas || 0) + custo,
+      );
+      summary.totalLucroBruto = round3(
+        (summary.totalLucroBruto || 0) + valor - custo,
+      );
+    }
+    if (isToday) summary.vendasHoje = round3(summary.vendasHoje + valor);
+    if (isThisMonth)
+      summary.totalVendasMes = round3(summary.totalVendasMes + valor);
+  } else if (effect.tipo === "compra") {
+    summary.totalCompras = round3((summary.totalCompras || 0) + valor);
+    if (isToday) summary.comprasHoje = round3(summary.comprasHoje + valor);
+    if (isThisMonth)
+      summary.totalComprasMes = round3(summary.totalComprasMes + valor);
+  } else if (effect.tipo === "despesa") {
+    summary.totalDespesas = round3((summary.totalDespesas || 0) + valor);
+    if (isThisMonth)
+      summary.totalDespesasMes = round3(summary.totalDespesasMes + valor);
+  }
+
+  summary.totalLucro = round3(
+    (summary.totalVendas || 0) -
+      (summary.totalCompras || 0) -
+      (summary.totalDespesas || 0),
+  );
+}
+
+/**
+ * Agrega uma lista de transações em relatórios diários, indexados pela chave do dia.
+ */
+export const buildDailyReports = (transactions) => {
+  const reports = {};
+
+  transactions.forEach((transaction) => {
+    const effect = getTransactionEffect(transaction);
+    const key = getDayKey(effect.data);
+    if (!reports[key]) {
+      reports[key] = createEmptyDailyReport(effect.data);
+    }
+    applyEffectToDailyReport(reports[key], effect, 1);
+  });
+
+  return reports;
+};
+
+function getDayRange(startDate, endDate) {
+  const start = new Date(startDate);
+  start.setHours(0, 0, 0, 0);
+  const end = new Date(endDate);
+  end.setHours(23, 59, 59, 999);
+  return { start, end };
+}
+
+// Grava uma lista de operações (batch) => void em lotes de até BATCH_SIZE
+export async function commitInBatches(operations) {
+  for (let i = 0; i < operations.length; i += BATCH_SIZE) {
+    const batch = writeBatch(db);
+    operations.slice(i, i + BATCH_SIZE).forEach((apply) => apply(batch));
+    await batch.commit();
+  }
+}
+
+/**
+ * Reconstrói do zero os daily_reports de um período a partir das transações.
+ *
+ * Dias sem transações têm o relatório removido, assim como documentos antigos
+ * do período gravados com outro ID. Transações gravadas durante a reconstrução
+ * podem ficar de fora: rode novamente se houver movimento no caixa.
+ *
+ * Retorna um resumo do que foi feito.
+ */
+export const rebuildDailyReports = async (startDate, endDate) => {
+  assertPermission("reports.rebuild");
+  const { start, end } = getDayRange(startDate, endDate);
+  console.log(
+    `[Aggregator] Reconstruindo daily_reports de ${getDayKey(start)} até ${getDayKey(end)}`,
+  );
+
+  const [transactionsSnap, reportsSnap] = await Promise.all([
+    getDocs(
+      query(
+        collection(db, TRANSACTIONS_COLLECTION),
+        where("data", ">=", Timestamp.fromDate(start)),
+        where("data", "<=", Timestamp.fromDate(end)),
+      ),
+    ),
+    getDocs(
+      query(
+        collection(db, DAILY_REPORTS_COLLECTION),
+        where("date", ">=", Timestamp.fromDate(start)),
+        where("date", "<=", Timestamp.fromDate(end)),
+      ),
+    ),
+  ]);
+
+  const reports = buildDailyReports(
+    transactionsSnap.docs.map((docSnap) => docSnap.data()),
+  );
+  const generatedAt = new Date();
+  const operations = [];
+
+  const staleIds = reportsSnap.docs
+    .map((docSnap) => docSnap.id)
+    .filter((id) => !reports[id]);
+  staleIds.forEach((id) => {
+    operations.push((batch) =>
+      batch.delete(doc(db, DAILY_REPORTS_COLLECTION, id)),
+    );
+  });
+
+  Object.entries(reports).forEach(([key, report]) => {
+    operations.push((batch) =>
+      batch.set(doc(db, DAILY_REPORTS_COLLECTION, key), {
+        ...report,
+        generatedAt,
+      }),
+    );
+  });
+
+  await commitInBatches(operations);
+
+  const result = {
+    transactions: transactionsSnap.size,
+    written: Object.keys(reports).length,
+    removed: staleIds.length,
+  };
+  console.log("[Aggregator] ✅ Reconstrução concluída:", result);
+  return result;
+};
+
+/**
+ * Recalcula reports/live_summary somando todos os daily_reports.
+ * Lê um documento por dia com movimento, não as transações.
+ */
+export const rebuildLiveSummary = async () => {
+  assertPermission("reports.rebuild");
+  const reportsSnap = await getDocs(
+    query(collection(db, DAILY_REPORTS_COLLECTION), orderBy("date", "asc")),
+  );
+
+  const now = new Date();
+  const todayKey = getDayKey(now);
+  const monthKey = getMonthKey(now);
+  const summary = {
+    ...createEmptyLiveSummary(),
+    diaReferencia: todayKey,
+    mesReferencia: monthKey,
+  };
+
+  reportsSnap.docs.forEach((docSnap) => {
+    const report = docSnap.data();
+    const date = toJsDate(report.date);
+    const isToday = getDayKey(date) === todayKey;
+    const isThisMonth = getMonthKey(date) === monthKey;
+
+    summary.totalVendas += report.totalSales || 0;
+    summary.totalCompras += report.totalPurchases || 0;
+    summary.totalDespesas += report.totalExpenses || 0;
+    summary.totalCustoVendas += report.totalCostOfSales || 0;
+    summary.totalLucroBruto += report.totalGrossProfit || 0;
+    summary.totalTransacoes += report.totalTransactions || 0;
+
+    if (isToday) {
+      summary.vendasHoje += report.totalSales || 0;
+      summary.comprasHoje += report.totalPurchases || 0;
+      summary.transacoesHoje += report.totalTransactions || 0;
+    }
+    if (isThisMonth) {
+      summary.totalVendasMes += report.totalSales || 0;
+      summary.totalComprasMes += report.totalPurchases || 0;
+      summary.totalDespesasMes += report.totalExpenses || 0;
+    }
+  });
+
+  for (const [key, value] of Object.entries(summary)) {
+    if (typeof value === "number") summary[key] = round3(value);
+  }
+  summary.totalLucro = round3(
+    summary.totalVendas - summary.totalCompras - summary.totalDespesas,
+  );
+  summary.updatedAt = now;
+
+  const batch = writeBatch(db);
+  batch.set(doc(db, LIVE_SUMMARY_COLLECTION, "live_summary"), summary);
+  await batch.commit();
+
+  console.log(
+    `[Aggregator] ✅ live_summary recalculado a partir de ${reportsSnap.size} dias`,
+  );
+  return summary;
+};
+
+/**
+ * Apura o custo médio e o CMV de todo o histórico.
+ *
+ * Percorre as transações em ordem cronológica recalculando o custo médio
+ * ponderado de cada material, grava custoMedioUnitario, custoMercadoria e
+ * lucroBruto nas vendas que ainda não têm CMV (ou em todas, com recalcular)
+ * e atualiza o custoMedio do inventory/current. Depois disso, reconstrua os
+ * daily_reports para que o lucro bruto apareça nos relatórios.
+ */
+export const backfillCostOfGoods = async ({ recalcular = false } = {}) => {
+  assertPermission("reports.rebuild");
+  console.log("[Aggregator] Apurando custo médio e CMV do histórico");
+
+  const transactionsSnap = await getDocs(
+    query(collection(db, TRANSACTIONS_COLLECTION), orderBy("data", "asc")),
+  );
+
+  const stock = {};
+  const operations = [];
+
+  transactionsSnap.docs.forEach((docSnap) => {
+    const transaction = docSnap.data();
+    const effect = getTransactionEffect(transaction);
+    if (!effect.material) return;
+    if (effect.tipo !== "compra" && effect.tipo !== "venda") return;
+
+    const item = stock[effect.material] || { quantidade: 0, custoMedio: 0 };
+
+    if (effect.tipo === "compra") {
+      item.custoMedio = calculateWeightedAverageCost(
+        item.quantidade,
+        item.custoMedio,
+        effect.quantidade,
+        effect.valor,
+      );
+      item.quantidade += effect.quantidade;
+    } else {
+      if (recalcular || !hasCostOfGoods(transaction)) {
+        const custoMedioUnitario = round3(item.custoMedio);
+        const custoMercadoria = round3(effect.quantidade * custoMedioUnitario);
+        operations.push((batch) =>
+          batch.update(docSnap.ref, {
+            custoMedioUnitario,
+            custoMercadoria,
+            lucroBruto: round3(effect.valor - custoMercadoria),
+          }),
+        );
+      }
+      item.quantidade -= effect.quantidade;
+    }
+
+    stock[effect.material] = item;
+  });
+
+  await commitInBatches(operations);
+
+  // Atualiza apenas o custo médio no estoque; quantidades e preços ficam como estão
+  const inventoryRef = doc(db, INVENTORY_COLLECTION, "current");
+  await runTransaction(db, async (tx) => {
+    const inventorySnap = await tx.get(inventoryRef);
+    if (!inventorySnap.exists()) return;
+    const inventory = { ...inventorySnap.data() };
+    for (const [material, item] of Object.entries(stock)) {
+      if (typeof inventory[material] !== "object" || !inventory[material]) {
+        continue;
+      }
+      inventory[material] = {
+        ...inventory[material],
+        custoMedio: round3(item.custoMedio),
+      };
+    }
+    tx.set(inventoryRef, { ...inventory, updatedAt: new Date() });
+  });
+
+  const result = {
+    transactions: transactionsSnap.size,
+    vendasAtualizadas: operations.length,
+    materiais: Object.keys(stock).length,
+  };
+  console.log("[Aggregator] ✅ CMV apurado:", result);
+  return result;
+};
@@ -0,0 +1,337 @@
+/**
+ * Importação de transações a partir de planilhas (CSV/XLSX)
+ *
+ * Fluxo: readSpreadsheet lê a primeira aba, guessColumnMapping sugere qual
+ * coluna alimenta cada campo, buildImportPreview converte e valida cada linha
+ * com o transactionSchema (simulação, nada é gravado) e, por fim,
+ * importTransactions (firebaseService) grava apenas as linhas válidas.
+ */
+
+import * as XLSX from "xlsx";
+import { transactionSchema } from "../schemas/transactionSchema";
+import { getMaterialCatalog, resolveMaterialKey } from "./materialCatalog";
+
+// Campos que podem receber uma coluna da planilha
+export const IMPORT_FIELDS = [
+  {
+    key: "tipo",
+    label: "Tipo (compra/venda/despesa)",
+    required: true,
+    aliases: ["tipo", "operacao", "movimento"],
+  },
+  {
+    key: "data",
+    label: "Data",
+    required: true,
+    aliases: ["data", "dia", "date"],
+  },
+  {
+    key: "material",
+    label: "Material",
+    aliases: ["material", "produto", "item"],
+  },
+  {
+    key: "quantidade",
+    label: "Quantidade (kg)",
+    aliases: ["quantidade", "qtd", "peso", "kg"],
+  },
+  {
+    key: "precoUnitario",
+    label: "Preço/kg",
+    aliases: ["precounitario", "preco", "precokg", "valorkg", "unitario"],
+  },
+  {
+    key: "valorTotal",
+    label: "Valor Total",
+    aliases: ["valortotal", "total", "valor"],
+  },
+  {
+    key: "formaPagamento",
+    label: "Forma de Pagamento",
+    aliases: ["formapagamento", "pagamento", "forma"],
+  },
+  {
+    key: "vendedor",
+    label: "Cliente/Fornecedor",
+    aliases: ["vendedor", "cliente", "fornecedor", "nome"],
+  },
+  {
+    // Sem o código do cadastro, vendas a prazo e pagamentos de dívida não
+    // entram na conta corrente do cliente
+    key: "clienteId",
+    label: "Código do Cliente",
+    aliases: ["clienteid", "idcliente", "codigocliente", "codcliente"],
+  },
+  {
+    key: "observacoes",
+    label: "Observações",
+    aliases: ["observacoes", "obs", "descricao", "historico"],
+  },
+];
+
+const PAYMENT_ALIASES = {
+  dinheiro: "dinheiro",
+  especie: "dinheiro",
+  pix: "pix",
+  pagamentodedivida: "pagamento_divida",
+  pagamentodivida: "pagamento_divida",
+  divida: "pagamento_divida",
+  cartaodecredito: "cartao_credito",
+  credito: "cartao_credito",
+  cartaodedebito: "cartao_debito",
+  debito: "cartao_debito",
+  transferencia: "transferencia",
+  ted: "transferencia",
+  prazo: "prazo",
+  aprazo: "prazo",
+  fiado: "prazo",
+};
+
+// Formas de pagamento que mexem na conta corrente e exigem o cliente
+const LEDGER_PAYMENTS = ["prazo", "pagamento_divida"];
+
+const TYPE_ALIASES = {
+  compra: "compra",
+  c: "compra",
+  entrada: "compra",
+  venda: "venda",
+  v: "venda",
+  saida: "venda",
+  despesa: "despesa",
+  d: "despesa",
+  gasto: "despesa",
+};
+
+// "Preço Unitário" → "precounitario": sem acentos, espaços e pontuação
+const normalizeText = (value) =>
+  String(value ?? "")
+    .normalize("NFD")
+    .replace(/[\u0300-\u036f]/g, "")
+    .toLowerCase()
+    .replace(/[^a-z0-9]/g, "");
+
+/**
+ * Lê a primeira aba de um arquivo CSV ou XLSX.
+ * Retorna { headers, rows }, com rows como arrays na ordem dos cabeçalhos.
+ */
+export const readSpreadsheet = async (file) => {
+  const workbook = XLSX.read(await file.arrayBuffer(), {
+    type: "array",
+    cellDates: true,
+  });
+  const sheet = workbook.Sheets[workbook.SheetNames[0]];
+  if (!sheet) throw new Error("A planilha está vazia");
+
+  const [headerRow = [], ...rows] = XLSX.utils.sheet_to_json(sheet, {
+    header: 1,
+    raw: true,
+    defval: "",
+    blankrows: false,
+  });
+  const headers = headerRow.map((header, index) =>
+    String(header || `Coluna ${index + 1}`).trim(),
+  );
+  if (headers.length === 0) {
+    throw new Error("A planilha não tem linha de cabeçalho");
+  }
+  return { headers, rows };
+};
+
+// Sugere { campo: índice da coluna } pelos nomes dos cabeçalhos
+export const guessColumnMapping = (headers) => {
+  const normalizedHeaders = headers.map(normalizeText);
+  const mapping = {};
+  IMPORT_FIELDS.forEach((field) => {
+    const index = normalizedHeaders.findIndex((header) =>
+      field.aliases.includes(header),
+    );
+    if (index >= 0 && !Object.values(mapping).includes(index)) {
+      mapping[field.key] = index;
+    }
+  });
+  return mapping;
+};
+
+// Aceita números da planilha e textos como "1.234,56", "1,234.56",
+// "R$ 10,5" ou "12.5": o último separador é o decimal. Um ponto sozinho
+// seguido de exatamente três dígitos ("1.234") é milhar, como no Brasil
+export const parseImportNumber = (value) => {
+  if (typeof value === "number") return value;
+  let text = String(value ?? "")
+    .replace(/[^\d,.-]/g, "")
+    .trim();
+  if (!text) return undefined;
+  if (/^-?[1-9]\d{0,2}\.\d{3}$/.test(text)) text = text.replace(".", "");
+  const lastComma = text.lastIndexOf(",");
+  const lastDot = text.lastIndexOf(".");
+  if (lastComma > lastDot) {
+    text = text.replace(/\./g, "").replace(",", ".");
+  } else if (lastComma >= 0 || text.indexOf(".") !== lastDot) {
+    // "1,234.56" ou "1.234.567": vírgulas (ou pontos repetidos) são milhar
+    text = lastComma >= 0 ? text.replace(/,/g, "") : text.replace(/\./g, "");
+  }
+  const number = Number(text);
+  return Number.isFinite(number) ? number : NaN;
+};
+
+// Aceita datas do Excel, números seriais, "dd/mm/aaaa" e ISO (aaaa-mm-dd)
+export const parseImportDate = (value) => {
+  if (value instanceof Date) return value;
+  if (typeof value === "number") {
+    const parsed = XLSX.SSF.parse_date_code(value);
+    return parsed ? new Date(parsed.y, parsed.m - 1, parsed.d) : undefined;
+  }
+  const text = String(value ?? "").trim();
+  if (!text) return undefined;
+
+  const br = text.match(/^(\d{1,2})[/.-](\d{1,2})[/.-](\d{2,4})/);
+  if (br) {
+    const year = Number(br[3]) < 100 ? 2000 + Number(br[3]) : Number(br[3]);
+    return new Date(year, Number(br[2]) - 1, Number(br[1]));
+  }
+  const iso = text.match(/^(\d{4})-(\d{2})-(\d{2})/);
+  if (iso) {
+    return new Date(Number(iso[1]), Number(iso[2]) - 1, Number(iso[3]));
+  }
+  return new Date(NaN);
+};
+
+// Procura o material pela chave, apelido ou nome exibido
+const findMaterialKey = (value) => {
+  const text = normalizeText(value);
+  if (!text) return "";
+  const material = getMaterialCatalog().find(
+    (item) =>
+      normalizeText(item.key) === text ||
+      normalizeText(item.name) === text ||
+      (item.aliases || []).some((alias) => normalizeText(alias) === text),
+  );
+  return material ? material.key : resolveMaterialKey(String(value).trim());
+};
+
+const cellValue = (row, mapping, field) =>
+  mapping[field] === undefined || mapping[field] === ""
+    ? undefined
+    : row[mapping[field]];
+
+// Converte uma linha da planilha no formato de transação do sistema
+function rowToTransaction(row, mapping) {
+  const rawTipo = normalizeText(cellValue(row, mapping, "tipo"));
+  const tipo = TYPE_ALIASES[rawTipo] || rawTipo;
+  const rawPayment = normalizeText(cellValue(row, mapping, "formaPagamento"));
+  const quantidade = parseImportNumber(cellValue(row, mapping, "quantidade"));
+  const precoInformado = parseImportNumber(
+    cellValue(row, mapping, "precoUnitario"),
+  );
+  const totalInformado = parseImportNumber(
+    cellValue(row, mapping, "valorTotal"),
+  );
+  const observacoes = String(
+    cellValue(row, mapping, "observacoes") ?? "",
+  ).trim();
+  const clienteId =
+    String(cellValue(row, mapping, "clienteId") ?? "").trim() || undefined;
+
+  // Despesa segue o formato do ExpenseForm: quantidade 1 e preço = valor
+  if (tipo === "despesa") {
+    const valor = totalInformado ?? precoInformado;
+    return {
+      tipo,
+      material: "despesa",
+      quantidade: 1,
+      precoUnitario: valor,
+      valorTotal: valor,
+      formaPagamento: rawPayment
+        ? PAYMENT_ALIASES[rawPayment] || rawPayment
+        : "dinheiro",
+      vendedor: String(cellValue(row, mapping, "vendedor") ?? "").trim(),
+      clienteId,
+      observacoes,
+      data: parseImportDate(cellValue(row, mapping, "data")),
+    };
+  }
+
+  const precoUnitario =
+    precoInformado ??
+    (totalInformado !== undefined && quantidade
+      ? Math.round((totalInformado / quantidade) * 1000) / 1000
+      : undefined);
+  const valorTotal =
+    totalInformado ??
+    (quantidade !== undefined && precoUnitario !== undefined
+      ? Math.round(quantidade * precoUnitario * 100) / 100
+      : undefined);
+
+  return {
+    tipo,
+    material: findMaterialKey(cellValue(row, mapping, "material")),
+    quantidade,
+    precoUnitario,
+    valorTotal,
+    formaPagamento: rawPayment
+      ? PAYMENT_ALIASES[rawPayment] || rawPayment
+      : "dinheiro",
+    vendedor: String(cellValue(row, mapping, "vendedor") ?? "").trim(),
+    clienteId,
+    observacoes,
+    data: parseImportDate(cellValue(row, mapping, "data")),
+  };
+}
+
+/**
+ * Simulação da importação: converte e valida todas as linhas sem gravar.
+ * customers (cadastro) confere o código do cliente e completa o nome.
+ * Retorna [{ linha, transaction, errors }], com linha numerada como na
+ * planilha (o cabeçalho é a linha 1).
+ */
+export const buildImportPreview = (rows, mapping, customers = []) => {
+  const knownMaterials = new Set(getMaterialCatalog().map((m) => m.key));
+  const customersById = new Map(customers.map((c) => [c.id, c]));
+
+  return rows.map((row, index) => {
+    const transaction = rowToTransaction(row, mapping);
+    const errors = [];
+
+    const customer = customersById.get(transaction.clienteId);
+    if (transaction.clienteId && !customer) {
+      errors.push(`clienteId: "${transaction.clienteId}" não está cadastrado`);
+    }
+    if (customer && !transaction.vendedor) {
+      transaction.vendedor = customer.nome || "";
+    }
+    if (
+      LEDGER_PAYMENTS.includes(transaction.formaPagamento) &&
+      !transaction.clienteId
+    ) {
+      errors.push(
+        "clienteId: informe o código do cliente para lançar na conta corrente",
+      );
+    }
+    if (
+      transaction.formaPagamento === "prazo" &&
+      transaction.tipo !== "venda"
+    ) {
+      errors.push("formaPagamento: a prazo só vale para vendas");
+    }
+
+    const result = transactionSchema.safeParse(transaction);
+    if (!result.success) {
+      result.error.issues.forEach((issue) => {
+        errors.push(`${issue.path.join(".") || "linha"}: ${issue.message}`);
+      });
+    }
+    if (
+      transaction.tipo !== "despesa" &&
+      transaction.material &&
+      !knownMaterials.has(transaction.material)
+    ) {
+      errors.push(`material: "${transaction.material}" não está no catálogo`);
+    }
+
+    return {
+      linha: index + 2,
+      transaction: result.success ? result.data : transaction,
+      errors,
+    };
+  });
+};
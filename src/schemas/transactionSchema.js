@@ -19,9 +19,18 @@ export const transactionSchema = z.object({
     .positive("Preço deve ser positivo"),
   valorTotal: z.number().positive("Valor total deve ser positivo"),
   vendedor: z.string().optional(),
+  clienteId: z.string().optional(),
   observacoes: z.string().optional(),
   formaPagamento: z.enum(
-    ["dinheiro", "pix", "cartao_credito", "cartao_debito", "transferencia"],
+    [
+      "dinheiro",
+      "pix",
+      "prazo",
+      "pagamento_divida",
+      "cartao_credito",
+      "cartao_debito",
+      "transferencia",
+    ],
     {
       required_error: "Forma de pagamento é obrigatória",
     },
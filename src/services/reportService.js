@@ -74,6 +74,376 @@ export const filterTransactions = (transactions, filters) => {
   return filtered;
 };
 
+/**
+ * Converts the period filters into a date range, so the query can be
+ * restricted on the server before the remaining filters run in memory
+ * @param {Object} filters - Filter criteria object
+ * @returns {{start: Date|null, end: Date|null}} Inclusive start, exclusive end
+ */
+export const getFilterDateRange = (filters = {}) => {
+  const today = new Date();
+  today.setHours(0, 0, 0, 0);
+
+  switch (filters.periodo) {
+    case "hoje": {
+      const tomorrow = new Date(today);
+      tomorrow.setDate(tomorrow.getDate() + 1);
+      return { start: today, end: tomorrow };
+    }
+    case "semana": {
+      const weekStart = new Date(today);
+      weekStart.setDate(today.getDate() - today.getDay());
+      return { start: weekStart, end: null };
+    }
+    case "mes":
+      return {
+        start: new Date(today.getFullYear(), today.getMonth(), 1),
+        end: null,
+      };
+    case "trimestre":
+      return {
+        start: new Date(
+          today.getFullYear(),
+          Math.floor(today.getMonth() / 3) * 3,
+          1,
+        ),
+        end: null,
+      };
+    case "ano":
+      return { start: new Date(today.getFullYear(), 0, 1), end: null };
+    case "personalizado": {
+      let start = null;
+      let end = null;
+      if (filters.startDate) {
+        start = new Date(filters.startDate);
+        start.setHours(0, 0, 0, 0);
+      }
+      if (filters.endDate) {
+        end = new Date(filters.endDate);
+        end.setHours(0, 0, 0, 0);
+        end.setDate(end.getDate() + 1);
+      }
+      return { start, end };
+    }
+    default:
+      return { start: null, end: null };
+  }
+};
+
+const UNKNOWN_OPERATOR = { uid: null, nome: "Não identificado" };
+
+/**
+ * Groups a shift's activity by the operator who entered it, so each balance
+ * operator can be checked at closing time
+ * @param {Array} transactions - Transactions entered during the shift
+ * @param {Array} auditEntries - Audit log entries from the same shift
+ * @returns {Array} One summary per operator, sorted by name
+ */
+export const buildShiftReport = (transactions = [], auditEntries = []) => {
+  const operators = {};
+
+  const getOperator = (actor) => {
+    const stamp = actor?.uid || actor?.nome ? actor : UNKNOWN_OPERATOR;
+    const key = stamp.uid || stamp.nome;
+    if (!operators[key]) {
+      operators[key] = {
+        uid: stamp.uid || null,
+        nome: stamp.nome || stamp.email || UNKNOWN_OPERATOR.nome,
+        compras: { count: 0, peso: 0, total: 0 },
+        vendas: { count: 0, peso: 0, total: 0 },
+        despesas: { count: 0, total: 0 },
+        // Dinheiro em espécie que saiu ou entrou no caixa pelas mãos do operador
+        dinheiroPago: 0,
+        dinheiroRecebido: 0,
+        edicoes: 0,
+        exclusoes: 0,
+        restauracoes: 0,
+        transactions: [],
+        auditEntries: [],
+      };
+    }
+    return operators[key];
+  };
+
+  transactions.forEach((t) => {
+    const operator = getOperator(t.registradaPor);
+    const valor = Number(t.valorTotal) || 0;
+    const emDinheiro = (t.formaPagamento || "dinheiro") === "dinheiro";
+
+    if (t.tipo === "compra" || t.tipo === "venda") {
+      const bucket = t.tipo === "compra" ? operator.compras : operator.vendas;
+      bucket.count += 1;
+      bucket.peso += Number(t.quantidade) || 0;
+      bucket.total += valor;
+    } else if (t.tipo === "despesa") {
+      operator.despesas.count += 1;
+      operator.despesas.total += valor;
+    }
+
+    if (emDinheiro && t.tipo === "venda") operator.dinheiroRecebido += valor;
+    if (emDinheiro && t.tipo !== "venda") operator.dinheiroPago += valor;
+    operator.transactions.push(t);
+  });
+
+  const auditCounters = {
+    edicao: "edicoes",
+    exclusao: "exclusoes",
+    restauracao: "restauracoes",
+  };
+  auditEntries.forEach((entry) => {
+    const operator = getOperator(entry.ator);
+    const counter = auditCounters[entry.acao];
+    if (counter) operator[counter] += 1;
+    operator.auditEntries.push(entry);
+  });
+
+  return Object.values(operators).sort((a, b) =>
+    a.nome.localeCompare(b.nome, "pt-BR"),
+  );
+};
+
+// Direção do dinheiro no caixa para cada tipo de transação
+const CASH_DIRECTION = { venda: 1, compra: -1, despesa: -1 };
+
+// Lançamentos da conta corrente feitos fora das transações: empréstimos saem
+// do caixa e pagamentos recebidos entram
+const LEDGER_CASH_DIRECTION = { emprestimo: -1, pagamento: 1 };
+
+/**
+ * Summarizes a cash session: every transaction grouped by type and payment
+ * method, plus withdrawals (sangria) and deposits (suprimento). Only cash
+ * (dinheiro) changes the expected till amount; PIX and debt payments
+ * (pagamento_divida) are listed for reference
+ * @param {Object} params
+ * @param {number} params.valorAbertura - Counted float at opening
+ * @param {Array} params.transactions - Transactions entered during the session
+ * @param {Array} params.movements - Withdrawals and deposits of the session
+ * @param {Array} params.ledgerEntries - Customer ledger entries made outside
+ * transactions during the session (loans handed out and payments received)
+ * @returns {Object} Totals and the expected amount in the till
+ */
+export const buildCashSummary = ({
+  valorAbertura = 0,
+  transactions = [],
+  movements = [],
+  ledgerEntries = [],
+}) => {
+  const grupos = {};
+  let entradasDinheiro = 0;
+  let saidasDinheiro = 0;
+
+  const addToGroup = (tipo, direction, formaPagamento, valor) => {
+    const key = `${tipo}:${formaPagamento}`;
+    if (!grupos[key]) {
+      grupos[key] = { tipo, formaPagamento, count: 0, total: 0 };
+    }
+    grupos[key].count += 1;
+    grupos[key].total += valor;
+
+    if (formaPagamento === "dinheiro") {
+      if (direction > 0) entradasDinheiro += valor;
+      else saidasDinheiro += valor;
+    }
+  };
+
+  transactions.forEach((t) => {
+    const direction = CASH_DIRECTION[t.tipo];
+    if (!direction) return;
+    addToGroup(
+      t.tipo,
+      direction,
+      t.formaPagamento || "dinheiro",
+      Number(t.valorTotal) || 0,
+    );
+  });
+
+  ledgerEntries.forEach((entry) => {
+    const direction = LEDGER_CASH_DIRECTION[entry.tipo];
+    if (!direction) return;
+    addToGroup(
+      entry.tipo,
+      direction,
+      entry.formaPagamento || "dinheiro",
+      Math.abs(Number(entry.valor) || 0),
+    );
+  });
+
+  const suprimentos = movements
+    .filter((m) => m.tipo === "suprimento")
+    .reduce((sum, m) => sum + (Number(m.valor) || 0), 0);
+  const sangrias = movements
+    .filter((m) => m.tipo === "sangria")
+    .reduce((sum, m) => sum + (Number(m.valor) || 0), 0);
+
+  const valorEsperado =
+    (Number(valorAbertura) || 0) +
+    entradasDinheiro -
+    saidasDinheiro +
+    suprimentos -
+    sangrias;
+
+  return {
+    grupos: Object.values(grupos).sort(
+      (a, b) =>
+        a.tipo.localeCompare(b.tipo) ||
+        a.formaPagamento.localeCompare(b.formaPagamento),
+    ),
+    entradasDinheiro,
+    saidasDinheiro,
+    suprimentos,
+    sangrias,
+    valorEsperado: Math.round(valorEsperado * 100) / 100,
+  };
+};
+
+/**
+ * Groups the lines of multi-material tickets into a single entry, keeping
+ * standalone transactions as they are. A ticket entry carries the shared
+ * header (type, customer, date, payment), the summed weight and total, and
+ * its lines in ticket order under itens
+ * @param {Array} transactions - Transactions in display order
+ * @returns {Array} Transactions and ticket entries, in the order first seen
+ */
+export const groupTransactionsByTicket = (transactions = []) => {
+  const tickets = {};
+  const result = [];
+
+  transactions.forEach((t) => {
+    if (!t.ticketId) {
+      result.push(t);
+      return;
+    }
+    if (!tickets[t.ticketId]) {
+      tickets[t.ticketId] = {
+        ...t,
+        id: t.ticketId,
+        isTicket: true,
+        material: null,
+        precoUnitario: null,
+        quantidade: 0,
+        valorTotal: 0,
+        itens: [],
+      };
+      result.push(tickets[t.ticketId]);
+    }
+    const ticket = tickets[t.ticketId];
+    ticket.itens.push(t);
+    ticket.quantidade += Number(t.quantidade) || 0;
+    ticket.valorTotal += Number(t.valorTotal) || 0;
+  });
+
+  Object.values(tickets).forEach((ticket) => {
+    ticket.itens.sort((a, b) => (a.ticketItem || 0) - (b.ticketItem || 0));
+  });
+  return result;
+};
+
+// Campo de preço de tabela usado por cada tipo de transação
+const TABLE_PRICE_FIELD = { compra: "precoCompra", venda: "precoVenda" };
+
+/**
+ * Looks up the table price of a material on a given date: the last change
+ * effective on or before that date or, before the first recorded change, the
+ * price it replaced. Without any history, the current inventory price applies
+ * @param {Array} history - Price history entries, oldest first
+ * @param {string} material - Material key
+ * @param {Date} date - Day to look up
+ * @param {string} tipo - "compra" or "venda"
+ * @param {Object} inventory - Current inventory, used when there is no history
+ * @returns {number} Table price per kg (0 when unknown)
+ */
+export const getTablePriceOn = (
+  history = [],
+  material,
+  date,
+  tipo = "compra",
+  inventory = {},
+) => {
+  const field = TABLE_PRICE_FIELD[tipo];
+  if (!field) return 0;
+  const entries = history.filter((entry) => entry.material === material);
+  if (entries.length === 0) return Number(inventory[material]?.[field]) || 0;
+
+  const time = new Date(date).getTime();
+  let price = Number(entries[0][`${field}Anterior`]) || 0;
+  for (const entry of entries) {
+    if (entry.vigenteDesde.getTime() > time) break;
+    price = Number(entry[field]) || 0;
+  }
+  return price;
+};
+
+/**
+ * Compares what was actually paid on each purchase with the table price in
+ * force on that day, grouped by material. Purchases without a known table
+ * price are counted in semTabela and left out of the totals
+ * @param {Array} transactions - Transactions to compare (only compras count)
+ * @param {Array} history - Price history entries, oldest first
+ * @param {Object} inventory - Current inventory
+ * @returns {Array} One summary per material, largest difference first
+ */
+export const buildPriceComparison = (
+  transactions = [],
+  history = [],
+  inventory = {},
+) => {
+  const materials = {};
+
+  transactions.forEach((t) => {
+    if (t.tipo !== "compra" || !t.material) return;
+    if (!materials[t.material]) {
+      materials[t.material] = {
+        material: t.material,
+        quantidade: 0,
+        totalPago: 0,
+        totalTabela: 0,
+        semTabela: 0,
+        transacoes: [],
+      };
+    }
+    const summary = materials[t.material];
+    const precoTabela = getTablePriceOn(
+      history,
+      t.material,
+      t.data,
+      "compra",
+      inventory,
+    );
+    if (!precoTabela) {
+      summary.semTabela += 1;
+      return;
+    }
+
+    const quantidade = Number(t.quantidade) || 0;
+    const precoPago = Number(t.precoUnitario) || 0;
+    summary.quantidade += quantidade;
+    summary.totalPago += Number(t.valorTotal) || quantidade * precoPago;
+    summary.totalTabela += quantidade * precoTabela;
+    summary.transacoes.push({
+      id: t.id,
+      data: t.data,
+      vendedor: t.vendedor,
+      quantidade,
+      precoPago,
+      precoTabela,
+      diferenca: (precoPago - precoTabela) * quantidade,
+    });
+  });
+
+  return Object.values(materials)
+    .map((summary) => ({
+      ...summary,
+      diferenca: summary.totalPago - summary.totalTabela,
+      precoMedioPago: summary.quantidade
+        ? summary.totalPago / summary.quantidade
+        : 0,
+      precoMedioTabela: summary.quantidade
+        ? summary.totalTabela / summary.quantidade
+        : 0,
+    }))
+    .sort((a, b) => Math.abs(b.diferenca) - Math.abs(a.diferenca));
+};
+
 /**
  * Apply quick period filter (today, week, month, quarter, year)
  */
@@ -11,6 +11,9 @@ export interface Transaction {
   formaPagamento: "pix" | "dinheiro" | string
   numeroTransacao?: string
   observacoes?: string
+  custoMedioUnitario?: number | null
+  custoMercadoria?: number | null
+  lucroBruto?: number | null
   data: Date | string
   createdAt?: Date
   updatedAt?: Date
@@ -20,6 +23,7 @@ export interface InventoryItem {
   quantidade: number
   precoCompra: number
   precoVenda: number
+  custoMedio?: number
   minStockLevel?: number
   updatedAt?: Date
 }
@@ -31,6 +35,8 @@ export interface DailyReport {
   totalPurchases: number
   totalExpenses: number
   totalProfit: number
+  totalCostOfSales: number
+  totalGrossProfit: number
   totalTransactions: number
   salesCount: number
   purchasesCount: number
@@ -46,6 +52,9 @@ export interface MaterialStats {
   quantidade: number
   lucro: number
   transacoes: number
+  custoVendas?: number
+  lucroBruto?: number
+  quantidadeCusteada?: number
 }
 
 export interface PaymentStats {
@@ -58,6 +67,8 @@ export interface AggregatedReport {
   totalPurchases: number
   totalExpenses: number
   totalProfit: number
+  totalCostOfSales: number
+  totalGrossProfit: number
   totalTransactions: number
   salesCount: number
   purchasesCount: number
@@ -29,6 +29,8 @@ export const calculateMarkup = (precoCompra, precoVenda) => {
   return ((price - cost) / cost) * 100;
 };
 
+// Estimativa pela tabela de preços do estoque. O lucro realizado de uma venda
+// usa o custo médio gravado nela (calculateRealizedProfit).
 export const calculateProfit = (quantidade, precoCompra, precoVenda) => {
   const qty = toNum(quantidade);
   const cost = toNum(precoCompra);
@@ -37,6 +39,85 @@ export const calculateProfit = (quantidade, precoCompra, precoVenda) => {
   return qty * (price - cost);
 };
 
+/**
+ * Custo médio ponderado de um material após uma entrada no estoque.
+ * Para estornar uma compra, passe quantidade e valor negativos.
+ * Saldo negativo conta como zero: a entrada seguinte define o custo sozinha.
+ */
+export const calculateWeightedAverageCost = (
+  quantidadeAtual,
+  custoAtual,
+  quantidade,
+  valor,
+) => {
+  const qtdAtual = Math.max(0, toNum(quantidadeAtual));
+  const custo = toNum(custoAtual);
+  const qtd = toNum(quantidade);
+  const novaQuantidade = qtdAtual + qtd;
+
+  // Estorno que zera (ou ultrapassa) o saldo mantém o último custo conhecido
+  if (novaQuantidade <= 0) return custo;
+  if (qtdAtual === 0) return qtd > 0 ? toNum(valor) / qtd : custo;
+
+  const novoCusto = (qtdAtual * custo + toNum(valor)) / novaQuantidade;
+  return novoCusto >= 0 ? novoCusto : custo;
+};
+
+// Vendas gravadas antes do custo médio não têm o custo da mercadoria apurado
+export const hasCostOfGoods = (transaction) =>
+  transaction?.tipo === "venda" &&
+  transaction.custoMercadoria !== undefined &&
+  transaction.custoMercadoria !== null;
+
+// Lucro bruto realizado de uma venda: valor recebido menos o custo da mercadoria vendida
+export const calculateRealizedProfit = (transaction) => {
+  if (!hasCostOfGoods(transaction)) return 0;
+  return toNum(transaction.valorTotal) - toNum(transaction.custoMercadoria);
+};
+
+// Pesagem: peso bruto menos a tara, com o desconto de impureza/umidade (%)
+// aplicado sobre o que sobra. O resultado é o peso líquido (quantidade).
+export const calculateNetWeight = (pesoBruto, tara, descontoImpureza) => {
+  const semTara = toNum(pesoBruto) - toNum(tara);
+  if (semTara <= 0) return 0;
+  const desconto = Math.min(100, Math.max(0, toNum(descontoImpureza)));
+  return Number((semTara * (1 - desconto / 100)).toFixed(3));
+};
+
+// Pesagem de caminhão em duas etapas: na compra ele entra carregado e sai
+// vazio; na venda entra vazio e sai carregado.
+export const calculateTruckNetWeight = (tipo, pesoEntrada, pesoSaida) => {
+  const liquido =
+    tipo === "venda"
+      ? toNum(pesoSaida) - toNum(pesoEntrada)
+      : toNum(pesoEntrada) - toNum(pesoSaida);
+  return Number(liquido.toFixed(3));
+};
+
+export const hasWeighing = (transaction) => toNum(transaction?.pesoBruto) > 0;
+
+// Campos da pesagem gravados na transação. Sem peso bruto a quantidade foi
+// digitada direto e os campos ficam nulos (limpa a pesagem numa edição).
+export const pickWeighingFields = (transaction) => {
+  if (!hasWeighing(transaction)) {
+    return {
+      pesoBruto: null,
+      tara: null,
+      taraDescricao: null,
+      descontoImpureza: null,
+    };
+  }
+  return {
+    pesoBruto: Number(toNum(transaction.pesoBruto).toFixed(3)),
+    tara: Number(toNum(transaction.tara).toFixed(3)),
+    taraDescricao: transaction.taraDescricao || "",
+    descontoImpureza: Math.min(
+      100,
+      Math.max(0, toNum(transaction.descontoImpureza)),
+    ),
+  };
+};
+
 export const calculateTotalValue = (quantidade, preco) => {
   return toNum(quantidade) * toNum(preco);
 };
@@ -40,6 +40,22 @@ export const formatWeight = (value) => {
   return `${formatNumber(num, 2)}kg`;
 };
 
+// Resumo da pesagem de uma compra; vazio quando a quantidade foi digitada
+// direto. Ex.: "Bruto 120,00kg − tara 12,00kg (carrinho) − 5% impureza"
+export const formatWeighing = (transaction) => {
+  if (!(toNum(transaction?.pesoBruto) > 0)) return "";
+  const tara = toNum(transaction.tara);
+  const desconto = toNum(transaction.descontoImpureza);
+  return [
+    `Bruto ${formatWeight(transaction.pesoBruto)}`,
+    tara > 0 &&
+      `tara ${formatWeight(tara)}${transaction.taraDescricao ? ` (${transaction.taraDescricao})` : ""}`,
+    desconto > 0 && `${formatNumber(desconto, 1)}% impureza`,
+  ]
+    .filter(Boolean)
+    .join(" − ");
+};
+
 export const formatPercent = (value, decimals = 1) => {
   const num = toNum(value);
   return `${formatNumber(num, decimals)}%`;
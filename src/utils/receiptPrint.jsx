@@ -0,0 +1,152 @@
+import { renderToStaticMarkup } from "react-dom/server";
+import { QRCodeSVG } from "qrcode.react";
+import { getMaterialName } from "../lib/materialCatalog";
+import { formatCurrency, formatWeighing } from "./formatters";
+
+// Layouts de impressão do comprovante
+export const RECEIPT_LAYOUTS = {
+  "80mm": { label: "Térmica 80mm" },
+  a4: { label: "Folha A4" },
+};
+
+const PAYMENT_LABELS = {
+  dinheiro: "Dinheiro",
+  pix: "PIX",
+  pagamento_divida: "Abatimento de Dívida",
+  prazo: "A Prazo",
+};
+
+const TYPE_TITLES = {
+  compra: "Comprovante de Compra",
+  venda: "Comprovante de Venda",
+  despesa: "Comprovante de Despesa",
+};
+
+const escapeHtml = (value) =>
+  String(value ?? "")
+    .replace(/&/g, "&amp;")
+    .replace(/</g, "&lt;")
+    .replace(/>/g, "&gt;")
+    .replace(/"/g, "&quot;");
+
+const formatKg = (value) =>
+  `${Number(value || 0).toLocaleString("pt-BR", {
+    minimumFractionDigits: 3,
+    maximumFractionDigits: 3,
+  })} kg`;
+
+const STYLES = {
+  "80mm": `
+    @page { size: 80mm auto; margin: 3mm; }
+    body { width: 74mm; font-size: 9pt; }
+    .qr svg { width: 28mm; height: 28mm; }
+    .signature { display: none; }
+  `,
+  a4: `
+    @page { size: A4 portrait; margin: 15mm; }
+    body { max-width: 180mm; margin: 0 auto; font-size: 11pt; }
+    .qr svg { width: 32mm; height: 32mm; }
+    .header h1 { font-size: 16pt; }
+  `,
+};
+
+/**
+ * Abre o comprovante numa janela própria e chama a impressão.
+ * lines: as transações do comprovante (uma, ou todas as linhas do ticket).
+ * O QR code traz o id da primeira transação para a consulta posterior.
+ * Quem chama depois de um await deve abrir a janela antes (printWindow),
+ * senão o navegador bloqueia o pop-up.
+ */
+export const printReceipt = ({
+  receipt,
+  lines,
+  company = {},
+  layout,
+  printWindow = window.open("", "_blank"),
+}) => {
+  if (!printWindow) {
+    throw new Error("O navegador bloqueou a janela de impressão");
+  }
+
+  const first = lines[0];
+  const total = lines.reduce((sum, t) => sum + (Number(t.valorTotal) || 0), 0);
+  const via = receipt.impressoes.length;
+  const qrMarkup = renderToStaticMarkup(
+    <QRCodeSVG value={first.id} level="M" />,
+  );
+
+  const lineRows = lines
+    .map((t) => {
+      const pesagem = formatWeighing(t);
+      return `
+        <tr>
+          <td>
+            <strong>${escapeHtml(getMaterialName(t.material) || t.material || "Despesa")}</strong>
+            ${pesagem ? `<div class="muted">${escapeHtml(pesagem)}</div>` : ""}
+            <div class="muted">${formatKg(t.quantidade)} × ${formatCurrency(t.precoUnitario)}/kg</div>
+          </td>
+          <td class="right">${formatCurrency(t.valorTotal)}</td>
+        </tr>`;
+    })
+    .join("");
+
+  const companyLines = [company.documento, company.endereco, company.telefone]
+    .filter(Boolean)
+    .map((line) => `<div>${escapeHtml(line)}</div>`)
+    .join("");
+
+  printWindow.document.write(`
+    <!DOCTYPE html>
+    <html lang="pt-BR">
+      <head>
+        <meta charset="UTF-8">
+        <title>Comprovante ${receipt.numero} - ${escapeHtml(company.nome || "Império Sucata")}</title>
+        <style>
+          * { margin: 0; padding: 0; box-sizing: border-box; }
+          body { font-family: 'Segoe UI', Roboto, Helvetica, Arial, sans-serif; color: #111; line-height: 1.35; }
+          .header { text-align: center; border-bottom: 1px dashed #555; padding-bottom: 6px; margin-bottom: 6px; }
+          .header h1 { font-size: 12pt; text-transform: uppercase; }
+          .title { text-align: center; font-weight: bold; margin: 6px 0; text-transform: uppercase; }
+          .meta div { display: flex; justify-content: space-between; gap: 8px; }
+          table { width: 100%; border-collapse: collapse; margin: 6px 0; }
+          td { padding: 4px 0; border-bottom: 1px dotted #999; vertical-align: top; }
+          .right { text-align: right; white-space: nowrap; }
+          .muted { color: #555; font-size: 0.85em; }
+          .total { display: flex; justify-content: space-between; font-size: 1.2em; font-weight: bold; border-top: 1px dashed #555; padding-top: 6px; }
+          .qr { text-align: center; margin-top: 10px; }
+          .via { text-align: center; font-weight: bold; margin-top: 4px; }
+          .signature { margin-top: 40px; text-align: center; }
+          .signature div { border-top: 1px solid #111; width: 70%; margin: 0 auto; padding-top: 4px; }
+          ${STYLES[layout] || STYLES["80mm"]}
+        </style>
+      </head>
+      <body>
+        <div class="header">
+          <h1>${escapeHtml(company.nome || "Império Sucata")}</h1>
+          ${companyLines}
+        </div>
+        <div class="title">${TYPE_TITLES[first.tipo] || "Comprovante"}</div>
+        <div class="meta">
+          <div><span>Nº</span><strong>${String(receipt.numero).padStart(6, "0")}</strong></div>
+          <div><span>Data</span><span>${new Date(first.data).toLocaleString("pt-BR")}</span></div>
+          ${first.vendedor ? `<div><span>${first.tipo === "venda" ? "Cliente" : "Fornecedor"}</span><span>${escapeHtml(first.vendedor)}</span></div>` : ""}
+          ${first.placa ? `<div><span>Placa</span><span>${escapeHtml(first.placa)}</span></div>` : ""}
+        </div>
+        <table>${lineRows}</table>
+        <div class="total"><span>TOTAL</span><span>${formatCurrency(total)}</span></div>
+        <div class="meta">
+          <div><span>Pagamento</span><span>${PAYMENT_LABELS[first.formaPagamento] || escapeHtml(first.formaPagamento || "-")}</span></div>
+        </div>
+        ${first.observacoes ? `<p class="muted">${escapeHtml(first.observacoes)}</p>` : ""}
+        <div class="qr">${qrMarkup}<div class="muted">${escapeHtml(first.id)}</div></div>
+        ${via > 1 ? `<div class="via">REIMPRESSÃO · ${via}ª VIA</div>` : ""}
+        <div class="signature"><div>Assinatura</div></div>
+      </body>
+    </html>
+  `);
+  printWindow.document.close();
+  printWindow.focus();
+  setTimeout(() => {
+    printWindow.print();
+  }, 500);
+};
@@ -1,6 +1,9 @@
 import { jsPDF } from "jspdf";
 import autoTable from "jspdf-autotable";
+import * as XLSX from "xlsx";
 import { format } from "date-fns";
+import { getLedgerImpact, LEDGER_ENTRY_TYPES } from "../lib/debtLedger";
+import { AGING_BUCKETS } from "../lib/debtAging";
 
 /**
  * Configuração unificada de design para PDFs
@@ -161,7 +164,11 @@ function createProfessionalFooter(doc) {
 /**
  * Gera Extrato de Conta Corrente do Cliente (Lógica de Dívidas)
  */
-export function generateCustomerStatementPDF(customer, transactions) {
+export function generateCustomerStatementPDF(
+  customer,
+  transactions,
+  ledger = [],
+) {
   const doc = new jsPDF();
 
   let yPos = createProfessionalHeader(
@@ -184,45 +191,38 @@ export function generateCustomerStatementPDF(customer, transactions) {
   doc.text("RESUMO DE SALDOS (DÍVIDA)", PDF_CONFIG.margin, yPos);
   yPos += 6;
 
-  const totalEmprestimos = transactions
-    .filter(
-      (t) =>
-        t.tipo === "despesa" &&
-        (t.categoria === "emprestimo" ||
-          t.observacoes?.toLowerCase().includes("empréstimo") ||
-          t.material === "emprestimo_cliente"),
-    )
-    .reduce((acc, t) => acc + (Number(t.valorTotal) || 0), 0);
-
-  const totalPagamentos = transactions
-    .filter(
-      (t) =>
-        t.formaPagamento === "pagamento_divida" ||
-        t.material === "pagamento_cliente" ||
-        t.observacoes?.toLowerCase().includes("pagamento de dívida"),
-    )
-    .reduce((acc, t) => acc + (Number(t.valorTotal) || 0), 0);
-
-  const saldoFinal = totalEmprestimos - totalPagamentos;
+  // Saldos pela conta corrente (lançamentos tipados), não pelas observações
+  const sortedLedger = [...ledger].sort(
+    (a, b) => new Date(a.data) - new Date(b.data),
+  );
+  const totalAumento = sortedLedger
+    .map(getLedgerImpact)
+    .filter((impacto) => impacto > 0)
+    .reduce((acc, impacto) => acc + impacto, 0);
+  const totalDiminuicao = sortedLedger
+    .map(getLedgerImpact)
+    .filter((impacto) => impacto < 0)
+    .reduce((acc, impacto) => acc - impacto, 0);
+  const saldoFinal = totalAumento - totalDiminuicao;
 
   const summaryData = [
     [
       {
-        content: "Total em Empréstimos (Aumenta Dívida)",
+        content: "Empréstimos e Vendas a Prazo (Aumenta Dívida)",
         styles: { fillColor: [255, 248, 241] },
       },
       {
-        content: `R$ ${totalEmprestimos.toLocaleString("pt-BR", { minimumFractionDigits: 2 })}`,
+        content: `R$ ${totalAumento.toLocaleString("pt-BR", { minimumFractionDigits: 2 })}`,
         styles: { fillColor: [255, 248, 241], halign: "right" },
       },
     ],
     [
       {
-        content: "Total em Pagamentos (Diminui Dívida)",
+        content: "Pagamentos e Abates (Diminui Dívida)",
         styles: { fillColor: [240, 253, 244] },
       },
       {
-        content: `R$ ${totalPagamentos.toLocaleString("pt-BR", { minimumFractionDigits: 2 })}`,
+        content: `R$ ${totalDiminuicao.toLocaleString("pt-BR", { minimumFractionDigits: 2 })}`,
         styles: { fillColor: [240, 253, 244], halign: "right" },
       },
     ],
@@ -271,49 +271,19 @@ export function generateCustomerStatementPDF(customer, transactions) {
   yPos += 6;
 
   let runningBalance = 0;
-  const debtTransactions = sortedTransactions.filter((t) => {
-    const isEmprestimo =
-      t.tipo === "despesa" &&
-      (t.categoria === "emprestimo" ||
-        t.observacoes?.toLowerCase().includes("empréstimo") ||
-        t.material === "emprestimo_cliente");
-
-    const isPagamentoDivida =
-      t.formaPagamento === "pagamento_divida" ||
-      t.material === "pagamento_cliente" ||
-      t.observacoes?.toLowerCase().includes("pagamento de dívida");
-
-    return isEmprestimo || isPagamentoDivida;
-  });
-
-  const tableData = debtTransactions.map((t) => {
-    const isEmprestimo =
-      t.tipo === "despesa" &&
-      (t.categoria === "emprestimo" ||
-        t.observacoes?.toLowerCase().includes("empréstimo") ||
-        t.material === "emprestimo_cliente");
-
-    let tipoFormatado = "";
-    let debito = "";
-    let credito = "";
-    let valorNum = Number(t.valorTotal) || 0;
-
-    if (isEmprestimo) {
-      tipoFormatado = "EMPRÉSTIMO";
-      debito = valorNum.toLocaleString("pt-BR", { minimumFractionDigits: 2 });
-      runningBalance += valorNum;
-    } else {
-      tipoFormatado = "PAGAMENTO DE DÍVIDA";
-      credito = valorNum.toLocaleString("pt-BR", { minimumFractionDigits: 2 });
-      runningBalance -= valorNum;
-    }
+  const tableData = sortedLedger.map((entry) => {
+    const impacto = getLedgerImpact(entry);
+    const valor = Math.abs(impacto).toLocaleString("pt-BR", {
+      minimumFractionDigits: 2,
+    });
+    runningBalance += impacto;
 
     return [
-      format(new Date(t.data), "dd/MM/yyyy HH:mm"),
-      tipoFormatado,
-      t.observacoes || t.material || "-",
-      debito ? `R$ ${debito}` : "-",
-      credito ? `R$ ${credito}` : "-",
+      format(new Date(entry.data), "dd/MM/yyyy HH:mm"),
+      (LEDGER_ENTRY_TYPES[entry.tipo]?.label || entry.tipo).toUpperCase(),
+      entry.descricao || "-",
+      impacto > 0 ? `R$ ${valor}` : "-",
+      impacto < 0 ? `R$ ${valor}` : "-",
       {
         content: `R$ ${runningBalance.toLocaleString("pt-BR", { minimumFractionDigits: 2 })}`,
         styles: { fontStyle: "bold" },
@@ -342,24 +312,14 @@ export function generateCustomerStatementPDF(customer, transactions) {
   });
 
   // Se houver transações comerciais, adicionar uma seção separada
-  const commercialTransactions = sortedTransactions.filter((t) => {
-    const isEmprestimo =
-      t.tipo === "despesa" &&
-      (t.categoria === "emprestimo" ||
-        t.observacoes?.toLowerCase().includes("empréstimo") ||
-        t.material === "emprestimo_cliente");
-
-    const isPagamentoDivida =
-      t.formaPagamento === "pagamento_divida" ||
-      t.material === "pagamento_cliente" ||
-      t.observacoes?.toLowerCase().includes("pagamento de dívida");
-
-    return (
-      !isEmprestimo &&
-      !isPagamentoDivida &&
-      (t.tipo === "compra" || t.tipo === "venda")
-    );
-  });
+  const debtTransactionIds = new Set(
+    ledger.map((entry) => entry.transacaoId).filter(Boolean),
+  );
+  const commercialTransactions = sortedTransactions.filter(
+    (t) =>
+      !debtTransactionIds.has(t.id) &&
+      (t.tipo === "compra" || t.tipo === "venda"),
+  );
 
   if (commercialTransactions.length > 0) {
     yPos = doc.lastAutoTable.finalY + 12;
@@ -575,3 +535,400 @@ export function generateMaterialPDF(reportData, options = {}) {
   createProfessionalFooter(doc);
   doc.save(`relatorio_materiais_${format(new Date(), "ddMMyyyy_HHmm")}.pdf`);
 }
+
+const CASH_TYPE_LABELS = {
+  venda: "Venda",
+  compra: "Compra",
+  despesa: "Despesa",
+  emprestimo: "Empréstimo a Cliente",
+  pagamento: "Recebimento de Cliente",
+};
+
+const CASH_PAYMENT_LABELS = {
+  dinheiro: "Dinheiro",
+  pix: "PIX",
+  pagamento_divida: "Pagamento de Dívida",
+  prazo: "A Prazo",
+};
+
+const formatPdfCurrency = (value) =>
+  `R$ ${(Number(value) || 0).toLocaleString("pt-BR", { minimumFractionDigits: 2 })}`;
+
+/**
+ * Fechamento de Caixa: conferência do esperado x contado
+ */
+export function generateCashClosingPDF(session, movements = []) {
+  const doc = new jsPDF();
+  const resumo = session.resumo || {};
+  const pageWidth = doc.internal.pageSize.getWidth();
+
+  let yPos = createProfessionalHeader(
+    doc,
+    "Fechamento de Caixa",
+    session.abertoEm,
+    session.fechadoEm,
+  );
+
+  doc.setFontSize(PDF_CONFIG.fonts.body);
+  doc.setTextColor(...PDF_CONFIG.colors.text);
+  doc.text(
+    `Aberto em ${format(session.abertoEm, "dd/MM/yyyy HH:mm")} por ${session.abertoPor?.nome || "-"}`,
+    PDF_CONFIG.margin,
+    yPos,
+  );
+  doc.text(
+    `Fechado em ${format(session.fechadoEm, "dd/MM/yyyy HH:mm")} por ${session.fechadoPor?.nome || "-"}`,
+    PDF_CONFIG.margin,
+    yPos + 6,
+  );
+  yPos += 14;
+
+  // Conferência em cards
+  const diferenca = Number(session.diferenca) || 0;
+  const metrics = [
+    {
+      label: "ABERTURA",
+      value: session.valorAbertura,
+      color: PDF_CONFIG.colors.primary,
+    },
+    {
+      label: "ESPERADO",
+      value: session.valorEsperado,
+      color: [41, 128, 185],
+    },
+    {
+      label: "CONTADO",
+      value: session.valorContado,
+      color: PDF_CONFIG.colors.primary,
+    },
+    {
+      label: diferenca >= 0 ? "SOBRA" : "FALTA",
+      value: diferenca,
+      color:
+        diferenca === 0
+          ? PDF_CONFIG.colors.accent
+          : diferenca > 0
+            ? [41, 128, 185]
+            : PDF_CONFIG.colors.danger,
+    },
+  ];
+
+  const cardWidth = (pageWidth - PDF_CONFIG.margin * 2 - 10) / 4;
+  metrics.forEach((m, i) => {
+    const x = PDF_CONFIG.margin + i * (cardWidth + 3.3);
+    doc.setFillColor(...PDF_CONFIG.colors.background);
+    doc.rect(x, yPos, cardWidth, 18, "F");
+
+    doc.setFontSize(PDF_CONFIG.fonts.tiny);
+    doc.setTextColor(...PDF_CONFIG.colors.lightText);
+    doc.setFont("helvetica", "bold");
+    doc.text(m.label, x + cardWidth / 2, yPos + 6, { align: "center" });
+
+    doc.setFontSize(PDF_CONFIG.fonts.body);
+    doc.setTextColor(...m.color);
+    doc.text(formatPdfCurrency(m.value), x + cardWidth / 2, yPos + 13, {
+      align: "center",
+    });
+  });
+  yPos += 25;
+
+  // Como o valor esperado foi composto
+  autoTable(doc, {
+    startY: yPos,
+    head: [["Composição do esperado (dinheiro)", "Valor"]],
+    body: [
+      ["Abertura (troco contado)", formatPdfCurrency(session.valorAbertura)],
+      [
+        "(+) Vendas e recebimentos em dinheiro",
+        formatPdfCurrency(resumo.entradasDinheiro),
+      ],
+      [
+        "(-) Compras, despesas e empréstimos em dinheiro",
+        formatPdfCurrency(resumo.saidasDinheiro),
+      ],
+      ["(+) Suprimentos", formatPdfCurrency(resumo.suprimentos)],
+      ["(-) Sangrias", formatPdfCurrency(resumo.sangrias)],
+      ["(=) Esperado em caixa", formatPdfCurrency(session.valorEsperado)],
+    ],
+    theme: "grid",
+    headStyles: {
+      fillColor: PDF_CONFIG.colors.primary,
+      fontSize: PDF_CONFIG.fonts.small,
+    },
+    styles: { fontSize: PDF_CONFIG.fonts.small, cellPadding: 3 },
+    columnStyles: { 1: { halign: "right" } },
+    didParseCell: (data) => {
+      if (data.section === "body" && data.row.index === 5) {
+        data.cell.styles.fontStyle = "bold";
+      }
+    },
+  });
+  yPos = doc.lastAutoTable.finalY + 8;
+
+  // Todas as transações da sessão por tipo e forma de pagamento
+  if (resumo.grupos?.length) {
+    autoTable(doc, {
+      startY: yPos,
+      head: [["Tipo", "Forma de Pagamento", "Qtd.", "Total"]],
+      body: resumo.grupos.map((g) => [
+        CASH_TYPE_LABELS[g.tipo] || g.tipo,
+        CASH_PAYMENT_LABELS[g.formaPagamento] || g.formaPagamento,
+        g.count,
+        formatPdfCurrency(g.total),
+      ]),
+      theme: "striped",
+      headStyles: {
+        fillColor: PDF_CONFIG.colors.primary,
+        fontSize: PDF_CONFIG.fonts.small,
+      },
+      styles: { fontSize: PDF_CONFIG.fonts.small },
+      columnStyles: { 2: { halign: "center" }, 3: { halign: "right" } },
+    });
+    yPos = doc.lastAutoTable.finalY + 8;
+  }
+
+  if (movements.length) {
+    autoTable(doc, {
+      startY: yPos,
+      head: [["Hora", "Movimentação", "Motivo", "Operador", "Valor"]],
+      body: movements.map((m) => [
+        format(m.createdAt, "HH:mm"),
+        m.tipo === "sangria" ? "Sangria" : "Suprimento",
+        m.motivo || "-",
+        m.registradoPor?.nome || "-",
+        formatPdfCurrency(m.valor),
+      ]),
+      theme: "striped",
+      headStyles: {
+        fillColor: PDF_CONFIG.colors.primary,
+        fontSize: PDF_CONFIG.fonts.small,
+      },
+      styles: { fontSize: PDF_CONFIG.fonts.small },
+      columnStyles: { 4: { halign: "right" } },
+    });
+    yPos = doc.lastAutoTable.finalY + 8;
+  }
+
+  const observations = [
+    session.observacoesAbertura,
+    session.observacoesFechamento,
+  ]
+    .filter(Boolean)
+    .join("\n");
+  if (observations) {
+    doc.setFontSize(PDF_CONFIG.fonts.h3);
+    doc.setTextColor(...PDF_CONFIG.colors.primary);
+    doc.text("OBSERVAÇÕES", PDF_CONFIG.margin, yPos);
+    yPos += 5;
+    doc.setFontSize(PDF_CONFIG.fonts.body);
+    doc.setTextColor(...PDF_CONFIG.colors.text);
+    doc.text(
+      doc.splitTextToSize(observations, pageWidth - PDF_CONFIG.margin * 2),
+      PDF_CONFIG.margin,
+      yPos,
+    );
+  }
+
+  createProfessionalFooter(doc);
+  doc.save(
+    `fechamento_caixa_${format(session.fechadoEm, "ddMMyyyy_HHmm")}.pdf`,
+  );
+}
+
+/**
+ * Idade das dívidas: saldo em aberto por faixa de dias, com o detalhamento
+ * dos débitos de cada cliente
+ */
+export function generateDebtAgingPDF(report, { detalhado = true } = {}) {
+  const doc = new jsPDF();
+  const pageWidth = doc.internal.pageSize.getWidth();
+  let yPos = createProfessionalHeader(
+    doc,
+    "Idade das Dívidas",
+    null,
+    report.geradoEm,
+  );
+
+  // Total por faixa em cards
+  const metrics = [
+    ...AGING_BUCKETS.map((bucket) => ({
+      label: bucket.label.toUpperCase(),
+      value: report.totals.buckets[bucket.key],
+    })),
+    { label: "TOTAL", value: report.totals.total },
+  ];
+  const cardWidth = (pageWidth - PDF_CONFIG.margin * 2 - 12) / metrics.length;
+  metrics.forEach((m, i) => {
+    const x = PDF_CONFIG.margin + i * (cardWidth + 3);
+    doc.setFillColor(...PDF_CONFIG.colors.background);
+    doc.rect(x, yPos, cardWidth, 18, "F");
+
+    doc.setFontSize(PDF_CONFIG.fonts.tiny);
+    doc.setTextColor(...PDF_CONFIG.colors.lightText);
+    doc.setFont("helvetica", "bold");
+    doc.text(m.label, x + cardWidth / 2, yPos + 6, { align: "center" });
+
+    doc.setFontSize(PDF_CONFIG.fonts.body);
+    doc.setTextColor(
+      ...(i === metrics.length - 1
+        ? PDF_CONFIG.colors.danger
+        : PDF_CONFIG.colors.primary),
+    );
+    doc.text(formatPdfCurrency(m.value), x + cardWidth / 2, yPos + 13, {
+      align: "center",
+    });
+  });
+  yPos += 25;
+
+  autoTable(doc, {
+    startY: yPos,
+    head: [["Cliente", ...AGING_BUCKETS.map((b) => b.label), "Total"]],
+    body: report.rows.map((row) => [
+      row.nome,
+      ...AGING_BUCKETS.map((b) => formatPdfCurrency(row.buckets[b.key])),
+      formatPdfCurrency(row.total),
+    ]),
+    foot: [
+      [
+        "TOTAL",
+        ...AGING_BUCKETS.map((b) =>
+          formatPdfCurrency(report.totals.buckets[b.key]),
+        ),
+        formatPdfCurrency(report.totals.total),
+      ],
+    ],
+    theme: "striped",
+    headStyles: {
+      fillColor: PDF_CONFIG.colors.primary,
+      fontSize: PDF_CONFIG.fonts.small,
+    },
+    footStyles: {
+      fillColor: PDF_CONFIG.colors.background,
+      textColor: PDF_CONFIG.colors.text,
+      fontSize: PDF_CONFIG.fonts.small,
+    },
+    styles: { fontSize: PDF_CONFIG.fonts.small },
+    columnStyles: {
+      1: { halign: "right" },
+      2: { halign: "right" },
+      3: { halign: "right" },
+      4: { halign: "right" },
+      5: { halign: "right", fontStyle: "bold" },
+    },
+  });
+  yPos = doc.lastAutoTable.finalY + 10;
+
+  if (detalhado) {
+    report.rows.forEach((row) => {
+      autoTable(doc, {
+        startY: yPos,
+        head: [
+          [
+            {
+              content: `${row.nome} · ${formatPdfCurrency(row.total)}`,
+              colSpan: 5,
+            },
+          ],
+          ["Data", "Lançamento", "Parcela", "Dias", "Em aberto"],
+        ],
+        body: row.itens.map((item) => [
+          item.dataLancamento ? format(item.dataLancamento, "dd/MM/yyyy") : "-",
+          `${LEDGER_ENTRY_TYPES[item.tipo]?.label || item.tipo}${item.descricao ? ` - ${item.descricao}` : ""}`,
+          item.totalParcelas > 1 ? `${item.numero}/${item.totalParcelas}` : "-",
+          item.dias,
+          formatPdfCurrency(item.restante),
+        ]),
+        theme: "grid",
+        headStyles: {
+          fillColor: PDF_CONFIG.colors.secondary,
+          fontSize: PDF_CONFIG.fonts.small,
+        },
+        styles: { fontSize: PDF_CONFIG.fonts.tiny },
+        columnStyles: {
+          2: { halign: "center" },
+          3: { halign: "center" },
+          4: { halign: "right" },
+        },
+      });
+      yPos = doc.lastAutoTable.finalY + 6;
+    });
+  }
+
+  createProfessionalFooter(doc);
+  const sufixo =
+    report.rows.length === 1
+      ? `_${report.rows[0].nome.replace(/\s+/g, "_")}`
+      : "";
+  doc.save(`idade_dividas${sufixo}_${format(report.geradoEm, "ddMMyyyy")}.pdf`);
+}
+
+/**
+ * Idade das dívidas em planilha: aba de resumo por cliente e aba com os
+ * débitos em aberto
+ */
+export function generateDebtAgingXLSX(report) {
+  const workbook = XLSX.utils.book_new();
+
+  const summaryData = [
+    ["IMPERIO SUCATA - Idade das Dividas"],
+    [`Gerado em: ${format(report.geradoEm, "dd/MM/yyyy HH:mm")}`],
+    [],
+    ["Cliente", ...AGING_BUCKETS.map((b) => b.label), "Total"],
+    ...report.rows.map((row) => [
+      row.nome,
+      ...AGING_BUCKETS.map((b) => row.buckets[b.key]),
+      row.total,
+    ]),
+    [
+      "TOTAL",
+      ...AGING_BUCKETS.map((b) => report.totals.buckets[b.key]),
+      report.totals.total,
+    ],
+  ];
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(summaryData),
+    "Resumo",
+  );
+
+  const detailData = [
+    [
+      "Cliente",
+      "Data",
+      "Lancamento",
+      "Descricao",
+      "Parcela",
+      "Vencimento",
+      "Dias",
+      "Faixa",
+      "Valor",
+      "Pago",
+      "Em aberto",
+    ],
+    ...report.rows.flatMap((row) =>
+      row.itens.map((item) => [
+        row.nome,
+        item.dataLancamento ? format(item.dataLancamento, "dd/MM/yyyy") : "",
+        LEDGER_ENTRY_TYPES[item.tipo]?.label || item.tipo,
+        item.descricao || "",
+        item.totalParcelas > 1 ? `${item.numero}/${item.totalParcelas}` : "",
+        item.vencimento ? format(item.vencimento, "dd/MM/yyyy") : "",
+        item.dias,
+        AGING_BUCKETS.find((b) => b.key === item.bucket)?.label,
+        item.valor,
+        item.pago,
+        item.restante,
+      ]),
+    ),
+  ];
+  XLSX.utils.book_append_sheet(
+    workbook,
+    XLSX.utils.aoa_to_sheet(detailData),
+    "Detalhamento",
+  );
+
+  XLSX.writeFile(
+    workbook,
+    `idade_dividas_${format(report.geradoEm, "dd-MM-yyyy")}.xlsx`,
+  );
+}
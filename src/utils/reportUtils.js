@@ -86,34 +86,8 @@ export const formatDate = (date) => {
   return new Intl.DateTimeFormat("pt-BR").format(new Date(date));
 };
 
-export const getMaterialName = (material) => {
-  const names = {
-    ferro: "Ferro",
-    aluminio: "Alumínio",
-    cobre: "Cobre",
-    latinha: "Latinha",
-    panela: "Panela",
-    bloco2: "Bloco 2",
-    chapa: "Chapa",
-    perfil: "Perfil",
-    bloco: "Bloco",
-    metal: "Metal",
-    inox: "Inox",
-    bateria: "Bateria",
-    motor_gel: "Motor/Gel",
-    roda: "Roda",
-    papelao: "Papelão",
-    papel_branco: "Papel branco",
-    rad_metal: "Radiador Metal",
-    rad_cobre: "Radiador Cobre",
-    rad_chapa: "Radiador Chapa",
-    tela: "Tela",
-    antimonio: "Antimônio",
-    cabo_ai: "Cabo AI",
-    tubo_limpo: "Tubo Limpo",
-  };
-  return names[material] || material;
-};
+// Nome de exibição lido do catálogo de materiais (coleção "materials")
+export { getMaterialName } from "../lib/materialCatalog";
 
 // Adicione esta função dentro do seu arquivo reportUtils.js
 